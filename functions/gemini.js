@@ -0,0 +1,63 @@
+// --- Gemini Client ---
+// Server-side counterpart of the browser's Gemini provider (src/lib/llmProviders.js): the same
+// request shape, but the API key never leaves the server.
+
+const GEMINI_API_URL_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// An error carrying the HTTP status and code the proxy answers with
+export const proxyError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+// Google Search grounding in the app's shape (see src/lib/citations.js). Indices into `sources` are
+// kept, so chunks that are not web pages become null entries.
+const toGrounding = (metadata) => {
+    if (!metadata?.groundingChunks?.length) return null;
+    return {
+        sources: metadata.groundingChunks.map(chunk => (chunk.web?.uri ? { url: chunk.web.uri, title: chunk.web.title || chunk.web.uri } : null)),
+        supports: (metadata.groundingSupports || []).map(support => ({
+            text: support.segment?.text || '',
+            sourceIndices: support.groundingChunkIndices || [],
+        })),
+    };
+};
+
+export const generateWithGemini = async ({ apiKey, model, systemPrompt, userQuery, responseSchema }) => {
+    const payload = {
+        contents: [{ parts: [{ text: userQuery }] }],
+        tools: [{ "google_search": {} }], // Use grounding for up-to-date info
+        systemInstruction: {
+            parts: [{ text: systemPrompt }]
+        },
+    };
+
+    if (responseSchema) {
+        payload.generationConfig = {
+            responseMimeType: "application/json",
+            responseSchema,
+        };
+    }
+
+    const response = await fetch(`${GEMINI_API_URL_BASE}/${model}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        // Upstream rate limits and outages are worth retrying; anything else is a bad request
+        const status = response.status === 429 || response.status >= 500 ? 503 : 502;
+        throw proxyError(status, 'upstream-error', `Gemini call failed with status ${response.status}: ${errorText}`);
+    }
+
+    const result = await response.json();
+    const candidate = result.candidates?.[0];
+    const text = candidate?.content?.parts?.[0]?.text;
+    if (!text) throw proxyError(502, 'empty-response', "AI did not return content.");
+
+    // Thinking tokens are billed as output
+    const { promptTokenCount = 0, candidatesTokenCount = 0, thoughtsTokenCount = 0 } = result.usageMetadata || {};
+    const usage = result.usageMetadata
+        ? { inputTokens: promptTokenCount, outputTokens: candidatesTokenCount + thoughtsTokenCount }
+        : null;
+    return { text, usage, grounding: toGrounding(candidate.groundingMetadata) };
+};
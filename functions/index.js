@@ -0,0 +1,115 @@
+import { onRequest } from 'firebase-functions/v2/https';
+import { defineInt, defineList, defineSecret } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { generateWithGemini, proxyError } from './gemini.js';
+import { consumeQuota, loadWorkspaceQuota, recordMonthlyUsage } from './quota.js';
+
+// --- AI Proxy ---
+// POST /api/generate (hosting rewrite, see firebase.json) with
+//   Authorization: Bearer <Firebase ID token>
+//   { model, systemPrompt, userQuery, responseSchema?, workspace: { appId, workspaceId | null } }
+// answers { text, usage: { inputTokens, outputTokens } | null, grounding: { sources, supports } | null }
+// or { error: { code, message } }. `workspace` names the workspace whose monthly quota the call
+// counts against (see quota.js); null `workspaceId` is the caller's personal workspace.
+//
+// The Gemini key is a Cloud Functions secret:
+//   firebase functions:secrets:set GEMINI_API_KEY
+// For the emulator suite (`npm run serve`), put GEMINI_API_KEY=... into functions/.secret.local.
+
+initializeApp();
+
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const DAILY_REQUEST_LIMIT = defineInt('DAILY_REQUEST_LIMIT', { default: 200 });
+const ALLOWED_MODELS = defineList('ALLOWED_GEMINI_MODELS', { default: ['gemini-2.5-flash-preview-09-2025'] });
+
+// Prompts are built by the app; anything larger is not one of them
+const MAX_PROMPT_CHARS = 200000;
+
+// Firestore document ids as the app creates them (no path separators)
+const isDocumentId = (value) => typeof value === 'string' && /^[\w-]{1,128}$/.test(value);
+
+const verifyCaller = async (request) => {
+    const match = (request.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match) throw proxyError(401, 'unauthenticated', "Sign in to use the AI features.");
+    try {
+        return await getAuth().verifyIdToken(match[1]);
+    } catch {
+        throw proxyError(401, 'unauthenticated', "Your session has expired. Sign in again.");
+    }
+};
+
+const parseGenerateRequest = (body) => {
+    const { model, systemPrompt, userQuery, responseSchema = null, workspace } = body || {};
+    if (typeof systemPrompt !== 'string' || typeof userQuery !== 'string' || !userQuery.trim()) {
+        throw proxyError(400, 'invalid-argument', "'systemPrompt' and 'userQuery' must be strings.");
+    }
+    if (systemPrompt.length + userQuery.length > MAX_PROMPT_CHARS) {
+        throw proxyError(413, 'prompt-too-large', `Prompts are limited to ${MAX_PROMPT_CHARS} characters.`);
+    }
+    if (!ALLOWED_MODELS.value().includes(model)) {
+        throw proxyError(400, 'model-not-allowed', `Model "${model}" is not enabled. Allowed: ${ALLOWED_MODELS.value().join(', ')}.`);
+    }
+    if (responseSchema !== null && typeof responseSchema !== 'object') {
+        throw proxyError(400, 'invalid-argument', "'responseSchema' must be an object.");
+    }
+    if (!isDocumentId(workspace?.appId) || !(workspace.workspaceId === null || isDocumentId(workspace.workspaceId))) {
+        throw proxyError(400, 'invalid-argument', "'workspace' must name the app and workspace the call is made for.");
+    }
+    return { model, systemPrompt, userQuery, responseSchema, workspace };
+};
+
+export const generate = onRequest({ secrets: [GEMINI_API_KEY], cors: true, timeoutSeconds: 300 }, async (request, response) => {
+    const startedAt = Date.now();
+    let uid = null;
+    let model = null;
+
+    try {
+        if (request.method !== 'POST') throw proxyError(405, 'method-not-allowed', "Use POST.");
+
+        uid = (await verifyCaller(request)).uid;
+        const { workspace, ...generateRequest } = parseGenerateRequest(request.body);
+        model = generateRequest.model;
+        const db = getFirestore();
+        const workspaceQuota = await loadWorkspaceQuota(db, uid, workspace);
+        const quota = await consumeQuota(db, uid, DAILY_REQUEST_LIMIT.value(), workspaceQuota);
+
+        const { text, usage, grounding } = await generateWithGemini({ ...generateRequest, apiKey: GEMINI_API_KEY.value() });
+        // Without reported usage, about four characters per token (as estimateTokens in the app)
+        const tokens = usage || {
+            inputTokens: Math.ceil((generateRequest.systemPrompt.length + generateRequest.userQuery.length) / 4),
+            outputTokens: Math.ceil(text.length / 4),
+        };
+        try {
+            await recordMonthlyUsage(db, uid, workspaceQuota, tokens);
+        } catch (e) {
+            logger.error('AI usage not recorded', { uid, model, error: e.message });
+        }
+
+        logger.info('AI request', {
+            uid,
+            model,
+            structured: !!generateRequest.responseSchema,
+            promptChars: generateRequest.systemPrompt.length + generateRequest.userQuery.length,
+            responseChars: text.length,
+            inputTokens: usage?.inputTokens,
+            outputTokens: usage?.outputTokens,
+            groundingSources: grounding?.sources.length || 0,
+            quotaUsed: quota.used,
+            durationMs: Date.now() - startedAt,
+        });
+        response.json({ text, usage, grounding });
+    } catch (e) {
+        const status = e.status || 500;
+        const code = e.code && e.status ? e.code : 'internal';
+        const logEntry = { uid, model, status, code, durationMs: Date.now() - startedAt };
+        if (status >= 500) {
+            logger.error('AI request failed', { ...logEntry, error: e.message });
+        } else {
+            logger.warn('AI request rejected', { ...logEntry, error: e.message });
+        }
+        response.status(status).json({ error: { code, message: status === 500 ? "The AI proxy failed." : e.message } });
+    }
+});
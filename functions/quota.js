@@ -0,0 +1,83 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { proxyError } from './gemini.js';
+
+// --- Per-User Quotas ---
+// Requests and tokens are counted per user in a server-only collection (the security rules
+// grant clients no access to it):
+//
+// aiProxyUsage/{uid}/days/{yyyy-mm-dd}: { requests, lastRequestAt }
+// aiProxyUsage/{uid}/months/{yyyy-mm}_{appId}_{workspaceId | 'personal'}: { inputTokens, outputTokens, cost, requests, lastRequestAt }
+//
+// The daily request limit is a function parameter. The monthly limits are the quota the
+// workspace owner sets in the app's AI settings (see src/lib/usage.js; only owners may write
+// them): with 'block' enforcement the proxy refuses calls once the caller's month in that
+// workspace reaches them. Costs are billed at the proxy's own prices, never at the ones in the
+// settings. The app keeps its own monthly totals for the usage dashboard; the proxy only trusts its own.
+
+export const USAGE_COLLECTION = 'aiProxyUsage';
+
+// Gemini prices the monthly cost limits are checked against; same as the defaults of
+// DEFAULT_LLM_SETTINGS in src/lib/llmProviders.js
+const GEMINI_PRICES = { inputPricePerMillion: 0.3, outputPricePerMillion: 2.5 };
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const utcMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// Quota of the workspace the call is made for; team workspaces only for members
+export const loadWorkspaceQuota = async (db, uid, { appId, workspaceId }) => {
+    const workspacePath = workspaceId ? `artifacts/${appId}/workspaces/${workspaceId}` : `artifacts/${appId}/users/${uid}`;
+    if (workspaceId) {
+        const workspace = await db.doc(workspacePath).get();
+        if (!workspace.exists || !(workspace.get('memberIds') || []).includes(uid)) {
+            throw proxyError(403, 'permission-denied', "You are not a member of this workspace.");
+        }
+    }
+
+    const settings = (await db.doc(`${workspacePath}/settings/llm`).get()).data() || {};
+    return {
+        monthId: `${utcMonth()}_${appId}_${workspaceId || 'personal'}`,
+        quota: { monthlyTokenLimit: 0, monthlyCostLimit: 0, enforcement: 'warn', ...settings.quota },
+    };
+};
+
+const monthlyLimitReached = (month, quota) => {
+    if (quota.enforcement !== 'block') return false;
+    const tokens = (month.inputTokens || 0) + (month.outputTokens || 0);
+    return (quota.monthlyTokenLimit > 0 && tokens >= quota.monthlyTokenLimit)
+        || (quota.monthlyCostLimit > 0 && (month.cost || 0) >= quota.monthlyCostLimit);
+};
+
+// Count one request, or reject it when the user already used up today's requests or the
+// workspace's monthly quota (`workspaceQuota` from loadWorkspaceQuota)
+export const consumeQuota = async (db, uid, dailyLimit, workspaceQuota) => {
+    const userRef = db.collection(USAGE_COLLECTION).doc(uid);
+    const dayRef = userRef.collection('days').doc(utcDay());
+    const monthRef = userRef.collection('months').doc(workspaceQuota.monthId);
+
+    return db.runTransaction(async (transaction) => {
+        const [daySnapshot, monthSnapshot] = await Promise.all([transaction.get(dayRef), transaction.get(monthRef)]);
+        const used = daySnapshot.exists ? daySnapshot.get('requests') : 0;
+        if (used >= dailyLimit) {
+            throw proxyError(429, 'quota-exceeded', `Daily AI request limit of ${dailyLimit} reached. It resets at midnight UTC.`);
+        }
+        if (monthlyLimitReached(monthSnapshot.data() || {}, workspaceQuota.quota)) {
+            throw proxyError(429, 'quota-exceeded', "Your monthly AI quota in this workspace is used up. Ask the workspace owner to raise it.");
+        }
+
+        transaction.set(dayRef, { requests: FieldValue.increment(1), lastRequestAt: FieldValue.serverTimestamp() }, { merge: true });
+        return { used: used + 1, limit: dailyLimit };
+    });
+};
+
+// Add the tokens (and their cost) of a finished call to the caller's month
+export const recordMonthlyUsage = async (db, uid, workspaceQuota, { inputTokens, outputTokens }) => {
+    const { inputPricePerMillion, outputPricePerMillion } = GEMINI_PRICES;
+    await db.collection(USAGE_COLLECTION).doc(uid).collection('months').doc(workspaceQuota.monthId).set({
+        inputTokens: FieldValue.increment(inputTokens),
+        outputTokens: FieldValue.increment(outputTokens),
+        cost: FieldValue.increment((inputTokens * inputPricePerMillion + outputTokens * outputPricePerMillion) / 1e6),
+        requests: FieldValue.increment(1),
+        lastRequestAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+};
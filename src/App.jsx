@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 
 // --- Firebase Imports (Must use CDN paths in this environment) ---
 // Note: In a typical setup, these would be 'firebase/app', 'firebase/auth', etc.
@@ -7,7 +7,6 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
-    signInAnonymously, 
     signInWithCustomToken, 
     onAuthStateChanged 
 } from 'firebase/auth';
@@ -19,11 +18,152 @@ import {
     query, 
     where, 
     onSnapshot, 
-    getDocs, 
     getDoc,
     addDoc,
+    updateDoc,
     deleteDoc
 } from 'firebase/firestore';
+import {
+    loadCourseTree,
+    reorderModules,
+    reorderTopics,
+    moveTopic,
+    addModule,
+    addTopic,
+    deleteModule,
+    deleteTopic,
+    markCourseDeleting,
+    isIncompleteCourse,
+    deleteCourse,
+    saveCourseSnapshot,
+    loadSnapshotTree,
+    restoreCourseSnapshot,
+    deleteCourseSnapshot,
+    compareCourseTrees
+} from './lib/courseStore';
+import { getLlmProvider, resolveLlmSettings } from './lib/llmProviders';
+import {
+    resolveBlueprint,
+    buildModulesPrompt,
+    buildTopicsPrompt,
+    buildQuestionsPrompt,
+    buildLabPrompt,
+    buildObjectivePrompt,
+    buildTopicContentPrompt,
+    buildRegenerateItemPrompt,
+    buildSuggestModulePrompt,
+    buildSuggestTopicPrompt,
+    withReferenceMaterial
+} from './lib/prompts';
+import {
+    modulesSchema,
+    topicsSchema,
+    questionSetSchema,
+    LAB_SCHEMA,
+    MODULE_OBJECTIVE_SCHEMA,
+    TOPIC_CONTENT_SCHEMA,
+    REGENERATE_ITEM_SCHEMAS,
+    regenerateItemSchema,
+    validateAgainstSchema
+} from './lib/schemas';
+import { distributeQuestionTypes, emptyQuestion, questionErrors, questionsFromResponse, questionTypeOf, resolveQuestionTypes, QUESTION_TYPES } from './lib/questions';
+import { createCourseGenerationJob, createFillMissingJob, runGenerationJob } from './lib/generationJobs';
+import { buildCourseOutlineJson, parseCourseOutline, importCourseOutline } from './lib/courseOutline';
+import LlmSettingsForm from './components/LlmSettingsForm';
+import CourseBlueprintForm from './components/CourseBlueprintForm';
+import ModuleEditor from './components/ModuleEditor';
+import TopicContentEditor from './components/TopicContentEditor';
+import McqEditor from './components/McqEditor';
+import QuestionAnswerView from './components/QuestionAnswerView';
+import QuestionTypePicker from './components/QuestionTypePicker';
+import LabEditor from './components/LabEditor';
+import MarkdownContent from './components/MarkdownContent';
+import { markdownToPlainText } from './lib/markdown';
+import { summarizeTopicAttempts, computeProgress } from './lib/progress';
+import TopicQuiz from './components/TopicQuiz';
+import RegenerateItemPanel from './components/RegenerateItemPanel';
+import CourseStructureEditor from './components/CourseStructureEditor';
+import AuthScreen from './components/AuthScreen';
+import ProfileMenu from './components/ProfileMenu';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import WorkspaceMembers from './components/WorkspaceMembers';
+import UsageDashboard from './components/UsageDashboard';
+import References from './components/References';
+import { CITED_FIELDS, withCitations } from './lib/citations';
+import {
+    SOURCES_COLLECTION,
+    SOURCE_FILE_ACCEPT,
+    SOURCE_FILE_TYPES,
+    addSourceDocument,
+    deleteSourceDocument,
+    isSourceReady,
+    loadCourseChunks,
+    readSourceFile,
+    retrievePassages,
+} from './lib/sourceDocuments';
+import {
+    USAGE_COLLECTION,
+    USAGE_MONTHS_COLLECTION,
+    STEP_TOKEN_ESTIMATES,
+    checkQuota,
+    estimateCost,
+    estimateCourseGenerationTokens,
+    formatCost,
+    formatTokens,
+    monthKey,
+    recordUsage,
+    resolveCallUsage,
+    rollupUsage,
+    usageMonthId,
+} from './lib/usage';
+import ReviewStatusBar, { ReviewBadge } from './components/ReviewStatusBar';
+import CommentThreads from './components/CommentThreads';
+import CatalogView from './components/CatalogView';
+import CatalogEntryView from './components/CatalogEntryView';
+import {
+    toAccountProfile,
+    accountLabel,
+    describeAuthError,
+    signUpWithEmail,
+    signInWithEmail,
+    signInWithGoogle,
+    continueAsGuest,
+    signOutUser,
+    resendEmailVerification,
+    refreshAccount,
+} from './lib/auth';
+import {
+    WORKSPACES_COLLECTION,
+    INVITATIONS_COLLECTION,
+    WORKSPACE_ROLES,
+    canEditCourses,
+    roleOf,
+    createWorkspace,
+    inviteMember,
+    acceptInvitation,
+    deleteInvitation,
+    changeMemberRole,
+    removeMember,
+} from './lib/workspaces';
+import {
+    COMMENTS_COLLECTION,
+    topicReviewStatus,
+    courseReviewStatus,
+    availableTransitions,
+    setReviewStatus,
+    summarizeReview,
+    addComment,
+    setThreadResolved,
+    deleteComment,
+    openThreadCount,
+} from './lib/review';
+import { CATALOG_COLLECTION, publishCourse, unpublishCourse, cloneCatalogEntry, loadCatalogOutline, removeCatalogEntry } from './lib/catalog';
+import { itemToText, fieldsFromResponse } from './lib/regeneration';
+import { buildPath, parsePath } from './lib/routes';
+import { buildScormPackage, scormFileName } from './lib/scormExport';
+import { downloadFile, slugify } from './lib/exportUtils';
+import { QUESTION_BANK_FORMATS, buildQuestionBankExport } from './lib/questionBankExport';
+import { buildStaticSite, buildPrintBook } from './lib/courseBookExport';
 
 // --- Global Variables (Provided by Canvas Environment) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
@@ -31,18 +171,14 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-// The base URL for the Gemini API
-const GEMINI_API_URL_BASE = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=`;
-const API_KEY = ""; // Canvas environment automatically provides the key
-
-// Utility to implement exponential backoff for API calls
+// Utility to implement exponential backoff for API calls (transport errors only; errors marked `retryable: false` fail at once)
 const withRetry = async (fn, maxRetries = 5) => {
     let delay = 1000;
     for (let i = 0; i < maxRetries; i++) {
         try {
             return await fn();
         } catch (error) {
-            if (i === maxRetries - 1) throw error;
+            if (i === maxRetries - 1 || error.retryable === false) throw error;
             console.warn(`Attempt ${i + 1} failed. Retrying in ${delay}ms...`, error);
             await new Promise(resolve => setTimeout(resolve, delay));
             delay *= 2;
@@ -50,6 +186,22 @@ const withRetry = async (fn, maxRetries = 5) => {
     }
 };
 
+// Formats a Firestore Timestamp (or Date) for display
+const formatDate = (value) => {
+    if (!value) return '—';
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// How many times an invalid AI response is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Collections that stay under the user's own path in every workspace (a learner's own quiz attempts)
+const USER_COLLECTIONS = ['attempts'];
+
+// Collection of each item kind that supports targeted regeneration
+const REGENERATE_COLLECTIONS = { module: 'modules', topic: 'topics', mcq: 'assets', lab: 'assets' };
+
 // --- Firebase/Auth/DB Setup State Caching (To prevent re-initialization) ---
 let dbInstance = null;
 let authInstance = null;
@@ -60,21 +212,62 @@ const App = () => {
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [authProfile, setAuthProfile] = useState(null); // Signed-in account (see toAccountProfile)
+    const [authError, setAuthError] = useState(null); // Sign-in failed before the app could start
+    const [accountError, setAccountError] = useState(null); // Error of the sign-in / registration form
+    const [isAccountFormOpen, setIsAccountFormOpen] = useState(false); // A guest is saving their work
+    const usedInitialAuthToken = useRef(false); // The environment's token is only used once (not after sign-out)
     const [error, setError] = useState(null);
 
     // --- Application State ---
-    const [currentView, setCurrentView] = useState('home'); // 'home', 'modules', 'module', 'topic'
-    const [courseName, setCourseName] = useState('Full Stack Java'); // User input for new course
-    const [course, setCourse] = useState(null); // The current course object (from Firestore)
+    // Navigation starts from the URL; module and topic objects are resolved once their data loads
+    const [initialRoute] = useState(() => parsePath(window.location.pathname));
+    const [currentView, setCurrentView] = useState(initialRoute.view); // 'library', 'home', 'settings', 'usage', 'workspace', 'catalog', 'catalogEntry', 'modules', 'module', 'topic'
+    const [workspaces, setWorkspaces] = useState(null); // Team workspaces the user is a member of (null until loaded)
+    const [activeWorkspaceId, setActiveWorkspaceId] = useState(initialRoute.workspaceId); // null = personal workspace
+    const [invitations, setInvitations] = useState([]); // Pending invitations addressed to the user
+    const [workspaceInvitations, setWorkspaceInvitations] = useState([]); // Pending invitations of the active workspace (owner only)
+    const [courses, setCourses] = useState(null); // All courses owned by the user (null until loaded)
+    const [activeCourseId, setActiveCourseId] = useState(initialRoute.courseId); // The currently opened course
     const [modules, setModules] = useState([]); // List of modules for the current course
     const [isLoading, setIsLoading] = useState(false); // General loading state
     const [activeModule, setActiveModule] = useState(null); // The currently viewed module object
     const [topics, setTopics] = useState([]); // Topics for the active module
     const [activeTopic, setActiveTopic] = useState(null); // The currently viewed topic object
-    const [selectedTab, setSelectedTab] = useState('content'); // 'content', 'mcqs', 'lab'
+    const [selectedTab, setSelectedTab] = useState(initialRoute.tab); // 'content', 'mcqs', 'lab', 'quiz'
+    const [pendingRoute, setPendingRoute] = useState(initialRoute.courseId ? initialRoute : null); // Route from the URL still being resolved
+    const [catalogEntries, setCatalogEntries] = useState(null); // Published courses of all users (null until loaded)
+    const [activeCatalogId, setActiveCatalogId] = useState(initialRoute.catalogId); // The catalog entry being viewed
+    const [activeCatalogOutline, setActiveCatalogOutline] = useState(null); // Modules and topics of that entry (null while loading)
     const [mcqs, setMcqs] = useState([]);
     const [lab, setLab] = useState(null);
-
+    const [snapshots, setSnapshots] = useState([]); // Saved versions of the active course
+    const [snapshotComparison, setSnapshotComparison] = useState(null); // { snapshot, changes }
+    const [llmSettings, setLlmSettings] = useState(resolveLlmSettings()); // AI provider of the workspace
+    const [activeJob, setActiveJob] = useState(null); // Latest generation job of the active course
+    const runningJobIds = useRef(new Set()); // Jobs being executed by this browser session
+    const [editing, setEditing] = useState(null); // { type: 'module' | 'topic' | 'mcq' | 'lab', id } being edited inline
+    const [questionTypeSelection, setQuestionTypeSelection] = useState(null); // Question types to generate for the active topic (null: the blueprint's)
+    const [courseTopics, setCourseTopics] = useState([]); // Topics of every module of the active course
+    const [attempts, setAttempts] = useState([]); // The user's quiz attempts for the active course
+    const [comments, setComments] = useState([]); // Review comments on the active course
+    const [courseSources, setCourseSources] = useState([]); // Source documents (reference material) of the active course
+    const sourceChunksCache = useRef(new Map()); // courseId → promise of its source chunks, for retrieval
+    const [monthUsage, setMonthUsage] = useState(null); // The user's AI usage this month in the workspace (quota check)
+    const [courseUsage, setCourseUsage] = useState([]); // AI usage events of the active course
+    const [usageMonths, setUsageMonths] = useState(null); // Monthly usage of every member (usage dashboard)
+    const [monthUsageEvents, setMonthUsageEvents] = useState(null); // This month's usage events (usage dashboard)
+
+    // The current course object, derived from the library listener
+    const course = courses?.find(c => c.id === activeCourseId) || null;
+
+    // Role in the active workspace; the personal workspace belongs to the user
+    const activeWorkspace = workspaces?.find(w => w.id === activeWorkspaceId) || null;
+    const workspaceRole = activeWorkspaceId ? roleOf(activeWorkspace, userId) : 'owner';
+    const canEdit = canEditCourses(workspaceRole);
+    const canComment = canEdit || workspaceRole === 'reviewer';
+    // The AI settings hold the quota the AI proxy enforces; the security rules leave them to owners
+    const canManageSettings = workspaceRole === 'owner';
 
     // --- 1. FIREBASE INITIALIZATION AND AUTHENTICATION ---
     useEffect(() => {
@@ -98,21 +291,21 @@ const App = () => {
         const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
             if (user) {
                 setUserId(user.uid);
-            } else {
+                setAuthProfile(toAccountProfile(user));
+            } else if (initialAuthToken && !usedInitialAuthToken.current) {
+                // The environment provides a custom token: sign in with it (the listener fires again)
+                usedInitialAuthToken.current = true;
                 try {
-                    // Sign in anonymously if no token, otherwise use the provided custom token
-                    if (initialAuthToken) {
-                        const credential = await signInWithCustomToken(authInstance, initialAuthToken);
-                        setUserId(credential.user.uid);
-                    } else {
-                        const credential = await signInAnonymously(authInstance);
-                        setUserId(credential.user.uid);
-                    }
+                    await signInWithCustomToken(authInstance, initialAuthToken);
+                    return;
                 } catch (e) {
-                    console.error("Anonymous or Custom Token sign-in failed:", e);
-                    // Fallback to random ID if auth fails completely
-                    setUserId(`guest-${crypto.randomUUID()}`);
+                    console.error("Custom Token sign-in failed:", e);
+                    setAuthError(describeAuthError(e));
                 }
+            } else {
+                // Nobody is signed in: the sign-in screen is shown
+                setUserId(null);
+                setAuthProfile(null);
             }
             setIsAuthReady(true);
         });
@@ -126,52 +319,134 @@ const App = () => {
         if (isPublic) {
             // Public path: /artifacts/{appId}/public/data/{collectionName}
             return `artifacts/${appId}/public/data/${collectionName}`;
+        } else if (activeWorkspaceId && !USER_COLLECTIONS.includes(collectionName)) {
+            // Team workspace path: /artifacts/{appId}/workspaces/{workspaceId}/{collectionName}
+            return `artifacts/${appId}/workspaces/${activeWorkspaceId}/${collectionName}`;
         } else {
             // Private path: /artifacts/{appId}/users/{userId}/{collectionName}
             return `artifacts/${appId}/users/${userId}/${collectionName}`;
         }
     };
 
+    // Collections shared by the whole app (workspaces, invitations): /artifacts/{appId}/{collectionName}
+    const getAppPath = (collectionName) => `artifacts/${appId}/${collectionName}`;
+
+    // Resolver for public collections, in the `getPath` shape the store helpers expect
+    const getPublicPath = (collectionName) => getCollectionPath(collectionName, true);
+
     // --- 2. DATA FETCHING (Courses, Modules, Topics) ---
 
-    // Fetch the current course state (assuming one course per user for MVP)
+    // Fetch the team workspaces the user is a member of
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const workspaceQuery = query(collection(db, getAppPath(WORKSPACES_COLLECTION)), where('memberIds', 'array-contains', userId));
+
+        const unsubscribe = onSnapshot(workspaceQuery, (snapshot) => {
+            const workspaceList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setWorkspaces(workspaceList.sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => {
+            console.error("Firestore error fetching workspaces:", err);
+            setError("Failed to load your workspaces.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId]);
+
+    // Invitations addressed to the user's email (the rules only allow verified addresses)
+    const invitationEmail = authProfile?.emailVerified ? authProfile.email?.toLowerCase() : null;
+    useEffect(() => {
+        if (!isAuthReady || !db || !invitationEmail) {
+            setInvitations([]);
+            return;
+        }
+
+        const invitationQuery = query(collection(db, getAppPath(INVITATIONS_COLLECTION)), where('email', '==', invitationEmail));
+
+        const unsubscribe = onSnapshot(invitationQuery, (snapshot) => {
+            setInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching invitations:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, invitationEmail]);
+
+    // Pending invitations of the active workspace, for its owner
+    const isWorkspaceOwner = workspaceRole === 'owner' && !!activeWorkspaceId;
+    useEffect(() => {
+        if (!isAuthReady || !db || !isWorkspaceOwner) {
+            setWorkspaceInvitations([]);
+            return;
+        }
+
+        const invitationQuery = query(collection(db, getAppPath(INVITATIONS_COLLECTION)), where('workspaceId', '==', activeWorkspaceId));
+
+        const unsubscribe = onSnapshot(invitationQuery, (snapshot) => {
+            setWorkspaceInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching workspace invitations:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, isWorkspaceOwner, activeWorkspaceId]);
+
+    // Removed from the workspace (or a link to a workspace the user is not in): back to personal
+    useEffect(() => {
+        if (!activeWorkspaceId || workspaces === null || activeWorkspace) return;
+        setError("You are not a member of that workspace (any more).");
+        setActiveWorkspaceId(null);
+        setCourses(null);
+        setActiveCourseId(null);
+        setPendingRoute(null);
+        setCurrentView('library');
+    }, [activeWorkspaceId, workspaces, activeWorkspace]);
+
+    // Fetch the AI provider settings of the workspace
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const settingsCollectionPath = getCollectionPath('settings', false);
+        if (!settingsCollectionPath) return;
+
+        const unsubscribe = onSnapshot(doc(db, settingsCollectionPath, 'llm'), (snapshot) => {
+            setLlmSettings(resolveLlmSettings(snapshot.exists() ? snapshot.data() : {}));
+        }, (err) => {
+            console.error("Firestore error fetching AI settings:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId]);
+
+    // Fetch the user's course library (newest first)
     useEffect(() => {
         if (!isAuthReady || !db || !userId) return;
 
         const coursesCollectionPath = getCollectionPath('courses', false);
         if (!coursesCollectionPath) return;
 
-        // Query for the single course document owned by the user
         const courseQuery = query(collection(db, coursesCollectionPath));
 
         const unsubscribe = onSnapshot(courseQuery, (snapshot) => {
-            if (!snapshot.empty) {
-                const courseDoc = snapshot.docs[0];
-                const data = courseDoc.data();
-                setCourse({ id: courseDoc.id, ...data });
-                
-                // If course exists, navigate to the modules view
-                setCurrentView('modules');
-            } else {
-                setCourse(null);
-                setCurrentView('home');
-            }
+            const courseList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const createdAtMillis = (c) => c.createdAt?.toMillis?.() ?? 0;
+            setCourses(courseList.sort((a, b) => createdAtMillis(b) - createdAtMillis(a)));
         }, (err) => {
-            console.error("Firestore error fetching course:", err);
+            console.error("Firestore error fetching courses:", err);
             setError("Failed to load course data.");
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, userId]);
+    }, [isAuthReady, db, userId, activeWorkspaceId]);
 
     // Fetch modules when the course is set
     useEffect(() => {
-        if (!isAuthReady || !db || !userId || !course) return;
+        if (!isAuthReady || !db || !userId || !activeCourseId) return;
 
         const modulesCollectionPath = getCollectionPath('modules', false);
         if (!modulesCollectionPath) return;
 
-        const modulesQuery = query(collection(db, modulesCollectionPath), where('courseId', '==', course.id));
+        const modulesQuery = query(collection(db, modulesCollectionPath), where('courseId', '==', activeCourseId));
 
         const unsubscribe = onSnapshot(modulesQuery, (snapshot) => {
             const moduleList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
@@ -190,7 +465,259 @@ const App = () => {
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, userId, course, currentView, activeModule]);
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId, currentView, activeModule]);
+
+    // Fetch saved snapshots of the active course
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setSnapshots([]);
+            return;
+        }
+
+        const snapshotsCollectionPath = getCollectionPath('snapshots', false);
+        if (!snapshotsCollectionPath) return;
+
+        const snapshotsQuery = query(collection(db, snapshotsCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(snapshotsQuery, (snapshot) => {
+            const snapshotList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const createdAtMillis = (s) => s.createdAt?.toMillis?.() ?? 0;
+            setSnapshots(snapshotList.sort((a, b) => createdAtMillis(b) - createdAtMillis(a)));
+        }, (err) => {
+            console.error("Firestore error fetching snapshots:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
+
+    // Fetch the public catalog while it is on screen
+    const isCatalogView = currentView === 'catalog' || currentView === 'catalogEntry';
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !isCatalogView) return;
+
+        const catalogCollectionPath = getCollectionPath(CATALOG_COLLECTION, true);
+        if (!catalogCollectionPath) return;
+
+        const unsubscribe = onSnapshot(collection(db, catalogCollectionPath), (snapshot) => {
+            const entryList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const publishedAtMillis = (e) => e.publishedAt?.toMillis?.() ?? 0;
+            setCatalogEntries(entryList.sort((a, b) => publishedAtMillis(b) - publishedAtMillis(a)));
+        }, (err) => {
+            console.error("Firestore error fetching catalog:", err);
+            setError("Failed to load the course catalog.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, isCatalogView]);
+
+    // Load the topics of the catalog entry being viewed (they are stored apart from the entry, see catalog.js)
+    const activeCatalogEntry = currentView === 'catalogEntry' ? catalogEntries?.find(e => e.id === activeCatalogId) : null;
+    useEffect(() => {
+        setActiveCatalogOutline(null);
+        if (!db || !activeCatalogEntry) return;
+
+        let ignore = false;
+        loadCatalogOutline(db, (collectionName) => getAppPath(`public/data/${collectionName}`), activeCatalogEntry).then((outline) => {
+            if (!ignore) setActiveCatalogOutline(outline);
+        }).catch((err) => {
+            console.error("Firestore error fetching catalog topics:", err);
+            if (!ignore) setError("Failed to load the published course.");
+        });
+
+        return () => { ignore = true; };
+    }, [db, activeCatalogEntry]);
+
+    // Fetch the review comments of the active course
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setComments([]);
+            return;
+        }
+
+        const commentsCollectionPath = getCollectionPath(COMMENTS_COLLECTION, false);
+        if (!commentsCollectionPath) return;
+
+        const commentsQuery = query(collection(db, commentsCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(commentsQuery, (snapshot) => {
+            setComments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching comments:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
+
+    // Fetch the source documents of the active course
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setCourseSources([]);
+            return;
+        }
+
+        const sourcesCollectionPath = getCollectionPath(SOURCES_COLLECTION, false);
+        if (!sourcesCollectionPath) return;
+
+        const sourcesQuery = query(collection(db, sourcesCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(sourcesQuery, (snapshot) => {
+            const sourceList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setCourseSources(sourceList.sort((a, b) => a.name.localeCompare(b.name)));
+            // Documents were added or removed (possibly by another member): reload the chunks on next use
+            sourceChunksCache.current.delete(activeCourseId);
+        }, (err) => {
+            console.error("Firestore error fetching source documents:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
+
+    // Fetch the user's usage this month, checked against the quota before generations
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const usageMonthsCollectionPath = getCollectionPath(USAGE_MONTHS_COLLECTION, false);
+        if (!usageMonthsCollectionPath) return;
+
+        const unsubscribe = onSnapshot(doc(db, usageMonthsCollectionPath, usageMonthId(monthKey(), userId)), (snapshot) => {
+            setMonthUsage(snapshot.exists() ? snapshot.data() : null);
+        }, (err) => {
+            console.error("Firestore error fetching monthly usage:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId]);
+
+    // Fetch the AI usage of the active course (rolled up per course, module and topic)
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setCourseUsage([]);
+            return;
+        }
+
+        const usageCollectionPath = getCollectionPath(USAGE_COLLECTION, false);
+        if (!usageCollectionPath) return;
+
+        const usageQuery = query(collection(db, usageCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(usageQuery, (snapshot) => {
+            setCourseUsage(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching course usage:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
+
+    // Fetch the workspace's usage while the dashboard is on screen
+    const isUsageView = currentView === 'usage';
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !isUsageView) {
+            setUsageMonths(null);
+            setMonthUsageEvents(null);
+            return;
+        }
+
+        const usageMonthsCollectionPath = getCollectionPath(USAGE_MONTHS_COLLECTION, false);
+        const usageCollectionPath = getCollectionPath(USAGE_COLLECTION, false);
+        if (!usageMonthsCollectionPath || !usageCollectionPath) return;
+
+        const monthStart = new Date(`${monthKey()}-01T00:00:00Z`);
+        const monthEventsQuery = query(collection(db, usageCollectionPath), where('createdAt', '>=', monthStart));
+
+        const unsubscribeMonths = onSnapshot(collection(db, usageMonthsCollectionPath), (snapshot) => {
+            setUsageMonths(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching usage history:", err);
+            setError("Failed to load the AI usage.");
+        });
+        const unsubscribeEvents = onSnapshot(monthEventsQuery, (snapshot) => {
+            setMonthUsageEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching usage events:", err);
+            setError("Failed to load the AI usage.");
+        });
+
+        return () => {
+            unsubscribeMonths();
+            unsubscribeEvents();
+        };
+    }, [isAuthReady, db, userId, activeWorkspaceId, isUsageView]);
+
+    // Fetch the topics of all modules of the active course (used for course-wide progress)
+    const moduleIdsKey = modules.map(m => m.id).join(',');
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !moduleIdsKey) {
+            setCourseTopics([]);
+            return;
+        }
+
+        const topicsCollectionPath = getCollectionPath('topics', false);
+        if (!topicsCollectionPath) return;
+
+        // Firestore `in` queries accept at most 30 values, so listen per group of modules
+        const moduleIds = moduleIdsKey.split(',');
+        const topicsByGroup = {};
+        const unsubscribes = [];
+        for (let i = 0; i < moduleIds.length; i += 30) {
+            const group = moduleIds.slice(i, i + 30);
+            const topicsQuery = query(collection(db, topicsCollectionPath), where('moduleId', 'in', group));
+            unsubscribes.push(onSnapshot(topicsQuery, (snapshot) => {
+                topicsByGroup[i] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setCourseTopics(Object.values(topicsByGroup).flat());
+            }, (err) => {
+                console.error("Firestore error fetching course topics:", err);
+            }));
+        }
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [isAuthReady, db, userId, activeWorkspaceId, moduleIdsKey]);
+
+    // Fetch the user's quiz attempts for the active course
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setAttempts([]);
+            return;
+        }
+
+        const attemptsCollectionPath = getCollectionPath('attempts', false);
+        if (!attemptsCollectionPath) return;
+
+        const attemptsQuery = query(collection(db, attemptsCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(attemptsQuery, (snapshot) => {
+            const attemptList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const createdAtMillis = (a) => a.createdAt?.toMillis?.() ?? 0;
+            setAttempts(attemptList.sort((a, b) => createdAtMillis(b) - createdAtMillis(a)));
+        }, (err) => {
+            console.error("Firestore error fetching quiz attempts:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
+
+    // Follow the latest generation job of the active course for the progress panel
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !activeCourseId) {
+            setActiveJob(null);
+            return;
+        }
+
+        const jobsCollectionPath = getCollectionPath('jobs', false);
+        if (!jobsCollectionPath) return;
+
+        const jobsQuery = query(collection(db, jobsCollectionPath), where('courseId', '==', activeCourseId));
+
+        const unsubscribe = onSnapshot(jobsQuery, (snapshot) => {
+            const jobList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const createdAtMillis = (j) => j.createdAt?.toMillis?.() ?? 0;
+            setActiveJob(jobList.sort((a, b) => createdAtMillis(b) - createdAtMillis(a))[0] || null);
+        }, (err) => {
+            console.error("Firestore error fetching generation jobs:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeCourseId]);
 
     // Fetch topics when the active module is set
     useEffect(() => {
@@ -204,16 +731,19 @@ const App = () => {
         const unsubscribe = onSnapshot(topicsQuery, (snapshot) => {
             const topicList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
             setTopics(topicList.sort((a, b) => a.order - b.order));
+            // Keep the open topic in sync with edits
+            setActiveTopic(prev => (prev ? topicList.find(t => t.id === prev.id) || prev : prev));
         }, (err) => {
             console.error("Firestore error fetching topics:", err);
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, userId, activeModule]);
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeModule]);
 
     // Fetch assets (MCQs/Lab) when the active topic is set
+    const activeTopicId = activeTopic?.id;
     useEffect(() => {
-        if (!isAuthReady || !db || !userId || !activeTopic) {
+        if (!isAuthReady || !db || !userId || !activeTopicId) {
             setMcqs([]);
             setLab(null);
             return;
@@ -224,11 +754,11 @@ const App = () => {
 
         // Use onSnapshot for real-time updates of assets
         const mcqQuery = query(collection(db, assetsCollectionPath), 
-            where('topicId', '==', activeTopic.id), 
+            where('topicId', '==', activeTopicId), 
             where('type', '==', 'mcq')
         );
         const labQuery = query(collection(db, assetsCollectionPath), 
-            where('topicId', '==', activeTopic.id), 
+            where('topicId', '==', activeTopicId), 
             where('type', '==', 'lab')
         );
 
@@ -253,260 +783,1234 @@ const App = () => {
             unsubscribeLab();
         };
 
-    }, [isAuthReady, db, userId, activeTopic]);
+    }, [isAuthReady, db, userId, activeWorkspaceId, activeTopicId]);
+
+
+    // --- URL Routing ---
+
+    // Resolve a route from the URL (initial load or back/forward) as courses, modules and topics arrive
+    useEffect(() => {
+        if (!pendingRoute || courses === null) return;
+
+        if (!courses.some(c => c.id === pendingRoute.courseId)) {
+            // Deleted course or a link from another account
+            setPendingRoute(null);
+            setActiveCourseId(null);
+            setCurrentView('library');
+            return;
+        }
+        if (!pendingRoute.moduleId) {
+            setPendingRoute(null);
+            return;
+        }
+        // An empty list means "not loaded yet"; a loaded list without the item means it was deleted
+        if (!activeModule) {
+            const routeModule = modules.find(m => m.id === pendingRoute.moduleId);
+            if (routeModule) {
+                setActiveModule(routeModule);
+            } else if (modules.length > 0) {
+                setPendingRoute(null);
+                setCurrentView('modules');
+            }
+            return;
+        }
+        if (!pendingRoute.topicId) {
+            setPendingRoute(null);
+            return;
+        }
+        const routeTopic = topics.find(t => t.id === pendingRoute.topicId);
+        if (routeTopic) {
+            setActiveTopic(routeTopic);
+            setPendingRoute(null);
+        } else if (topics.length > 0) {
+            setPendingRoute(null);
+            setCurrentView('module');
+        }
+    }, [pendingRoute, courses, modules, activeModule, topics]);
+
+    // Mirror the navigation state into the URL. Unresolved route parts are kept so a deep link
+    // is not overwritten while its data is loading.
+    const routePath = buildPath({
+        view: currentView,
+        workspaceId: activeWorkspaceId,
+        courseId: activeCourseId,
+        moduleId: activeModule?.id ?? pendingRoute?.moduleId,
+        topicId: activeTopic?.id ?? pendingRoute?.topicId,
+        tab: selectedTab,
+        catalogId: activeCatalogId,
+    });
+    useEffect(() => {
+        if (window.location.pathname !== routePath) window.history.pushState(null, '', routePath);
+    }, [routePath]);
 
+    // Browser back/forward: restore the state described by the URL
+    useEffect(() => {
+        const handlePopState = () => {
+            const route = parsePath(window.location.pathname);
+            setEditing(null);
+            setSnapshotComparison(null);
+            setCurrentView(route.view);
+            setSelectedTab(route.tab);
+            setActiveCatalogId(route.catalogId);
+            // The catalog is outside of workspaces: leaving it keeps the active one
+            if (route.view !== 'catalog' && route.view !== 'catalogEntry' && route.workspaceId !== activeWorkspaceId) {
+                setActiveWorkspaceId(route.workspaceId);
+                setCourses(null);
+            }
+            if (route.courseId && route.courseId !== activeCourseId) {
+                setActiveCourseId(route.courseId);
+                setModules([]);
+            }
+            if (route.moduleId !== activeModule?.id) {
+                setActiveModule(null);
+                setTopics([]);
+            }
+            setActiveTopic(prev => (prev && prev.id === route.topicId ? prev : null));
+            setPendingRoute(route.courseId ? route : null);
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [activeCourseId, activeModule, activeWorkspaceId]);
 
     // --- 3. EVENT HANDLERS / API LOGIC ---
 
-    // **FIX** Handler for course name input change - fixes the unresponsive input
-    const handleCourseNameChange = (e) => {
-        setCourseName(e.target.value);
+    // Handle opening a course from the library
+    const handleOpenCourse = (courseId) => {
+        setPendingRoute(null);
+        setActiveCourseId(courseId);
+        setSnapshotComparison(null);
+        setModules([]);
+        setActiveModule(null);
+        setActiveTopic(null);
+        setCurrentView('modules');
     };
 
-    // Handle navigation to a specific module
-    const handleViewModule = (moduleData) => {
-        setActiveModule(moduleData);
-        setCurrentView('module');
-        setActiveTopic(null); // Clear active topic when changing modules
-        setTopics([]);
-        setSelectedTab('content'); // Default to content tab
-    };
-    
-    // Handle navigation back to modules list
-    const handleViewModulesList = () => {
-        setCurrentView('modules');
+    // Handle navigation back to the course library
+    const handleViewLibrary = () => {
+        setPendingRoute(null);
+        setCurrentView('library');
         setActiveModule(null);
         setActiveTopic(null);
-    }
-    
-    // Handle navigation to a specific topic
-    const handleViewTopic = (topicData) => {
-        setActiveTopic(topicData);
-        setCurrentView('topic');
-        setSelectedTab('content'); // Default to content tab
     };
 
-    // Helper for making API calls
-    const callGeminiApi = async (systemPrompt, userQuery, isJson = true) => {
-        const url = `${GEMINI_API_URL_BASE}${API_KEY}`;
-        const headers = { 'Content-Type': 'application/json' };
+    // --- Accounts ---
 
-        const payload = {
-            contents: [{ parts: [{ text: userQuery }] }],
-            tools: [{ "google_search": {} }], // Use grounding for up-to-date info
-            systemInstruction: {
-                parts: [{ text: systemPrompt }]
-            },
-        };
-        
-        if (isJson) {
-            // Define schema for structured output
-            payload.generationConfig = {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "ARRAY",
-                    items: {
-                        type: "OBJECT",
-                        properties: {
-                            "title": { "type": "STRING" },
-                            "objective": { "type": "STRING" },
-                            "topic_title": { "type": "STRING" }, 
-                            "content_draft": { "type": "STRING" }, 
-                            "question": { "type": "STRING" }, 
-                            "options": { "type": "ARRAY", "items": { "type": "STRING" } }, 
-                            "correct_answer_index": { "type": "NUMBER" }, 
-                            "problemStatement": { "type": "STRING" }, // For Lab
-                            "steps": { "type": "ARRAY", "items": { "type": "STRING" } }, // For Lab
-                            "expectedOutcome": { "type": "STRING" } // For Lab
-                        }
-                    }
-                }
-            };
-            
-            // For Prompt 4 (Lab), we expect a single JSON object, not an array of objects.
-            // We adjust the prompt system prompt to request a single object, 
-            // but the schema must accommodate the full range of properties.
-            if (systemPrompt.includes("single JSON object")) {
-                 payload.generationConfig.responseSchema = {
-                    type: "OBJECT",
-                    properties: {
-                        "problemStatement": { "type": "STRING" },
-                        "steps": { "type": "ARRAY", "items": { "type": "STRING" } },
-                        "expectedOutcome": { "type": "STRING" }
-                    }
-                }
+    // Runs a sign-in / registration; switching to another account starts again from its library
+    const runAccountAction = async (action) => {
+        if (!auth) return;
+        const previousUserId = userId;
+
+        setIsLoading(true);
+        setAccountError(null);
+        try {
+            const user = await action();
+            setAuthProfile(toAccountProfile(user));
+            setIsAccountFormOpen(false);
+            if (previousUserId && user.uid !== previousUserId) {
+                handleViewLibrary();
+                setActiveCourseId(null);
+                setActiveWorkspaceId(null);
             }
+        } catch (e) {
+            console.error("Account Error:", e);
+            setAccountError(describeAuthError(e));
+        } finally {
+            setIsLoading(false);
         }
+    };
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(payload)
-        });
+    const handleEmailSignIn = (email, password) => runAccountAction(() => signInWithEmail(auth, email, password));
+    const handleEmailSignUp = (email, password, displayName) => runAccountAction(() => signUpWithEmail(auth, email, password, displayName));
+    const handleGoogleSignIn = () => runAccountAction(() => signInWithGoogle(auth));
+    const handleContinueAsGuest = () => runAccountAction(() => continueAsGuest(auth));
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API call failed with status ${response.status}: ${errorText}`);
-        }
+    const handleOpenAccountForm = () => {
+        setAccountError(null);
+        setIsAccountFormOpen(true);
+    };
 
-        const result = await response.json();
-        const candidate = result.candidates?.[0];
+    const handleSignOut = async () => {
+        if (!auth) return;
+        if (authProfile?.isAnonymous && !window.confirm("Sign out of the guest session? Its courses can't be opened again unless you create an account first.")) return;
 
-        if (candidate && candidate.content?.parts?.[0]?.text) {
-            const rawText = candidate.content.parts[0].text.trim();
-            try {
-                // If expecting JSON, parse it
-                if (isJson) {
-                    return JSON.parse(rawText);
-                }
-                // Otherwise, return plain text
-                return rawText;
-            } catch (e) {
-                console.error("Failed to parse JSON response:", rawText);
-                throw new Error("Received invalid JSON response from AI. Raw response: " + rawText);
-            }
-        } else {
-            throw new Error("AI did not return content.");
+        try {
+            await signOutUser(auth);
+            handleViewLibrary();
+            setActiveCourseId(null);
+            setCourses(null);
+            setActiveWorkspaceId(null);
+            setWorkspaces(null);
+            setIsAccountFormOpen(false);
+            setAccountError(null);
+        } catch (e) {
+            console.error("Sign-out Error:", e);
+            setError(e.message || "Failed to sign out.");
         }
     };
 
-    // **FIX** Prompt 1: Generate Course Modules and save to Firestore
-    const handleGenerateCourse = async () => {
-        if (!db || !courseName || !courseName.trim()) return;
-
-        setIsLoading(true);
-        setError(null);
-        
+    // Email/password accounts verify their address before invitations can be accepted
+    const handleResendVerification = async () => {
         try {
-            // 1. Generate 8 Modules (Prompt 1)
-            const systemPrompt = "You are a senior curriculum designer. Generate a comprehensive course structure for a specified course aimed at entry-level IT professionals. The output must be structured into 8 distinct modules. Respond only with a JSON array object containing 'title' and 'objective' for each module.";
-            const userQuery = `Generate a course structure for a ${courseName} course.`;
-            
-            const generatedModulesData = await withRetry(() => 
-                callGeminiApi(systemPrompt, userQuery, true)
-            );
+            await resendEmailVerification(auth);
+            window.alert(`Verification email sent to ${authProfile.email}.`);
+        } catch (e) {
+            console.error("Verification Email Error:", e);
+            setError(describeAuthError(e));
+        }
+    };
 
-            if (!Array.isArray(generatedModulesData) || generatedModulesData.length === 0) {
-                throw new Error("AI failed to generate module structure.");
-            }
+    const handleRefreshAccount = () => runAccountAction(() => refreshAccount(auth));
 
-            // 2. Save Course and Modules to Firestore
-            const coursesCollection = collection(db, getCollectionPath('courses', false));
-            const modulesCollection = collection(db, getCollectionPath('modules', false));
-            const topicsCollection = collection(db, getCollectionPath('topics', false));
-            const assetsCollection = collection(db, getCollectionPath('assets', false));
-            
-            // --- Clean up old data before starting a new course ---
-            // Fetch and delete all existing courses for the user (assuming 1 course max)
-            const existingCoursesSnapshot = await getDocs(query(coursesCollection));
-            for (const doc of existingCoursesSnapshot.docs) {
-                await deleteDoc(doc.ref);
-            }
-            // Note: In a real environment, you'd delete associated modules/topics/assets
-            // manually or via database rules, but for this MVP, we rely on the
-            // onSnapshot listener to reset the view after the main course doc is deleted.
-            // --- End cleanup ---
+    // --- Workspaces ---
 
-            // Create new Course
-            const newCourseRef = await addDoc(coursesCollection, {
-                title: courseName,
-                status: 'draft',
-                createdAt: new Date(),
-                userId: userId,
+    // Viewers and reviewers can read everything but not change it (the security rules enforce the same)
+    const ensureCanEdit = () => {
+        if (canEdit) return true;
+        setError(`Your role in this workspace (${WORKSPACE_ROLES[workspaceRole]?.label || 'none'}) can't change courses.`);
+        return false;
+    };
+
+    const handleSwitchWorkspace = (workspaceId) => {
+        if (workspaceId === activeWorkspaceId) return;
+        setError(null);
+        setEditing(null);
+        setActiveWorkspaceId(workspaceId);
+        setCourses(null);
+        setActiveCourseId(null);
+        handleViewLibrary();
+    };
+
+    const handleManageWorkspace = () => {
+        setError(null);
+        setCurrentView('workspace');
+    };
+
+    // Runs a workspace change; resolves to whether it succeeded
+    const runWorkspaceAction = async (label, action) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            console.error(`${label} Error:`, e);
+            setError(e.message || `${label} failed.`);
+            return false;
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCreateWorkspace = async (name) => {
+        let workspaceId = null;
+        const created = await runWorkspaceAction("Create Workspace", async () => {
+            workspaceId = await createWorkspace(db, getAppPath, name, authProfile);
+        });
+        if (created) {
+            handleSwitchWorkspace(workspaceId);
+            setCurrentView('workspace');
+        }
+    };
+
+    const handleInviteMember = (email, role) => runWorkspaceAction("Invitation", () =>
+        inviteMember(db, getAppPath, activeWorkspace, email, role, authProfile));
+
+    const handleChangeMemberRole = (memberId, role) => runWorkspaceAction("Role Change", () =>
+        changeMemberRole(db, getAppPath, activeWorkspaceId, memberId, role));
+
+    const handleRemoveMember = (member) => {
+        if (!window.confirm(`Remove ${member.displayName || member.email || 'this member'} from "${activeWorkspace.name}"?`)) return;
+        runWorkspaceAction("Remove Member", () => removeMember(db, getAppPath, activeWorkspaceId, member.id));
+    };
+
+    const handleRevokeInvitation = (invitation) => runWorkspaceAction("Revoke Invitation", () =>
+        deleteInvitation(db, getAppPath, invitation));
+
+    const handleLeaveWorkspace = async () => {
+        if (!window.confirm(`Leave "${activeWorkspace.name}"? You will lose access to its courses.`)) return;
+        const workspaceId = activeWorkspaceId;
+        handleSwitchWorkspace(null);
+        await runWorkspaceAction("Leave Workspace", () => removeMember(db, getAppPath, workspaceId, userId));
+    };
+
+    const handleAcceptInvitation = async (invitation) => {
+        const accepted = await runWorkspaceAction("Accept Invitation", () =>
+            acceptInvitation(db, getAppPath, invitation, authProfile));
+        if (accepted) handleSwitchWorkspace(invitation.workspaceId);
+    };
+
+    const handleDeclineInvitation = (invitation) => runWorkspaceAction("Decline Invitation", () =>
+        deleteInvitation(db, getAppPath, invitation));
+
+    // Handle navigation to the new course form
+    const handleNewCourse = () => {
+        if (!ensureCanEdit()) return;
+        setError(null);
+        setCurrentView('home');
+    };
+
+    // Save a scored learner quiz attempt under the user's own path
+    const handleSubmitQuizAttempt = async (attempt) => {
+        setError(null);
+        try {
+            await addDoc(collection(db, getCollectionPath('attempts', false)), {
+                courseId: course.id,
+                moduleId: activeModule.id,
+                topicId: activeTopic.id,
+                score: attempt.score,
+                total: attempt.total,
+                percent: attempt.percent,
+                answers: attempt.results,
+                createdAt: new Date(),
             });
-            const newCourseId = newCourseRef.id;
+        } catch (e) {
+            console.error("Quiz Attempt Error:", e);
+            setError(e.message || "Failed to save the quiz attempt.");
+        }
+    };
 
-            // 3. Process Modules and Pre-generate Topics (Prompt 2)
-            for (let i = 0; i < generatedModulesData.length; i++) {
-                const moduleData = generatedModulesData[i];
-                
-                // Save Module
-                const newModuleRef = await addDoc(modulesCollection, {
-                    courseId: newCourseId,
-                    title: moduleData.title,
-                    objective: moduleData.objective,
-                    order: i + 1,
-                    createdAt: new Date(),
-                });
-                
-                // Prompt 2: Pre-generate Topics
-                const topicSystemPrompt = "For the module and course specified, generate 5 essential, progressive learning topics. For each topic, provide a 'topic_title' and draft the core theoretical content ('content_draft', approx. 200 words) as the lesson material. Respond only with a JSON array object.";
-                const topicUserQuery = `Generate 5 topics for the module '${moduleData.title}' within the course '${courseName}'.`;
-
-                const generatedTopicsData = await withRetry(() => 
-                    callGeminiApi(topicSystemPrompt, topicUserQuery, true)
-                );
-
-                if (Array.isArray(generatedTopicsData)) {
-                    for (let j = 0; j < generatedTopicsData.length; j++) {
-                        const topic = generatedTopicsData[j];
-                        await addDoc(topicsCollection, {
-                            moduleId: newModuleRef.id,
-                            title: topic.topic_title || `Topic ${j + 1}`,
-                            content: topic.content_draft || 'Content draft pending.',
-                            order: j + 1,
-                            createdAt: new Date(),
-                        });
-                    }
-                }
+    // Start / stop inline editing (or targeted regeneration: 'regenerate-<kind>') of a module, topic, MCQ or lab
+    const handleStartEdit = (type, id) => {
+        if (!ensureCanEdit()) return;
+        setError(null);
+        setEditing({ type, id });
+    };
+
+    const handleCancelEdit = () => setEditing(null);
+
+    const isEditing = (type, id) => editing?.type === type && editing?.id === id;
+
+    // Save an inline edit and mark the item as human-edited so regeneration leaves it alone
+    const handleSaveEdit = async (collectionName, id, fields) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            await updateDoc(doc(db, getCollectionPath(collectionName, false), id), {
+                ...fields,
+                humanEdited: true,
+                editedAt: new Date(),
+                editedBy: userId,
+            });
+            setEditing(null);
+        } catch (e) {
+            console.error("Save Edit Error:", e);
+            setError(e.message || "Failed to save changes.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // --- Targeted Regeneration ---
+    // Surrounding course context the model gets when regenerating a single item
+    const buildRegenerationContext = (kind, item) => {
+        const context = { courseTitle: course.title };
+        if (kind === 'module') {
+            context.siblingTitles = modules.filter(m => m.id !== item.id).map(m => m.title);
+            return context;
+        }
+        const parentModule = kind === 'topic' ? modules.find(m => m.id === item.moduleId) || activeModule : activeModule;
+        context.moduleTitle = parentModule?.title;
+        context.moduleObjective = parentModule?.objective;
+        if (kind === 'topic') {
+            context.siblingTitles = topics.filter(t => t.id !== item.id).map(t => t.title);
+            return context;
+        }
+        context.topicTitle = activeTopic.title;
+        context.topicContent = activeTopic.content;
+        if (kind === 'mcq') {
+            context.siblingTitles = mcqs.filter(m => m.id !== item.id).map(m => m.question);
+            context.questionType = questionTypeOf(item);
+        }
+        return context;
+    };
+
+    // Generate a proposal for one item without saving it; resolves to the proposed fields or null
+    const handlePreviewRegeneration = async (kind, item, instructions) => {
+        setError(null);
+        if (!confirmWithinQuota(STEP_TOKEN_ESTIMATES.regenerate)) return null;
+        try {
+            const { systemPrompt, userQuery } = await withCourseSources(buildRegenerateItemPrompt(
+                kind,
+                itemToText(kind, item),
+                buildRegenerationContext(kind, item),
+                instructions,
+                resolveBlueprint(course.blueprint)
+            ), course.id, `${itemToText(kind, item)}\n${instructions}`);
+            const usageContext = kind === 'module'
+                ? { moduleId: item.id }
+                : { moduleId: kind === 'topic' ? item.moduleId : activeModule.id, topicId: kind === 'topic' ? item.id : activeTopic.id };
+            const { data, grounding } = await callLlmApiWithGrounding(systemPrompt, userQuery, regenerateItemSchema(kind, item), { step: 'regenerate', courseId: course.id, ...usageContext });
+            const fields = fieldsFromResponse(kind, data, item);
+            if (kind === 'mcq' && questionErrors(fields).length > 0) {
+                throw new Error(`The regenerated question is not usable: ${questionErrors(fields).join(' ')}`);
+            }
+            return CITED_FIELDS[kind] ? withCitations(kind, fields, grounding) : fields;
+        } catch (e) {
+            console.error("Regeneration Preview Error:", e);
+            setError(e.message || "Failed to generate a preview.");
+            return null;
+        }
+    };
+
+    // Save an accepted proposal. The item is AI-generated again, so it loses its human-edited mark.
+    const handleAcceptRegeneration = async (kind, item, fields, instructions) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            await updateDoc(doc(db, getCollectionPath(REGENERATE_COLLECTIONS[kind], false), item.id), {
+                ...fields,
+                humanEdited: false,
+                regeneratedAt: new Date(),
+                regenerationInstructions: instructions,
+            });
+            setEditing(null);
+        } catch (e) {
+            console.error("Regeneration Save Error:", e);
+            setError(e.message || "Failed to save the regenerated item.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Handle navigation to a specific module
+    const handleViewModule = (moduleData) => {
+        setEditing(null);
+        setActiveModule(moduleData);
+        setCurrentView('module');
+        setActiveTopic(null); // Clear active topic when changing modules
+        setTopics([]);
+        setSelectedTab('content'); // Default to content tab
+    };
+    
+    // Handle navigation back to modules list
+    const handleViewModulesList = () => {
+        setEditing(null);
+        setCurrentView('modules');
+        setActiveModule(null);
+        setActiveTopic(null);
+    }
+    
+    // Handle navigation to a specific topic
+    const handleViewTopic = (topicData) => {
+        setEditing(null);
+        setActiveTopic(topicData);
+        setQuestionTypeSelection(null);
+        setCurrentView('topic');
+        setSelectedTab('content'); // Default to content tab
+    };
+
+    // Record the tokens and estimated cost of one AI call. A failed write only loses the record.
+    const recordCallUsage = async (usageContext, reportedUsage, promptText, responseText) => {
+        const providerSettings = llmSettings[llmSettings.provider] || {}; // The mock provider has no settings (and no price)
+        const tokens = resolveCallUsage(reportedUsage, promptText, responseText);
+        try {
+            await recordUsage(db, getCollectionPath, {
+                userId,
+                courseId: null,
+                moduleId: null,
+                topicId: null,
+                ...usageContext,
+                provider: llmSettings.provider,
+                model: providerSettings.model || llmSettings.provider,
+                ...tokens,
+                cost: estimateCost(tokens, providerSettings),
+            });
+        } catch (e) {
+            console.error("Usage Recording Error:", e);
+        }
+    };
+
+    // Check a generation of about `estimatedTokens` against the user's monthly quota.
+    // Returns false when it must not start (blocked, or the user declined the warning).
+    const confirmWithinQuota = (estimatedTokens) => {
+        const prices = llmSettings[llmSettings.provider] || {};
+        const { status, message } = checkQuota(monthUsage, llmSettings.quota, estimatedTokens, prices);
+        if (status === 'block') {
+            setError(`${message} Ask the workspace owner to raise the quota.`);
+            return false;
+        }
+        return status === 'ok' || window.confirm(`${message} Continue anyway?`);
+    };
+
+    // Add the passages of a course's source documents that match `queryText` to a prompt
+    const withCourseSources = async (prompt, courseId, queryText) => {
+        if (!sourceChunksCache.current.has(courseId)) {
+            const loading = loadCourseChunks(db, getCollectionPath, courseId).catch((e) => {
+                sourceChunksCache.current.delete(courseId);
+                throw e;
+            });
+            sourceChunksCache.current.set(courseId, loading);
+        }
+        const chunks = await sourceChunksCache.current.get(courseId);
+        return withReferenceMaterial(prompt, retrievePassages(chunks, queryText));
+    };
+
+    // Helper for making AI calls through the workspace's provider.
+    // With a `responseSchema` the parsed response is validated; invalid responses are sent
+    // back to the model with the validation errors, and still-invalid ones are surfaced as errors.
+    // Every call (repairs included) is recorded as usage with `usageContext`: { step, courseId, moduleId?, topicId? }.
+    // Resolves to { data, grounding }: the response and the web sources it is based on (see citations.js).
+    const callLlmApiWithGrounding = async (systemPrompt, userQuery, responseSchema, usageContext) => {
+        const provider = getLlmProvider(llmSettings.provider);
+        const generate = async (query) => {
+            const result = await withRetry(() =>
+                provider.generate({
+                    settings: llmSettings,
+                    systemPrompt,
+                    userQuery: query,
+                    responseSchema,
+                    getIdToken: () => auth.currentUser.getIdToken(),
+                    workspace: { appId, workspaceId: activeWorkspaceId },
+                })
+            );
+            await recordCallUsage(usageContext, result.usage, systemPrompt + query, result.text);
+            return result;
+        };
+
+        // Plain text response
+        if (!responseSchema) {
+            const { text, grounding } = await generate(userQuery);
+            return { data: text.trim(), grounding };
+        }
+
+        let query = userQuery;
+        let errors = [];
+        for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+            const { text, grounding } = await generate(query);
+            const rawText = text.trim();
+
+            let data;
+            try {
+                data = JSON.parse(rawText);
+                errors = validateAgainstSchema(responseSchema, data);
+            } catch {
+                errors = ['Response is not valid JSON.'];
+            }
+            if (errors.length === 0) return { data, grounding };
+
+            console.warn(`AI response failed validation (attempt ${attempt + 1}):`, errors, rawText);
+            query = `${userQuery}\n\nYour previous response was rejected because it does not match the required JSON schema:\n- ${errors.join('\n- ')}\n\nPrevious response:\n${rawText}\n\nRespond again with corrected JSON only.`;
+        }
+
+        throw new Error(`AI response failed validation after ${MAX_REPAIR_ATTEMPTS + 1} attempts: ${errors.join('; ')}`);
+    };
+
+    // The same without the sources, for items that keep no citations
+    const callLlmApi = async (...args) => (await callLlmApiWithGrounding(...args)).data;
+
+    // Save the workspace's AI provider settings
+    const handleSaveLlmSettings = async (settings) => {
+        if (!canManageSettings) {
+            setError("Only the workspace owner can change the AI settings.");
+            return;
+        }
+        setIsLoading(true);
+        setError(null);
+        try {
+            await setDoc(doc(db, getCollectionPath('settings', false), 'llm'), settings);
+            setCurrentView(course ? 'modules' : 'library');
+        } catch (e) {
+            console.error("AI Settings Error:", e);
+            setError(e.message || "Failed to save AI settings.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // AI calls used by generation jobs (Prompt 1 and Prompt 2, plus the fill-ins for imported outlines)
+    const courseGenerators = {
+        generateModules: async (targetCourse) => {
+            const blueprint = resolveBlueprint(targetCourse.blueprint);
+            const { systemPrompt, userQuery } = await withCourseSources(buildModulesPrompt(targetCourse.title, blueprint), targetCourse.id, `${targetCourse.title} ${blueprint.prerequisites}`);
+            return callLlmApi(systemPrompt, userQuery, modulesSchema(blueprint), { step: 'modules', courseId: targetCourse.id });
+        },
+        generateTopics: async (targetCourse, module) => {
+            const blueprint = resolveBlueprint(targetCourse.blueprint);
+            const { systemPrompt, userQuery } = await withCourseSources(buildTopicsPrompt(targetCourse.title, module.title, blueprint), targetCourse.id, `${targetCourse.title} ${module.title}`);
+            const { data: generatedTopicsData, grounding } = await callLlmApiWithGrounding(systemPrompt, userQuery, topicsSchema(blueprint), { step: 'topics', courseId: targetCourse.id, moduleId: module.id });
+            return generatedTopicsData.map((topic) => withCitations('topic', {
+                title: topic.topic_title,
+                content: topic.content_draft,
+            }, grounding));
+        },
+        generateObjective: async (targetCourse, module) => {
+            const { systemPrompt, userQuery } = await withCourseSources(
+                buildObjectivePrompt(targetCourse.title, module, resolveBlueprint(targetCourse.blueprint)),
+                targetCourse.id,
+                `${module.title} ${(module.topicTitles || []).join(' ')}`
+            );
+            const data = await callLlmApi(systemPrompt, userQuery, MODULE_OBJECTIVE_SCHEMA, { step: 'objective', courseId: targetCourse.id, moduleId: module.id });
+            return data.objective;
+        },
+        generateTopicContent: async (targetCourse, module, topic) => {
+            const { systemPrompt, userQuery } = await withCourseSources(
+                buildTopicContentPrompt(targetCourse.title, module.title, topic.title, resolveBlueprint(targetCourse.blueprint)),
+                targetCourse.id,
+                `${module.title} ${topic.title}`
+            );
+            const { data, grounding } = await callLlmApiWithGrounding(systemPrompt, userQuery, TOPIC_CONTENT_SCHEMA, { step: 'content', courseId: targetCourse.id, moduleId: module.id, topicId: topic.id });
+            return withCitations('topic', { content: data.content_draft }, grounding);
+        },
+    };
+
+    // Run (or resume) a generation job in this session; progress is streamed through the job doc
+    const runJob = async (jobId, targetCourse) => {
+        if (runningJobIds.current.has(jobId)) return;
+        runningJobIds.current.add(jobId);
+        try {
+            await runGenerationJob(db, getCollectionPath, jobId, targetCourse, courseGenerators);
+        } catch (e) {
+            console.error("Generation Job Error:", e);
+            setError(e.message || "An unexpected error occurred during course generation.");
+        } finally {
+            runningJobIds.current.delete(jobId);
+        }
+    };
+
+    // A job is resumable when it failed, or when it is marked running but no session is executing it
+    const isJobResumable = (job) => Boolean(job) && (
+        job.status === 'failed' || (job.status === 'running' && !runningJobIds.current.has(job.id))
+    );
+
+    const handleResumeJob = () => {
+        if (!activeJob || !course || !ensureCanEdit()) return;
+        setError(null);
+        runJob(activeJob.id, course);
+    };
+
+    // **FIX** Generate a new course and save it to Firestore
+    // `sourceFiles` are uploaded as reference material before anything is generated; when an upload
+    // fails, the new course is deleted again so a retry does not leave an empty duplicate behind
+    const handleGenerateCourse = async (courseName, blueprint, sourceFiles = []) => {
+        if (!db || !courseName || !courseName.trim()) return;
+        if (!confirmWithinQuota(estimateCourseGenerationTokens(resolveBlueprint(blueprint)))) return;
+
+        setIsLoading(true);
+        setError(null);
+        let uploadingCourseId = null;
+        
+        try {
+            // Read every file first so an unreadable one stops before a course is created
+            const sources = [];
+            for (const file of sourceFiles) {
+                sources.push(await readSourceFile(file));
+            }
+
+            // Create new Course alongside the existing ones in the library
+            const coursesCollection = collection(db, getCollectionPath('courses', false));
+            const newCourse = {
+                title: courseName,
+                blueprint: blueprint,
+                status: 'draft',
+                createdAt: new Date(),
+                userId: userId,
+            };
+            const newCourseRef = await addDoc(coursesCollection, newCourse);
+            uploadingCourseId = newCourseRef.id;
+            for (const source of sources) {
+                await addSourceDocument(db, getCollectionPath, newCourseRef.id, source, userId);
+            }
+            uploadingCourseId = null;
+            const jobId = await createCourseGenerationJob(db, getCollectionPath, newCourseRef.id);
+            handleOpenCourse(newCourseRef.id);
+
+            // Progress is shown by the job panel, the form does not need to wait
+            runJob(jobId, { id: newCourseRef.id, ...newCourse });
+
+        } catch (e) {
+            console.error("Course Generation Error:", e);
+            setError(e.message || "An unexpected error occurred during course generation.");
+            if (uploadingCourseId) {
+                // Marked first, so the library offers to finish the delete if this one fails too
+                await markCourseDeleting(db, getCollectionPath, uploadingCourseId)
+                    .then(() => deleteCourse(db, getCollectionPath, uploadingCourseId))
+                    .catch(cleanupError => console.error("Course Cleanup Error:", cleanupError));
             }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Import a course from a Markdown or JSON outline; AI only fills in what the outline leaves empty
+    const handleImportCourse = async (file) => {
+        if (!db || !file) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const outline = parseCourseOutline(file.name, await file.text());
+            const importedCourse = await importCourseOutline(db, getCollectionPath, outline, userId);
+            handleOpenCourse(importedCourse.id);
+
+            const tree = await loadCourseTree(db, getCollectionPath, importedCourse.id);
+            const jobId = await createFillMissingJob(db, getCollectionPath, importedCourse.id, tree);
+            if (jobId) runJob(jobId, importedCourse);
+        } catch (e) {
+            console.error("Course Import Error:", e);
+            setError(e.message || "Failed to import the course outline.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Regenerate the active course, keeping the previous version as a named snapshot
+    const handleRegenerateCourse = async () => {
+        if (!db || !course || !ensureCanEdit()) return;
+
+        let currentTree;
+        try {
+            currentTree = await loadCourseTree(db, getCollectionPath, course.id);
+        } catch (e) {
+            console.error("Course Regeneration Error:", e);
+            setError(e.message || "Failed to load the current course.");
+            return;
+        }
+        const editedCount = [
+            ...currentTree.modules,
+            ...currentTree.modules.flatMap(m => m.topics),
+            ...currentTree.modules.flatMap(m => m.topics).flatMap(t => t.assets),
+        ].filter(item => item.humanEdited).length;
+        if (editedCount > 0 && !window.confirm(`${editedCount} human-edited item(s) will be replaced by the regenerated course (they stay available in the snapshot). Continue?`)) return;
+
+        const snapshotName = window.prompt(
+            'Name the snapshot of the current version:',
+            `Before regeneration (${new Date().toLocaleString()})`
+        );
+        if (snapshotName === null) return;
+        if (!confirmWithinQuota(estimateCourseGenerationTokens(resolveBlueprint(course.blueprint)))) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            await saveCourseSnapshot(db, getCollectionPath, course, snapshotName.trim() || 'Untitled snapshot');
+
+            // The job only clears the current version once the new structure is available.
+            // Regeneration reuses the blueprint stored on the course.
+            const jobId = await createCourseGenerationJob(db, getCollectionPath, course.id);
+            runJob(jobId, course);
+        } catch (e) {
+            console.error("Course Regeneration Error:", e);
+            setError(e.message || "An unexpected error occurred during course regeneration.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // --- Source Documents ---
+
+    const handleUploadSources = async (files) => {
+        if (!db || !course || files.length === 0 || !ensureCanEdit()) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            for (const file of files) {
+                await addSourceDocument(db, getCollectionPath, course.id, await readSourceFile(file), userId);
+            }
+        } catch (e) {
+            console.error("Source Upload Error:", e);
+            setError(e.message || "Failed to upload the source document.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleDeleteSource = async (source) => {
+        if (!ensureCanEdit() || !window.confirm(`Remove "${source.name}" from the reference material?`)) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            await deleteSourceDocument(db, getCollectionPath, source.id);
+        } catch (e) {
+            console.error("Source Deletion Error:", e);
+            setError(e.message || "Failed to remove the source document.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Delete a course together with its modules, topics, assets, snapshots and jobs.
+    // A course marked as deleting was interrupted before and is finished without asking again.
+    const handleDeleteCourse = async (courseToDelete) => {
+        if (!db || !ensureCanEdit()) return;
+        if (!courseToDelete.deletingAt && !window.confirm(`Delete "${courseToDelete.title}" and all of its modules, topics, questions and labs?`)) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            if (!courseToDelete.deletingAt) await markCourseDeleting(db, getCollectionPath, courseToDelete.id);
+            if (courseToDelete.publishedAt) await removeCatalogEntry(db, getPublicPath, courseToDelete.id);
+            await deleteCourse(db, getCollectionPath, courseToDelete.id);
+            if (courseToDelete.id === activeCourseId) {
+                setActiveCourseId(null);
+                handleViewLibrary();
+            }
+        } catch (e) {
+            console.error("Course Deletion Error:", e);
+            setError(e.message || "An unexpected error occurred while deleting the course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Compare a snapshot with the current version of the active course
+    const handleCompareSnapshot = async (snapshot) => {
+        setError(null);
+        try {
+            const currentTree = await loadCourseTree(db, getCollectionPath, course.id);
+            const snapshotTree = await loadSnapshotTree(db, getCollectionPath, snapshot);
+            setSnapshotComparison({ snapshot, changes: compareCourseTrees(snapshotTree, currentTree) });
+        } catch (e) {
+            console.error("Snapshot Comparison Error:", e);
+            setError(e.message || "Failed to compare snapshot.");
+        }
+    };
+
+    // Restore a snapshot, saving the current version as a snapshot first
+    const handleRestoreSnapshot = async (snapshot) => {
+        if (!ensureCanEdit() || !window.confirm(`Restore "${snapshot.name}"? The current version will be saved as a snapshot first.`)) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            await saveCourseSnapshot(db, getCollectionPath, course, `Before restoring "${snapshot.name}"`);
+            await restoreCourseSnapshot(db, getCollectionPath, course.id, snapshot);
+            setSnapshotComparison(null);
+        } catch (e) {
+            console.error("Snapshot Restore Error:", e);
+            setError(e.message || "Failed to restore snapshot.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleDeleteSnapshot = async (snapshot) => {
+        if (!ensureCanEdit() || !window.confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+        try {
+            await deleteCourseSnapshot(db, getCollectionPath, snapshot.id);
+            if (snapshotComparison?.snapshot.id === snapshot.id) setSnapshotComparison(null);
+        } catch (e) {
+            console.error("Snapshot Deletion Error:", e);
+            setError(e.message || "Failed to delete snapshot.");
+        }
+    };
+    
+    // --- Export Handlers ---
+    const handleExportScorm = async (version) => {
+        if (!db || !course) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const tree = await loadCourseTree(db, getCollectionPath, course.id);
+            const blob = await buildScormPackage(course, tree, version);
+            downloadFile(blob, scormFileName(course, version));
+        } catch (e) {
+            console.error("SCORM Export Error:", e);
+            setError(e.message || "Failed to export SCORM package.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Static HTML site (zip) for reviewers without a login
+    const handleExportStaticSite = async () => {
+        if (!db || !course) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const tree = await loadCourseTree(db, getCollectionPath, course.id);
+            downloadFile(await buildStaticSite(course, tree), `${slugify(course.title)}-site.zip`);
+        } catch (e) {
+            console.error("HTML Export Error:", e);
+            setError(e.message || "Failed to export the course as HTML.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Print-optimized single document; the browser's print dialog saves it as PDF
+    const handlePrintCourse = async () => {
+        if (!db || !course) return;
+
+        // Open the window before any await so popup blockers treat it as user-initiated
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            setError("The print window was blocked. Allow popups for this site and try again.");
+            return;
+        }
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const tree = await loadCourseTree(db, getCollectionPath, course.id);
+            const html = buildPrintBook(course, tree, { autoPrint: true });
+            printWindow.location.href = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        } catch (e) {
+            printWindow.close();
+            console.error("Print Export Error:", e);
+            setError(e.message || "Failed to build the printable course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // JSON outline of the whole course; it can be imported again with handleImportCourse
+    const handleExportCourseJson = async () => {
+        if (!db || !course) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const tree = await loadCourseTree(db, getCollectionPath, course.id);
+            downloadFile(buildCourseOutlineJson(course, tree), `${slugify(course.title)}.course.json`, 'application/json');
+        } catch (e) {
+            console.error("JSON Export Error:", e);
+            setError(e.message || "Failed to export the course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // `scope` narrows the export to a module ({ moduleId }) or a topic ({ moduleId, topicId })
+    const handleExportQuestionBank = async (format, scope = {}, scopeTitle = course.title) => {
+        if (!db || !course) return;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const tree = await loadCourseTree(db, getCollectionPath, course.id);
+            const { content, fileName, mimeType } = await buildQuestionBankExport(format, course, tree, scope, scopeTitle);
+            downloadFile(content, fileName, mimeType);
+        } catch (e) {
+            console.error("Question Bank Export Error:", e);
+            setError(e.message || "Failed to export questions.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // --- Structure Editing ---
+    // Listeners pick up every change, so the handlers only write
+
+    const runStructureChange = async (label, change) => {
+        if (!ensureCanEdit()) return;
+        setIsLoading(true);
+        setError(null);
+        try {
+            await change();
+        } catch (e) {
+            console.error(`${label} Error:`, e);
+            setError(e.message || `${label} failed.`);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleReorderModules = (orderedModuleIds) => runStructureChange("Module Reorder", () =>
+        reorderModules(db, getCollectionPath, orderedModuleIds)
+    );
+
+    const handleMoveTopic = ({ topicId, fromModuleId, toModuleId, sourceTopicIds, targetTopicIds }) => runStructureChange("Topic Move", () =>
+        fromModuleId === toModuleId
+            ? reorderTopics(db, getCollectionPath, targetTopicIds)
+            : moveTopic(db, getCollectionPath, topicId, toModuleId, sourceTopicIds, targetTopicIds)
+    );
+
+    // Blank items are authored by hand; AI suggestions get the course context
+    const handleAddModule = (useAi) => runStructureChange("Add Module", async () => {
+        let fields = { title: 'New module', objective: '', humanEdited: true, editedAt: new Date(), editedBy: userId };
+        if (useAi) {
+            if (!confirmWithinQuota(STEP_TOKEN_ESTIMATES.suggest)) return;
+            const { systemPrompt, userQuery } = await withCourseSources(
+                buildSuggestModulePrompt(course.title, modules.map(m => m.title), resolveBlueprint(course.blueprint)),
+                course.id,
+                course.title
+            );
+            const data = await callLlmApi(systemPrompt, userQuery, REGENERATE_ITEM_SCHEMAS.module, { step: 'suggest', courseId: course.id });
+            fields = { title: data.title, objective: data.objective };
+        }
+        const moduleId = await addModule(db, getCollectionPath, course.id, fields, modules.length + 1);
+        if (!useAi) handleStartEdit('module', moduleId);
+    });
+
+    const handleAddTopic = (module, useAi) => runStructureChange("Add Topic", async () => {
+        const moduleTopics = courseTopics.filter(t => t.moduleId === module.id);
+        let fields = { title: 'New topic', content: '', humanEdited: true, editedAt: new Date(), editedBy: userId };
+        if (useAi) {
+            if (!confirmWithinQuota(STEP_TOKEN_ESTIMATES.suggest)) return;
+            const { systemPrompt, userQuery } = await withCourseSources(buildSuggestTopicPrompt(
+                course.title,
+                module,
+                [...moduleTopics].sort((a, b) => a.order - b.order).map(t => t.title),
+                resolveBlueprint(course.blueprint)
+            ), course.id, `${module.title} ${module.objective || ''}`);
+            const { data, grounding } = await callLlmApiWithGrounding(systemPrompt, userQuery, REGENERATE_ITEM_SCHEMAS.topic, { step: 'suggest', courseId: course.id, moduleId: module.id });
+            fields = withCitations('topic', { title: data.topic_title, content: data.content_draft }, grounding);
+        }
+        await addTopic(db, getCollectionPath, module.id, fields, moduleTopics.length + 1);
+    });
+
+    const handleDeleteModule = (module) => {
+        if (!window.confirm(`Delete module "${module.title}" with all of its topics, questions and labs?`)) return;
+        return runStructureChange("Delete Module", () =>
+            deleteModule(db, getCollectionPath, module.id, modules.filter(m => m.id !== module.id).map(m => m.id))
+        );
+    };
+
+    const handleDeleteTopic = (topic) => {
+        if (!window.confirm(`Delete topic "${topic.title}" with its questions and lab?`)) return;
+        const remainingTopicIds = courseTopics
+            .filter(t => t.moduleId === topic.moduleId && t.id !== topic.id)
+            .sort((a, b) => a.order - b.order)
+            .map(t => t.id);
+        return runStructureChange("Delete Topic", () =>
+            deleteTopic(db, getCollectionPath, topic.id, remainingTopicIds)
+        );
+    };
+
+    // --- AI Usage ---
+
+    const handleViewUsage = () => {
+        setPendingRoute(null);
+        setEditing(null);
+        setCurrentView('usage');
+    };
+
+    // Name of a workspace member for the usage dashboard (null once they left)
+    const memberName = (memberId) => {
+        if (!activeWorkspace) return memberId === userId ? accountLabel(authProfile) : null;
+        const member = activeWorkspace.members?.[memberId];
+        return member ? member.displayName || member.email : null;
+    };
+
+    // --- Catalog ---
+
+    const handleViewCatalog = () => {
+        setPendingRoute(null);
+        setEditing(null);
+        setActiveCatalogId(null);
+        setCurrentView('catalog');
+    };
+
+    const handleOpenCatalogEntry = (entry) => {
+        setActiveCatalogId(entry.id);
+        setCurrentView('catalogEntry');
+    };
+
+    // Publish (or update) the read-only public copy of the active course
+    const handlePublishCourse = async () => {
+        if (!db || !course || !ensureCanEdit()) return;
+        if (!['approved', 'published'].includes(courseReviewStatus(course))) {
+            setError("Only approved courses can be published. Submit the course for review first.");
+            return;
+        }
+        const action = course.publishedAt ? 'Update the published version of' : 'Publish';
+        if (!window.confirm(`${action} "${course.title}"? Everyone can read and clone published courses.`)) return;
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            await publishCourse(db, getCollectionPath, getPublicPath, course, userId, activeWorkspaceId);
+        } catch (e) {
+            console.error("Publish Error:", e);
+            setError(e.message || "Failed to publish the course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleUnpublishCourse = async () => {
+        if (!db || !course || !ensureCanEdit() || !window.confirm(`Remove "${course.title}" from the public catalog?`)) return;
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            await unpublishCourse(db, getCollectionPath, getPublicPath, course);
+        } catch (e) {
+            console.error("Unpublish Error:", e);
+            setError(e.message || "Failed to unpublish the course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Copy a published course into the user's own workspace and open it
+    const handleCloneCatalogEntry = async (entry) => {
+        if (!db || !ensureCanEdit()) return;
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const clonedCourse = await cloneCatalogEntry(db, getCollectionPath, getPublicPath, entry, userId);
+            handleOpenCourse(clonedCourse.id);
+        } catch (e) {
+            console.error("Clone Error:", e);
+            setError(e.message || "Failed to clone the course.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // --- Review ---
 
-            // The useEffect on course state handles the navigation to 'modules' view
+    // Open a topic of any module (from the review dashboard)
+    const handleOpenTopic = (module, topic) => {
+        setEditing(null);
+        setActiveModule(module);
+        setTopics([]);
+        setActiveTopic(topic);
+        setCurrentView('topic');
+        setSelectedTab('content');
+    };
+
+    // Move a course or topic to another review state; publishing goes through the catalog
+    const handleReviewTransition = async (kind, item, transition) => {
+        if (transition.to === 'published') {
+            await handlePublishCourse();
+            return;
+        }
 
+        setIsLoading(true);
+        setError(null);
+        try {
+            await setReviewStatus(db, getCollectionPath, kind === 'course' ? 'courses' : 'topics', item.id, transition.to, userId);
         } catch (e) {
-            console.error("Course Generation Error:", e);
-            setError(e.message || "An unexpected error occurred during course generation.");
+            console.error("Review Error:", e);
+            setError(e.message || "Failed to change the review state.");
         } finally {
             setIsLoading(false);
         }
     };
-    
-    // Prompt 3: Generate MCQs
+
+    // Runs a comment change without the global loading state (typing continues meanwhile)
+    const runCommentChange = async (change) => {
+        setError(null);
+        try {
+            await change();
+        } catch (e) {
+            console.error("Comment Error:", e);
+            setError(e.message || "Failed to save the comment.");
+        }
+    };
+
+    const handleAddComment = ({ targetKind, targetId, text, parentId }) => runCommentChange(() => addComment(db, getCollectionPath, {
+        courseId: activeCourseId,
+        moduleId: activeModule.id,
+        topicId: activeTopic.id,
+        targetKind,
+        targetId,
+        parentId,
+        text,
+        authorId: userId,
+        authorName: accountLabel(authProfile),
+    }));
+
+    const handleResolveThread = (thread, resolved) => runCommentChange(() => setThreadResolved(db, getCollectionPath, thread.id, resolved));
+
+    const handleDeleteComment = (comment) => {
+        const replyCount = comment.parentId ? 0 : comments.filter(c => c.parentId === comment.id).length;
+        if (!window.confirm(replyCount ? `Delete this comment and its ${replyCount} replies?` : 'Delete this comment?')) return;
+        runCommentChange(() => deleteComment(db, getCollectionPath, comment, comments));
+    };
+
+    // Prompt 3: Generate assessment questions of the selected types
     const handleGenerateMCQs = async () => {
-        if (!db || !activeTopic) return;
+        if (!db || !activeTopic || !ensureCanEdit()) return;
+
+        const editedMcqs = mcqs.filter(m => m.humanEdited);
+        if (editedMcqs.length > 0 && !window.confirm(`${editedMcqs.length} human-edited question(s) will be kept. Regenerate the others?`)) return;
+        if (!confirmWithinQuota(STEP_TOKEN_ESTIMATES.mcqs)) return;
         
         setIsLoading(true);
         setError(null);
         
         try {
-            // Prompt 3: Generate 5 MCQs
-            const systemPrompt = "Based only on the provided content, generate 5 multiple-choice questions (MCQs) suitable for a beginner assessment. Each question must have 4 options and clearly identify the correct answer using a 0-indexed integer for 'correct_answer_index'. Respond only with a JSON array object containing 'question', 'options' (array of 4 strings), and 'correct_answer_index'.";
-            const userQuery = `Topic: ${activeTopic.title}\nContent: ${activeTopic.content}`;
-
-            const generatedMCQsData = await withRetry(() => 
-                callGeminiApi(systemPrompt, userQuery, true)
+            const blueprint = resolveBlueprint(course.blueprint);
+            const counts = distributeQuestionTypes(questionTypeSelection || blueprint.questionTypes);
+            const { systemPrompt, userQuery } = await withCourseSources(
+                buildQuestionsPrompt(activeTopic, blueprint, counts),
+                course.id,
+                `${activeTopic.title} ${markdownToPlainText(activeTopic.content)}`
             );
-            
-            if (!Array.isArray(generatedMCQsData) || generatedMCQsData.length === 0) {
-                throw new Error("AI failed to generate MCQs.");
-            }
 
-            // Save MCQs to Firestore
+            const generatedQuestionsData = await callLlmApi(systemPrompt, userQuery, questionSetSchema(counts), { step: 'mcqs', courseId: course.id, moduleId: activeTopic.moduleId, topicId: activeTopic.id });
+            const generatedQuestions = questionsFromResponse(generatedQuestionsData);
+            if (generatedQuestions.length === 0) throw new Error("None of the generated questions was usable. Please try again.");
+
+            // Save questions to Firestore
             const assetsCollection = collection(db, getCollectionPath('assets', false));
             
-            // Delete existing MCQs for this topic (for clean regeneration)
-            const existingMcqs = mcqs.map(m => doc(assetsCollection, m.id));
+            // Delete existing questions for this topic (for clean regeneration), except human-edited ones
+            const existingMcqs = mcqs.filter(m => !m.humanEdited).map(m => doc(assetsCollection, m.id));
             for (const docRef of existingMcqs) {
                 await deleteDoc(docRef);
             }
             
-            for (const mcq of generatedMCQsData) {
+            for (const question of generatedQuestions) {
                 await addDoc(assetsCollection, {
                     topicId: activeTopic.id,
                     type: 'mcq',
-                    question: mcq.question,
-                    options: mcq.options,
-                    // Ensure the index is a number
-                    correctIndex: Number(mcq.correct_answer_index) || 0,
+                    ...question,
                     createdAt: new Date(),
                 });
             }
             
-            setSelectedTab('mcqs'); // Switch to the MCQs tab
+            setSelectedTab('mcqs'); // Switch to the questions tab
 
         } catch (e) {
             console.error("MCQ Generation Error:", e);
-            setError(e.message || "An unexpected error occurred during MCQ generation.");
+            setError(e.message || "An unexpected error occurred during question generation.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Add a question written by hand; it counts as human-edited, so regeneration keeps it
+    const handleAddQuestion = async (fields) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            await addDoc(collection(db, getCollectionPath('assets', false)), {
+                topicId: activeTopic.id,
+                type: 'mcq',
+                ...fields,
+                humanEdited: true,
+                editedAt: new Date(),
+                editedBy: userId,
+                createdAt: new Date(),
+            });
+            setEditing(null);
+        } catch (e) {
+            console.error("Add Question Error:", e);
+            setError(e.message || "Failed to add the question.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleDeleteQuestion = async (mcq) => {
+        if (!db || !ensureCanEdit() || !window.confirm(`Delete the question "${mcq.question}"?`)) return;
+        setIsLoading(true);
+        setError(null);
+        try {
+            await deleteDoc(doc(db, getCollectionPath('assets', false), mcq.id));
+        } catch (e) {
+            console.error("Delete Question Error:", e);
+            setError(e.message || "Failed to delete the question.");
         } finally {
             setIsLoading(false);
         }
@@ -514,23 +2018,27 @@ const App = () => {
     
     // Prompt 4: Generate Lab Instructions
     const handleGenerateLab = async () => {
-        if (!db || !activeTopic) return;
+        if (!db || !activeTopic || !ensureCanEdit()) return;
+        if (lab?.humanEdited && !window.confirm('This lab was edited by hand. Regenerating will replace those edits. Continue?')) return;
+        if (!confirmWithinQuota(STEP_TOKEN_ESTIMATES.lab)) return;
         
         setIsLoading(true);
         setError(null);
         
         try {
             // Prompt 4: Generate Lab Instructions
-            const systemPrompt = "Design one concise practice exercise or Lab Instruction suitable for a developer based on the content. The output should be a single JSON object containing three fields: 'problemStatement' (short User Story), 'steps' (an array of 3-5 technical steps), and 'expectedOutcome' (a clear final result description). Respond only with a single JSON object.";
-            const userQuery = `Topic: ${activeTopic.title}\nContent: ${activeTopic.content}`;
-
-            const generatedLabData = await withRetry(() => 
-                callGeminiApi(systemPrompt, userQuery, true) // isJson is true, schema is handled inside callGeminiApi
+            const { systemPrompt, userQuery } = await withCourseSources(
+                buildLabPrompt(activeTopic, resolveBlueprint(course.blueprint)),
+                course.id,
+                `${activeTopic.title} ${markdownToPlainText(activeTopic.content)}`
             );
-            
-            if (!generatedLabData || !generatedLabData.problemStatement) {
-                throw new Error("AI failed to generate lab instructions.");
-            }
+
+            const { data: generatedLabData, grounding } = await callLlmApiWithGrounding(systemPrompt, userQuery, LAB_SCHEMA, { step: 'lab', courseId: course.id, moduleId: activeTopic.moduleId, topicId: activeTopic.id });
+            const labFields = withCitations('lab', {
+                problemStatement: generatedLabData.problemStatement,
+                steps: generatedLabData.steps,
+                expectedOutcome: generatedLabData.expectedOutcome,
+            }, grounding);
 
             // Save Lab to Firestore
             const assetsCollection = collection(db, getCollectionPath('assets', false));
@@ -544,9 +2052,7 @@ const App = () => {
                 topicId: activeTopic.id,
                 type: 'lab',
                 title: `${activeTopic.title} Practice Lab`,
-                problemStatement: generatedLabData.problemStatement,
-                steps: generatedLabData.steps,
-                expectedOutcome: generatedLabData.expectedOutcome,
+                ...labFields,
                 createdAt: new Date(),
             });
             
@@ -585,51 +2091,186 @@ const App = () => {
         </button>
     );
 
-    // 4.1 Home View: Course Name Input
+    // 4.1 Course Library View: All courses owned by the user
+    const CourseLibraryView = () => (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center border-b pb-2">
+                <h1 className="text-4xl font-extrabold text-indigo-800">{activeWorkspace ? activeWorkspace.name : 'My Courses'}</h1>
+                {canEdit && (
+                    <Button onClick={handleNewCourse} className="!w-auto !py-2 !px-4 !text-sm">
+                        + New Course
+                    </Button>
+                )}
+            </div>
+
+            {authProfile?.email && !authProfile.emailVerified && (
+                <div className="p-4 text-sm text-amber-800 bg-amber-50 rounded-xl border border-amber-200 flex flex-wrap items-center gap-3">
+                    <span>Verify {authProfile.email} to receive workspace invitations.</span>
+                    <button onClick={handleResendVerification} className="font-semibold text-indigo-600 hover:text-indigo-800">Resend email</button>
+                    <button onClick={handleRefreshAccount} disabled={isLoading} className="font-semibold text-indigo-600 hover:text-indigo-800">I've verified it</button>
+                </div>
+            )}
+
+            {invitations.map(invitation => (
+                <div key={invitation.id} className="p-4 bg-indigo-50 rounded-xl border border-indigo-200 flex flex-wrap justify-between items-center gap-3">
+                    <span className="text-sm text-gray-700">
+                        {invitation.invitedByName || 'Someone'} invited you to <strong>{invitation.workspaceName}</strong> as {WORKSPACE_ROLES[invitation.role]?.label || invitation.role}.
+                    </span>
+                    <span className="flex space-x-3 text-sm font-semibold">
+                        <button onClick={() => handleAcceptInvitation(invitation)} disabled={isLoading} className="text-indigo-600 hover:text-indigo-800">Accept</button>
+                        <button onClick={() => handleDeclineInvitation(invitation)} disabled={isLoading} className="text-gray-500 hover:text-gray-700">Decline</button>
+                    </span>
+                </div>
+            ))}
+
+            {courses === null ? (
+                <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">
+                    Loading courses...
+                </div>
+            ) : courses.length === 0 ? (
+                <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">
+                    {canEdit ? "No courses yet. Click '+ New Course' to generate your first course." : 'No courses in this workspace yet.'}
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {courses.map((libraryCourse) => (
+                        <div
+                            key={libraryCourse.id}
+                            className={`p-6 bg-white rounded-2xl shadow-lg border border-gray-100 transition duration-300 ${isIncompleteCourse(libraryCourse) ? 'opacity-60' : 'hover:shadow-xl cursor-pointer'}`}
+                            onClick={() => !isIncompleteCourse(libraryCourse) && handleOpenCourse(libraryCourse.id)}
+                        >
+                            <div className="flex justify-between items-start mb-2">
+                                <h2 className="text-xl font-bold text-indigo-700">{libraryCourse.title}</h2>
+                                <ReviewBadge status={courseReviewStatus(libraryCourse)} />
+                            </div>
+                            <p className="text-gray-500 text-sm">Created {formatDate(libraryCourse.createdAt)}</p>
+                            {libraryCourse.deletingAt && (
+                                <p className="text-sm text-red-600">Being deleted since {formatDate(libraryCourse.deletingAt)}.</p>
+                            )}
+                            {!libraryCourse.deletingAt && libraryCourse.importingAt && (
+                                <p className="text-sm text-amber-600">Being imported since {formatDate(libraryCourse.importingAt)}. Delete it if the import did not finish.</p>
+                            )}
+                            <div className="mt-4 flex justify-between text-sm font-semibold">
+                                {isIncompleteCourse(libraryCourse) ? <span /> : <span className="text-indigo-500 hover:text-indigo-600">Open Course →</span>}
+                                {canEdit && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); handleDeleteCourse(libraryCourse); }}
+                                        disabled={isLoading}
+                                        className="text-red-500 hover:text-red-700"
+                                    >
+                                        {libraryCourse.deletingAt ? 'Finish Deleting' : 'Delete'}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    // 4.2 Home View: Course Name Input
     const HomeView = () => (
         <div className="p-8 space-y-8 bg-white rounded-2xl shadow-2xl">
+            <button 
+                onClick={handleViewLibrary} 
+                className="text-indigo-600 hover:text-indigo-800 font-medium flex items-center text-sm"
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
+                </svg>
+                Back to My Courses
+            </button>
             <h1 className="text-4xl font-extrabold text-indigo-800">AI Course Designer</h1>
-            <p className="text-xl text-gray-600">Define your course and generate the initial 8-module structure.</p>
+            <p className="text-xl text-gray-600">Define your course blueprint and generate the initial module structure.</p>
 
-            <div className="space-y-4">
-                <label htmlFor="courseName" className="block text-sm font-medium text-gray-700">Course Name</label>
+            <CourseBlueprintForm onSubmit={handleGenerateCourse} isLoading={isLoading} />
+
+            <div className="p-6 border border-dashed border-indigo-300 rounded-xl bg-indigo-50 space-y-3">
+                <h2 className="text-xl font-bold text-gray-700">Import an existing outline</h2>
+                <p className="text-sm text-gray-600">
+                    Markdown: <code>#</code> course title, <code>##</code> modules (text below is the objective), <code>###</code> topics (text below is the content).
+                    JSON: a file exported from this app. AI only fills in missing objectives, topics and content.
+                </p>
                 <input
-                    type="text"
-                    id="courseName"
-                    value={courseName}
-                    // **FIX**: Correctly binding the onChange handler
-                    onChange={handleCourseNameChange}
-                    placeholder="e.g., Full Stack Java, Advanced Data Science"
-                    className="w-full p-4 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 text-lg shadow-inner"
+                    type="file"
+                    accept=".md,.markdown,.txt,.json"
                     disabled={isLoading}
+                    onChange={(e) => { handleImportCourse(e.target.files[0]); e.target.value = ''; }}
+                    className="block text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-600 file:text-white file:font-semibold hover:file:bg-indigo-700"
                 />
             </div>
             
-            <Button 
-                // **FIX**: Correctly binding the onClick handler
-                onClick={handleGenerateCourse} 
-                disabled={!courseName.trim() || isLoading}
-            >
-                Generate Course Modules (8 Modules)
-            </Button>
-            
             {error && <div className="p-4 text-red-700 bg-red-100 rounded-lg border border-red-300 text-sm">{error}</div>}
         </div>
     );
 
-    // 4.2 Modules List View
+    // 4.3 Modules List View
     const ModulesView = () => (
         <div className="space-y-6">
+            <button 
+                onClick={handleViewLibrary} 
+                className="text-indigo-600 hover:text-indigo-800 font-medium flex items-center mb-4 text-sm"
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
+                </svg>
+                Back to My Courses
+            </button>
+
             <h1 className="text-4xl font-extrabold text-indigo-800 border-b pb-2">
                 <span className="text-2xl font-light text-gray-500 mr-2">Course:</span>
                 {course.title}
             </h1>
             <p className="text-lg text-gray-600">
-                The AI generated 8 core modules. Click to view topics and content for each module.
+                The AI generated {modules.length} core modules. Click to view topics and content for each module.
             </p>
+            <BlueprintSummary />
+            {courseTopics.length > 0 && <ProgressBar progress={courseProgress} label="Course progress" />}
+
+            <ReviewStatusBar
+                label="Course review"
+                status={courseReviewStatus(course)}
+                transitions={availableTransitions('course', courseReviewStatus(course), workspaceRole, { unapprovedTopicCount: reviewSummary.unapproved.length })}
+                onTransition={(transition) => handleReviewTransition('course', course, transition)}
+                disabled={isLoading}
+            />
+            <ReviewDashboard />
+
+            {activeJob && activeJob.status !== 'completed' && <GenerationProgressPanel />}
+
+            {isEditing('structure', course.id) ? (
+                <CourseStructureEditor
+                    modules={modules}
+                    topics={courseTopics}
+                    onReorderModules={handleReorderModules}
+                    onMoveTopic={handleMoveTopic}
+                    onAddModule={handleAddModule}
+                    onAddTopic={handleAddTopic}
+                    onDeleteModule={handleDeleteModule}
+                    onDeleteTopic={handleDeleteTopic}
+                    onClose={handleCancelEdit}
+                    disabled={isLoading || activeJob?.status === 'running'}
+                />
+            ) : (
+                <button
+                    onClick={() => handleStartEdit('structure', course.id)}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                >
+                    Edit Structure (add, delete, reorder)
+                </button>
+            )}
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {modules.map((module, index) => (
+                {modules.map((module, index) => isEditing('module', module.id) ? (
+                    <ModuleEditor
+                        key={module.id}
+                        module={module}
+                        onSave={(fields) => handleSaveEdit('modules', module.id, fields)}
+                        onCancel={handleCancelEdit}
+                        disabled={isLoading}
+                    />
+                ) : isEditing('regenerate-module', module.id) ? renderRegeneratePanel('module', module) : (
                     <div 
                         key={module.id} 
                         className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 hover:shadow-xl transition duration-300 cursor-pointer"
@@ -637,26 +2278,418 @@ const App = () => {
                     >
                         <h2 className="text-xl font-bold text-indigo-700 mb-2">
                             Module {index + 1}: {module.title}
+                            <HumanEditedBadge item={module} />
                         </h2>
                         <p className="text-gray-600 text-sm italic">{module.objective}</p>
-                        <div className="mt-4 text-sm font-semibold text-indigo-500 hover:text-indigo-600">
-                            View Topics →
+                        <div className="mt-4">
+                            <ProgressBar progress={moduleProgress(module.id)} label="Progress" />
+                        </div>
+                        <div className="mt-4 flex justify-between text-sm font-semibold">
+                            <span className="text-indigo-500 hover:text-indigo-600">View Topics →</span>
+                            <span className="space-x-4">
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); handleStartEdit('regenerate-module', module.id); }}
+                                    className="text-gray-500 hover:text-amber-600"
+                                >
+                                    Regenerate…
+                                </button>
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); handleStartEdit('module', module.id); }}
+                                    className="text-gray-500 hover:text-indigo-600"
+                                >
+                                    Edit
+                                </button>
+                            </span>
                         </div>
                     </div>
                 ))}
             </div>
             
              <Button 
-                onClick={handleGenerateCourse} 
+                onClick={handleRegenerateCourse} 
                 className="mt-6"
-                disabled={isLoading}
+                disabled={isLoading || activeJob?.status === 'running'}
             >
-                {isLoading ? 'Regenerating Course...' : 'Regenerate Course (Warning: This will overwrite current data)'}
+                {isLoading ? 'Regenerating Course...' : 'Regenerate Course (current version is kept as a snapshot)'}
             </Button>
+
+            <SourceDocumentsPanel />
+
+            <PublishPanel />
+
+            <CourseUsagePanel />
+
+            <ExportPanel />
+
+            <SnapshotsPanel />
+
+            <button
+                onClick={() => handleDeleteCourse(course)}
+                disabled={isLoading}
+                className="text-sm font-semibold text-red-600 hover:text-red-800"
+            >
+                Delete Course
+            </button>
+        </div>
+    );
+
+    // Progress summaries derived from the user's quiz attempts
+    const topicSummary = summarizeTopicAttempts(attempts);
+    const courseProgress = computeProgress(courseTopics.map(t => t.id), topicSummary);
+    const moduleProgress = (moduleId) => computeProgress(
+        courseTopics.filter(t => t.moduleId === moduleId).map(t => t.id),
+        topicSummary
+    );
+
+    const ProgressBar = ({ progress, label }) => (
+        <div className="space-y-1">
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>{label}</span>
+                <span>{progress.passed}/{progress.total} topics passed ({progress.percent}%)</span>
+            </div>
+            <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-2 bg-green-500 transition-all duration-500" style={{ width: `${progress.percent}%` }} />
+            </div>
+        </div>
+    );
+
+    // Previous quiz attempts of the user for the active topic
+    const QuizAttemptHistory = () => {
+        const topicAttempts = attempts.filter(a => a.topicId === activeTopic.id);
+        if (topicAttempts.length === 0) return null;
+        return (
+            <div className="space-y-2">
+                <h3 className="font-bold text-gray-700">Attempt History</h3>
+                <ul className="text-sm divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {topicAttempts.map((attempt) => (
+                        <li key={attempt.id} className="flex justify-between p-2">
+                            <span className="text-gray-600">{formatDate(attempt.createdAt)}</span>
+                            <span className="font-semibold text-gray-800">{attempt.score}/{attempt.total} ({attempt.percent}%)</span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    // Marks content changed by a person, which regeneration protects
+    // Called as a function (not <Component />) so the panel keeps its draft across re-renders
+    const renderRegeneratePanel = (kind, item) => (
+        <RegenerateItemPanel
+            key={`regenerate-${item.id}`}
+            kind={kind}
+            item={item}
+            onPreview={(instructions) => handlePreviewRegeneration(kind, item, instructions)}
+            onAccept={(fields, instructions) => handleAcceptRegeneration(kind, item, fields, instructions)}
+            onCancel={handleCancelEdit}
+            disabled={isLoading}
+        />
+    );
+
+    const HumanEditedBadge = ({ item }) => item.humanEdited ? (
+        <span
+            className="ml-2 align-middle text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-700"
+            title={`Edited ${formatDate(item.editedAt)}`}
+        >
+            Human-edited
+        </span>
+    ) : null;
+
+    // Live progress of the latest generation job, fed by the job document
+    const GenerationProgressPanel = () => {
+        const steps = activeJob.stepOrder.map(stepId => ({ id: stepId, ...activeJob.steps[stepId] }));
+        const completedCount = steps.filter(step => step.status === 'completed').length;
+        const failedCount = steps.filter(step => step.status === 'failed').length;
+        const statusStyles = {
+            pending: 'text-gray-400',
+            running: 'text-indigo-600 animate-pulse',
+            completed: 'text-green-600',
+            failed: 'text-red-600',
+        };
+        const statusIcons = { pending: '○', running: '◐', completed: '✓', failed: '✗' };
+
+        return (
+            <div className="p-6 bg-white rounded-2xl shadow-lg border border-indigo-100 space-y-4">
+                <div className="flex justify-between items-center">
+                    <h2 className="text-xl font-bold text-gray-700">
+                        Generation {activeJob.status === 'failed' ? 'stopped' : 'in progress'}
+                        <span className="ml-2 text-sm font-normal text-gray-500">
+                            {completedCount}/{steps.length} steps{failedCount > 0 && ` · ${failedCount} failed`}
+                        </span>
+                    </h2>
+                    {isJobResumable(activeJob) && (
+                        <Button onClick={handleResumeJob} className="!w-auto !py-2 !px-4 !text-sm">
+                            {failedCount > 0 ? 'Retry Failed Steps' : 'Resume Generation'}
+                        </Button>
+                    )}
+                </div>
+                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                        className="h-2 bg-indigo-500 transition-all duration-500"
+                        style={{ width: `${(completedCount / steps.length) * 100}%` }}
+                    />
+                </div>
+                <ul className="space-y-1 text-sm">
+                    {steps.map((step) => (
+                        <li key={step.id} className="flex items-start space-x-2">
+                            <span className={`font-mono ${statusStyles[step.status]}`}>{statusIcons[step.status]}</span>
+                            <span className="text-gray-700">
+                                {step.label}
+                                {step.error && <span className="block text-xs text-red-600">{step.error}</span>}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    // Blueprint the active course was generated with
+    const BlueprintSummary = () => {
+        const blueprint = resolveBlueprint(course.blueprint);
+        return (
+            <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                {[
+                    `${blueprint.moduleCount} modules × ${blueprint.topicsPerModule} topics`,
+                    blueprint.level,
+                    `${blueprint.totalHours} hours`,
+                    blueprint.language,
+                    `${blueprint.tone} tone`,
+                    `Questions: ${resolveQuestionTypes(blueprint.questionTypes).map(type => QUESTION_TYPES[type]).join(', ')}`,
+                    blueprint.prerequisites && `Prerequisites: ${blueprint.prerequisites}`,
+                ].filter(Boolean).map((label) => (
+                    <span key={label} className="px-2 py-1 rounded-full bg-indigo-50 text-indigo-600">{label}</span>
+                ))}
+            </div>
+        );
+    };
+
+    // What is still unapproved in the active course, with open comment threads per topic
+    const reviewSummary = summarizeReview(modules, courseTopics);
+    const ReviewDashboard = () => courseTopics.length > 0 && (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+            <h2 className="text-2xl font-bold text-gray-700">Review Status</h2>
+            <div className="flex flex-wrap gap-3 text-sm">
+                {Object.entries(reviewSummary.counts).filter(([state]) => state !== 'published').map(([state, count]) => (
+                    <span key={state} className="flex items-center space-x-1">
+                        <ReviewBadge status={state} /> <span className="text-gray-600">{count}</span>
+                    </span>
+                ))}
+            </div>
+            {reviewSummary.unapproved.length === 0 ? (
+                <p className="text-sm text-green-700">Every topic is approved.</p>
+            ) : (
+                <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl max-h-80 overflow-y-auto">
+                    {reviewSummary.unapproved.map(({ module, topic, status, number }) => (
+                        <li
+                            key={topic.id}
+                            onClick={() => handleOpenTopic(module, topic)}
+                            className="flex justify-between items-center p-3 text-sm cursor-pointer hover:bg-gray-50"
+                        >
+                            <span className="text-gray-700">{number} {topic.title}</span>
+                            <span className="flex items-center space-x-2">
+                                {openThreadCount(comments, topic.id) > 0 && (
+                                    <span className="text-xs text-gray-500">{openThreadCount(comments, topic.id)} open comment(s)</span>
+                                )}
+                                <ReviewBadge status={status} />
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+
+    // Reference material of the active course: uploaded documents that generation prompts draw on
+    const SourceDocumentsPanel = () => (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+            <h2 className="text-2xl font-bold text-gray-700">Source Documents</h2>
+            <p className="text-sm text-gray-500">
+                Slides, PDFs, Word documents and wiki pages of your organisation. Every generation for this course
+                (modules, topics, questions, labs and regenerations) is given the most relevant passages. Content generated
+                before a document was added does not change until it is regenerated.
+            </p>
+            {courseSources.length > 0 && (
+                <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl text-sm">
+                    {courseSources.map(source => (
+                        <li key={source.id} className="flex justify-between items-center p-3">
+                            <span className="text-gray-700">
+                                {source.name}
+                                <span className="ml-2 text-xs text-gray-400">
+                                    {SOURCE_FILE_TYPES[source.fileType] || source.fileType} · {source.chunkCount} passages · {formatDate(source.createdAt)}
+                                </span>
+                                {!isSourceReady(source) && (
+                                    <span className="ml-2 text-xs font-semibold text-amber-600">
+                                        Upload incomplete, not used for generation. Remove it and upload the file again if it stays like this.
+                                    </span>
+                                )}
+                            </span>
+                            {canEdit && (
+                                <button onClick={() => handleDeleteSource(source)} disabled={isLoading} className="text-xs font-semibold text-red-600 hover:text-red-800">
+                                    Remove
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {canEdit && (
+                <input
+                    type="file"
+                    multiple
+                    accept={SOURCE_FILE_ACCEPT}
+                    disabled={isLoading}
+                    onChange={(e) => { handleUploadSources([...e.target.files]); e.target.value = ''; }}
+                    className="block text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-600 file:text-white file:font-semibold hover:file:bg-indigo-700"
+                />
+            )}
+        </div>
+    );
+
+    // AI tokens and estimated cost spent on the active course, per module
+    const CourseUsagePanel = () => {
+        if (courseUsage.length === 0) return null;
+        const { total, groups } = rollupUsage(courseUsage, e => e.moduleId);
+        const describe = (totals) => `${totals.requests} request(s), ${formatTokens(totals.inputTokens + totals.outputTokens)} tokens, ${formatCost(totals.cost)}`;
+        return (
+            <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+                <h2 className="text-2xl font-bold text-gray-700">AI Usage</h2>
+                <p className="text-sm text-gray-600">
+                    {describe(total)} (estimated cost) for this course, including earlier versions.
+                </p>
+                <ul className="divide-y divide-gray-100 text-sm">
+                    {modules.filter(m => groups[m.id]).map(m => (
+                        <li key={m.id} className="flex justify-between py-2">
+                            <span className="text-gray-700">{m.title}</span>
+                            <span className="text-gray-500">{describe(groups[m.id])}</span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    // Publish / unpublish the active course to the public catalog
+    const PublishPanel = () => (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+            <h2 className="text-2xl font-bold text-gray-700">Catalog</h2>
+            <p className="text-sm text-gray-500">
+                {course.publishedAt
+                    ? `Published as version ${course.publishedVersion} on ${formatDate(course.publishedAt)}. Later changes stay private until you update the published version.`
+                    : 'Publishing copies the current version into the public catalog, where other teams can read and clone it.'}
+            </p>
+            <div className="flex flex-wrap gap-3">
+                <Button onClick={handlePublishCourse} disabled={activeJob?.status === 'running'} className="!w-auto !py-2 !px-4 !text-sm">
+                    {course.publishedAt ? 'Update Published Version' : 'Publish to Catalog'}
+                </Button>
+                {course.publishedAt && (
+                    <button onClick={handleUnpublishCourse} disabled={isLoading} className="text-sm font-semibold text-red-600 hover:text-red-800">
+                        Unpublish
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+
+    // Download the active course in LMS / interchange formats
+    const ExportPanel = () => (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-4">
+            <h2 className="text-2xl font-bold text-gray-700">Export</h2>
+            <p className="text-sm text-gray-500">
+                SCORM packages contain one lesson per topic (content and lab) and one scored quiz per topic with questions.
+                Question banks keep the course / module / topic categories on import.
+                The HTML site and the printable version include the answer key and can be shared without a login.
+            </p>
+            <div className="flex flex-wrap gap-3">
+                <Button onClick={() => handleExportScorm('1.2')} className="!w-auto !py-2 !px-4 !text-sm">
+                    Export SCORM 1.2
+                </Button>
+                <Button onClick={() => handleExportScorm('2004')} className="!w-auto !py-2 !px-4 !text-sm">
+                    Export SCORM 2004
+                </Button>
+                <Button onClick={handleExportStaticSite} className="!w-auto !py-2 !px-4 !text-sm">
+                    Export HTML Site
+                </Button>
+                <Button onClick={handlePrintCourse} className="!w-auto !py-2 !px-4 !text-sm">
+                    Print / PDF
+                </Button>
+                <Button onClick={handleExportCourseJson} className="!w-auto !py-2 !px-4 !text-sm">
+                    Export JSON Outline
+                </Button>
+            </div>
+            <QuestionBankExportButtons label="Whole question bank" />
+        </div>
+    );
+
+    // MCQ export links for the course, a module or a topic; categories follow course / module / topic
+    const QuestionBankExportButtons = ({ label, scope = {}, scopeTitle = course.title }) => (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium text-gray-600">{label}:</span>
+            {QUESTION_BANK_FORMATS.map(format => (
+                <button
+                    key={format.id}
+                    onClick={() => handleExportQuestionBank(format.id, scope, scopeTitle)}
+                    disabled={isLoading}
+                    className="font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                >
+                    {format.label}
+                </button>
+            ))}
+        </div>
+    );
+
+    // Snapshot list with compare / restore actions for the active course
+    const SnapshotsPanel = () => (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-4">
+            <h2 className="text-2xl font-bold text-gray-700">Snapshots ({snapshots.length})</h2>
+            {snapshots.length === 0 && (
+                <p className="text-sm text-gray-500">A snapshot of the current version is saved every time the course is regenerated.</p>
+            )}
+            {snapshots.map((snapshot) => (
+                <div key={snapshot.id} className="flex flex-wrap justify-between items-center gap-2 p-3 border border-gray-200 rounded-lg bg-gray-50">
+                    <div>
+                        <p className="font-medium text-gray-800">{snapshot.name}</p>
+                        <p className="text-xs text-gray-500">
+                            {formatDate(snapshot.createdAt)} · {snapshot.moduleCount} modules · {snapshot.topicCount} topics
+                        </p>
+                    </div>
+                    <div className="flex space-x-3 text-sm font-semibold">
+                        <button onClick={() => handleCompareSnapshot(snapshot)} className="text-indigo-600 hover:text-indigo-800">Compare</button>
+                        <button onClick={() => handleRestoreSnapshot(snapshot)} disabled={isLoading} className="text-indigo-600 hover:text-indigo-800">Restore</button>
+                        <button onClick={() => handleDeleteSnapshot(snapshot)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>
+            ))}
+
+            {snapshotComparison && (
+                <div className="p-4 border border-indigo-200 rounded-lg bg-indigo-50 space-y-3">
+                    <div className="flex justify-between items-center">
+                        <h3 className="font-bold text-indigo-700">Changes since "{snapshotComparison.snapshot.name}"</h3>
+                        <button onClick={() => setSnapshotComparison(null)} className="text-xs text-gray-500 hover:text-gray-700">Close</button>
+                    </div>
+                    {snapshotComparison.changes.length === 0 ? (
+                        <p className="text-sm text-gray-600">The current version matches this snapshot.</p>
+                    ) : snapshotComparison.changes.map((change) => (
+                        <div key={change.index} className="text-sm">
+                            <p className={`font-semibold ${change.status === 'removed' ? 'text-red-700' : change.status === 'added' ? 'text-green-700' : 'text-gray-800'}`}>
+                                {change.status === 'removed' ? '−' : change.status === 'added' ? '+' : '~'} Module {change.index}: {change.title}
+                                {change.previousTitle && <span className="font-normal text-gray-500"> (was "{change.previousTitle}")</span>}
+                            </p>
+                            <ul className="pl-6">
+                                {change.topics.map((topic) => (
+                                    <li key={`${topic.status}-${topic.title}`} className={topic.status === 'removed' ? 'text-red-600' : 'text-green-600'}>
+                                        {topic.status === 'removed' ? '−' : '+'} {topic.title}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
     );
 
-    // 4.3 Module Detail View (Topics List)
+    // 4.4 Module Detail View (Topics List)
     const ModuleDetailView = () => (
         <div className="space-y-6">
             <button 
@@ -669,12 +2702,41 @@ const App = () => {
                 Back to Modules
             </button>
             
-            <h1 className="text-3xl font-extrabold text-gray-800 border-b pb-2">
-                <span className="text-xl font-light text-indigo-500 mr-2">Module:</span>
-                {activeModule.title}
-            </h1>
-            <p className="text-lg text-gray-600 italic">{activeModule.objective}</p>
+            {isEditing('module', activeModule.id) ? (
+                <ModuleEditor
+                    module={activeModule}
+                    onSave={(fields) => handleSaveEdit('modules', activeModule.id, fields)}
+                    onCancel={handleCancelEdit}
+                    disabled={isLoading}
+                />
+            ) : isEditing('regenerate-module', activeModule.id) ? renderRegeneratePanel('module', activeModule) : (
+                <>
+                    <div className="flex justify-between items-end border-b pb-2">
+                        <h1 className="text-3xl font-extrabold text-gray-800">
+                            <span className="text-xl font-light text-indigo-500 mr-2">Module:</span>
+                            {activeModule.title}
+                            <HumanEditedBadge item={activeModule} />
+                        </h1>
+                        <div className="space-x-4">
+                            <button onClick={() => handleStartEdit('regenerate-module', activeModule.id)} className="text-sm font-semibold text-amber-600 hover:text-amber-800">
+                                Regenerate…
+                            </button>
+                            <button onClick={() => handleStartEdit('module', activeModule.id)} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                                Edit Module
+                            </button>
+                        </div>
+                    </div>
+                    <p className="text-lg text-gray-600 italic">{activeModule.objective}</p>
+                </>
+            )}
             
+            <ProgressBar progress={moduleProgress(activeModule.id)} label="Module progress" />
+            <QuestionBankExportButtons
+                label="Export module questions"
+                scope={{ moduleId: activeModule.id }}
+                scopeTitle={activeModule.title}
+            />
+
             <h2 className="text-2xl font-bold text-gray-700 mt-8 mb-4">Topics ({topics.length})</h2>
             
             <div className="space-y-4">
@@ -686,9 +2748,16 @@ const App = () => {
                     >
                         <h3 className="text-xl font-semibold text-gray-800">
                             {activeModule.order}.{index + 1}. {topic.title}
+                            <HumanEditedBadge item={topic} />
+                            <span className="ml-2 align-middle"><ReviewBadge status={topicReviewStatus(topic)} /></span>
+                            {topicSummary[topic.id] && (
+                                <span className={`ml-2 align-middle text-xs font-semibold px-2 py-0.5 rounded-full ${topicSummary[topic.id].passed ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                    Best quiz score {topicSummary[topic.id].bestPercent}%
+                                </span>
+                            )}
                         </h3>
                         <p className="text-sm text-gray-500 mt-2 line-clamp-2">
-                            {topic.content.substring(0, 150)}...
+                            {markdownToPlainText(topic.content).substring(0, 150)}...
                         </p>
                         <div className="mt-3 text-xs font-semibold text-indigo-500 hover:text-indigo-600">
                             View Topic Content & Assets →
@@ -703,7 +2772,19 @@ const App = () => {
         </div>
     );
 
-    // 4.4 Topic Detail View (Content and Assets)
+    // 4.5 Topic Detail View (Content and Assets)
+    // Topic-level AI calls (content, MCQs, lab, regenerations); the topic's share of its module's
+    // topics call is counted on the module
+    const TopicUsageSummary = () => {
+        const { total } = rollupUsage(courseUsage.filter(e => e.topicId === activeTopic.id));
+        if (total.requests === 0) return null;
+        return (
+            <p className="text-sm text-gray-500">
+                AI usage: {total.requests} request(s), {formatTokens(total.inputTokens + total.outputTokens)} tokens, about {formatCost(total.cost)}.
+            </p>
+        );
+    };
+
     const TopicDetailView = () => (
         <div className="space-y-6">
             <button 
@@ -721,10 +2802,19 @@ const App = () => {
                 {activeTopic.title}
             </h1>
 
+            <ReviewStatusBar
+                label="Topic review"
+                status={topicReviewStatus(activeTopic)}
+                transitions={availableTransitions('topic', topicReviewStatus(activeTopic), workspaceRole)}
+                onTransition={(transition) => handleReviewTransition('topic', activeTopic, transition)}
+                disabled={isLoading}
+            />
+            <TopicUsageSummary />
+
             {/* Tabs Navigation */}
             <div className="border-b border-gray-200">
                 <nav className="-mb-px flex space-x-8" aria-label="Tabs">
-                    {['content', 'mcqs', 'lab'].map((tab) => (
+                    {['content', 'mcqs', 'lab', 'quiz'].map((tab) => (
                         <button
                             key={tab}
                             onClick={() => setSelectedTab(tab)}
@@ -735,8 +2825,9 @@ const App = () => {
                             }`}
                         >
                             {tab === 'content' && 'Content Draft'}
-                            {tab === 'mcqs' && `MCQs (${mcqs.length})`}
+                            {tab === 'mcqs' && `Questions (${mcqs.length})`}
                             {tab === 'lab' && (lab ? 'Practice Lab (Generated)' : 'Practice Lab (Draft)')}
+                            {tab === 'quiz' && 'Learner Quiz'}
                         </button>
                     ))}
                 </nav>
@@ -746,42 +2837,118 @@ const App = () => {
             <div className="bg-white p-6 rounded-xl shadow-lg min-h-[300px]">
                 {selectedTab === 'content' && (
                     <div className="space-y-4">
-                        <h2 className="text-2xl font-semibold text-gray-700">Theoretical Content Draft</h2>
-                        <p className="text-gray-600 whitespace-pre-wrap">{activeTopic.content}</p>
+                        <div className='flex justify-between items-center'>
+                            <h2 className="text-2xl font-semibold text-gray-700">
+                                Theoretical Content Draft
+                                <HumanEditedBadge item={activeTopic} />
+                            </h2>
+                            {!isEditing('topic', activeTopic.id) && !isEditing('regenerate-topic', activeTopic.id) && (
+                                <div className="space-x-4">
+                                    <button onClick={() => handleStartEdit('regenerate-topic', activeTopic.id)} className="text-sm font-semibold text-amber-600 hover:text-amber-800">
+                                        Regenerate…
+                                    </button>
+                                    <button onClick={() => handleStartEdit('topic', activeTopic.id)} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                                        Edit Content
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        {isEditing('topic', activeTopic.id) ? (
+                            <TopicContentEditor
+                                topic={activeTopic}
+                                onSave={(fields) => handleSaveEdit('topics', activeTopic.id, fields)}
+                                onCancel={handleCancelEdit}
+                                disabled={isLoading}
+                            />
+                        ) : isEditing('regenerate-topic', activeTopic.id) ? renderRegeneratePanel('topic', activeTopic) : (
+                            <>
+                                <MarkdownContent markdown={activeTopic.content} />
+                                <References citations={activeTopic.citations} />
+                            </>
+                        )}
                     </div>
                 )}
                 
                 {selectedTab === 'mcqs' && (
                     <div className="space-y-6">
                         <div className='flex justify-between items-center'>
-                            <h2 className="text-2xl font-semibold text-gray-700">Multiple Choice Questions</h2>
-                            <Button 
-                                onClick={handleGenerateMCQs} 
+                            <h2 className="text-2xl font-semibold text-gray-700">Assessment Questions</h2>
+                            <div className="flex items-center space-x-4">
+                                <button
+                                    onClick={() => handleStartEdit('new-mcq', activeTopic.id)}
+                                    disabled={isLoading}
+                                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                                >
+                                    Add Question
+                                </button>
+                                <Button 
+                                    onClick={handleGenerateMCQs} 
+                                    disabled={isLoading}
+                                    className="!w-auto !py-2 !px-4 !text-sm"
+                                >
+                                    {mcqs.length > 0 ? 'Regenerate Questions' : 'Generate Questions'}
+                                </Button>
+                            </div>
+                        </div>
+                        <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+                            <p className="text-sm font-medium text-gray-700">Question types to generate</p>
+                            <QuestionTypePicker
+                                value={questionTypeSelection || resolveQuestionTypes(resolveBlueprint(course.blueprint).questionTypes)}
+                                onChange={setQuestionTypeSelection}
                                 disabled={isLoading}
-                                className="!w-auto !py-2 !px-4 !text-sm"
-                            >
-                                {mcqs.length > 0 ? 'Regenerate MCQs' : 'Generate MCQs'}
-                            </Button>
+                            />
                         </div>
+                        {mcqs.length > 0 && (
+                            <QuestionBankExportButtons
+                                label="Export topic questions"
+                                scope={{ moduleId: activeModule.id, topicId: activeTopic.id }}
+                                scopeTitle={activeTopic.title}
+                            />
+                        )}
+                        {isEditing('new-mcq', activeTopic.id) && (
+                            <McqEditor
+                                mcq={emptyQuestion('single')}
+                                onSave={handleAddQuestion}
+                                onCancel={handleCancelEdit}
+                                disabled={isLoading}
+                            />
+                        )}
                         {mcqs.length === 0 && !isLoading && (
                              <div className="p-4 text-center text-gray-500 bg-gray-50 rounded-xl">
-                                Click 'Generate MCQs' to create assessment questions based on the topic content.
+                                Click 'Generate Questions' to create assessment questions based on the topic content, or add your own.
                             </div>
                         )}
-                        {mcqs.map((mcq, index) => (
+                        {mcqs.map((mcq, index) => isEditing('mcq', mcq.id) ? (
+                            <McqEditor
+                                key={mcq.id}
+                                mcq={mcq}
+                                onSave={(fields) => handleSaveEdit('assets', mcq.id, fields)}
+                                onCancel={handleCancelEdit}
+                                disabled={isLoading}
+                            />
+                        ) : isEditing('regenerate-mcq', mcq.id) ? renderRegeneratePanel('mcq', mcq) : (
                             <div key={mcq.id} className="p-4 border border-gray-200 rounded-lg bg-gray-50">
-                                <p className="font-medium text-gray-800 mb-2">Q{index + 1}: {mcq.question}</p>
-                                <ul className="space-y-1 text-sm">
-                                    {mcq.options && mcq.options.map((option, optIndex) => (
-                                        <li 
-                                            key={optIndex} 
-                                            className={`p-1 rounded ${mcq.correctIndex === optIndex ? 'bg-green-100 text-green-800 font-semibold' : 'text-gray-600'}`}
-                                        >
-                                            <span className="font-mono text-xs mr-2 text-indigo-500">{String.fromCharCode(65 + optIndex)}.</span>
-                                            {option}
-                                        </li>
-                                    ))}
-                                </ul>
+                                <div className="flex justify-between items-start mb-2">
+                                    <p className="font-medium text-gray-800">
+                                        Q{index + 1}: {mcq.question}
+                                        <span className="ml-2 align-middle text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-600">
+                                            {QUESTION_TYPES[questionTypeOf(mcq)]}
+                                        </span>
+                                        <HumanEditedBadge item={mcq} />
+                                    </p>
+                                    <div className="ml-4 flex space-x-4 text-sm font-semibold">
+                                        <button onClick={() => handleStartEdit('regenerate-mcq', mcq.id)} className="text-amber-600 hover:text-amber-800">
+                                            Regenerate…
+                                        </button>
+                                        <button onClick={() => handleStartEdit('mcq', mcq.id)} className="text-indigo-600 hover:text-indigo-800">
+                                            Edit
+                                        </button>
+                                        <button onClick={() => handleDeleteQuestion(mcq)} className="text-red-500 hover:text-red-700">
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                                <QuestionAnswerView question={mcq} />
                             </div>
                         ))}
                     </div>
@@ -800,26 +2967,44 @@ const App = () => {
                             </Button>
                         </div>
 
-                        {lab ? (
+                        {lab && isEditing('lab', lab.id) ? (
+                            <LabEditor
+                                lab={lab}
+                                onSave={(fields) => handleSaveEdit('assets', lab.id, fields)}
+                                onCancel={handleCancelEdit}
+                                disabled={isLoading}
+                            />
+                        ) : lab && isEditing('regenerate-lab', lab.id) ? renderRegeneratePanel('lab', lab) : lab ? (
                             <div className="space-y-4">
+                                <div className="flex justify-end items-center">
+                                    <HumanEditedBadge item={lab} />
+                                    <button onClick={() => handleStartEdit('regenerate-lab', lab.id)} className="ml-4 text-sm font-semibold text-amber-600 hover:text-amber-800">
+                                        Regenerate…
+                                    </button>
+                                    <button onClick={() => handleStartEdit('lab', lab.id)} className="ml-4 text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                                        Edit Lab
+                                    </button>
+                                </div>
                                 <div className="p-4 bg-indigo-50 rounded-lg">
                                     <h3 className="font-bold text-indigo-700 mb-1">Problem Statement/User Story</h3>
-                                    <p className="text-gray-800">{lab.problemStatement}</p>
+                                    <MarkdownContent markdown={lab.problemStatement} />
                                 </div>
 
                                 <div>
                                     <h3 className="font-bold text-gray-700 mb-2">Steps to Complete the Lab</h3>
                                     <ol className="list-decimal list-inside space-y-2 pl-4">
                                         {lab.steps && Array.isArray(lab.steps) && lab.steps.map((step, index) => (
-                                            <li key={index} className="text-gray-600">{step}</li>
+                                            <li key={index} className="text-gray-600"><MarkdownContent markdown={step} className="inline-block align-top" /></li>
                                         ))}
                                     </ol>
                                 </div>
 
                                 <div className="p-4 bg-green-50 rounded-lg border border-green-200">
                                     <h3 className="font-bold text-green-700 mb-1">Expected Outcome</h3>
-                                    <p className="text-gray-800">{lab.expectedOutcome}</p>
+                                    <MarkdownContent markdown={lab.expectedOutcome} />
                                 </div>
+
+                                <References citations={lab.citations} />
                             </div>
                         ) : !isLoading && (
                             <div className="p-4 text-center text-gray-500 bg-gray-50 rounded-xl">
@@ -828,8 +3013,43 @@ const App = () => {
                         )}
                     </div>
                 )}
+
+                {selectedTab === 'quiz' && (
+                    <div className="space-y-6">
+                        <h2 className="text-2xl font-semibold text-gray-700">Learner Quiz</h2>
+                        {mcqs.length === 0 ? (
+                            <div className="p-4 text-center text-gray-500 bg-gray-50 rounded-xl">
+                                This topic has no questions yet. Generate or add them in the Questions tab first.
+                            </div>
+                        ) : (
+                            <TopicQuiz
+                                key={`${activeTopic.id}-${mcqs.map(m => m.id).join(',')}`}
+                                mcqs={mcqs}
+                                onSubmitAttempt={handleSubmitQuizAttempt}
+                            />
+                        )}
+                        <QuizAttemptHistory />
+                    </div>
+                )}
                 
             </div>
+
+            {selectedTab !== 'quiz' && (
+                <CommentThreads
+                    comments={comments.filter(c => c.topicId === activeTopic.id)}
+                    anchors={[
+                        { kind: 'topic', id: activeTopic.id, label: 'Topic content' },
+                        ...mcqs.map((mcq, index) => ({ kind: 'mcq', id: mcq.id, label: `Question ${index + 1}` })),
+                        ...(lab ? [{ kind: 'lab', id: lab.id, label: 'Practice lab' }] : []),
+                    ]}
+                    userId={userId}
+                    canComment={canComment}
+                    onAdd={handleAddComment}
+                    onResolve={handleResolveThread}
+                    onDelete={handleDeleteComment}
+                    disabled={isLoading}
+                />
+            )}
             
             {error && <div className="mt-4 p-4 text-red-700 bg-red-100 rounded-lg border border-red-300 text-sm">{error}</div>}
 
@@ -839,6 +3059,24 @@ const App = () => {
 
     // --- 5. MAIN RENDER LOGIC ---
 
+    // Signing in with the environment's token failed: there is no account to load data for
+    if (authError) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+                <div className="p-8 bg-white rounded-xl shadow-2xl max-w-lg text-center space-y-4">
+                    <h1 className="text-2xl font-bold text-red-600">Sign-in Failed</h1>
+                    <p className="text-gray-600">{authError}</p>
+                    <button
+                        onClick={() => window.location.reload()}
+                        className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow"
+                    >
+                        Try Again
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     // Handle initialization and major errors
     if (error && !isAuthReady) {
         return (
@@ -865,6 +3103,23 @@ const App = () => {
         );
     }
     
+    if (!userId) {
+        return (
+            <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans flex items-center">
+                <div className="w-full">
+                    <AuthScreen
+                        onEmailSignIn={handleEmailSignIn}
+                        onEmailSignUp={handleEmailSignUp}
+                        onGoogleSignIn={handleGoogleSignIn}
+                        onContinueAsGuest={handleContinueAsGuest}
+                        error={accountError}
+                        disabled={isLoading}
+                    />
+                </div>
+            </div>
+        );
+    }
+
     // Main UI structure
     return (
         <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
@@ -876,11 +3131,40 @@ const App = () => {
                     <svg className="h-6 w-6 text-indigo-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13M18.673 18.552a7.5 7.5 0 00-15.346 0M12 6.253v13M2.28 10.373A12.5 12.5 0 0112 2c5.07 0 9.4 2.164 12.55 6.373M12 6.253V13" />
                     </svg>
-                    <span className="text-lg font-bold text-gray-800">AI Course Designer</span>
-                </div>
-                <div className="text-sm text-gray-500 bg-white p-2 rounded-full shadow-sm">
-                    User ID: <span className="font-mono text-xs">{userId || 'Loading...'}</span>
+                    <button onClick={handleViewLibrary} className="text-lg font-bold text-gray-800 !p-0 !bg-transparent">
+                        AI Course Designer
+                    </button>
                 </div>
+                <WorkspaceSwitcher
+                    workspaces={workspaces}
+                    activeWorkspaceId={activeWorkspaceId}
+                    role={workspaceRole}
+                    onSwitch={handleSwitchWorkspace}
+                    onCreate={handleCreateWorkspace}
+                    onManage={handleManageWorkspace}
+                    disabled={isLoading || authProfile?.isAnonymous}
+                />
+                <button
+                    onClick={handleViewCatalog}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 !bg-transparent"
+                >
+                    Course Catalog
+                </button>
+                <button
+                    onClick={handleViewUsage}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 !bg-transparent"
+                >
+                    AI Usage
+                </button>
+                <button
+                    onClick={() => setCurrentView('settings')}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 !bg-transparent"
+                >
+                    AI Settings ({llmSettings.provider})
+                </button>
+                {authProfile && (
+                    <ProfileMenu profile={authProfile} onSaveAccount={handleOpenAccountForm} onSignOut={handleSignOut} />
+                )}
             </header>
 
             <main className="max-w-4xl mx-auto">
@@ -889,17 +3173,104 @@ const App = () => {
                         **Error:** {error}
                     </div>
                 )}
+                {activeWorkspace && !canEdit && !isCatalogView && (
+                    <div className="mb-4 p-3 text-sm text-gray-600 bg-gray-100 rounded-lg border border-gray-200">
+                        You have read-only access to this workspace as {WORKSPACE_ROLES[workspaceRole]?.label || 'a former member'}.
+                    </div>
+                )}
                 
-                {/* Routing based on state */}
+                {/* Routing based on state. Views are called as plain functions (they use no hooks) so
+                    stateful children such as editors and quizzes keep their state across re-renders. */}
                 {(() => {
-                    if (!course && !isLoading) {
-                        return <HomeView />;
-                    } else if (currentView === 'modules' || (course && !activeModule)) {
-                        return <ModulesView />;
+                    if (isAccountFormOpen) {
+                        return (
+                            <AuthScreen
+                                isUpgrade
+                                onEmailSignIn={handleEmailSignIn}
+                                onEmailSignUp={handleEmailSignUp}
+                                onGoogleSignIn={handleGoogleSignIn}
+                                onCancel={() => setIsAccountFormOpen(false)}
+                                error={accountError}
+                                disabled={isLoading}
+                            />
+                        );
+                    } else if (currentView === 'settings') {
+                        return (
+                            <LlmSettingsForm
+                                settings={llmSettings}
+                                onSave={canManageSettings ? handleSaveLlmSettings : null}
+                                onCancel={() => setCurrentView(course ? 'modules' : 'library')}
+                                disabled={isLoading || !canManageSettings}
+                            />
+                        );
+                    } else if (currentView === 'usage') {
+                        return (
+                            <UsageDashboard
+                                month={monthKey()}
+                                usageMonths={usageMonths}
+                                monthEvents={monthUsageEvents}
+                                userId={userId}
+                                quota={llmSettings.quota}
+                                memberName={memberName}
+                                courseTitle={(courseId) => courses?.find(c => c.id === courseId)?.title || null}
+                                onEditQuota={canManageSettings ? () => setCurrentView('settings') : null}
+                                onClose={course ? handleViewModulesList : handleViewLibrary}
+                            />
+                        );
+                    } else if (currentView === 'workspace') {
+                        if (!activeWorkspace) {
+                            return <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">Loading workspace...</div>;
+                        }
+                        return (
+                            <WorkspaceMembers
+                                workspace={activeWorkspace}
+                                userId={userId}
+                                invitations={workspaceInvitations}
+                                onInvite={handleInviteMember}
+                                onChangeRole={handleChangeMemberRole}
+                                onRemoveMember={handleRemoveMember}
+                                onRevokeInvitation={handleRevokeInvitation}
+                                onLeave={handleLeaveWorkspace}
+                                onClose={handleViewLibrary}
+                                disabled={isLoading}
+                            />
+                        );
+                    } else if (currentView === 'home') {
+                        return HomeView();
+                    } else if (currentView === 'catalog') {
+                        return (
+                            <CatalogView
+                                entries={catalogEntries}
+                                onOpen={handleOpenCatalogEntry}
+                                onClone={handleCloneCatalogEntry}
+                                disabled={isLoading}
+                            />
+                        );
+                    } else if (currentView === 'catalogEntry') {
+                        if (!activeCatalogEntry || !activeCatalogOutline) {
+                            return (
+                                <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">
+                                    {catalogEntries === null || activeCatalogEntry ? 'Loading course...' : 'This course is no longer published.'}
+                                </div>
+                            );
+                        }
+                        return (
+                            <CatalogEntryView
+                                entry={activeCatalogEntry}
+                                outline={activeCatalogOutline}
+                                onBack={handleViewCatalog}
+                                onClone={handleCloneCatalogEntry}
+                                disabled={isLoading}
+                            />
+                        );
+                    } else if (currentView === 'library' || !course) {
+                        return CourseLibraryView();
+                    } else if ((currentView === 'modules' || !activeModule) && !pendingRoute?.moduleId) {
+                        return ModulesView();
                     } else if (currentView === 'module' && activeModule && !activeTopic) {
-                        return <ModuleDetailView />;
+                        return ModuleDetailView();
                     } else if (currentView === 'topic' && activeTopic) {
-                        return <TopicDetailView />;
+                        return TopicDetailView();
                     }
                     return (
                         <div className="flex flex-col items-center justify-center p-16 space-y-4">
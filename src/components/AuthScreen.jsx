@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+// Sign-in / registration form. With `isUpgrade` it is shown to a guest who wants to keep their
+// work: registering (or Google) links the guest session, and `onCancel` returns to the app.
+// Without it, `onContinueAsGuest` starts an anonymous session.
+const AuthScreen = ({
+    isUpgrade = false,
+    onEmailSignIn,
+    onEmailSignUp,
+    onGoogleSignIn,
+    onContinueAsGuest,
+    onCancel,
+    error = null,
+    disabled = false,
+}) => {
+    const [mode, setMode] = useState(isUpgrade ? 'signUp' : 'signIn');
+    const [displayName, setDisplayName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+
+    const isSignUp = mode === 'signUp';
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isSignUp) {
+            onEmailSignUp(email.trim(), password, displayName);
+        } else {
+            onEmailSignIn(email.trim(), password);
+        }
+    };
+
+    return (
+        <div className="p-8 space-y-6 bg-white rounded-2xl shadow-2xl max-w-md mx-auto">
+            <div className="space-y-2">
+                <h1 className="text-3xl font-extrabold text-indigo-800">
+                    {isUpgrade ? 'Save Your Work' : isSignUp ? 'Create an Account' : 'Sign In'}
+                </h1>
+                <p className="text-gray-600">
+                    {isUpgrade
+                        ? 'Create an account or connect Google to keep the courses of this guest session. Signing in to an existing account switches to that account\'s courses.'
+                        : 'Sign in to open your course library from any device.'}
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-3 text-sm text-red-700 bg-red-100 rounded-lg border border-red-300">{error}</div>
+            )}
+
+            <button
+                onClick={onGoogleSignIn}
+                disabled={disabled}
+                className="w-full py-3 px-6 rounded-xl font-semibold border border-gray-300 text-gray-700 hover:bg-gray-50 shadow-sm disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+                Continue with Google
+            </button>
+
+            <div className="flex items-center space-x-3 text-xs text-gray-400">
+                <span className="flex-1 border-t" />
+                <span>or with email</span>
+                <span className="flex-1 border-t" />
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {isSignUp && (
+                    <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)}
+                        placeholder="Name (optional)" autoComplete="name" className={inputClassName} disabled={disabled} />
+                )}
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required
+                    placeholder="Email" autoComplete="email" className={inputClassName} disabled={disabled} />
+                <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required
+                    placeholder="Password" autoComplete={isSignUp ? 'new-password' : 'current-password'} className={inputClassName} disabled={disabled} />
+                <button
+                    type="submit"
+                    disabled={disabled || !email.trim() || !password}
+                    className="w-full py-3 px-6 rounded-xl font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow-lg disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                    {isSignUp ? 'Create Account' : 'Sign In'}
+                </button>
+            </form>
+
+            <div className="flex justify-between text-sm">
+                <button onClick={() => setMode(isSignUp ? 'signIn' : 'signUp')} className="font-semibold text-indigo-600 hover:text-indigo-800">
+                    {isSignUp ? 'I already have an account' : 'Create an account'}
+                </button>
+                {isUpgrade ? (
+                    <button onClick={onCancel} className="font-semibold text-gray-500 hover:text-gray-700">Cancel</button>
+                ) : (
+                    <button onClick={onContinueAsGuest} disabled={disabled} className="font-semibold text-gray-500 hover:text-gray-700">
+                        Continue as guest
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AuthScreen;
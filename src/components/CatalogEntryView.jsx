@@ -0,0 +1,63 @@
+import React from 'react';
+import MarkdownContent from './MarkdownContent';
+import References from './References';
+
+// Read-only view of a published course: the catalog entry and its outline (see loadCatalogOutline)
+const CatalogEntryView = ({ entry, outline, onBack, onClone, disabled = false }) => (
+    <div className="space-y-6">
+        <button onClick={onBack} className="text-indigo-600 hover:text-indigo-800 font-medium text-sm">
+            ← Back to Catalog
+        </button>
+        <div className="flex flex-wrap justify-between items-end gap-4 border-b pb-2">
+            <h1 className="text-4xl font-extrabold text-indigo-800">
+                {entry.title}
+                <span className="ml-3 align-middle text-xs font-semibold uppercase px-2 py-1 rounded-full bg-gray-100 text-gray-600">Read-only · v{entry.version}</span>
+            </h1>
+            <button
+                onClick={() => onClone(entry)}
+                disabled={disabled}
+                className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+                Clone to My Workspace
+            </button>
+        </div>
+
+        {outline.modules.map((module, moduleIndex) => (
+            <section key={moduleIndex} className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+                <h2 className="text-xl font-bold text-indigo-700">Module {moduleIndex + 1}: {module.title}</h2>
+                {module.objective && <p className="text-gray-600 text-sm italic">{module.objective}</p>}
+                {module.topics.map((topic, topicIndex) => {
+                    const mcqs = topic.assets.filter(a => a.type === 'mcq');
+                    const lab = topic.assets.find(a => a.type === 'lab');
+                    return (
+                        <details key={topicIndex} className="border border-gray-200 rounded-lg bg-gray-50 p-3">
+                            <summary className="cursor-pointer font-semibold text-gray-800">
+                                {moduleIndex + 1}.{topicIndex + 1} {topic.title}
+                                <span className="ml-2 text-xs font-normal text-gray-500">
+                                    {mcqs.length} questions{lab ? ' · lab' : ''}
+                                </span>
+                            </summary>
+                            <div className="mt-3 space-y-4">
+                                <MarkdownContent markdown={topic.content} />
+                                <References citations={topic.citations} />
+                                {mcqs.length > 0 && (
+                                    <ol className="list-decimal pl-6 space-y-1 text-sm text-gray-700">
+                                        {mcqs.map((mcq, i) => <li key={i}>{mcq.question}</li>)}
+                                    </ol>
+                                )}
+                                {lab && (
+                                    <div className="p-3 bg-indigo-50 rounded-lg">
+                                        <h3 className="font-bold text-indigo-700 mb-1">Lab</h3>
+                                        <MarkdownContent markdown={lab.problemStatement} />
+                                    </div>
+                                )}
+                            </div>
+                        </details>
+                    );
+                })}
+            </section>
+        ))}
+    </div>
+);
+
+export default CatalogEntryView;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { searchCatalog } from '../lib/catalog';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const formatPublishedAt = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null)?.toLocaleDateString() ?? '';
+
+// Browse published courses with a title search; entries open read-only or are cloned
+const CatalogView = ({ entries, onOpen, onClone, disabled = false }) => {
+    const [searchText, setSearchText] = useState('');
+    const results = entries ? searchCatalog(entries, searchText) : [];
+
+    return (
+        <div className="space-y-6">
+            <h1 className="text-4xl font-extrabold text-indigo-800 border-b pb-2">Course Catalog</h1>
+            <p className="text-gray-600">Courses published by other teams. Open one to review it or clone it into your workspace.</p>
+            <input
+                type="search"
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                placeholder="Search by title..."
+                className={inputClassName}
+            />
+
+            {entries === null ? (
+                <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">Loading catalog...</div>
+            ) : results.length === 0 ? (
+                <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">
+                    {entries.length === 0 ? 'No courses have been published yet.' : 'No published course matches your search.'}
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {results.map((entry) => (
+                        <div
+                            key={entry.id}
+                            className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 hover:shadow-xl transition duration-300 cursor-pointer"
+                            onClick={() => onOpen(entry)}
+                        >
+                            <h2 className="text-xl font-bold text-indigo-700 mb-1">{entry.title}</h2>
+                            <p className="text-gray-500 text-sm">
+                                {entry.moduleCount} modules · {entry.topicCount} topics · v{entry.version} · published {formatPublishedAt(entry.publishedAt)}
+                            </p>
+                            <div className="mt-4 flex justify-between text-sm font-semibold">
+                                <span className="text-indigo-500 hover:text-indigo-600">View Course →</span>
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); onClone(entry); }}
+                                    disabled={disabled}
+                                    className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                                >
+                                    Clone
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CatalogView;
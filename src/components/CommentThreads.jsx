@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { buildThreads } from '../lib/review';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const formatCommentTime = (value) => {
+    if (!value) return '';
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+const Comment = ({ comment, canDelete, onDelete, disabled }) => (
+    <div className="text-sm">
+        <p>
+            <span className="font-semibold text-gray-800">{comment.authorName}</span>
+            <span className="ml-2 text-xs text-gray-400">{formatCommentTime(comment.createdAt)}</span>
+            {canDelete && (
+                <button onClick={() => onDelete(comment)} disabled={disabled} className="ml-2 text-xs text-gray-400 hover:text-red-600">Delete</button>
+            )}
+        </p>
+        <p className="text-gray-700 whitespace-pre-wrap">{comment.text}</p>
+    </div>
+);
+
+// Review comments of a topic. Each thread is anchored to one of `anchors` ({ kind, id, label }:
+// the topic itself, one of its MCQs or its lab). Resolved threads are collapsed by default.
+//   onAdd({ targetKind, targetId, text, parentId })
+//   onResolve(thread, resolved)
+//   onDelete(comment)    (authors only)
+const CommentThreads = ({ comments, anchors, userId, canComment, onAdd, onResolve, onDelete, disabled = false }) => {
+    const [text, setText] = useState('');
+    const [anchorIndex, setAnchorIndex] = useState(0);
+    const [replyDrafts, setReplyDrafts] = useState({});
+    const [showResolved, setShowResolved] = useState(false);
+
+    const threads = buildThreads(comments);
+    const visibleThreads = showResolved ? threads : threads.filter(t => !t.resolved);
+    const resolvedCount = threads.length - threads.filter(t => !t.resolved).length;
+    const anchorLabel = (thread) => anchors.find(a => a.kind === thread.targetKind && a.id === thread.targetId)?.label
+        || `Removed ${thread.targetKind}`;
+
+    const handleStartThread = async (e) => {
+        e.preventDefault();
+        const anchor = anchors[anchorIndex] || anchors[0];
+        await onAdd({ targetKind: anchor.kind, targetId: anchor.id, text: text.trim(), parentId: null });
+        setText('');
+    };
+
+    const handleReply = async (thread) => {
+        await onAdd({ targetKind: thread.targetKind, targetId: thread.targetId, text: replyDrafts[thread.id].trim(), parentId: thread.id });
+        setReplyDrafts(prev => ({ ...prev, [thread.id]: '' }));
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-4">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-700">Review Comments</h2>
+                {resolvedCount > 0 && (
+                    <button onClick={() => setShowResolved(show => !show)} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                        {showResolved ? 'Hide' : 'Show'} {resolvedCount} resolved
+                    </button>
+                )}
+            </div>
+
+            {visibleThreads.length === 0 && <p className="text-sm text-gray-500">No open comments.</p>}
+
+            {visibleThreads.map(thread => (
+                <div key={thread.id} className={`p-4 rounded-xl border space-y-3 ${thread.resolved ? 'bg-gray-50 border-gray-200 opacity-75' : 'bg-white border-indigo-100'}`}>
+                    <div className="flex justify-between items-center">
+                        <span className="text-xs font-semibold uppercase text-indigo-600">{anchorLabel(thread)}</span>
+                        {canComment && (
+                            <button onClick={() => onResolve(thread, !thread.resolved)} disabled={disabled} className="text-xs font-semibold text-gray-500 hover:text-gray-700">
+                                {thread.resolved ? 'Reopen' : 'Resolve'}
+                            </button>
+                        )}
+                    </div>
+                    <Comment comment={thread} canDelete={thread.authorId === userId} onDelete={onDelete} disabled={disabled} />
+                    {thread.replies.length > 0 && (
+                        <div className="pl-4 border-l-2 border-gray-100 space-y-2">
+                            {thread.replies.map(reply => (
+                                <Comment key={reply.id} comment={reply} canDelete={reply.authorId === userId} onDelete={onDelete} disabled={disabled} />
+                            ))}
+                        </div>
+                    )}
+                    {canComment && !thread.resolved && (
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={replyDrafts[thread.id] || ''}
+                                onChange={(e) => setReplyDrafts(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                                placeholder="Reply..."
+                                className={`${inputClassName} !p-2 text-sm`}
+                                disabled={disabled}
+                            />
+                            <button
+                                onClick={() => handleReply(thread)}
+                                disabled={disabled || !replyDrafts[thread.id]?.trim()}
+                                className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                            >
+                                Reply
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            {canComment && (
+                <form onSubmit={handleStartThread} className="space-y-2 pt-2 border-t border-gray-100">
+                    <div className="flex items-center gap-2 text-sm text-gray-700">
+                        <span>New comment on</span>
+                        <select value={anchorIndex} onChange={(e) => setAnchorIndex(Number(e.target.value))} disabled={disabled} className="p-1 border border-gray-300 rounded-lg">
+                            {anchors.map((anchor, i) => <option key={`${anchor.kind}-${anchor.id}`} value={i}>{anchor.label}</option>)}
+                        </select>
+                    </div>
+                    <textarea rows={2} value={text} onChange={(e) => setText(e.target.value)} placeholder="What should change?" className={inputClassName} disabled={disabled} />
+                    <button
+                        type="submit"
+                        disabled={disabled || !text.trim()}
+                        className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                        Comment
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default CommentThreads;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { DEFAULT_BLUEPRINT, AUDIENCE_LEVELS, TONES } from '../lib/prompts';
+import { SOURCE_FILE_ACCEPT } from '../lib/sourceDocuments';
+import QuestionTypePicker from './QuestionTypePicker';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const Field = ({ label, htmlFor, children, className = '' }) => (
+    <div className={`space-y-1 ${className}`}>
+        <label htmlFor={htmlFor} className="block text-sm font-medium text-gray-700">{label}</label>
+        {children}
+    </div>
+);
+
+// Course name + blueprint form for generating a new course, with optional source documents.
+// Keeps its own draft so typing does not re-render the whole app.
+//   onSubmit(courseName, blueprint, sourceFiles)
+const CourseBlueprintForm = ({ onSubmit, isLoading = false }) => {
+    const [courseName, setCourseName] = useState('Full Stack Java');
+    const [blueprint, setBlueprint] = useState(DEFAULT_BLUEPRINT);
+    const [sourceFiles, setSourceFiles] = useState([]);
+
+    const updateBlueprint = (field, value) => {
+        setBlueprint(prev => ({ ...prev, [field]: value }));
+    };
+
+    const updateNumber = (field, min, max) => (e) => {
+        const value = Math.min(max, Math.max(min, Number(e.target.value) || min));
+        updateBlueprint(field, value);
+    };
+
+    return (
+        <div className="space-y-6">
+            <Field label="Course Name" htmlFor="courseName">
+                <input
+                    type="text"
+                    id="courseName"
+                    value={courseName}
+                    onChange={(e) => setCourseName(e.target.value)}
+                    placeholder="e.g., Full Stack Java, Advanced Data Science"
+                    className={`${inputClassName} p-4 text-lg`}
+                    disabled={isLoading}
+                />
+            </Field>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Field label="Modules" htmlFor="moduleCount">
+                    <input type="number" id="moduleCount" min={1} max={20} value={blueprint.moduleCount}
+                        onChange={updateNumber('moduleCount', 1, 20)} className={inputClassName} disabled={isLoading} />
+                </Field>
+                <Field label="Topics per Module" htmlFor="topicsPerModule">
+                    <input type="number" id="topicsPerModule" min={1} max={12} value={blueprint.topicsPerModule}
+                        onChange={updateNumber('topicsPerModule', 1, 12)} className={inputClassName} disabled={isLoading} />
+                </Field>
+                <Field label="Total Hours" htmlFor="totalHours">
+                    <input type="number" id="totalHours" min={1} max={500} value={blueprint.totalHours}
+                        onChange={updateNumber('totalHours', 1, 500)} className={inputClassName} disabled={isLoading} />
+                </Field>
+                <Field label="Audience Level" htmlFor="level">
+                    <select id="level" value={blueprint.level} onChange={(e) => updateBlueprint('level', e.target.value)}
+                        className={inputClassName} disabled={isLoading}>
+                        {AUDIENCE_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                </Field>
+                <Field label="Output Language" htmlFor="language">
+                    <input type="text" id="language" value={blueprint.language}
+                        onChange={(e) => updateBlueprint('language', e.target.value)} className={inputClassName} disabled={isLoading} />
+                </Field>
+                <Field label="Tone" htmlFor="tone">
+                    <select id="tone" value={blueprint.tone} onChange={(e) => updateBlueprint('tone', e.target.value)}
+                        className={inputClassName} disabled={isLoading}>
+                        {TONES.map(tone => <option key={tone} value={tone}>{tone}</option>)}
+                    </select>
+                </Field>
+            </div>
+
+            <Field label="Prerequisites" htmlFor="prerequisites">
+                <textarea
+                    id="prerequisites"
+                    rows={2}
+                    value={blueprint.prerequisites}
+                    onChange={(e) => updateBlueprint('prerequisites', e.target.value)}
+                    placeholder="e.g., basic programming, SQL fundamentals"
+                    className={inputClassName}
+                    disabled={isLoading}
+                />
+            </Field>
+
+            <div className="space-y-2">
+                <p className="block text-sm font-medium text-gray-700">Assessment Question Types</p>
+                <QuestionTypePicker
+                    value={blueprint.questionTypes}
+                    onChange={(types) => updateBlueprint('questionTypes', types)}
+                    disabled={isLoading}
+                />
+            </div>
+
+            <Field label="Source Documents (optional: slides, PDFs, Word documents or wiki pages the course should follow)" htmlFor="sourceFiles">
+                <input
+                    type="file"
+                    id="sourceFiles"
+                    multiple
+                    accept={SOURCE_FILE_ACCEPT}
+                    onChange={(e) => setSourceFiles([...e.target.files])}
+                    className="block text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-600 file:text-white file:font-semibold hover:file:bg-indigo-700"
+                    disabled={isLoading}
+                />
+            </Field>
+
+            <button
+                onClick={() => onSubmit(courseName.trim(), blueprint, sourceFiles)}
+                disabled={!courseName.trim() || isLoading}
+                className="w-full py-3 px-6 rounded-xl font-semibold transition duration-300 bg-indigo-600 hover:bg-indigo-700 text-white shadow-lg disabled:bg-gray-400 disabled:text-gray-700 disabled:cursor-not-allowed"
+            >
+                {isLoading ? 'Generating...' : `Generate Course Modules (${blueprint.moduleCount} Modules × ${blueprint.topicsPerModule} Topics)`}
+            </button>
+        </div>
+    );
+};
+
+export default CourseBlueprintForm;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+
+const smallButtonClassName = "text-xs font-semibold disabled:text-gray-400 disabled:cursor-not-allowed";
+
+// Move `id` within `ids` so that it sits at `toIndex` (index in the list without `id`)
+const moveId = (ids, id, toIndex) => {
+    const rest = ids.filter(other => other !== id);
+    rest.splice(toIndex, 0, id);
+    return rest;
+};
+
+// Outline of a course's modules and topics with add / delete and drag-and-drop reordering.
+// Topics can be dropped on any topic (the dropped topic takes its place) or on a module
+// header (appended). Every change is reported as the complete new order of the affected lists:
+//   onReorderModules(orderedModuleIds)
+//   onMoveTopic({ topicId, fromModuleId, toModuleId, sourceTopicIds, targetTopicIds })
+const CourseStructureEditor = ({
+    modules,
+    topics,
+    onReorderModules,
+    onMoveTopic,
+    onAddModule,
+    onAddTopic,
+    onDeleteModule,
+    onDeleteTopic,
+    onClose,
+    disabled = false,
+}) => {
+    const [dragged, setDragged] = useState(null); // { type: 'module' | 'topic', id, moduleId? }
+    const [dropTargetId, setDropTargetId] = useState(null);
+
+    const topicsOf = (moduleId) => topics
+        .filter(t => t.moduleId === moduleId)
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+    const startDrag = (e, item) => {
+        e.stopPropagation();
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.id);
+        setDragged(item);
+    };
+
+    const endDrag = () => {
+        setDragged(null);
+        setDropTargetId(null);
+    };
+
+    const allowDrop = (e, targetId, accepts) => {
+        if (!dragged || !accepts.includes(dragged.type)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTargetId(targetId);
+    };
+
+    const dropTopic = (toModuleId, toIndex) => {
+        const targetIds = topicsOf(toModuleId).map(t => t.id);
+        const sourceIds = topicsOf(dragged.moduleId).map(t => t.id).filter(id => id !== dragged.id);
+        onMoveTopic({
+            topicId: dragged.id,
+            fromModuleId: dragged.moduleId,
+            toModuleId,
+            sourceTopicIds: sourceIds,
+            targetTopicIds: moveId(targetIds, dragged.id, toIndex),
+        });
+    };
+
+    // Dropped on a module header: reorder modules, or append a topic to that module
+    const handleDropOnModule = (e, module, moduleIndex) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (dragged?.type === 'module' && dragged.id !== module.id) {
+            onReorderModules(moveId(modules.map(m => m.id), dragged.id, moduleIndex));
+        } else if (dragged?.type === 'topic') {
+            const remaining = topicsOf(module.id).filter(t => t.id !== dragged.id);
+            dropTopic(module.id, remaining.length);
+        }
+        endDrag();
+    };
+
+    // Dropped on a topic: the dragged topic takes its place
+    const handleDropOnTopic = (e, topic) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (dragged?.type === 'topic' && dragged.id !== topic.id) {
+            const remaining = topicsOf(topic.moduleId).filter(t => t.id !== dragged.id);
+            dropTopic(topic.moduleId, remaining.findIndex(t => t.id === topic.id));
+        }
+        endDrag();
+    };
+
+    const highlight = (id) => (dropTargetId === id ? 'ring-2 ring-indigo-400' : '');
+
+    return (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-indigo-200 space-y-4">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-700">Edit Structure</h2>
+                <button onClick={onClose} className="text-sm font-semibold text-gray-500 hover:text-gray-700">Done</button>
+            </div>
+            <p className="text-sm text-gray-500">
+                Drag modules and topics by their ⋮⋮ handle to reorder them. Drop a topic on another module's header to move it there.
+            </p>
+
+            <ol className="space-y-3">
+                {modules.map((module, moduleIndex) => (
+                    <li key={module.id} className={`border border-gray-200 rounded-xl bg-gray-50 ${dragged?.id === module.id ? 'opacity-50' : ''}`}>
+                        <div
+                            draggable={!disabled}
+                            onDragStart={(e) => startDrag(e, { type: 'module', id: module.id })}
+                            onDragEnd={endDrag}
+                            onDragOver={(e) => allowDrop(e, module.id, ['module', 'topic'])}
+                            onDragLeave={() => setDropTargetId(null)}
+                            onDrop={(e) => handleDropOnModule(e, module, moduleIndex)}
+                            className={`flex flex-wrap items-center justify-between gap-2 p-3 rounded-xl ${highlight(module.id)}`}
+                        >
+                            <span className="font-semibold text-indigo-700">
+                                <span className="cursor-grab text-gray-400 mr-2" title="Drag to reorder">⋮⋮</span>
+                                Module {moduleIndex + 1}: {module.title}
+                            </span>
+                            <span className="flex space-x-3">
+                                <button onClick={() => onAddTopic(module, false)} disabled={disabled} className={`${smallButtonClassName} text-indigo-600 hover:text-indigo-800`}>+ Topic</button>
+                                <button onClick={() => onAddTopic(module, true)} disabled={disabled} className={`${smallButtonClassName} text-amber-600 hover:text-amber-800`}>+ AI Topic</button>
+                                <button onClick={() => onDeleteModule(module)} disabled={disabled} className={`${smallButtonClassName} text-red-600 hover:text-red-800`}>Delete</button>
+                            </span>
+                        </div>
+                        <ol className="pl-8 pr-3 pb-3 space-y-1">
+                            {topicsOf(module.id).map((topic, topicIndex) => (
+                                <li
+                                    key={topic.id}
+                                    draggable={!disabled}
+                                    onDragStart={(e) => startDrag(e, { type: 'topic', id: topic.id, moduleId: module.id })}
+                                    onDragEnd={endDrag}
+                                    onDragOver={(e) => allowDrop(e, topic.id, ['topic'])}
+                                    onDragLeave={() => setDropTargetId(null)}
+                                    onDrop={(e) => handleDropOnTopic(e, topic)}
+                                    className={`flex justify-between items-center p-2 bg-white rounded-lg border border-gray-100 text-sm ${highlight(topic.id)} ${dragged?.id === topic.id ? 'opacity-50' : ''}`}
+                                >
+                                    <span className="text-gray-700">
+                                        <span className="cursor-grab text-gray-400 mr-2" title="Drag to reorder">⋮⋮</span>
+                                        {moduleIndex + 1}.{topicIndex + 1} {topic.title}
+                                    </span>
+                                    <button onClick={() => onDeleteTopic(topic)} disabled={disabled} className={`${smallButtonClassName} text-red-600 hover:text-red-800`}>Delete</button>
+                                </li>
+                            ))}
+                            {topicsOf(module.id).length === 0 && (
+                                <li className="p-2 text-xs text-gray-400">No topics yet. Drop a topic on the module header or add one.</li>
+                            )}
+                        </ol>
+                    </li>
+                ))}
+            </ol>
+
+            <div className="flex space-x-3">
+                <button
+                    onClick={() => onAddModule(false)}
+                    disabled={disabled}
+                    className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                    + Blank Module
+                </button>
+                <button
+                    onClick={() => onAddModule(true)}
+                    disabled={disabled}
+                    className="py-2 px-4 rounded-xl text-sm font-semibold bg-amber-500 hover:bg-amber-600 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                    + AI-Suggested Module
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CourseStructureEditor;
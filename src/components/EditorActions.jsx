@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Save / Cancel buttons shared by the inline editors
+const EditorActions = ({ onSave, onCancel, disabled = false, saveLabel = 'Save' }) => (
+    <div className="flex space-x-3">
+        <button
+            onClick={onSave}
+            disabled={disabled}
+            className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+            {saveLabel}
+        </button>
+        <button onClick={onCancel} className="py-2 px-4 rounded-xl text-sm font-semibold text-gray-600 hover:text-gray-800">
+            Cancel
+        </button>
+    </div>
+);
+
+export default EditorActions;
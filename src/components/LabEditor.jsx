@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import EditorActions from './EditorActions';
+
+const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+// Inline editor for a lab: problem statement, ordered steps and expected outcome
+const LabEditor = ({ lab, onSave, onCancel, disabled = false }) => {
+    const [problemStatement, setProblemStatement] = useState(lab.problemStatement);
+    const [steps, setSteps] = useState(lab.steps || []);
+    const [expectedOutcome, setExpectedOutcome] = useState(lab.expectedOutcome);
+
+    const updateStep = (index, value) => {
+        setSteps(prev => prev.map((step, i) => (i === index ? value : step)));
+    };
+
+    const moveStep = (index, offset) => {
+        setSteps(prev => {
+            const next = [...prev];
+            const [step] = next.splice(index, 1);
+            next.splice(index + offset, 0, step);
+            return next;
+        });
+    };
+
+    const cleanedSteps = steps.map(step => step.trim()).filter(Boolean);
+
+    return (
+        <div className="space-y-4">
+            <label className="block text-sm font-medium text-gray-700">Problem Statement/User Story</label>
+            <textarea rows={3} value={problemStatement} onChange={(e) => setProblemStatement(e.target.value)} className={inputClassName} disabled={disabled} />
+
+            <p className="text-sm font-medium text-gray-700">Steps</p>
+            {steps.map((step, index) => (
+                <div key={index} className="flex items-start space-x-2">
+                    <span className="pt-2 text-sm text-gray-500 w-6">{index + 1}.</span>
+                    <textarea rows={2} value={step} onChange={(e) => updateStep(index, e.target.value)} className={inputClassName} disabled={disabled} />
+                    <div className="flex flex-col text-xs">
+                        <button onClick={() => moveStep(index, -1)} disabled={disabled || index === 0} className="text-gray-500 hover:text-indigo-600 disabled:opacity-30">▲</button>
+                        <button onClick={() => moveStep(index, 1)} disabled={disabled || index === steps.length - 1} className="text-gray-500 hover:text-indigo-600 disabled:opacity-30">▼</button>
+                        <button onClick={() => setSteps(prev => prev.filter((_, i) => i !== index))} disabled={disabled} className="text-red-500 hover:text-red-700">✕</button>
+                    </div>
+                </div>
+            ))}
+            <button onClick={() => setSteps(prev => [...prev, ''])} disabled={disabled} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                + Add Step
+            </button>
+
+            <label className="block text-sm font-medium text-gray-700">Expected Outcome</label>
+            <textarea rows={2} value={expectedOutcome} onChange={(e) => setExpectedOutcome(e.target.value)} className={inputClassName} disabled={disabled} />
+
+            <EditorActions
+                onSave={() => onSave({ problemStatement: problemStatement.trim(), steps: cleanedSteps, expectedOutcome: expectedOutcome.trim() })}
+                onCancel={onCancel}
+                disabled={disabled || !problemStatement.trim() || cleanedSteps.length === 0}
+            />
+        </div>
+    );
+};
+
+export default LabEditor;
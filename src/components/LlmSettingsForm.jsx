@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { LLM_PROVIDERS } from '../lib/llmProviders';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const Field = ({ label, children }) => (
+    <label className="block space-y-1">
+        <span className="block text-sm font-medium text-gray-700">{label}</span>
+        {children}
+    </label>
+);
+
+// Form for choosing the AI provider of the workspace.
+// Keeps its own draft so typing does not re-render the whole app. Without `onSave` it is read-only.
+const LlmSettingsForm = ({ settings, onSave, onCancel, disabled = false }) => {
+    const [draft, setDraft] = useState(settings);
+
+    const updateProviderField = (providerId, field, value) => {
+        setDraft(prev => ({ ...prev, [providerId]: { ...prev[providerId], [field]: value } }));
+    };
+
+    // Empty number fields count as 0 (free / no limit)
+    const toNumber = (value) => Math.max(0, Number(value) || 0);
+
+    const PriceFields = ({ providerId }) => (
+        <div className="grid grid-cols-2 gap-4">
+            <Field label="Input price (USD per 1M tokens)">
+                <input type="number" min="0" step="0.01" value={draft[providerId].inputPricePerMillion} disabled={disabled} className={inputClassName}
+                    onChange={(e) => updateProviderField(providerId, 'inputPricePerMillion', toNumber(e.target.value))} />
+            </Field>
+            <Field label="Output price (USD per 1M tokens)">
+                <input type="number" min="0" step="0.01" value={draft[providerId].outputPricePerMillion} disabled={disabled} className={inputClassName}
+                    onChange={(e) => updateProviderField(providerId, 'outputPricePerMillion', toNumber(e.target.value))} />
+            </Field>
+        </div>
+    );
+
+    return (
+        <div className="p-8 space-y-6 bg-white rounded-2xl shadow-2xl">
+            <h1 className="text-3xl font-extrabold text-indigo-800">AI Provider Settings</h1>
+            <p className="text-gray-600">These settings apply to every generation in this workspace.</p>
+            {!onSave && <p className="text-sm text-amber-700">Only the workspace owner can change these settings.</p>}
+
+            <Field label="Provider">
+                <select
+                    value={draft.provider}
+                    onChange={(e) => setDraft(prev => ({ ...prev, provider: e.target.value }))}
+                    className={inputClassName}
+                    disabled={disabled}
+                >
+                    {Object.values(LLM_PROVIDERS).map(provider => (
+                        <option key={provider.id} value={provider.id}>{provider.label}</option>
+                    ))}
+                </select>
+            </Field>
+
+            {draft.provider === 'gemini' && (
+                <div className="space-y-4">
+                    <Field label="Model">
+                        <input type="text" value={draft.gemini.model} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('gemini', 'model', e.target.value)} />
+                    </Field>
+                    {PriceFields({ providerId: 'gemini' })}
+                    <p className="text-sm text-gray-500">
+                        Gemini requests go through the app's server, which holds the API key and applies a daily request quota per user.
+                    </p>
+                </div>
+            )}
+
+            {draft.provider === 'openai' && (
+                <div className="space-y-4">
+                    <Field label="Base URL (e.g. http://localhost:11434/v1 for Ollama)">
+                        <input type="text" value={draft.openai.baseUrl} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('openai', 'baseUrl', e.target.value)} />
+                    </Field>
+                    <Field label="Model">
+                        <input type="text" value={draft.openai.model} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('openai', 'model', e.target.value)} />
+                    </Field>
+                    <Field label="API Key (optional for local servers)">
+                        <input type="password" value={draft.openai.apiKey} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('openai', 'apiKey', e.target.value)} />
+                    </Field>
+                    {PriceFields({ providerId: 'openai' })}
+                </div>
+            )}
+
+            {draft.provider === 'mock' && (
+                <p className="p-4 text-sm text-gray-600 bg-gray-50 rounded-xl">
+                    The mock provider returns deterministic fixture data without any network calls.
+                    Use it to try the generation pipeline offline.
+                </p>
+            )}
+
+            <div className="space-y-4 pt-4 border-t border-gray-100">
+                <h2 className="text-xl font-bold text-gray-700">Monthly Quota per Member</h2>
+                <p className="text-sm text-gray-500">Checked before each generation. Leave a limit at 0 for no limit.</p>
+                <div className="grid grid-cols-2 gap-4">
+                    <Field label="Token limit">
+                        <input type="number" min="0" step="1000" value={draft.quota.monthlyTokenLimit} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('quota', 'monthlyTokenLimit', toNumber(e.target.value))} />
+                    </Field>
+                    <Field label="Cost limit (USD, estimated)">
+                        <input type="number" min="0" step="0.5" value={draft.quota.monthlyCostLimit} disabled={disabled} className={inputClassName}
+                            onChange={(e) => updateProviderField('quota', 'monthlyCostLimit', toNumber(e.target.value))} />
+                    </Field>
+                </div>
+                <Field label="When a generation would exceed the quota">
+                    <select value={draft.quota.enforcement} disabled={disabled} className={inputClassName}
+                        onChange={(e) => updateProviderField('quota', 'enforcement', e.target.value)}>
+                        <option value="warn">Warn and ask to continue</option>
+                        <option value="block">Block the generation</option>
+                    </select>
+                </Field>
+            </div>
+
+            <div className="flex space-x-4">
+                {onSave && (
+                    <button
+                        onClick={() => onSave(draft)}
+                        disabled={disabled}
+                        className="py-3 px-6 rounded-xl font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow-lg disabled:bg-gray-400"
+                    >
+                        Save Settings
+                    </button>
+                )}
+                <button onClick={onCancel} className="py-3 px-6 rounded-xl font-semibold text-gray-600 hover:text-gray-800">
+                    {onSave ? 'Cancel' : 'Back'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default LlmSettingsForm;
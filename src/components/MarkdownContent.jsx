@@ -0,0 +1,13 @@
+import React from 'react';
+import { renderMarkdown } from '../lib/markdown';
+import 'highlight.js/styles/github.css';
+
+// Renders Markdown topic content with syntax-highlighted code blocks
+const MarkdownContent = ({ markdown, className = '' }) => (
+    <div
+        className={`markdown-body ${className}`}
+        dangerouslySetInnerHTML={{ __html: renderMarkdown(markdown) }}
+    />
+);
+
+export default MarkdownContent;
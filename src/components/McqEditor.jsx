@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import EditorActions from './EditorActions';
+import {
+    QUESTION_TYPES,
+    QUESTION_TYPE_IDS,
+    FILL_BLANK,
+    emptyQuestion,
+    hasOptions,
+    optionLetter,
+    questionErrors,
+    questionFields,
+    questionTypeOf,
+} from '../lib/questions';
+
+const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const toLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Inline editor for one assessment question of any type (see questions.js). A question without
+// an id is new: its type can still be chosen. List fields (accepted answers, ordering items) are
+// edited one per line.
+const McqEditor = ({ mcq, onSave, onCancel, disabled = false }) => {
+    const [draft, setDraft] = useState(() => ({ ...emptyQuestion(questionTypeOf(mcq)), ...mcq }));
+    const [acceptedAnswersText, setAcceptedAnswersText] = useState((mcq.acceptedAnswers || []).join('\n'));
+    const [itemsText, setItemsText] = useState((mcq.items || []).join('\n'));
+
+    const type = questionTypeOf(draft);
+    const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+    // Switching the type of a new question keeps what applies to both types
+    const changeType = (nextType) => setDraft(prev => ({
+        ...emptyQuestion(nextType),
+        question: prev.question,
+        explanation: prev.explanation,
+        ...(hasOptions(prev) && hasOptions({ questionType: nextType }) ? { options: prev.options } : {}),
+    }));
+
+    const updateOption = (index, value) => {
+        update('options', draft.options.map((option, i) => (i === index ? value : option)));
+    };
+
+    const removeOption = (index) => setDraft(prev => ({
+        ...prev,
+        options: prev.options.filter((_, i) => i !== index),
+        correctIndex: prev.correctIndex > index ? prev.correctIndex - 1 : prev.correctIndex === index ? 0 : prev.correctIndex,
+        correctIndices: prev.correctIndices && prev.correctIndices.filter(i => i !== index).map(i => (i > index ? i - 1 : i)),
+    }));
+
+    const toggleCorrectIndex = (index) => update('correctIndices', draft.correctIndices.includes(index)
+        ? draft.correctIndices.filter(i => i !== index)
+        : [...draft.correctIndices, index].sort((a, b) => a - b));
+
+    const fields = questionFields({
+        ...draft,
+        question: draft.question.trim(),
+        explanation: draft.explanation.trim(),
+        ...(hasOptions(draft) ? { options: draft.options.map(o => o.trim()) } : {}),
+        ...(type === 'fill' ? { acceptedAnswers: toLines(acceptedAnswersText) } : {}),
+        ...(type === 'ordering' ? { items: toLines(itemsText) } : {}),
+        ...(type === 'code_output' ? { language: draft.language.trim(), code: draft.code.replace(/\s+$/, '') } : {}),
+        ...(type === 'short' ? { rubric: draft.rubric.trim(), sampleAnswer: draft.sampleAnswer.trim() } : {}),
+    });
+    const errors = questionErrors(fields);
+
+    return (
+        <div className="p-4 border border-indigo-200 rounded-lg bg-white space-y-3">
+            {mcq.id ? (
+                <p className="text-xs font-semibold text-indigo-600 uppercase">{QUESTION_TYPES[type]}</p>
+            ) : (
+                <>
+                    <label className="block text-sm font-medium text-gray-700">Question type</label>
+                    <select value={type} onChange={(e) => changeType(e.target.value)} className={inputClassName} disabled={disabled}>
+                        {QUESTION_TYPE_IDS.map(id => <option key={id} value={id}>{QUESTION_TYPES[id]}</option>)}
+                    </select>
+                </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700">
+                {type === 'truefalse' ? 'Statement' : 'Question'}
+                {type === 'fill' && ` (mark the blank with ${FILL_BLANK})`}
+            </label>
+            <textarea rows={2} value={draft.question} onChange={(e) => update('question', e.target.value)} className={inputClassName} disabled={disabled} />
+
+            {type === 'code_output' && (
+                <>
+                    <label className="block text-sm font-medium text-gray-700">Language</label>
+                    <input type="text" value={draft.language} onChange={(e) => update('language', e.target.value)} placeholder="e.g. java, python" className={inputClassName} disabled={disabled} />
+                    <label className="block text-sm font-medium text-gray-700">Code</label>
+                    <textarea rows={8} value={draft.code} onChange={(e) => update('code', e.target.value)} className={`${inputClassName} font-mono text-sm`} disabled={disabled} />
+                </>
+            )}
+
+            {hasOptions(draft) && (
+                <>
+                    <p className="text-sm font-medium text-gray-700">
+                        {type === 'multi' ? 'Options (check every correct answer)' : 'Options (select the correct answer)'}
+                    </p>
+                    {draft.options.map((option, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                            {type === 'multi' ? (
+                                <input type="checkbox" checked={draft.correctIndices.includes(index)} onChange={() => toggleCorrectIndex(index)} disabled={disabled} />
+                            ) : (
+                                <input type="radio" name={`correct-${mcq.id || 'new'}`} checked={draft.correctIndex === index} onChange={() => update('correctIndex', index)} disabled={disabled} />
+                            )}
+                            <span className="font-mono text-xs text-indigo-500">{optionLetter(index)}.</span>
+                            <input type="text" value={option} onChange={(e) => updateOption(index, e.target.value)} className={inputClassName} disabled={disabled} />
+                            {draft.options.length > 2 && (
+                                <button onClick={() => removeOption(index)} className="text-sm text-red-500 hover:text-red-700" disabled={disabled} title="Remove option">✕</button>
+                            )}
+                        </div>
+                    ))}
+                    {draft.options.length < 8 && (
+                        <button onClick={() => update('options', [...draft.options, ''])} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800" disabled={disabled}>
+                            + Add option
+                        </button>
+                    )}
+                </>
+            )}
+
+            {type === 'truefalse' && (
+                <div className="flex space-x-6 text-sm text-gray-700">
+                    {[true, false].map(value => (
+                        <label key={String(value)} className="flex items-center">
+                            <input type="radio" name={`correct-${mcq.id || 'new'}`} className="mr-2" checked={draft.correctAnswer === value} onChange={() => update('correctAnswer', value)} disabled={disabled} />
+                            {value ? 'True' : 'False'}
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {type === 'fill' && (
+                <>
+                    <label className="block text-sm font-medium text-gray-700">Accepted answers (one per line, not case-sensitive)</label>
+                    <textarea rows={3} value={acceptedAnswersText} onChange={(e) => setAcceptedAnswersText(e.target.value)} className={inputClassName} disabled={disabled} />
+                </>
+            )}
+
+            {type === 'ordering' && (
+                <>
+                    <label className="block text-sm font-medium text-gray-700">Items in the correct order (one per line; learners get them shuffled)</label>
+                    <textarea rows={5} value={itemsText} onChange={(e) => setItemsText(e.target.value)} className={inputClassName} disabled={disabled} />
+                </>
+            )}
+
+            {type === 'short' && (
+                <>
+                    <label className="block text-sm font-medium text-gray-700">Rubric (what a complete answer covers)</label>
+                    <textarea rows={3} value={draft.rubric} onChange={(e) => update('rubric', e.target.value)} className={inputClassName} disabled={disabled} />
+                    <label className="block text-sm font-medium text-gray-700">Sample answer</label>
+                    <textarea rows={3} value={draft.sampleAnswer} onChange={(e) => update('sampleAnswer', e.target.value)} className={inputClassName} disabled={disabled} />
+                </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700">Explanation (shown to learners after submitting)</label>
+            <textarea rows={2} value={draft.explanation} onChange={(e) => update('explanation', e.target.value)} className={inputClassName} disabled={disabled} />
+
+            {errors.length > 0 && <p className="text-sm text-amber-700">{errors[0]}</p>}
+            <EditorActions
+                onSave={() => onSave(fields)}
+                onCancel={onCancel}
+                disabled={disabled || errors.length > 0}
+            />
+        </div>
+    );
+};
+
+export default McqEditor;
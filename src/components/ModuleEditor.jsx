@@ -0,0 +1,26 @@
+import React, { useState } from 'react';
+import EditorActions from './EditorActions';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+// Inline editor for a module's title and objective
+const ModuleEditor = ({ module, onSave, onCancel, disabled = false }) => {
+    const [title, setTitle] = useState(module.title);
+    const [objective, setObjective] = useState(module.objective);
+
+    return (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-indigo-200 space-y-3" onClick={(e) => e.stopPropagation()}>
+            <label className="block text-sm font-medium text-gray-700">Module Title</label>
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClassName} disabled={disabled} />
+            <label className="block text-sm font-medium text-gray-700">Objective</label>
+            <textarea rows={3} value={objective} onChange={(e) => setObjective(e.target.value)} className={inputClassName} disabled={disabled} />
+            <EditorActions
+                onSave={() => onSave({ title: title.trim(), objective: objective.trim() })}
+                onCancel={onCancel}
+                disabled={disabled || !title.trim()}
+            />
+        </div>
+    );
+};
+
+export default ModuleEditor;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { accountLabel } from '../lib/auth';
+
+const menuItemClassName = "block w-full text-left px-4 py-2 text-sm hover:bg-gray-50";
+
+// Header avatar with a dropdown: who is signed in, saving a guest session and signing out
+const ProfileMenu = ({ profile, onSaveAccount, onSignOut }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const label = accountLabel(profile);
+
+    const choose = (action) => {
+        setIsOpen(false);
+        action();
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="flex items-center space-x-2 text-sm text-gray-600 bg-white py-1 pl-1 pr-3 rounded-full shadow-sm hover:shadow"
+            >
+                {profile.photoURL ? (
+                    <img src={profile.photoURL} alt="" referrerPolicy="no-referrer" className="h-7 w-7 rounded-full" />
+                ) : (
+                    <span className="h-7 w-7 rounded-full bg-indigo-100 text-indigo-700 font-bold flex items-center justify-center">
+                        {label.charAt(0).toUpperCase()}
+                    </span>
+                )}
+                <span className="max-w-[10rem] truncate">{label}</span>
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-64 bg-white rounded-xl shadow-xl border border-gray-100 z-20 py-2">
+                    <div className="px-4 py-2 border-b border-gray-100">
+                        <p className="font-semibold text-gray-800 truncate">{label}</p>
+                        {profile.email && <p className="text-xs text-gray-500 truncate">{profile.email}</p>}
+                        {profile.isAnonymous && (
+                            <p className="text-xs text-amber-700 mt-1">Guest courses are only available in this browser.</p>
+                        )}
+                        <p className="text-[10px] text-gray-400 font-mono mt-1 truncate" title={profile.uid}>{profile.uid}</p>
+                    </div>
+                    {profile.isAnonymous && (
+                        <button onClick={() => choose(onSaveAccount)} className={`${menuItemClassName} text-indigo-600 font-semibold`}>
+                            Create account / sign in
+                        </button>
+                    )}
+                    <button onClick={() => choose(onSignOut)} className={`${menuItemClassName} text-red-600`}>
+                        Sign out
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProfileMenu;
@@ -0,0 +1,49 @@
+import React from 'react';
+import MarkdownContent from './MarkdownContent';
+import { codeMarkdown, hasOptions, isOptionCorrect, optionLetter, questionTypeOf } from '../lib/questions';
+
+// The answer side of a question for authors and reviewers: correct options highlighted,
+// accepted answers, the correct order or the rubric, followed by the explanation
+const QuestionAnswerView = ({ question }) => {
+    const type = questionTypeOf(question);
+    return (
+        <div className="space-y-2 text-sm">
+            {type === 'code_output' && <MarkdownContent markdown={codeMarkdown(question)} />}
+            {hasOptions(question) && (
+                <ul className="space-y-1">
+                    {(question.options || []).map((option, optIndex) => (
+                        <li
+                            key={optIndex}
+                            className={`p-1 rounded ${isOptionCorrect(question, optIndex) ? 'bg-green-100 text-green-800 font-semibold' : 'text-gray-600'}`}
+                        >
+                            <span className="font-mono text-xs mr-2 text-indigo-500">{optionLetter(optIndex)}.</span>
+                            {option}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {type === 'truefalse' && (
+                <p className="p-1 rounded bg-green-100 text-green-800 font-semibold inline-block">{question.correctAnswer ? 'True' : 'False'}</p>
+            )}
+            {type === 'fill' && (
+                <p className="text-gray-600">
+                    Accepted answers: <span className="font-semibold text-green-800">{(question.acceptedAnswers || []).join(' · ')}</span>
+                </p>
+            )}
+            {type === 'ordering' && (
+                <ol className="list-decimal list-inside space-y-1 text-gray-700">
+                    {(question.items || []).map((item, i) => <li key={i}>{item}</li>)}
+                </ol>
+            )}
+            {type === 'short' && (
+                <div className="space-y-1 text-gray-600">
+                    <p><span className="font-semibold text-gray-700">Rubric:</span> {question.rubric}</p>
+                    <p><span className="font-semibold text-gray-700">Sample answer:</span> {question.sampleAnswer}</p>
+                </div>
+            )}
+            {question.explanation && <p className="text-gray-500 italic">{question.explanation}</p>}
+        </div>
+    );
+};
+
+export default QuestionAnswerView;
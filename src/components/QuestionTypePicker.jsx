@@ -0,0 +1,29 @@
+import React from 'react';
+import { QUESTION_TYPES, QUESTION_TYPE_IDS } from '../lib/questions';
+
+// Checkboxes for the question types to generate; at least one type stays selected
+const QuestionTypePicker = ({ value, onChange, disabled = false }) => {
+    const toggle = (type) => {
+        const next = value.includes(type) ? value.filter(t => t !== type) : [...value, type];
+        if (next.length > 0) onChange(QUESTION_TYPE_IDS.filter(t => next.includes(t)));
+    };
+
+    return (
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {QUESTION_TYPE_IDS.map(type => (
+                <label key={type} className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={value.includes(type)}
+                        onChange={() => toggle(type)}
+                        disabled={disabled}
+                    />
+                    {QUESTION_TYPES[type]}
+                </label>
+            ))}
+        </div>
+    );
+};
+
+export default QuestionTypePicker;
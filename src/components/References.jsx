@@ -0,0 +1,24 @@
+import React from 'react';
+import { webCitations } from '../lib/citations';
+
+// Numbered web sources of a topic or lab; the inline markers [n] in its text link to the same pages
+const References = ({ citations, title = 'References' }) => {
+    const links = webCitations(citations);
+    if (links.length === 0) return null;
+    return (
+        <div className="pt-4 border-t border-gray-100">
+            <h3 className="font-bold text-gray-700 mb-2">{title}</h3>
+            <ol className="list-decimal list-inside space-y-1 text-sm">
+                {links.map((citation, i) => (
+                    <li key={i} className="text-gray-600">
+                        <a href={citation.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 break-all">
+                            {citation.title}
+                        </a>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default References;
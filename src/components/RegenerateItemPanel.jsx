@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import EditorActions from './EditorActions';
+import { itemToText } from '../lib/regeneration';
+import { diffLines } from '../lib/textDiff';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+const KIND_LABELS = { module: 'module', topic: 'topic', mcq: 'question', lab: 'lab' };
+
+const diffLineStyles = {
+    same: 'text-gray-600',
+    added: 'bg-green-50 text-green-800',
+    removed: 'bg-red-50 text-red-700 line-through',
+};
+const diffLineMarkers = { same: ' ', added: '+', removed: '−' };
+
+// "Regenerate with instructions" for one item: the AI proposal is previewed as a line diff
+// against the current version and only saved once accepted.
+// `onPreview(instructions)` resolves to the proposed fields (or null when generation failed).
+const RegenerateItemPanel = ({ kind, item, onPreview, onAccept, onCancel, disabled = false }) => {
+    const [instructions, setInstructions] = useState('');
+    const [proposal, setProposal] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+
+    const handlePreview = async () => {
+        setIsGenerating(true);
+        try {
+            setProposal(await onPreview(instructions.trim()));
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const diff = proposal ? diffLines(itemToText(kind, item), itemToText(kind, { ...item, ...proposal })) : [];
+    const changedCount = diff.filter(line => line.type !== 'same').length;
+
+    return (
+        <div className="p-6 bg-white rounded-2xl shadow-lg border border-amber-200 space-y-3" onClick={(e) => e.stopPropagation()}>
+            <label className="block text-sm font-medium text-gray-700">
+                Regenerate this {KIND_LABELS[kind]} with instructions
+            </label>
+            <textarea
+                rows={2}
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                placeholder='e.g. "make this more advanced", "use Spring Boot 3 examples"'
+                className={inputClassName}
+                disabled={disabled || isGenerating}
+            />
+            <button
+                onClick={handlePreview}
+                disabled={disabled || isGenerating || !instructions.trim()}
+                className="py-2 px-4 rounded-xl text-sm font-semibold bg-amber-500 hover:bg-amber-600 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+                {isGenerating ? 'Generating preview...' : proposal ? 'Try Again' : 'Generate Preview'}
+            </button>
+
+            {proposal && (
+                <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-700">
+                        Preview ({changedCount === 0 ? 'no changes' : `${changedCount} changed line(s)`})
+                    </p>
+                    <pre className="max-h-96 overflow-auto text-xs font-mono border border-gray-200 rounded-lg bg-gray-50 p-2 whitespace-pre-wrap">
+                        {diff.map((line, i) => (
+                            <div key={i} className={diffLineStyles[line.type]}>
+                                {diffLineMarkers[line.type]} {line.text}
+                            </div>
+                        ))}
+                    </pre>
+                </div>
+            )}
+
+            <EditorActions
+                onSave={() => onAccept(proposal, instructions.trim())}
+                onCancel={onCancel}
+                disabled={disabled || isGenerating || !proposal}
+                saveLabel="Accept Change"
+            />
+        </div>
+    );
+};
+
+export default RegenerateItemPanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { REVIEW_STATES } from '../lib/review';
+
+export const ReviewBadge = ({ status }) => (
+    <span className={`text-xs font-semibold px-2 py-1 rounded-full ${REVIEW_STATES[status]?.badgeClassName || REVIEW_STATES.draft.badgeClassName}`}>
+        {REVIEW_STATES[status]?.label || status}
+    </span>
+);
+
+// Current review state of a topic or course with the transitions the user may take
+// (see availableTransitions). Blocked transitions are shown disabled with their reason.
+const ReviewStatusBar = ({ label, status, transitions, onTransition, disabled = false }) => (
+    <div className="flex flex-wrap items-center gap-3 p-3 bg-white rounded-xl border border-gray-100 shadow-sm">
+        <span className="text-sm font-medium text-gray-700">{label}</span>
+        <ReviewBadge status={status} />
+        <span className="flex-1" />
+        {transitions.map(transition => (
+            <button
+                key={transition.id}
+                onClick={() => onTransition(transition)}
+                disabled={disabled || !!transition.blockedReason}
+                title={transition.blockedReason || undefined}
+                className={`py-1 px-3 rounded-lg text-sm font-semibold shadow-sm disabled:bg-gray-200 disabled:text-gray-400 disabled:cursor-not-allowed ${
+                    transition.id === 'request_changes'
+                        ? 'bg-amber-500 hover:bg-amber-600 text-white'
+                        : transition.id === 'reopen'
+                            ? 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+                            : 'bg-indigo-600 hover:bg-indigo-700 text-white'
+                }`}
+            >
+                {transition.label}
+            </button>
+        ))}
+    </div>
+);
+
+export default ReviewStatusBar;
@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import EditorActions from './EditorActions';
+import MarkdownContent from './MarkdownContent';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+// Inline editor for a topic's title and Markdown content, with a live preview
+const TopicContentEditor = ({ topic, onSave, onCancel, disabled = false }) => {
+    const [title, setTitle] = useState(topic.title);
+    const [content, setContent] = useState(topic.content);
+
+    return (
+        <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">Topic Title</label>
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClassName} disabled={disabled} />
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div className="space-y-1">
+                    <label className="block text-sm font-medium text-gray-700">Content (Markdown)</label>
+                    <textarea rows={20} value={content} onChange={(e) => setContent(e.target.value)} className={`${inputClassName} font-mono text-sm`} disabled={disabled} />
+                </div>
+                <div className="space-y-1">
+                    <p className="text-sm font-medium text-gray-700">Preview</p>
+                    <div className="p-3 border border-gray-200 rounded-xl bg-gray-50 h-[30rem] overflow-y-auto">
+                        <MarkdownContent markdown={content} />
+                    </div>
+                </div>
+            </div>
+            <EditorActions
+                onSave={() => onSave({ title: title.trim(), content })}
+                onCancel={onCancel}
+                disabled={disabled || !title.trim()}
+            />
+        </div>
+    );
+};
+
+export default TopicContentEditor;
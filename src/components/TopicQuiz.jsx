@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import MarkdownContent from './MarkdownContent';
+import { shuffle, scoreQuizAttempt, PASS_THRESHOLD } from '../lib/progress';
+import { FILL_BLANK, codeMarkdown, hasOptions, isAnswered, isOptionCorrect, optionLetter, questionTypeOf } from '../lib/questions';
+
+// Item indexes of an ordering question in a random order other than the correct one
+const shuffledOrder = (count) => {
+    const order = Array.from({ length: count }, (_, i) => i);
+    if (count < 2) return order;
+    let shuffled = shuffle(order);
+    while (shuffled.every((index, position) => index === position)) shuffled = shuffle(order);
+    return shuffled;
+};
+
+// Shuffle questions and the options of each question, keeping the original option indexes.
+// Ordering questions start answered with their items shuffled.
+const buildQuiz = (mcqs) => {
+    const questions = shuffle(mcqs).map(mcq => ({
+        ...mcq,
+        shuffledOptions: shuffle((mcq.options || []).map((text, index) => ({ text, index }))),
+    }));
+    const answers = Object.fromEntries(questions
+        .filter(q => questionTypeOf(q) === 'ordering')
+        .map(q => [q.id, shuffledOrder((q.items || []).length)]));
+    return { questions, answers };
+};
+
+// Radio buttons or checkboxes; once revealed, correct choices are green and wrong selections red
+const ChoiceList = ({ name, choices, multiple, onSelect, revealed, disabled }) => (
+    <ul className="space-y-1 text-sm">
+        {choices.map((choice, choiceIndex) => {
+            let choiceClass = choice.selected ? 'bg-indigo-100 text-indigo-800' : 'text-gray-600 hover:bg-gray-100';
+            if (revealed) {
+                if (choice.correct) choiceClass = 'bg-green-100 text-green-800 font-semibold';
+                else if (choice.selected) choiceClass = 'bg-red-100 text-red-800';
+                else choiceClass = 'text-gray-500';
+            }
+            return (
+                <li key={choice.key}>
+                    <label className={`flex items-center p-1 rounded cursor-pointer ${choiceClass}`}>
+                        <input
+                            type={multiple ? 'checkbox' : 'radio'}
+                            name={name}
+                            className="mr-2"
+                            checked={choice.selected}
+                            onChange={() => onSelect(choice.value)}
+                            disabled={disabled}
+                        />
+                        {choice.lettered && <span className="font-mono text-xs mr-2 text-indigo-500">{optionLetter(choiceIndex)}.</span>}
+                        {choice.label}
+                    </label>
+                </li>
+            );
+        })}
+    </ul>
+);
+
+// Answer input for one question; `answer` follows the question type (see questions.js)
+const QuestionInput = ({ question, answer, onAnswer, revealed, disabled }) => {
+    const type = questionTypeOf(question);
+
+    if (hasOptions(question)) {
+        const multiple = type === 'multi';
+        const selected = (index) => (multiple ? (answer || []).includes(index) : answer === index);
+        const toggle = (index) => onAnswer(multiple
+            ? (selected(index) ? answer.filter(i => i !== index) : [...(answer || []), index])
+            : index);
+        return (
+            <>
+                {type === 'code_output' && <MarkdownContent markdown={codeMarkdown(question)} className="mb-2" />}
+                {multiple && <p className="text-xs text-gray-500 mb-1">Select all that apply.</p>}
+                <ChoiceList
+                    name={`quiz-${question.id}`}
+                    multiple={multiple}
+                    choices={question.shuffledOptions.map(option => ({
+                        key: option.index,
+                        value: option.index,
+                        label: option.text,
+                        lettered: true,
+                        selected: selected(option.index),
+                        correct: isOptionCorrect(question, option.index),
+                    }))}
+                    onSelect={toggle}
+                    revealed={revealed}
+                    disabled={disabled}
+                />
+            </>
+        );
+    }
+
+    switch (type) {
+        case 'truefalse':
+            return (
+                <ChoiceList
+                    name={`quiz-${question.id}`}
+                    choices={[true, false].map(value => ({
+                        key: String(value),
+                        value,
+                        label: value ? 'True' : 'False',
+                        selected: answer === value,
+                        correct: question.correctAnswer === value,
+                    }))}
+                    onSelect={onAnswer}
+                    revealed={revealed}
+                    disabled={disabled}
+                />
+            );
+        case 'fill':
+            return (
+                <>
+                    <input
+                        type="text"
+                        value={answer || ''}
+                        onChange={(e) => onAnswer(e.target.value)}
+                        placeholder="Your answer"
+                        className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                        disabled={disabled}
+                    />
+                    {revealed && (
+                        <p className="mt-2 text-sm text-gray-600">
+                            Accepted answers: <span className="font-semibold text-green-800">{question.acceptedAnswers.join(' · ')}</span>
+                        </p>
+                    )}
+                </>
+            );
+        case 'ordering': {
+            const order = answer || [];
+            const move = (position, offset) => {
+                const next = [...order];
+                [next[position], next[position + offset]] = [next[position + offset], next[position]];
+                onAnswer(next);
+            };
+            return (
+                <>
+                    <ol className="space-y-1 text-sm">
+                        {order.map((itemIndex, position) => (
+                            <li key={itemIndex} className={`flex items-center p-1 rounded ${revealed ? (itemIndex === position ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800') : 'bg-white border border-gray-200'}`}>
+                                <span className="font-mono text-xs mr-2 text-indigo-500">{position + 1}.</span>
+                                <span className="flex-1">{question.items[itemIndex]}</span>
+                                {!revealed && (
+                                    <span className="ml-2 space-x-1">
+                                        <button onClick={() => move(position, -1)} disabled={disabled || position === 0} className="px-2 text-gray-500 hover:text-indigo-700 disabled:text-gray-300" title="Move up">↑</button>
+                                        <button onClick={() => move(position, 1)} disabled={disabled || position === order.length - 1} className="px-2 text-gray-500 hover:text-indigo-700 disabled:text-gray-300" title="Move down">↓</button>
+                                    </span>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                    {revealed && order.some((itemIndex, position) => itemIndex !== position) && (
+                        <div className="mt-2 text-sm text-gray-600">
+                            <p className="font-semibold">Correct order:</p>
+                            <ol className="list-decimal list-inside">
+                                {question.items.map((item, i) => <li key={i}>{item}</li>)}
+                            </ol>
+                        </div>
+                    )}
+                </>
+            );
+        }
+        case 'short':
+            return (
+                <>
+                    <textarea
+                        rows={4}
+                        value={answer || ''}
+                        onChange={(e) => onAnswer(e.target.value)}
+                        placeholder="Answer in a few sentences"
+                        className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                        disabled={disabled}
+                    />
+                    {revealed && (
+                        <div className="mt-2 space-y-1 text-sm text-gray-600">
+                            <p><span className="font-semibold text-gray-700">Rubric:</span> {question.rubric}</p>
+                            <p><span className="font-semibold text-gray-700">Sample answer:</span> {question.sampleAnswer}</p>
+                        </div>
+                    )}
+                </>
+            );
+        default:
+            return null;
+    }
+};
+
+const RESULT_LABELS = {
+    true: { text: 'Correct', className: 'text-green-700 font-semibold' },
+    false: { text: 'Incorrect', className: 'text-red-700 font-semibold' },
+    null: { text: 'Not scored: compare your answer with the rubric', className: 'text-gray-700 font-semibold' },
+};
+
+// Learner quiz for one topic: answers stay hidden until the attempt is submitted
+const TopicQuiz = ({ mcqs, onSubmitAttempt, disabled = false }) => {
+    const [initialQuiz] = useState(() => buildQuiz(mcqs));
+    const [quiz, setQuiz] = useState(initialQuiz.questions);
+    const [answers, setAnswers] = useState(initialQuiz.answers);
+    const [result, setResult] = useState(null);
+
+    const handleSubmit = async () => {
+        const attempt = scoreQuizAttempt(mcqs, answers);
+        setResult(attempt);
+        await onSubmitAttempt(attempt);
+    };
+
+    const handleRetry = () => {
+        const nextQuiz = buildQuiz(mcqs);
+        setQuiz(nextQuiz.questions);
+        setAnswers(nextQuiz.answers);
+        setResult(null);
+    };
+
+    const resultFor = (mcqId) => result?.results.find(r => r.mcqId === mcqId);
+    const allAnswered = quiz.every(mcq => isAnswered(mcq, answers[mcq.id]));
+
+    return (
+        <div className="space-y-6">
+            {result && (
+                <div className={`p-4 rounded-lg border ${result.percent >= PASS_THRESHOLD * 100 ? 'bg-green-50 border-green-200 text-green-800' : 'bg-amber-50 border-amber-200 text-amber-800'}`}>
+                    <p className="font-bold">Score: {result.score}/{result.total} ({result.percent}%)</p>
+                    <p className="text-sm">
+                        {result.percent >= PASS_THRESHOLD * 100 ? 'Passed.' : `You need ${PASS_THRESHOLD * 100}% to pass this topic.`}
+                        {result.total < result.results.length && ' Short answers are not scored.'}
+                    </p>
+                </div>
+            )}
+
+            {quiz.map((mcq, index) => {
+                const questionResult = resultFor(mcq.id);
+                const [beforeBlank, ...afterBlank] = mcq.question.split(FILL_BLANK);
+                return (
+                    <div key={mcq.id} className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+                        <p className="font-medium text-gray-800 mb-2">
+                            Q{index + 1}: {questionTypeOf(mcq) === 'fill'
+                                ? <>{beforeBlank}<span className="inline-block w-16 border-b-2 border-gray-400 align-baseline" />{afterBlank.join(FILL_BLANK)}</>
+                                : mcq.question}
+                        </p>
+                        <QuestionInput
+                            question={mcq}
+                            answer={answers[mcq.id]}
+                            onAnswer={(answer) => setAnswers(prev => ({ ...prev, [mcq.id]: answer }))}
+                            revealed={Boolean(questionResult)}
+                            disabled={disabled || Boolean(result)}
+                        />
+                        {questionResult && (
+                            <div className="mt-3 text-sm">
+                                <p className={RESULT_LABELS[questionResult.correct].className}>{RESULT_LABELS[questionResult.correct].text}</p>
+                                {mcq.explanation && <p className="text-gray-600">{mcq.explanation}</p>}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            {result ? (
+                <button onClick={handleRetry} className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow">
+                    Try Again
+                </button>
+            ) : (
+                <button
+                    onClick={handleSubmit}
+                    disabled={disabled || !allAnswered}
+                    className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                    Submit Answers
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TopicQuiz;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { STEP_LABELS, formatCost, formatTokens, rollupUsage } from '../lib/usage';
+
+const totalTokens = (totals) => totals.inputTokens + totals.outputTokens;
+
+const QuotaMeter = ({ label, used, limit, format }) => {
+    const percent = limit > 0 ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+    return (
+        <div className="space-y-1">
+            <div className="flex justify-between text-sm text-gray-600">
+                <span>{label}</span>
+                <span>{format(used)}{limit > 0 ? ` of ${format(limit)}` : ' (no limit)'}</span>
+            </div>
+            {limit > 0 && (
+                <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className={`h-2 rounded-full ${percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-indigo-500'}`} style={{ width: `${percent}%` }} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// One row per group: label, requests, tokens and estimated cost
+const UsageTable = ({ rows }) => (
+    <table className="w-full text-sm">
+        <thead>
+            <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 font-medium"></th>
+                <th className="py-2 font-medium text-right">Requests</th>
+                <th className="py-2 font-medium text-right">Tokens</th>
+                <th className="py-2 font-medium text-right">Est. cost</th>
+            </tr>
+        </thead>
+        <tbody>
+            {rows.map(({ key, label, totals }) => (
+                <tr key={key} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-700">{label}</td>
+                    <td className="py-2 text-right text-gray-600">{totals.requests}</td>
+                    <td className="py-2 text-right text-gray-600">{formatTokens(totalTokens(totals))}</td>
+                    <td className="py-2 text-right text-gray-600">{formatCost(totals.cost)}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+const Section = ({ title, children }) => (
+    <div className="p-6 bg-white rounded-2xl shadow-lg border border-gray-100 space-y-3">
+        <h2 className="text-2xl font-bold text-gray-700">{title}</h2>
+        {children}
+    </div>
+);
+
+const byCost = (a, b) => b.totals.cost - a.totals.cost || totalTokens(b.totals) - totalTokens(a.totals);
+
+// AI usage of the workspace: the user's month against the quota, this month per member, course
+// and step, and the user's earlier months.
+//   usageMonths: usageMonths docs of the workspace (every member, every month)
+//   monthEvents: usage events of the workspace in `month`
+//   memberName(uid), courseTitle(courseId): display names (null for removed members / deleted courses)
+const UsageDashboard = ({ month, usageMonths, monthEvents, userId, quota, memberName, courseTitle, onEditQuota, onClose }) => {
+    if (usageMonths === null || monthEvents === null) {
+        return <div className="p-8 text-center text-gray-500 bg-gray-50 rounded-xl">Loading usage...</div>;
+    }
+
+    const ownMonths = usageMonths.filter(m => m.userId === userId).sort((a, b) => b.month.localeCompare(a.month));
+    const ownMonth = ownMonths.find(m => m.month === month) || { inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 };
+
+    const memberRows = usageMonths
+        .filter(m => m.month === month)
+        .map(m => ({ key: m.userId, label: m.userId === userId ? 'You' : memberName(m.userId) || 'Former member', totals: m }))
+        .sort(byCost);
+    const { total, groups: courseGroups } = rollupUsage(monthEvents, e => e.courseId);
+    const courseRows = Object.entries(courseGroups)
+        .map(([courseId, totals]) => ({ key: courseId, label: courseTitle(courseId) || 'Deleted course', totals }))
+        .sort(byCost);
+    const stepRows = Object.entries(rollupUsage(monthEvents, e => e.step).groups)
+        .map(([step, totals]) => ({ key: step, label: STEP_LABELS[step] || step, totals }))
+        .sort(byCost);
+    const estimatedCount = monthEvents.filter(e => e.estimated).length;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center border-b pb-2">
+                <h1 className="text-4xl font-extrabold text-indigo-800">AI Usage</h1>
+                <button onClick={onClose} className="text-sm font-semibold text-gray-600 hover:text-gray-800">Close</button>
+            </div>
+            <p className="text-sm text-gray-500">
+                Costs are estimates from the token prices in the AI settings.
+                {estimatedCount > 0 && ` ${estimatedCount} request(s) this month came from a provider that reports no token counts; their tokens are estimated from text length.`}
+            </p>
+
+            <Section title={`Your Usage in ${month}`}>
+                <QuotaMeter label="Tokens" used={totalTokens(ownMonth)} limit={quota.monthlyTokenLimit} format={formatTokens} />
+                <QuotaMeter label="Estimated cost" used={ownMonth.cost} limit={quota.monthlyCostLimit} format={formatCost} />
+                <p className="text-sm text-gray-500">
+                    {ownMonth.requests} request(s).
+                    {(quota.monthlyTokenLimit > 0 || quota.monthlyCostLimit > 0) && (quota.enforcement === 'block'
+                        ? ' Generations that would exceed the quota are blocked.'
+                        : ' You are asked to confirm generations that would exceed the quota.')}
+                </p>
+                {onEditQuota && (
+                    <button onClick={onEditQuota} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">Edit quotas</button>
+                )}
+            </Section>
+
+            <Section title="This Month">
+                {total.requests === 0 ? (
+                    <p className="text-sm text-gray-500">No AI requests in this workspace this month.</p>
+                ) : (
+                    <div className="space-y-6">
+                        <p className="text-sm text-gray-600">
+                            {total.requests} request(s), {formatTokens(totalTokens(total))} tokens, about {formatCost(total.cost)} in this workspace.
+                        </p>
+                        {memberRows.length > 1 && (
+                            <div>
+                                <h3 className="font-semibold text-gray-700">By member</h3>
+                                <UsageTable rows={memberRows} />
+                            </div>
+                        )}
+                        <div>
+                            <h3 className="font-semibold text-gray-700">By course</h3>
+                            <UsageTable rows={courseRows} />
+                        </div>
+                        <div>
+                            <h3 className="font-semibold text-gray-700">By step</h3>
+                            <UsageTable rows={stepRows} />
+                        </div>
+                    </div>
+                )}
+            </Section>
+
+            {ownMonths.length > 0 && (
+                <Section title="Your Monthly History">
+                    <UsageTable rows={ownMonths.map(m => ({ key: m.month, label: m.month, totals: m }))} />
+                </Section>
+            )}
+        </div>
+    );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { WORKSPACE_ROLES, INVITABLE_ROLES } from '../lib/workspaces';
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-inner";
+
+// Members, roles and pending invitations of a team workspace. Only the owner can invite,
+// change roles and remove members; everyone else can leave.
+const WorkspaceMembers = ({
+    workspace,
+    userId,
+    invitations,
+    onInvite,
+    onChangeRole,
+    onRemoveMember,
+    onRevokeInvitation,
+    onLeave,
+    onClose,
+    disabled = false,
+}) => {
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('editor');
+    const isOwner = workspace.ownerId === userId;
+
+    const members = Object.entries(workspace.members)
+        .map(([id, member]) => ({ id, ...member }))
+        .sort((a, b) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : (a.displayName || a.email || '').localeCompare(b.displayName || b.email || '')));
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (await onInvite(email, role)) setEmail('');
+    };
+
+    return (
+        <div className="p-8 space-y-6 bg-white rounded-2xl shadow-2xl">
+            <div className="flex justify-between items-center">
+                <h1 className="text-3xl font-extrabold text-indigo-800">{workspace.name}</h1>
+                <button onClick={onClose} className="text-sm font-semibold text-gray-500 hover:text-gray-700">Done</button>
+            </div>
+
+            <div className="space-y-2">
+                <h2 className="text-xl font-bold text-gray-700">Members</h2>
+                <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                    {members.map(member => (
+                        <li key={member.id} className="flex flex-wrap items-center justify-between gap-2 p-3">
+                            <div>
+                                <p className="font-semibold text-gray-800">
+                                    {member.displayName || member.email || member.id}
+                                    {member.id === userId && <span className="ml-2 text-xs text-gray-400">(you)</span>}
+                                </p>
+                                {member.displayName && member.email && <p className="text-xs text-gray-500">{member.email}</p>}
+                            </div>
+                            <div className="flex items-center space-x-3">
+                                {isOwner && member.role !== 'owner' ? (
+                                    <select
+                                        value={member.role}
+                                        onChange={(e) => onChangeRole(member.id, e.target.value)}
+                                        disabled={disabled}
+                                        className="p-1 text-sm border border-gray-300 rounded-lg"
+                                    >
+                                        {INVITABLE_ROLES.map(r => <option key={r} value={r}>{WORKSPACE_ROLES[r].label}</option>)}
+                                    </select>
+                                ) : (
+                                    <span className="text-sm text-gray-600" title={WORKSPACE_ROLES[member.role]?.description}>
+                                        {WORKSPACE_ROLES[member.role]?.label || member.role}
+                                    </span>
+                                )}
+                                {isOwner && member.role !== 'owner' && (
+                                    <button onClick={() => onRemoveMember(member)} disabled={disabled} className="text-xs font-semibold text-red-600 hover:text-red-800">
+                                        Remove
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            {isOwner && (
+                <div className="space-y-3">
+                    <h2 className="text-xl font-bold text-gray-700">Invite</h2>
+                    <form onSubmit={handleInvite} className="flex flex-wrap gap-3">
+                        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required
+                            placeholder="colleague@example.com" className={`${inputClassName} flex-1 min-w-[12rem]`} disabled={disabled} />
+                        <select value={role} onChange={(e) => setRole(e.target.value)} disabled={disabled} className="p-3 border border-gray-300 rounded-xl">
+                            {INVITABLE_ROLES.map(r => <option key={r} value={r}>{WORKSPACE_ROLES[r].label}</option>)}
+                        </select>
+                        <button
+                            type="submit"
+                            disabled={disabled || !email.trim()}
+                            className="py-2 px-4 rounded-xl text-sm font-semibold bg-indigo-600 hover:bg-indigo-700 text-white shadow disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            Send Invitation
+                        </button>
+                    </form>
+                    <ul className="text-xs text-gray-500 space-y-1">
+                        {INVITABLE_ROLES.map(r => <li key={r}><strong>{WORKSPACE_ROLES[r].label}:</strong> {WORKSPACE_ROLES[r].description}</li>)}
+                    </ul>
+                    <p className="text-xs text-gray-500">
+                        Invited people see the invitation after signing in with that (verified) email address.
+                    </p>
+
+                    {invitations.length > 0 && (
+                        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                            {invitations.map(invitation => (
+                                <li key={invitation.id} className="flex justify-between items-center p-3 text-sm">
+                                    <span className="text-gray-700">
+                                        {invitation.email} <span className="text-gray-400">· {WORKSPACE_ROLES[invitation.role]?.label} · pending</span>
+                                    </span>
+                                    <button onClick={() => onRevokeInvitation(invitation)} disabled={disabled} className="text-xs font-semibold text-red-600 hover:text-red-800">
+                                        Revoke
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {!isOwner && (
+                <button onClick={onLeave} disabled={disabled} className="text-sm font-semibold text-red-600 hover:text-red-800">
+                    Leave Workspace
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default WorkspaceMembers;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { WORKSPACE_ROLES } from '../lib/workspaces';
+
+const NEW_WORKSPACE = '__new__';
+
+// Header select for the active workspace ('' = personal). Creating a workspace asks for its name.
+const WorkspaceSwitcher = ({ workspaces, activeWorkspaceId, role, onSwitch, onCreate, onManage, disabled = false }) => {
+    const handleChange = (e) => {
+        if (e.target.value !== NEW_WORKSPACE) {
+            onSwitch(e.target.value || null);
+            return;
+        }
+        const name = window.prompt("Name of the new team workspace:");
+        if (name?.trim()) onCreate(name.trim());
+    };
+
+    return (
+        <div className="flex items-center space-x-2 text-sm">
+            <select
+                value={activeWorkspaceId || ''}
+                onChange={handleChange}
+                disabled={disabled}
+                className="p-1 border border-gray-300 rounded-lg bg-white text-gray-700"
+            >
+                <option value="">Personal</option>
+                {(workspaces || []).map(workspace => (
+                    <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                ))}
+                <option value={NEW_WORKSPACE}>+ New team workspace…</option>
+            </select>
+            {activeWorkspaceId && (
+                <>
+                    <span className="text-xs text-gray-500">{WORKSPACE_ROLES[role]?.label}</span>
+                    <button onClick={onManage} className="text-xs font-semibold text-indigo-600 hover:text-indigo-800">Members</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,106 @@
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    createUserWithEmailAndPassword,
+    linkWithCredential,
+    linkWithPopup,
+    sendEmailVerification,
+    signInAnonymously,
+    signInWithCredential,
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    signOut,
+    updateProfile,
+} from 'firebase/auth';
+
+// --- Accounts ---
+// Email/password and Google sign-in on top of Firebase Auth. A guest (anonymous) session is
+// upgraded by linking the new credential to it, so the uid - and with it every course stored
+// under artifacts/{appId}/users/{uid} - stays the same.
+
+// The parts of a Firebase user the UI needs (a plain object, so linking can trigger a re-render)
+export const toAccountProfile = (user) => ({
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    displayName: user.displayName,
+    photoURL: user.photoURL,
+    providerIds: user.providerData.map(provider => provider.providerId),
+});
+
+export const accountLabel = (profile) => {
+    if (!profile) return '';
+    if (profile.isAnonymous) return 'Guest';
+    return profile.displayName || profile.email || 'Signed in';
+};
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': "That email address is not valid.",
+    'auth/missing-password': "Enter a password.",
+    'auth/weak-password': "The password must be at least 6 characters.",
+    'auth/email-already-in-use': "An account with this email already exists. Sign in instead.",
+    'auth/credential-already-in-use': "This account already exists. Sign in instead.",
+    'auth/invalid-credential': "Wrong email or password.",
+    'auth/wrong-password': "Wrong email or password.",
+    'auth/user-not-found': "Wrong email or password.",
+    'auth/user-disabled': "This account has been disabled.",
+    'auth/too-many-requests': "Too many attempts. Wait a moment and try again.",
+    'auth/popup-closed-by-user': "The Google sign-in window was closed before finishing.",
+    'auth/popup-blocked': "The browser blocked the Google sign-in window. Allow pop-ups and try again.",
+    'auth/network-request-failed': "Network error. Check your connection and try again.",
+    'auth/operation-not-allowed': "This sign-in method is not enabled for the project.",
+    'auth/admin-restricted-operation': "Guest access is not enabled for the project.",
+};
+
+export const describeAuthError = (error) =>
+    AUTH_ERROR_MESSAGES[error?.code] || error?.message || "Authentication failed.";
+
+// Register with email/password. A guest keeps its uid (and courses) by linking the credential.
+// The address is verified by email before workspace invitations can be accepted with it.
+export const signUpWithEmail = async (auth, email, password, displayName = '') => {
+    const current = auth.currentUser;
+    const credential = current?.isAnonymous
+        ? await linkWithCredential(current, EmailAuthProvider.credential(email, password))
+        : await createUserWithEmailAndPassword(auth, email, password);
+
+    if (displayName.trim()) await updateProfile(credential.user, { displayName: displayName.trim() });
+    await sendEmailVerification(credential.user);
+    return credential.user;
+};
+
+export const resendEmailVerification = (auth) => sendEmailVerification(auth.currentUser);
+
+// Picks up a verification done in another tab; the new ID token carries `email_verified` for the rules
+export const refreshAccount = async (auth) => {
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    return auth.currentUser;
+};
+
+// Signing in to an existing account switches to that account's data; a guest's courses stay
+// with the guest session.
+export const signInWithEmail = async (auth, email, password) => {
+    const credential = await signInWithEmailAndPassword(auth, email, password);
+    return credential.user;
+};
+
+// A guest is linked to the Google account. When that Google account is already registered,
+// linking is impossible and the user is signed in to the existing account instead.
+export const signInWithGoogle = async (auth) => {
+    const provider = new GoogleAuthProvider();
+    const current = auth.currentUser;
+    if (!current?.isAnonymous) return (await signInWithPopup(auth, provider)).user;
+
+    try {
+        return (await linkWithPopup(current, provider)).user;
+    } catch (e) {
+        const existingCredential = e.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(e);
+        if (!existingCredential) throw e;
+        return (await signInWithCredential(auth, existingCredential)).user;
+    }
+};
+
+export const continueAsGuest = async (auth) => (await signInAnonymously(auth)).user;
+
+export const signOutUser = (auth) => signOut(auth);
@@ -0,0 +1,135 @@
+import { collection, doc, getDoc, getDocs, query, where, deleteField } from 'firebase/firestore';
+import { createBatchWriter, loadCourseTree } from './courseStore';
+import { toCourseOutline, importCourseOutline } from './courseOutline';
+
+// --- Public Course Catalog ---
+// Publishing copies a course into the public area as a read-only entry:
+//
+// catalog/{courseId}: {
+//     title, titleLower, blueprint, modules: [{ title, objective }], moduleCount, topicCount,
+//     workspaceId, ownerId, publishedBy, sourceCourseId, version, publishedAt,
+// }
+// catalogTopics/{courseId}_{version}_{moduleIndex}_{topicIndex}: {
+//     catalogId, version, moduleIndex, topicIndex, topic, workspaceId, ownerId,
+// }
+//
+// Topics (with their questions and labs) get their own docs, like snapshot topics, so a published
+// course stays under Firestore's document size limit. The entry is written after its topics and
+// deleted before them, so a listed entry always has all of its topics. Entries published before
+// topics were split off keep the whole outline in `outline`.
+//
+// `workspaceId` is the team workspace the course belongs to (null for a personal workspace, whose
+// user is `ownerId`). Owners and editors of that workspace update and remove the entry and its topics;
+// topics that do not name the same workspace (or user) as their entry are ignored.
+//
+// The private course doc remembers what was published: { status: 'published', publishedAt, publishedVersion }.
+// Unpublishing returns the course to 'approved' (see review.js).
+// `getPath` resolves private collections and `getPublicPath` public ones.
+
+export const CATALOG_COLLECTION = 'catalog';
+export const CATALOG_TOPICS_COLLECTION = 'catalogTopics';
+
+const getCatalogTopicDocs = async (db, getPublicPath, catalogId) =>
+    (await getDocs(query(collection(db, getPublicPath(CATALOG_TOPICS_COLLECTION)), where('catalogId', '==', catalogId)))).docs;
+
+// Publish (or re-publish) the current version of a course of the workspace `workspaceId` (null = personal)
+export const publishCourse = async (db, getPath, getPublicPath, course, userId, workspaceId) => {
+    const tree = await loadCourseTree(db, getPath, course.id);
+    if (tree.modules.length === 0) throw new Error("The course has no modules to publish.");
+
+    const version = (course.publishedVersion || 0) + 1;
+    const publishedAt = new Date();
+    const outline = toCourseOutline(course, tree);
+    const publisher = { workspaceId, ownerId: workspaceId ? null : userId };
+
+    const writer = createBatchWriter(db);
+    const topicIds = new Set();
+    outline.modules.forEach((module, moduleIndex) => module.topics.forEach((topic, topicIndex) => {
+        const topicId = `${course.id}_${version}_${moduleIndex}_${topicIndex}`;
+        topicIds.add(topicId);
+        writer.set(doc(db, getPublicPath(CATALOG_TOPICS_COLLECTION), topicId), {
+            catalogId: course.id,
+            version,
+            moduleIndex,
+            topicIndex,
+            topic,
+            ...publisher,
+        });
+    }));
+    writer.set(doc(db, getPublicPath(CATALOG_COLLECTION), course.id), {
+        title: course.title,
+        titleLower: course.title.toLowerCase(),
+        blueprint: outline.blueprint,
+        modules: outline.modules.map(({ title, objective }) => ({ title, objective })),
+        moduleCount: tree.modules.length,
+        topicCount: topicIds.size,
+        ...publisher,
+        publishedBy: userId,
+        sourceCourseId: course.id,
+        version,
+        publishedAt,
+    });
+    writer.update(doc(db, getPath('courses'), course.id), { status: 'published', publishedAt, publishedVersion: version });
+    await writer.commit();
+
+    // Topics of the previous version (and of earlier attempts that failed halfway)
+    const staleTopicDocs = (await getCatalogTopicDocs(db, getPublicPath, course.id)).filter(d => !topicIds.has(d.id));
+    const cleanup = createBatchWriter(db);
+    staleTopicDocs.forEach(d => cleanup.delete(d.ref));
+    await cleanup.commit();
+};
+
+export const unpublishCourse = async (db, getPath, getPublicPath, course) => {
+    const topicDocs = await getCatalogTopicDocs(db, getPublicPath, course.id);
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getPath('courses'), course.id), { status: 'approved', publishedAt: deleteField() });
+    writer.delete(doc(db, getPublicPath(CATALOG_COLLECTION), course.id));
+    topicDocs.forEach(d => writer.delete(d.ref));
+    await writer.commit();
+};
+
+// The outline of a catalog entry ({ title, blueprint, modules }), with its topics
+export const loadCatalogOutline = async (db, getPublicPath, entry) => {
+    if (entry.outline) return entry.outline;
+    const topics = (await getCatalogTopicDocs(db, getPublicPath, entry.id))
+        .map(d => d.data())
+        .filter(t => t.version === entry.version && t.workspaceId === entry.workspaceId && t.ownerId === entry.ownerId);
+    return {
+        title: entry.title,
+        blueprint: entry.blueprint,
+        modules: entry.modules.map((module, moduleIndex) => ({
+            ...module,
+            topics: topics
+                .filter(t => t.moduleIndex === moduleIndex)
+                .sort((a, b) => a.topicIndex - b.topicIndex)
+                .map(t => t.topic),
+        })),
+    };
+};
+
+// Copy a catalog entry into the user's own workspace as a new draft course
+export const cloneCatalogEntry = async (db, getPath, getPublicPath, entry, userId) => importCourseOutline(
+    db,
+    getPath,
+    await loadCatalogOutline(db, getPublicPath, entry),
+    userId,
+    { source: 'catalog', clonedFrom: { catalogId: entry.id, version: entry.version, title: entry.title } }
+);
+
+// Case-insensitive title search over the loaded entries
+export const searchCatalog = (entries, searchText) => {
+    const needle = searchText.trim().toLowerCase();
+    if (!needle) return entries;
+    return entries.filter(entry => (entry.titleLower || entry.title.toLowerCase()).includes(needle));
+};
+
+// Remove the public entry and its topics when the course itself is deleted (the entry is already
+// gone when an interrupted delete is finished, but topics may be left)
+export const removeCatalogEntry = async (db, getPublicPath, courseId) => {
+    const entryRef = doc(db, getPublicPath(CATALOG_COLLECTION), courseId);
+    const topicDocs = await getCatalogTopicDocs(db, getPublicPath, courseId);
+    const writer = createBatchWriter(db);
+    if ((await getDoc(entryRef)).exists()) writer.delete(entryRef);
+    topicDocs.forEach(d => writer.delete(d.ref));
+    await writer.commit();
+};
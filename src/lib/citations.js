@@ -0,0 +1,104 @@
+// --- Grounding Citations ---
+// Gemini's Google Search grounding reports the web pages it used and which parts of the response
+// each of them supports. The AI proxy passes them on as
+//   grounding: { sources: [{ url, title }], supports: [{ text, sourceIndices }] }
+// (`text` is the supported part of the raw response, `sourceIndices` point into `sources`).
+//
+// Topics and labs store their sources as `citations: [{ url, title }]`, and their Markdown fields
+// carry inline markers: a link `[[n]](url)` to citation n (1-based) after each supported passage.
+// Markers are plain Markdown, so every renderer and export shows them without extra support.
+
+export const citationMarker = (number, url) => `[[${number}]](${url})`;
+
+const isWebUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// The well-formed citations with http(s) links. Citations also come from imported outlines and catalog
+// clones, so anything else (e.g. a `javascript:` link) is dropped before it is stored or rendered.
+export const webCitations = (citations) => (Array.isArray(citations) ? citations : [])
+    .filter(c => typeof c?.url === 'string' && typeof c.title === 'string' && isWebUrl(c.url))
+    .map(({ url, title }) => ({ url, title }));
+
+// Structured responses are JSON: supported passages inside string values come with JSON escapes
+const decodeSupportText = (text) => {
+    try {
+        return JSON.parse(`"${text}"`);
+    } catch {
+        return text;
+    }
+};
+
+// Add citation markers to the Markdown `fields` of an item (strings or arrays of strings) and collect
+// its citations. Sources are numbered in order of first citation; when none of the supported passages
+// is found in the fields, every source is still listed (uncited) so the references are not lost.
+// Returns { fields, citations }.
+export const applyCitations = (fields, grounding) => {
+    const sources = (grounding?.sources || []).map(source => (source?.url ? source : null));
+    if (!sources.some(Boolean)) return { fields, citations: [] };
+
+    const citations = [];
+    const numberOf = (sourceIndex) => {
+        const source = sources[sourceIndex];
+        const existing = citations.findIndex(c => c.url === source.url);
+        if (existing !== -1) return existing + 1;
+        citations.push({ url: source.url, title: source.title || source.url });
+        return citations.length;
+    };
+
+    const supports = (grounding.supports || [])
+        .map(support => ({
+            text: decodeSupportText(support.text || '').trim(),
+            sourceIndices: (support.sourceIndices || []).filter(i => sources[i]),
+        }))
+        .filter(support => support.text && support.sourceIndices.length > 0);
+
+    const cite = (text) => {
+        if (typeof text !== 'string') return text;
+        // Find every passage first (numbering them in reading order), then insert from the end
+        // so earlier positions stay valid
+        const markersAt = supports
+            .map(support => ({ support, start: text.indexOf(support.text) }))
+            .filter(({ start }) => start !== -1)
+            .map(({ support, start }) => ({ support, at: start + support.text.length }))
+            .sort((a, b) => a.at - b.at)
+            .map(({ support, at }) => ({
+                at,
+                markers: support.sourceIndices.map(i => citationMarker(numberOf(i), sources[i].url)).join(''),
+            }));
+        return markersAt.reduceRight((result, { at, markers }) => `${result.slice(0, at)}${markers}${result.slice(at)}`, text);
+    };
+
+    const citedFields = Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.map(cite) : cite(value),
+    ]));
+
+    if (citations.length === 0) {
+        sources.filter(Boolean).forEach(source => {
+            if (!citations.some(c => c.url === source.url)) citations.push({ url: source.url, title: source.title || source.url });
+        });
+    }
+    return { fields: citedFields, citations };
+};
+
+// Markdown fields of the items that keep citations
+export const CITED_FIELDS = {
+    topic: ['content'],
+    lab: ['problemStatement', 'steps', 'expectedOutcome'],
+};
+
+// Fields of a generated topic or lab with citation markers added and `citations` set.
+// Regenerated items replace their citations, so an answer without sources clears them.
+export const withCitations = (kind, fields, grounding) => {
+    const citedKeys = CITED_FIELDS[kind].filter(key => key in fields);
+    const { fields: citedFields, citations } = applyCitations(
+        Object.fromEntries(citedKeys.map(key => [key, fields[key]])),
+        grounding
+    );
+    return { ...fields, ...citedFields, citations };
+};
@@ -0,0 +1,184 @@
+import JSZip from 'jszip';
+import { renderMarkdown } from './markdown';
+import { resolveBlueprint } from './prompts';
+import { EXPORT_STYLES, escapeHtml, slugify, topicNumber, mcqsOf, labOf, labHtml, referencesHtml } from './exportUtils';
+import { codeMarkdown, hasOptions, isOptionCorrect, optionLetter, questionTypeOf, scrambledItems } from './questions';
+
+// --- Course Book Export ---
+// Turns a course tree (see loadCourseTree) into documents that can be reviewed without
+// signing in: a static HTML site (table of contents, one page per topic, prev/next
+// navigation) and a print-optimized single document that the browser can save as PDF.
+// Numbering follows the app: `module.order`.`topic index`.
+
+const htmlDocument = (title, body, { stylesheet = null, head = '' } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${stylesheet ? `<link rel="stylesheet" href="${stylesheet}">` : `<style>${EXPORT_STYLES}</style>`}
+${head}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const courseSummary = (course) => {
+    const blueprint = resolveBlueprint(course.blueprint);
+    return `<p class="explanation">${escapeHtml(blueprint.level)} · about ${blueprint.totalHours} hours · ${escapeHtml(blueprint.language)}${blueprint.prerequisites ? ` · Prerequisites: ${escapeHtml(blueprint.prerequisites)}` : ''}</p>`;
+};
+
+// What the learner gets to answer a question with, by question type
+const QUESTION_INSTRUCTIONS = {
+    multi: 'Select all that apply.',
+    truefalse: 'True or false?',
+    ordering: 'Put these in the correct order:',
+    short: 'Answer in a few sentences.',
+};
+
+const questionsHtml = (mcqs) => mcqs.map((mcq, i) => {
+    const type = questionTypeOf(mcq);
+    return [
+        '<div class="question">',
+        `<p><strong>Q${i + 1}:</strong> ${escapeHtml(mcq.question)}</p>`,
+        type === 'code_output' && renderMarkdown(codeMarkdown(mcq)),
+        QUESTION_INSTRUCTIONS[type] && `<p class="explanation">${QUESTION_INSTRUCTIONS[type]}</p>`,
+        hasOptions(mcq) && `<ol type="A">${(mcq.options || []).map(option => `<li>${escapeHtml(option)}</li>`).join('')}</ol>`,
+        type === 'ordering' && `<ul>${scrambledItems(mcq).map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`,
+        '</div>',
+    ].filter(Boolean).join('\n');
+}).join('\n');
+
+const answerHtml = (mcq) => {
+    switch (questionTypeOf(mcq)) {
+        case 'truefalse':
+            return `<strong>${mcq.correctAnswer ? 'True' : 'False'}</strong>`;
+        case 'fill':
+            return `<strong>${(mcq.acceptedAnswers || []).map(escapeHtml).join(' / ')}</strong>`;
+        case 'ordering':
+            return (mcq.items || []).map((item, i) => `<strong>${i + 1}.</strong> ${escapeHtml(item)}`).join(' ');
+        case 'short':
+            return `<strong>Rubric:</strong> ${escapeHtml(mcq.rubric)}<br><strong>Sample answer:</strong> ${escapeHtml(mcq.sampleAnswer)}`;
+        default: {
+            const correct = (mcq.options || []).map((option, index) => ({ option, index })).filter(({ index }) => isOptionCorrect(mcq, index));
+            return `<strong>${correct.map(({ index }) => optionLetter(index)).join(', ')}</strong> — ${correct.map(({ option }) => escapeHtml(option)).join('; ')}`;
+        }
+    }
+};
+
+const answerKeyItems = (mcqs) => `<ol>${mcqs.map(mcq => `<li>${answerHtml(mcq)}${mcq.explanation ? `<br><span class="explanation">${escapeHtml(mcq.explanation)}</span>` : ''}</li>`).join('')}</ol>`;
+
+// Content, lab and questions of one topic; `answerKey` adds a collapsible answer key below the questions
+const topicSectionsHtml = (topic, { answerKey }) => {
+    const lab = labOf(topic);
+    const mcqs = mcqsOf(topic);
+    return [
+        renderMarkdown(topic.content),
+        referencesHtml(topic.citations),
+        lab ? `<h2>Practice Lab</h2>\n${labHtml(lab)}` : '',
+        mcqs.length ? `<h2>Assessment Questions</h2>\n${questionsHtml(mcqs)}` : '',
+        mcqs.length && answerKey ? `<details class="answer-key"><summary>Answer key</summary>${answerKeyItems(mcqs)}</details>` : '',
+    ].filter(Boolean).join('\n');
+};
+
+// --- Static HTML site ---
+
+const topicPagePath = (module, topic, topicIndex) => `topics/${module.order}-${topicIndex + 1}-${slugify(topic.title)}.html`;
+
+const siteTocHtml = (tree, linkPrefix) => `<nav class="toc">
+<ol>${tree.modules.map(module => `
+<li><strong>Module ${module.order}: ${escapeHtml(module.title)}</strong>
+${module.objective ? `<div class="explanation">${escapeHtml(module.objective)}</div>` : ''}
+<ol>${module.topics.map((topic, topicIndex) => `<li><a href="${linkPrefix}${topicPagePath(module, topic, topicIndex)}">${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</a></li>`).join('')}</ol>
+</li>`).join('')}
+</ol>
+</nav>`;
+
+// Pages are written in reading order so the pager can link neighbours
+const sitePages = (course, tree) => {
+    const entries = tree.modules.flatMap(module => module.topics.map((topic, topicIndex) => ({ module, topic, topicIndex })));
+
+    return entries.map(({ module, topic, topicIndex }, i) => {
+        const previous = entries[i - 1];
+        const next = entries[i + 1];
+        const pageLink = (entry, label) => entry
+            ? `<a href="../${topicPagePath(entry.module, entry.topic, entry.topicIndex)}">${label}</a>`
+            : '<span></span>';
+
+        const body = `<p class="breadcrumb"><a href="../index.html">${escapeHtml(course.title)}</a> › Module ${module.order}: ${escapeHtml(module.title)}</p>
+<h1>${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</h1>
+${topicSectionsHtml(topic, { answerKey: true })}
+<nav class="pager">
+${pageLink(previous, previous ? `← ${topicNumber(previous.module, previous.topicIndex)} ${escapeHtml(previous.topic.title)}` : '')}
+<a href="../index.html">Contents</a>
+${pageLink(next, next ? `${topicNumber(next.module, next.topicIndex)} ${escapeHtml(next.topic.title)} →` : '')}
+</nav>`;
+
+        return { path: topicPagePath(module, topic, topicIndex), html: htmlDocument(`${topicNumber(module, topicIndex)} ${topic.title}`, body, { stylesheet: '../styles.css' }) };
+    });
+};
+
+// Resolves to a zip Blob: index.html, styles.css, topics/*.html and the print book (book.html)
+export const buildStaticSite = async (course, tree) => {
+    const index = `<h1>${escapeHtml(course.title)}</h1>
+${courseSummary(course)}
+<p><a href="book.html">Printable version (single page, save as PDF)</a></p>
+<h2>Contents</h2>
+${siteTocHtml(tree, '')}`;
+
+    const zip = new JSZip();
+    zip.file('index.html', htmlDocument(course.title, index, { stylesheet: 'styles.css' }));
+    zip.file('styles.css', EXPORT_STYLES);
+    zip.file('book.html', buildPrintBook(course, tree));
+    sitePages(course, tree).forEach(page => zip.file(page.path, page.html));
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+// --- Print book ---
+
+const topicAnchor = (module, topicIndex) => `topic-${module.order}-${topicIndex + 1}`;
+
+// One self-contained document: cover, contents, one chapter per module and the answer key as appendix.
+// With `autoPrint` the print dialog opens as soon as the document has loaded.
+export const buildPrintBook = (course, tree, { autoPrint = false } = {}) => {
+    const toc = `<nav class="toc"><ol>${tree.modules.map(module => `
+<li><a href="#module-${module.order}">Module ${module.order}: ${escapeHtml(module.title)}</a>
+<ol>${module.topics.map((topic, topicIndex) => `<li><a href="#${topicAnchor(module, topicIndex)}">${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</a></li>`).join('')}</ol>
+</li>`).join('')}
+<li><a href="#answer-key">Answer Key</a></li>
+</ol></nav>`;
+
+    const chapters = tree.modules.map(module => `<section class="chapter" id="module-${module.order}">
+<h1>Module ${module.order}: ${escapeHtml(module.title)}</h1>
+${module.objective ? `<p><em>${escapeHtml(module.objective)}</em></p>` : ''}
+${module.topics.map((topic, topicIndex) => `<article id="${topicAnchor(module, topicIndex)}">
+<h2>${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</h2>
+${topicSectionsHtml(topic, { answerKey: false })}
+</article>`).join('\n')}
+</section>`).join('\n');
+
+    const answerKey = `<section class="chapter" id="answer-key">
+<h1>Answer Key</h1>
+${tree.modules.flatMap(module => module.topics.map((topic, topicIndex) => ({ module, topic, topicIndex })))
+        .filter(({ topic }) => mcqsOf(topic).length > 0)
+        .map(({ module, topic, topicIndex }) => `<h3>${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</h3>\n${answerKeyItems(mcqsOf(topic))}`)
+        .join('\n') || '<p>This course has no assessment questions yet.</p>'}
+</section>`;
+
+    const body = `<div class="toolbar no-print"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+<header>
+<h1>${escapeHtml(course.title)}</h1>
+${courseSummary(course)}
+<p class="explanation">Exported ${escapeHtml(new Date().toLocaleDateString())}</p>
+</header>
+<h2>Contents</h2>
+${toc}
+${chapters}
+${answerKey}`;
+
+    const head = autoPrint ? '<script>window.addEventListener("load", function () { window.print(); });</script>' : '';
+    return htmlDocument(course.title, body, { head });
+};
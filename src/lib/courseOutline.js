@@ -0,0 +1,234 @@
+import { collection, deleteField, doc, updateDoc } from 'firebase/firestore';
+import { webCitations } from './citations';
+import { createBatchWriter, deleteCourse, markCourseDeleting, queueCourseTreeWrites } from './courseStore';
+import { DEFAULT_BLUEPRINT, resolveBlueprint } from './prompts';
+import { QUESTION_TYPE_IDS, questionFields } from './questions';
+
+// --- Course Outline Import / Export ---
+// A course outline is the app-independent shape of a course:
+//   { title, blueprint?, modules: [{ title, objective, topics: [{ title, content, assets: [...] }] }] }
+// It is read from a Markdown outline (headings for modules and topics) or from the JSON
+// file written by buildCourseOutlineJson, and written with the same tree helpers as snapshots.
+// Anything the outline leaves empty is filled in afterwards by a generation job.
+
+export const OUTLINE_FORMAT = 'course-outline';
+export const OUTLINE_VERSION = 1;
+
+// The fields an outline carries. Everything else on a document (ids, parent links, timestamps,
+// review state, edit and regeneration marks) only makes sense inside its workspace and is neither
+// exported nor imported, so an outline cannot plant it in another workspace.
+// The text fields of modules, topics and labs are strings; lab `steps` a list of strings.
+const MODULE_FIELDS = ['title', 'objective'];
+const TOPIC_FIELDS = ['title', 'content'];
+const LAB_FIELDS = ['title', 'problemStatement', 'expectedOutcome'];
+
+const pickFields = (item, keys) => Object.fromEntries(
+    keys.filter(key => item[key] !== undefined).map(key => [key, item[key]])
+);
+
+const pickTextFields = (item, keys) => pickFields(item, keys.filter(key => typeof item[key] === 'string'));
+
+const stepsOf = (lab) => (Array.isArray(lab.steps) ? { steps: lab.steps.filter(step => typeof step === 'string') } : {});
+
+// Only http(s) citations are copied (see webCitations)
+const citationsOf = (item) => (item.citations === undefined ? {} : { citations: webCitations(item.citations) });
+
+// Fields of each asset type; questions keep the fields of their question type (see questions.js)
+const ASSET_FIELDS = {
+    mcq: (asset) => {
+        const fields = questionFields(asset);
+        return pickFields(fields, Object.keys(fields));
+    },
+    lab: (asset) => ({ ...pickTextFields(asset, LAB_FIELDS), ...stepsOf(asset), ...citationsOf(asset) }),
+};
+
+const outlineAsset = (asset) => ({ type: asset.type, ...ASSET_FIELDS[asset.type](asset) });
+
+// Whitelisted copy of an outline module with its topics and assets; assets of unknown types are dropped
+const outlineModule = (module) => ({
+    ...pickTextFields(module, MODULE_FIELDS),
+    topics: (module.topics || []).map(topic => ({
+        ...pickTextFields(topic, TOPIC_FIELDS),
+        ...citationsOf(topic),
+        assets: (topic.assets || []).filter(asset => ASSET_FIELDS[asset.type]).map(outlineAsset),
+    })),
+});
+
+// --- Export ---
+
+// Outline of a stored course (workspace-specific fields removed)
+export const toCourseOutline = (course, tree) => ({
+    title: course.title,
+    blueprint: resolveBlueprint(course.blueprint),
+    modules: tree.modules.map(outlineModule),
+});
+
+export const buildCourseOutlineJson = (course, tree) => JSON.stringify({
+    format: OUTLINE_FORMAT,
+    version: OUTLINE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...toCourseOutline(course, tree),
+}, null, 2);
+
+// --- Parsing ---
+
+// "Module 3: Title", "3. Title" and "1.2 Title" all become "Title"
+const stripNumbering = (heading) => heading
+    .replace(/^(module|topic|chapter|unit|lesson)\s+[\d.]+\s*[:.\-–]\s*/i, '')
+    .replace(/^[\d.]+\s*[:.\-–)]?\s+/, '')
+    .trim();
+
+// `# Course`, `## Module` (text below = objective), `### Topic` (text below = content, Markdown kept).
+// Headings inside fenced code blocks are ignored.
+export const parseMarkdownOutline = (text, fallbackTitle = 'Imported course') => {
+    const outline = { title: '', modules: [] };
+    let module = null;
+    let topic = null;
+    let inFence = false;
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+    lines.forEach((line) => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        const heading = !inFence && line.match(/^(#{1,3})\s+(.*?)\s*#*\s*$/);
+
+        if (heading && heading[1] === '#' && !outline.title && outline.modules.length === 0) {
+            outline.title = heading[2].trim();
+        } else if (heading && heading[1].length <= 2) {
+            module = { title: stripNumbering(heading[2]), objectiveLines: [], topics: [] };
+            topic = null;
+            outline.modules.push(module);
+        } else if (heading && heading[1] === '###') {
+            if (!module) {
+                module = { title: 'Module 1', objectiveLines: [], topics: [] };
+                outline.modules.push(module);
+            }
+            topic = { title: stripNumbering(heading[2]), contentLines: [] };
+            module.topics.push(topic);
+        } else if (topic) {
+            topic.contentLines.push(line);
+        } else if (module) {
+            module.objectiveLines.push(line);
+        }
+    });
+
+    return {
+        title: outline.title || fallbackTitle,
+        modules: outline.modules.map(m => ({
+            title: m.title,
+            objective: m.objectiveLines.join(' ').replace(/^\s*(objective|goal)s?\s*:\s*/i, '').replace(/\s+/g, ' ').trim(),
+            topics: m.topics.map(t => ({ title: t.title, content: t.contentLines.join('\n').trim(), assets: [] })),
+        })),
+    };
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Accepts the exported JSON format; throws with the first problem found
+export const parseJsonOutline = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    if (data.format && data.format !== OUTLINE_FORMAT) throw new Error(`Unsupported outline format "${data.format}".`);
+    if (data.version > OUTLINE_VERSION) throw new Error(`The outline was exported by a newer version (v${data.version}).`);
+    if (!isNonEmptyString(data.title)) throw new Error("The outline has no course title.");
+    if (!Array.isArray(data.modules)) throw new Error("The outline has no 'modules' array.");
+
+    return {
+        title: data.title.trim(),
+        blueprint: data.blueprint,
+        modules: data.modules.map((module, i) => {
+            if (!isNonEmptyString(module?.title)) throw new Error(`Module ${i + 1} has no title.`);
+            const topics = module.topics || [];
+            if (!Array.isArray(topics)) throw new Error(`Module ${i + 1}: 'topics' must be an array.`);
+            topics.forEach((topic, j) => {
+                if (!isNonEmptyString(topic?.title)) throw new Error(`Topic ${i + 1}.${j + 1} has no title.`);
+                const assets = topic.assets || [];
+                if (!Array.isArray(assets) || assets.some(asset => !asset?.type)) {
+                    throw new Error(`Topic ${i + 1}.${j + 1}: every asset needs a 'type'.`);
+                }
+                const unsupported = assets.find(asset => !ASSET_FIELDS[asset.type]);
+                if (unsupported) throw new Error(`Topic ${i + 1}.${j + 1}: unsupported asset type "${unsupported.type}".`);
+                const unknownQuestion = assets.find(asset => asset.type === 'mcq' && asset.questionType && !QUESTION_TYPE_IDS.includes(asset.questionType));
+                if (unknownQuestion) throw new Error(`Topic ${i + 1}.${j + 1}: unsupported question type "${unknownQuestion.questionType}".`);
+            });
+
+            const outline = outlineModule(module);
+            return {
+                ...outline,
+                objective: outline.objective || '',
+                topics: outline.topics.map(topic => ({ ...topic, content: topic.content || '' })),
+            };
+        }),
+    };
+};
+
+// Pick the parser from the file name, falling back to sniffing the content
+export const parseCourseOutline = (fileName, text) => {
+    const isJson = /\.json$/i.test(fileName) || (!/\.(md|markdown|txt)$/i.test(fileName) && text.trim().startsWith('{'));
+    if (isJson) return parseJsonOutline(text);
+
+    const outline = parseMarkdownOutline(text, fileName.replace(/\.[^.]+$/, ''));
+    if (outline.modules.length === 0) throw new Error("No modules found. Use '##' headings for modules and '###' headings for topics.");
+    return outline;
+};
+
+// --- Import ---
+
+// Write the course and its tree; returns the new course (with its id).
+// A large tree takes several batches, so the course is stored marked as importing (`importingAt`)
+// until the last one is committed; a failed import deletes what it wrote (see deleteCourse) before
+// rethrowing, and a course left marked (e.g. the tab was closed) is only offered for deletion.
+// The blueprint follows the outline's shape so that later regeneration keeps it.
+// `courseFields` are stored on the course doc (e.g. where it was cloned from).
+export const importCourseOutline = async (db, getPath, outline, userId, courseFields = {}) => {
+    const topicCounts = outline.modules.map(m => m.topics.length).filter(Boolean);
+    const blueprint = resolveBlueprint({
+        ...pickFields(outline.blueprint || {}, Object.keys(DEFAULT_BLUEPRINT)),
+        moduleCount: outline.modules.length || DEFAULT_BLUEPRINT.moduleCount,
+        topicsPerModule: topicCounts.length ? Math.max(...topicCounts) : (outline.blueprint?.topicsPerModule || DEFAULT_BLUEPRINT.topicsPerModule),
+    });
+
+    const createdAt = new Date();
+    const writer = createBatchWriter(db);
+    const courseRef = doc(collection(db, getPath('courses')));
+    const course = {
+        title: outline.title,
+        blueprint,
+        status: 'draft',
+        source: 'import',
+        createdAt,
+        userId,
+        ...courseFields,
+    };
+    writer.set(courseRef, { ...course, importingAt: createdAt });
+    // Outlines also come from other workspaces (catalog clones), so only outline fields are written
+    queueCourseTreeWrites(writer, db, getPath, courseRef.id, {
+        modules: outline.modules.map(outlineModule).map((module, i) => ({
+            ...module,
+            order: i + 1,
+            createdAt,
+            topics: module.topics.map((topic, j) => ({
+                ...topic,
+                order: j + 1,
+                createdAt,
+                assets: topic.assets.map(asset => ({ ...asset, createdAt })),
+            })),
+        })),
+    });
+    try {
+        await writer.commit();
+        await updateDoc(courseRef, { importingAt: deleteField() });
+    } catch (e) {
+        // Marked as deleting, so the library offers to finish the cleanup if it fails too
+        await markCourseDeleting(db, getPath, courseRef.id)
+            .then(() => deleteCourse(db, getPath, courseRef.id))
+            .catch(cleanupError => console.error("Import Cleanup Error:", cleanupError));
+        throw e;
+    }
+
+    return { id: courseRef.id, ...course };
+};
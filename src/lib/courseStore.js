@@ -0,0 +1,362 @@
+import {
+    collection,
+    query,
+    where,
+    getDocs,
+    doc,
+    writeBatch
+} from 'firebase/firestore';
+
+// --- Course tree persistence helpers ---
+// Every helper takes `getPath(collectionName)`, which resolves a collection name
+// to its Firestore path for the current user.
+
+// Firestore caps `in` queries at 30 values and a write batch at 500 operations
+const IN_QUERY_LIMIT = 30;
+const BATCH_LIMIT = 500;
+
+// Topics of saved snapshots (see Snapshots below)
+const SNAPSHOT_TOPICS = 'snapshotTopics';
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+// Fetch all docs in `path` whose `field` matches any of `values`
+const getDocsWhereIn = async (db, path, field, values) => {
+    const snapshots = await Promise.all(
+        chunk(values, IN_QUERY_LIMIT).map(group =>
+            getDocs(query(collection(db, path), where(field, 'in', group)))
+        )
+    );
+    return snapshots.flatMap(snapshot => snapshot.docs);
+};
+
+// Accumulates writes and commits them in as few batches as possible.
+// Each batch is atomic; ops are committed in the order they were queued.
+export const createBatchWriter = (db) => {
+    const ops = [];
+    return {
+        set: (ref, data, options) => ops.push(batch => batch.set(ref, data, options)),
+        update: (ref, data) => ops.push(batch => batch.update(ref, data)),
+        delete: (ref) => ops.push(batch => batch.delete(ref)),
+        get size() {
+            return ops.length;
+        },
+        commit: async () => {
+            for (const group of chunk(ops, BATCH_LIMIT)) {
+                const batch = writeBatch(db);
+                group.forEach(op => op(batch));
+                await batch.commit();
+            }
+        },
+    };
+};
+
+// Load a course's modules, topics and assets as a nested, ordered tree
+export const loadCourseTree = async (db, getPath, courseId) => {
+    const moduleDocs = await getDocsWhereIn(db, getPath('modules'), 'courseId', [courseId]);
+    const moduleIds = moduleDocs.map(d => d.id);
+    const topicDocs = moduleIds.length ? await getDocsWhereIn(db, getPath('topics'), 'moduleId', moduleIds) : [];
+    const topicIds = topicDocs.map(d => d.id);
+    const assetDocs = topicIds.length ? await getDocsWhereIn(db, getPath('assets'), 'topicId', topicIds) : [];
+
+    const assets = assetDocs.map(d => ({ id: d.id, ...d.data() }));
+    const topics = topicDocs.map(d => ({
+        id: d.id,
+        ...d.data(),
+        assets: assets.filter(a => a.topicId === d.id),
+    }));
+    const modules = moduleDocs.map(d => ({
+        id: d.id,
+        ...d.data(),
+        topics: topics.filter(t => t.moduleId === d.id).sort(byOrder),
+    }));
+
+    return { modules: modules.sort(byOrder) };
+};
+
+// Load the topics of one module, each with its assets
+export const loadModuleTopics = async (db, getPath, moduleId) => {
+    const topicDocs = await getDocsWhereIn(db, getPath('topics'), 'moduleId', [moduleId]);
+    const topicIds = topicDocs.map(d => d.id);
+    const assetDocs = topicIds.length ? await getDocsWhereIn(db, getPath('assets'), 'topicId', topicIds) : [];
+    const assets = assetDocs.map(d => ({ id: d.id, ...d.data() }));
+
+    return topicDocs
+        .map(d => ({ id: d.id, ...d.data(), assets: assets.filter(a => a.topicId === d.id) }))
+        .sort(byOrder);
+};
+
+// Queue deletes for a list of topics and their assets (assets first)
+export const queueTopicDeletes = (writer, db, getPath, topics) => {
+    topics.flatMap(t => t.assets).forEach(a => writer.delete(doc(db, getPath('assets'), a.id)));
+    topics.forEach(t => writer.delete(doc(db, getPath('topics'), t.id)));
+};
+
+// Queue deletes for every module, topic and asset of a course.
+// Leaves are deleted first so a partially applied multi-batch delete never orphans children.
+export const queueCourseChildDeletes = (writer, db, getPath, tree) => {
+    queueTopicDeletes(writer, db, getPath, tree.modules.flatMap(m => m.topics));
+    tree.modules.forEach(m => writer.delete(doc(db, getPath('modules'), m.id)));
+};
+
+// Queue creation of a whole tree (modules → topics → assets) under `courseId`
+export const queueCourseTreeWrites = (writer, db, getPath, courseId, tree) => {
+    tree.modules.forEach((module, moduleIndex) => {
+        const { id: _moduleId, topics = [], ...moduleData } = module;
+        const moduleRef = doc(collection(db, getPath('modules')));
+        writer.set(moduleRef, { ...moduleData, courseId, order: moduleData.order ?? moduleIndex + 1 });
+
+        topics.forEach((topic, topicIndex) => {
+            const { id: _topicId, assets = [], ...topicData } = topic;
+            const topicRef = doc(collection(db, getPath('topics')));
+            writer.set(topicRef, { ...topicData, moduleId: moduleRef.id, order: topicData.order ?? topicIndex + 1 });
+
+            assets.forEach(asset => {
+                const { id: _assetId, ...assetData } = asset;
+                writer.set(doc(collection(db, getPath('assets'))), { ...assetData, topicId: topicRef.id });
+            });
+        });
+    });
+};
+
+// Remove all modules, topics and assets of a course but keep the course doc
+export const deleteCourseChildren = async (db, getPath, courseId) => {
+    const tree = await loadCourseTree(db, getPath, courseId);
+    const writer = createBatchWriter(db);
+    queueCourseChildDeletes(writer, db, getPath, tree);
+    await writer.commit();
+};
+
+// A cascade delete takes several batches, so the course is marked first. A marked course
+// (`deletingAt`) is only offered for deletion, and deleteCourse finishes an interrupted delete.
+export const markCourseDeleting = async (db, getPath, courseId) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getPath('courses'), courseId), { deletingAt: new Date() });
+    await writer.commit();
+};
+
+// Courses whose delete or import (see importCourseOutline) has not finished; they are not opened
+export const isIncompleteCourse = (course) => !!(course.deletingAt || course.importingAt);
+
+// Cascade delete a marked course: assets, topics, modules, snapshots, jobs, review comments,
+// source documents and finally the course doc. Everything is looked up again on every run,
+// so running it again after a failure deletes whatever is left.
+export const deleteCourse = async (db, getPath, courseId) => {
+    const tree = await loadCourseTree(db, getPath, courseId);
+    const snapshotDocs = await getDocsWhereIn(db, getPath('snapshots'), 'courseId', [courseId]);
+    const snapshotTopicDocs = await getDocsWhereIn(db, getPath(SNAPSHOT_TOPICS), 'courseId', [courseId]);
+    const jobDocs = await getDocsWhereIn(db, getPath('jobs'), 'courseId', [courseId]);
+    const commentDocs = await getDocsWhereIn(db, getPath('comments'), 'courseId', [courseId]);
+    const sourceDocs = await getDocsWhereIn(db, getPath('sources'), 'courseId', [courseId]);
+    const sourceChunkDocs = await getDocsWhereIn(db, getPath('sourceChunks'), 'courseId', [courseId]);
+
+    const writer = createBatchWriter(db);
+    queueCourseChildDeletes(writer, db, getPath, tree);
+    [...snapshotDocs, ...snapshotTopicDocs, ...jobDocs, ...commentDocs, ...sourceChunkDocs, ...sourceDocs].forEach(d => writer.delete(d.ref));
+    writer.delete(doc(db, getPath('courses'), courseId));
+    await writer.commit();
+};
+
+// --- Snapshots ---
+// A whole course can outgrow Firestore's 1 MiB document limit, so the snapshot doc only keeps
+// the modules and every topic (with its assets) gets a doc of its own:
+//
+// snapshots/{snapshotId}: { courseId, name, courseTitle, modules: [module without topics], moduleCount, topicCount, createdAt }
+// snapshotTopics/{id}: { snapshotId, courseId, moduleIndex, topicIndex, topic }
+//
+// The snapshot doc is written last and deleted first, so a listed snapshot always has all its topics.
+// Snapshots saved before topics were split off keep the whole tree in `tree`.
+
+// Save the current tree of a course as a named snapshot; returns the snapshot id
+export const saveCourseSnapshot = async (db, getPath, course, name) => {
+    const tree = await loadCourseTree(db, getPath, course.id);
+    const snapshotRef = doc(collection(db, getPath('snapshots')));
+    const writer = createBatchWriter(db);
+    tree.modules.forEach((module, moduleIndex) => module.topics.forEach((topic, topicIndex) => {
+        writer.set(doc(collection(db, getPath(SNAPSHOT_TOPICS))), {
+            snapshotId: snapshotRef.id,
+            courseId: course.id,
+            moduleIndex,
+            topicIndex,
+            topic,
+        });
+    }));
+    writer.set(snapshotRef, {
+        courseId: course.id,
+        name,
+        courseTitle: course.title,
+        modules: tree.modules.map(module => {
+            const { topics: _topics, ...moduleData } = module;
+            return moduleData;
+        }),
+        moduleCount: tree.modules.length,
+        topicCount: tree.modules.reduce((sum, m) => sum + m.topics.length, 0),
+        createdAt: new Date(),
+    });
+    await writer.commit();
+    return snapshotRef.id;
+};
+
+// The course tree stored in a snapshot
+export const loadSnapshotTree = async (db, getPath, snapshot) => {
+    if (snapshot.tree) return snapshot.tree;
+    const topicDocs = await getDocsWhereIn(db, getPath(SNAPSHOT_TOPICS), 'snapshotId', [snapshot.id]);
+    const topics = topicDocs.map(d => d.data());
+    return {
+        modules: snapshot.modules.map((module, moduleIndex) => ({
+            ...module,
+            topics: topics
+                .filter(t => t.moduleIndex === moduleIndex)
+                .sort((a, b) => a.topicIndex - b.topicIndex)
+                .map(t => t.topic),
+        })),
+    };
+};
+
+// Replace the current tree of a course with the tree stored in a snapshot.
+// Restored topics start over as drafts (review states only change through the review workflow).
+export const restoreCourseSnapshot = async (db, getPath, courseId, snapshot) => {
+    const snapshotTree = await loadSnapshotTree(db, getPath, snapshot);
+    const currentTree = await loadCourseTree(db, getPath, courseId);
+    const writer = createBatchWriter(db);
+    queueCourseChildDeletes(writer, db, getPath, currentTree);
+    queueCourseTreeWrites(writer, db, getPath, courseId, {
+        modules: snapshotTree.modules.map(module => ({
+            ...module,
+            topics: module.topics.map(topic => {
+                const { reviewStatus: _reviewStatus, reviewUpdatedAt: _reviewUpdatedAt, reviewUpdatedBy: _reviewUpdatedBy, ...topicData } = topic;
+                return topicData;
+            }),
+        })),
+    });
+    await writer.commit();
+};
+
+export const deleteCourseSnapshot = async (db, getPath, snapshotId) => {
+    const topicDocs = await getDocsWhereIn(db, getPath(SNAPSHOT_TOPICS), 'snapshotId', [snapshotId]);
+    const writer = createBatchWriter(db);
+    writer.delete(doc(db, getPath('snapshots'), snapshotId));
+    topicDocs.forEach(d => writer.delete(d.ref));
+    await writer.commit();
+};
+
+// Compare two course trees module by module (matched by position).
+// Returns one entry per module with the changes found in it.
+export const compareCourseTrees = (before, after) => {
+    const moduleCount = Math.max(before.modules.length, after.modules.length);
+    const changes = [];
+
+    for (let i = 0; i < moduleCount; i++) {
+        const oldModule = before.modules[i];
+        const newModule = after.modules[i];
+
+        if (!oldModule || !newModule) {
+            changes.push({
+                index: i + 1,
+                status: oldModule ? 'removed' : 'added',
+                title: (oldModule || newModule).title,
+                topics: [],
+            });
+            continue;
+        }
+
+        const oldTopics = oldModule.topics.map(t => t.title);
+        const newTopics = newModule.topics.map(t => t.title);
+        const topics = [
+            ...oldTopics.filter(t => !newTopics.includes(t)).map(title => ({ status: 'removed', title })),
+            ...newTopics.filter(t => !oldTopics.includes(t)).map(title => ({ status: 'added', title })),
+        ];
+        const titleChanged = oldModule.title !== newModule.title;
+
+        if (titleChanged || topics.length > 0) {
+            changes.push({
+                index: i + 1,
+                status: 'changed',
+                title: newModule.title,
+                previousTitle: titleChanged ? oldModule.title : null,
+                topics,
+            });
+        }
+    }
+
+    return changes;
+};
+
+// --- Structure Editing ---
+// Structural changes are written in one batch together with the renumbering of every
+// affected sibling, so `order` never ends up with gaps or duplicates.
+
+const queueRenumber = (writer, db, path, orderedIds) => {
+    orderedIds.forEach((id, i) => writer.update(doc(db, path, id), { order: i + 1 }));
+};
+
+export const reorderModules = async (db, getPath, orderedModuleIds) => {
+    const writer = createBatchWriter(db);
+    queueRenumber(writer, db, getPath('modules'), orderedModuleIds);
+    await writer.commit();
+};
+
+export const reorderTopics = async (db, getPath, orderedTopicIds) => {
+    const writer = createBatchWriter(db);
+    queueRenumber(writer, db, getPath('topics'), orderedTopicIds);
+    await writer.commit();
+};
+
+// Move a topic to another module. `sourceTopicIds` are the remaining topics of the old module,
+// `targetTopicIds` the topics of the new module with the moved topic at its new position.
+export const moveTopic = async (db, getPath, topicId, toModuleId, sourceTopicIds, targetTopicIds) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getPath('topics'), topicId), { moduleId: toModuleId });
+    queueRenumber(writer, db, getPath('topics'), sourceTopicIds);
+    queueRenumber(writer, db, getPath('topics'), targetTopicIds);
+    await writer.commit();
+};
+
+// Append a module to a course; returns the new module id
+export const addModule = async (db, getPath, courseId, fields, order) => {
+    const moduleRef = doc(collection(db, getPath('modules')));
+    const writer = createBatchWriter(db);
+    writer.set(moduleRef, { ...fields, courseId, order, createdAt: new Date() });
+    await writer.commit();
+    return moduleRef.id;
+};
+
+// Append a topic to a module; returns the new topic id
+export const addTopic = async (db, getPath, moduleId, fields, order) => {
+    const topicRef = doc(collection(db, getPath('topics')));
+    const writer = createBatchWriter(db);
+    writer.set(topicRef, { ...fields, moduleId, order, createdAt: new Date() });
+    await writer.commit();
+    return topicRef.id;
+};
+
+// Delete a module with its topics, assets and review comments and renumber the modules left in the course
+export const deleteModule = async (db, getPath, moduleId, remainingModuleIds) => {
+    const topics = await loadModuleTopics(db, getPath, moduleId);
+    const commentDocs = topics.length ? await getDocsWhereIn(db, getPath('comments'), 'topicId', topics.map(t => t.id)) : [];
+    const writer = createBatchWriter(db);
+    commentDocs.forEach(d => writer.delete(d.ref));
+    queueTopicDeletes(writer, db, getPath, topics);
+    writer.delete(doc(db, getPath('modules'), moduleId));
+    queueRenumber(writer, db, getPath('modules'), remainingModuleIds);
+    await writer.commit();
+};
+
+// Delete a topic with its assets and review comments and renumber the topics left in its module
+export const deleteTopic = async (db, getPath, topicId, remainingTopicIds) => {
+    const assetDocs = await getDocsWhereIn(db, getPath('assets'), 'topicId', [topicId]);
+    const commentDocs = await getDocsWhereIn(db, getPath('comments'), 'topicId', [topicId]);
+    const writer = createBatchWriter(db);
+    commentDocs.forEach(d => writer.delete(d.ref));
+    queueTopicDeletes(writer, db, getPath, [{ id: topicId, assets: assetDocs.map(d => ({ id: d.id })) }]);
+    queueRenumber(writer, db, getPath('topics'), remainingTopicIds);
+    await writer.commit();
+};
@@ -0,0 +1,105 @@
+import highlightCss from 'highlight.js/styles/github.css?raw';
+import { webCitations } from './citations';
+import { renderMarkdown } from './markdown';
+
+// --- Shared Export Helpers ---
+
+// Escape text for XML/HTML element content and attribute values
+export const escapeXml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// File-name friendly version of a title
+export const slugify = (value = '') => String(value)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled';
+
+// Numbering used throughout the app: `module.order`.`topic index`
+export const topicNumber = (module, topicIndex) => `${module.order}.${topicIndex + 1}`;
+
+export const mcqsOf = (topic) => topic.assets.filter(a => a.type === 'mcq');
+export const labOf = (topic) => topic.assets.find(a => a.type === 'lab') || null;
+
+// Trigger a browser download for a Blob or a string
+export const downloadFile = (content, fileName, mimeType = 'application/octet-stream') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Stylesheet shared by the exported HTML (SCORM SCOs, static site and print book)
+export const EXPORT_STYLES = `
+body { font-family: system-ui, -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #1f2937; line-height: 1.6; max-width: 860px; margin: 0 auto; padding: 2rem; }
+h1 { color: #3730a3; font-size: 1.8rem; }
+h2 { color: #374151; border-bottom: 1px solid #e5e7eb; padding-bottom: .3rem; margin-top: 2rem; }
+pre { background: #f6f8fa; border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #e5e7eb; padding: .4rem .75rem; }
+.lab-box { background: #eef2ff; border-radius: 8px; padding: 1rem; }
+.outcome-box { background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; padding: 1rem; }
+.question { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; background: #f9fafb; }
+.question label { display: block; padding: .25rem; border-radius: 4px; cursor: pointer; }
+.question .correct { background: #dcfce7; font-weight: 600; }
+.question .incorrect { background: #fee2e2; }
+.question .answer { display: block; width: 100%; box-sizing: border-box; padding: .4rem; border: 1px solid #d1d5db; border-radius: 4px; font: inherit; }
+.question .order li { padding: .25rem; border-radius: 4px; }
+.question .order button { padding: 0 .5rem; margin-left: .25rem; }
+.explanation { color: #4b5563; font-size: .9rem; }
+.result { padding: 1rem; border-radius: 8px; background: #eef2ff; font-weight: 600; }
+button { background: #4f46e5; color: #fff; border: 0; border-radius: 8px; padding: .6rem 1.2rem; font-weight: 600; cursor: pointer; }
+button:disabled { background: #9ca3af; cursor: not-allowed; }
+.breadcrumb { font-size: .85rem; color: #6b7280; }
+.breadcrumb a, .toc a, .pager a { color: #4f46e5; text-decoration: none; }
+.toc ol { padding-left: 1.25rem; }
+.toc li { margin: .2rem 0; }
+.pager { display: flex; justify-content: space-between; border-top: 1px solid #e5e7eb; margin-top: 3rem; padding-top: 1rem; font-weight: 600; }
+.answer-key { background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 8px; padding: .5rem 1rem; }
+.answer-key summary { cursor: pointer; font-weight: 600; }
+.references { font-size: .9rem; color: #4b5563; }
+.references a { color: #4f46e5; word-break: break-word; }
+.toolbar { position: sticky; top: 0; background: #fff; padding: .5rem 0; border-bottom: 1px solid #e5e7eb; }
+@media print {
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    .no-print { display: none !important; }
+    .chapter { break-before: page; }
+    pre, .question, .lab-box, .outcome-box { break-inside: avoid; }
+    a { color: inherit; text-decoration: none; }
+    .references a::after { content: " (" attr(href) ")"; word-break: break-all; }
+}
+${highlightCss}
+`;
+
+// Numbered web sources of a topic or lab (see citations.js), empty without citations
+export const referencesHtml = (citations, title = 'References') => {
+    const links = webCitations(citations);
+    return links.length
+        ? `<div class="references"><h3>${escapeHtml(title)}</h3>
+<ol>${links.map(c => `<li><a href="${escapeHtml(c.url)}">${escapeHtml(c.title)}</a></li>`).join('')}</ol></div>`
+        : '';
+};
+
+// Lab instructions as HTML (Markdown fields rendered), used by every HTML export
+export const labHtml = (lab) => `<div class="lab-box"><h3>Problem Statement</h3>${renderMarkdown(lab.problemStatement)}</div>
+<h3>Steps</h3>
+<ol>${(lab.steps || []).map(step => `<li>${renderMarkdown(step)}</li>`).join('')}</ol>
+<div class="outcome-box"><h3>Expected Outcome</h3>${renderMarkdown(lab.expectedOutcome)}</div>
+${referencesHtml(lab.citations, 'Lab References')}`;
@@ -0,0 +1,257 @@
+import {
+    collection,
+    doc,
+    addDoc,
+    getDoc,
+    updateDoc
+} from 'firebase/firestore';
+import {
+    createBatchWriter,
+    loadCourseTree,
+    loadModuleTopics,
+    queueCourseChildDeletes,
+    queueTopicDeletes
+} from './courseStore';
+
+// --- Course Generation Jobs ---
+// A job document records every generation step and its status, so a failed or
+// interrupted run can be resumed by re-running only the steps that did not complete.
+//
+// jobs/{jobId}: {
+//     courseId, status: 'running' | 'completed' | 'failed',
+//     concurrency, stepOrder: [stepId],
+//     steps: { [stepId]: { kind: 'modules' | 'topics' | 'objective' | 'content', label, moduleId?, topicId?, status, error } },
+// }
+
+export const DEFAULT_CONCURRENCY = 3;
+
+// Run `worker` over `items` with at most `limit` calls in flight
+export const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+};
+
+const MODULES_STEP_ID = 'modules';
+const topicsStepId = (moduleId) => `topics_${moduleId}`;
+const objectiveStepId = (moduleId) => `objective_${moduleId}`;
+const contentStepId = (topicId) => `content_${topicId}`;
+
+export const isStepDone = (step) => step.status === 'completed';
+
+// Create a job that (re)builds the whole module/topic structure of a course
+export const createCourseGenerationJob = async (db, getPath, courseId, concurrency = DEFAULT_CONCURRENCY) => {
+    const jobRef = await addDoc(collection(db, getPath('jobs')), {
+        courseId,
+        status: 'running',
+        concurrency,
+        stepOrder: [MODULES_STEP_ID],
+        steps: {
+            [MODULES_STEP_ID]: { kind: 'modules', label: 'Module structure', status: 'pending', error: null },
+        },
+        createdAt: new Date(),
+        updatedAt: new Date(),
+    });
+    return jobRef.id;
+};
+
+// Create a job that only generates what an imported course tree is missing: module
+// objectives, the topics of empty modules and the content of empty topics.
+// Returns null when nothing is missing.
+export const createFillMissingJob = async (db, getPath, courseId, tree, concurrency = DEFAULT_CONCURRENCY) => {
+    if (tree.modules.length === 0) return createCourseGenerationJob(db, getPath, courseId, concurrency);
+
+    const steps = {};
+    tree.modules.forEach((module) => {
+        const moduleLabel = `Module ${module.order}: ${module.title}`;
+        if (!module.objective?.trim()) {
+            steps[objectiveStepId(module.id)] = {
+                kind: 'objective',
+                label: `Objective for ${moduleLabel}`,
+                moduleId: module.id,
+                moduleTitle: module.title,
+                topicTitles: module.topics.map(t => t.title),
+                status: 'pending',
+                error: null,
+            };
+        }
+        if (module.topics.length === 0) {
+            steps[topicsStepId(module.id)] = {
+                kind: 'topics',
+                label: `Topics for ${moduleLabel}`,
+                moduleId: module.id,
+                moduleTitle: module.title,
+                status: 'pending',
+                error: null,
+            };
+        }
+        module.topics.filter(topic => !topic.content?.trim()).forEach((topic) => {
+            steps[contentStepId(topic.id)] = {
+                kind: 'content',
+                label: `Content for ${module.order}.${topic.order}: ${topic.title}`,
+                moduleId: module.id,
+                moduleTitle: module.title,
+                topicId: topic.id,
+                topicTitle: topic.title,
+                status: 'pending',
+                error: null,
+            };
+        });
+    });
+
+    if (Object.keys(steps).length === 0) return null;
+
+    const jobRef = await addDoc(collection(db, getPath('jobs')), {
+        courseId,
+        status: 'running',
+        concurrency,
+        stepOrder: Object.keys(steps),
+        steps,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+    });
+    return jobRef.id;
+};
+
+// Run (or resume) a job. `generators` supplies the AI calls:
+//   generateModules(course) → [{ title, objective }]
+//   generateTopics(course, module) → [{ title, content, citations }]
+//   generateObjective(course, { title, topicTitles }) → objective
+//   generateTopicContent(course, module, topic) → { content, citations } (Markdown content, see citations.js)
+export const runGenerationJob = async (db, getPath, jobId, course, generators) => {
+    const jobRef = doc(db, getPath('jobs'), jobId);
+    const jobSnapshot = await getDoc(jobRef);
+    if (!jobSnapshot.exists()) throw new Error('Generation job not found.');
+
+    const job = jobSnapshot.data();
+    const steps = { ...job.steps };
+    const stepOrder = [...job.stepOrder];
+
+    const setStep = async (stepId, fields) => {
+        steps[stepId] = { ...steps[stepId], ...fields };
+        const update = { updatedAt: new Date() };
+        Object.entries(fields).forEach(([field, value]) => {
+            update[`steps.${stepId}.${field}`] = value;
+        });
+        await updateDoc(jobRef, update);
+    };
+
+    await updateDoc(jobRef, { status: 'running', updatedAt: new Date() });
+
+    // Step 1: module structure. Replaces the course's current modules only once the AI has answered.
+    // Fill-missing jobs have no module step
+    if (steps[MODULES_STEP_ID] && !isStepDone(steps[MODULES_STEP_ID])) {
+        await setStep(MODULES_STEP_ID, { status: 'running', error: null });
+        try {
+            const modulesData = await generators.generateModules(course);
+            const currentTree = await loadCourseTree(db, getPath, course.id);
+
+            const writer = createBatchWriter(db);
+            queueCourseChildDeletes(writer, db, getPath, currentTree);
+
+            const topicSteps = {};
+            modulesData.forEach((moduleData, i) => {
+                const moduleRef = doc(collection(db, getPath('modules')));
+                writer.set(moduleRef, {
+                    courseId: course.id,
+                    title: moduleData.title,
+                    objective: moduleData.objective,
+                    order: i + 1,
+                    createdAt: new Date(),
+                });
+                topicSteps[topicsStepId(moduleRef.id)] = {
+                    kind: 'topics',
+                    label: `Topics for Module ${i + 1}: ${moduleData.title}`,
+                    moduleId: moduleRef.id,
+                    moduleTitle: moduleData.title,
+                    status: 'pending',
+                    error: null,
+                };
+            });
+
+            // Register the topic steps in the same batch so modules and steps never diverge
+            const update = { stepOrder: [MODULES_STEP_ID, ...Object.keys(topicSteps)], updatedAt: new Date() };
+            Object.entries(topicSteps).forEach(([stepId, step]) => {
+                update[`steps.${stepId}`] = step;
+            });
+            update[`steps.${MODULES_STEP_ID}.status`] = 'completed';
+            writer.update(jobRef, update);
+            await writer.commit();
+
+            Object.assign(steps, topicSteps);
+            steps[MODULES_STEP_ID] = { ...steps[MODULES_STEP_ID], status: 'completed' };
+            stepOrder.splice(0, stepOrder.length, ...update.stepOrder);
+        } catch (e) {
+            console.error("Generation step failed:", MODULES_STEP_ID, e);
+            await setStep(MODULES_STEP_ID, { status: 'failed', error: e.message || 'Unknown error' });
+            await updateDoc(jobRef, { status: 'failed', updatedAt: new Date() });
+            return;
+        }
+    }
+
+    // Runners for the per-module and per-topic steps
+    const stepRunners = {
+        topics: async (step, stepId) => {
+            const module = { id: step.moduleId, title: step.moduleTitle };
+            const topicsData = await generators.generateTopics(course, module);
+            const existingTopics = await loadModuleTopics(db, getPath, step.moduleId);
+
+            // Replace whatever a previous attempt of this step left behind, then mark it done
+            const writer = createBatchWriter(db);
+            queueTopicDeletes(writer, db, getPath, existingTopics);
+            topicsData.forEach((topic, j) => {
+                writer.set(doc(collection(db, getPath('topics'))), {
+                    moduleId: step.moduleId,
+                    title: topic.title,
+                    content: topic.content,
+                    citations: topic.citations,
+                    order: j + 1,
+                    createdAt: new Date(),
+                });
+            });
+            writer.update(jobRef, { [`steps.${stepId}.status`]: 'completed', updatedAt: new Date() });
+            await writer.commit();
+        },
+        objective: async (step, stepId) => {
+            const objective = await generators.generateObjective(course, { title: step.moduleTitle, topicTitles: step.topicTitles || [] });
+            const writer = createBatchWriter(db);
+            writer.update(doc(db, getPath('modules'), step.moduleId), { objective });
+            writer.update(jobRef, { [`steps.${stepId}.status`]: 'completed', updatedAt: new Date() });
+            await writer.commit();
+        },
+        content: async (step, stepId) => {
+            const { content, citations } = await generators.generateTopicContent(
+                course,
+                { id: step.moduleId, title: step.moduleTitle },
+                { id: step.topicId, title: step.topicTitle }
+            );
+            const writer = createBatchWriter(db);
+            writer.update(doc(db, getPath('topics'), step.topicId), { content, citations });
+            writer.update(jobRef, { [`steps.${stepId}.status`]: 'completed', updatedAt: new Date() });
+            await writer.commit();
+        },
+    };
+
+    // Step 2: every remaining step, in parallel up to the job's concurrency limit
+    const pendingSteps = stepOrder.filter(stepId => steps[stepId].kind !== 'modules' && !isStepDone(steps[stepId]));
+
+    await runWithConcurrency(pendingSteps, job.concurrency || DEFAULT_CONCURRENCY, async (stepId) => {
+        const step = steps[stepId];
+        await setStep(stepId, { status: 'running', error: null });
+        try {
+            await stepRunners[step.kind](step, stepId);
+            steps[stepId] = { ...steps[stepId], status: 'completed' };
+        } catch (e) {
+            console.error("Generation step failed:", stepId, e);
+            await setStep(stepId, { status: 'failed', error: e.message || 'Unknown error' });
+        }
+    });
+
+    const failed = stepOrder.some(stepId => steps[stepId].status === 'failed');
+    await updateDoc(jobRef, { status: failed ? 'failed' : 'completed', updatedAt: new Date() });
+};
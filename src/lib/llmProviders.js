@@ -0,0 +1,182 @@
+// --- LLM Provider Layer ---
+// A provider turns (systemPrompt, userQuery, responseSchema) into raw response text, plus the
+// token usage and web sources when the backend reports them:
+//   { text, usage: { inputTokens, outputTokens } | null, grounding: { sources, supports } | null }
+// (grounding is described in src/lib/citations.js).
+// JSON parsing and retries stay with the caller, so every provider is interchangeable.
+//
+// Provider settings are stored per workspace as:
+// { provider: 'gemini' | 'openai' | 'mock', gemini: {...}, openai: {...}, quota: {...} }
+// Each provider's prices (USD per million tokens) drive the cost estimates in src/lib/usage.js.
+//
+// `generate` also receives `getIdToken()`, which resolves to the signed-in user's Firebase ID token,
+// and `workspace` ({ appId, workspaceId | null }), whose monthly quota the AI proxy enforces.
+
+import { resolveQuota } from './usage';
+
+// Gemini is called through the AI proxy Cloud Function (functions/index.js), which holds the API key
+const AI_PROXY_URL = import.meta.env.VITE_AI_PROXY_URL || '/api/generate';
+
+export const DEFAULT_LLM_SETTINGS = {
+    provider: 'gemini',
+    gemini: {
+        model: 'gemini-2.5-flash-preview-09-2025', // Must be allowed by the proxy (ALLOWED_GEMINI_MODELS)
+        inputPricePerMillion: 0.3,
+        outputPricePerMillion: 2.5,
+    },
+    openai: {
+        baseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp serves the same API on :8080/v1
+        model: 'llama3.1',
+        apiKey: '',
+        inputPricePerMillion: 0, // Local models cost nothing per token
+        outputPricePerMillion: 0,
+    },
+};
+
+// Merge stored (possibly partial) settings over the defaults
+export const resolveLlmSettings = (stored = {}) => ({
+    provider: stored.provider || DEFAULT_LLM_SETTINGS.provider,
+    gemini: { ...DEFAULT_LLM_SETTINGS.gemini, ...stored.gemini },
+    openai: { ...DEFAULT_LLM_SETTINGS.openai, ...stored.openai },
+    quota: resolveQuota(stored.quota),
+});
+
+// Client errors (bad request, no session, quota used up) fail the same way when retried
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+const postJson = async (url, payload, headers = {}) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        let proxyError = null;
+        try {
+            proxyError = JSON.parse(errorText).error;
+        } catch {
+            // Not a JSON error body
+        }
+        const message = proxyError?.message || `API call failed with status ${response.status}: ${errorText}`;
+        throw Object.assign(new Error(message), {
+            status: response.status,
+            retryable: isRetryableStatus(response.status) && proxyError?.code !== 'quota-exceeded',
+        });
+    }
+
+    return response.json();
+};
+
+// Gemini `generateContent` (with Google Search grounding and structured output) via the AI proxy
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    generate: async ({ settings, systemPrompt, userQuery, responseSchema, getIdToken, workspace }) => {
+        const idToken = await getIdToken();
+        const result = await postJson(AI_PROXY_URL, {
+            model: settings.gemini.model,
+            systemPrompt,
+            userQuery,
+            responseSchema,
+            workspace,
+        }, { Authorization: `Bearer ${idToken}` });
+
+        if (!result.text) throw new Error("AI did not return content.");
+        return { text: result.text, usage: result.usage || null, grounding: result.grounding || null };
+    },
+};
+
+// Gemini schemas use upper-case OpenAPI type names; JSON Schema wants lower-case
+const toJsonSchema = (schema) => {
+    const { type, properties, items, ...rest } = schema;
+    const jsonSchema = { ...rest, type: type.toLowerCase() };
+    if (properties) {
+        jsonSchema.properties = Object.fromEntries(
+            Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)])
+        );
+    }
+    if (items) jsonSchema.items = toJsonSchema(items);
+    return jsonSchema;
+};
+
+// Any OpenAI-compatible `/chat/completions` endpoint (OpenAI, Ollama, llama.cpp, vLLM...)
+const openAiCompatibleProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible endpoint',
+    generate: async ({ settings, systemPrompt, userQuery, responseSchema }) => {
+        const { baseUrl, model, apiKey } = settings.openai;
+        const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+        const payload = {
+            model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userQuery },
+            ],
+        };
+
+        if (responseSchema) {
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: toJsonSchema(responseSchema) },
+            };
+        }
+
+        const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+        const result = await postJson(url, payload, headers);
+        const text = result.choices?.[0]?.message?.content;
+        if (!text) throw new Error("AI did not return content.");
+        const usage = result.usage
+            ? { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 }
+            : null;
+        return { text, usage, grounding: null };
+    },
+};
+
+// Builds a deterministic value that satisfies a response schema
+const buildFixture = (schema, key = 'value', index = 1) => {
+    switch (schema.type) {
+        case 'ARRAY': {
+            const count = schema.minItems ?? 3;
+            return Array.from({ length: count }, (_, i) => buildFixture(schema.items, key, i + 1));
+        }
+        case 'OBJECT':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([prop, propSchema]) => [prop, buildFixture(propSchema, prop, index)])
+            );
+        case 'NUMBER':
+        case 'INTEGER':
+            return 0;
+        case 'BOOLEAN':
+            return true;
+        default:
+            return schema.enum ? schema.enum[0] : `Mock ${key} ${index}`;
+    }
+};
+
+// Offline provider: returns fixture data shaped by the response schema, no network.
+// It reports no usage, so calls are estimated from text length (at the mock's zero price).
+const mockProvider = {
+    id: 'mock',
+    label: 'Mock (offline fixtures)',
+    generate: async ({ userQuery, responseSchema }) => {
+        if (responseSchema) {
+            return { text: JSON.stringify(buildFixture(responseSchema)), usage: null, grounding: null };
+        }
+        return { text: `Mock response for: ${userQuery}`, usage: null, grounding: null };
+    },
+};
+
+export const LLM_PROVIDERS = {
+    [geminiProvider.id]: geminiProvider,
+    [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+    [mockProvider.id]: mockProvider,
+};
+
+export const getLlmProvider = (providerId) => {
+    const provider = LLM_PROVIDERS[providerId];
+    if (!provider) throw new Error(`Unknown AI provider "${providerId}".`);
+    return provider;
+};
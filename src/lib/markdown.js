@@ -0,0 +1,40 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+// The common languages only (the full highlight.js build bundles ~190 grammars), plus two IT courses often use
+import hljs from 'highlight.js/lib/common';
+import dockerfile from 'highlight.js/lib/languages/dockerfile';
+import powershell from 'highlight.js/lib/languages/powershell';
+import DOMPurify from 'dompurify';
+
+// --- Markdown Rendering ---
+// Topic content is stored as Markdown. Rendering goes through one sanitized
+// Markdown → HTML pipeline so the app and every export show the same output.
+
+hljs.registerLanguage('dockerfile', dockerfile);
+hljs.registerLanguage('powershell', powershell);
+
+const marked = new Marked(
+    { gfm: true, breaks: false },
+    markedHighlight({
+        emptyLangClass: 'hljs',
+        langPrefix: 'hljs language-',
+        highlight: (code, lang) => {
+            const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+            return hljs.highlight(code, { language }).value;
+        },
+    })
+);
+
+// Markdown → sanitized HTML (syntax-highlighted code blocks use highlight.js classes)
+export const renderMarkdown = (markdown = '') => DOMPurify.sanitize(marked.parse(markdown));
+
+// Markdown → plain text, for short previews
+export const markdownToPlainText = (markdown = '') => markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_~>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
@@ -0,0 +1,62 @@
+import { isAnswerCorrect, questionTypeOf } from './questions';
+
+// --- Learner Quiz Scoring & Progress ---
+// Attempts are stored per user; progress is always derived from them, never stored.
+
+// A topic counts as passed once any attempt reaches this share of correct answers
+export const PASS_THRESHOLD = 0.7;
+
+// Fisher–Yates shuffle returning a new array
+export const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Score answers (`{ [mcqId]: answer }`, see questions.js for the answer of each question type).
+// Short answers are not scored: `total` counts the auto-graded questions only, and a quiz
+// with nothing to grade counts as passed once it is submitted.
+export const scoreQuizAttempt = (questions, answers) => {
+    const results = questions.map(question => ({
+        mcqId: question.id,
+        questionType: questionTypeOf(question),
+        answer: answers[question.id] ?? null,
+        correct: isAnswerCorrect(question, answers[question.id]),
+    }));
+    const graded = results.filter(r => r.correct !== null);
+    const score = graded.filter(r => r.correct).length;
+    return {
+        results,
+        score,
+        total: graded.length,
+        percent: graded.length ? Math.round((score / graded.length) * 100) : (results.length ? 100 : 0),
+    };
+};
+
+// Best attempt per topic: { [topicId]: { bestPercent, attempts, passed } }
+export const summarizeTopicAttempts = (attempts) => {
+    const summary = {};
+    attempts.forEach(attempt => {
+        const current = summary[attempt.topicId] || { bestPercent: 0, attempts: 0, passed: false };
+        const bestPercent = Math.max(current.bestPercent, attempt.percent);
+        summary[attempt.topicId] = {
+            bestPercent,
+            attempts: current.attempts + 1,
+            passed: bestPercent >= PASS_THRESHOLD * 100,
+        };
+    });
+    return summary;
+};
+
+// Progress over a set of topics: share of topics passed
+export const computeProgress = (topicIds, topicSummary) => {
+    const passed = topicIds.filter(id => topicSummary[id]?.passed).length;
+    return {
+        passed,
+        total: topicIds.length,
+        percent: topicIds.length ? Math.round((passed / topicIds.length) * 100) : 0,
+    };
+};
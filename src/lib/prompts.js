@@ -0,0 +1,130 @@
+import { DEFAULT_QUESTION_TYPES, FILL_BLANK, QUESTION_TYPES } from './questions';
+
+// --- Course Blueprint & Prompt Builders ---
+// The blueprint is stored on the course document so that regeneration and
+// asset generation reuse the settings the course was created with.
+
+export const DEFAULT_BLUEPRINT = {
+    moduleCount: 8,
+    topicsPerModule: 5,
+    level: 'entry-level',
+    totalHours: 40,
+    prerequisites: '',
+    language: 'English',
+    tone: 'professional',
+    questionTypes: DEFAULT_QUESTION_TYPES,
+};
+
+export const AUDIENCE_LEVELS = ['entry-level', 'intermediate', 'advanced', 'expert'];
+export const TONES = ['professional', 'conversational', 'academic', 'hands-on'];
+
+// Merge a stored (possibly missing or partial) blueprint over the defaults
+export const resolveBlueprint = (blueprint = {}) => ({ ...DEFAULT_BLUEPRINT, ...blueprint });
+
+// Formatting rules for lesson content, which is stored and rendered as Markdown
+const MARKDOWN_CONTENT_RULES = "Write 'content_draft' as structured GitHub-flavored Markdown: use '###' subheadings, bullet or numbered lists, tables where they help, and fenced code blocks tagged with their language (for example ```java) for every code sample. Do not repeat the topic title as a heading.";
+
+// Shared audience/style context appended to every system prompt
+const describeBlueprint = (blueprint) => {
+    const lines = [
+        `The audience is ${blueprint.level} IT professionals.`,
+        `The whole course takes about ${blueprint.totalHours} hours.`,
+        blueprint.prerequisites ? `Learners already know: ${blueprint.prerequisites}.` : 'Assume no prerequisites.',
+        `Write all learner-facing text in ${blueprint.language} using a ${blueprint.tone} tone.`,
+    ];
+    return lines.join(' ');
+};
+
+// Prompt 1: Module structure
+export const buildModulesPrompt = (courseTitle, blueprint) => ({
+    systemPrompt: `You are a senior curriculum designer. Generate a comprehensive course structure for a specified course. ${describeBlueprint(blueprint)} The output must be structured into ${blueprint.moduleCount} distinct modules. Respond only with a JSON array object containing 'title' and 'objective' for each module.`,
+    userQuery: `Generate a course structure for a ${courseTitle} course.`,
+});
+
+// Prompt 2: Topics for one module
+export const buildTopicsPrompt = (courseTitle, moduleTitle, blueprint) => {
+    const minutesPerTopic = Math.round((blueprint.totalHours * 60) / (blueprint.moduleCount * blueprint.topicsPerModule));
+    return {
+        systemPrompt: `For the module and course specified, generate ${blueprint.topicsPerModule} essential, progressive learning topics. ${describeBlueprint(blueprint)} Each topic covers about ${minutesPerTopic} minutes of study. For each topic, provide a 'topic_title' and draft the core theoretical content ('content_draft', approx. 200 words) as the lesson material. ${MARKDOWN_CONTENT_RULES} Respond only with a JSON array object.`,
+        userQuery: `Generate ${blueprint.topicsPerModule} topics for the module '${moduleTitle}' within the course '${courseTitle}'.`,
+    };
+};
+
+// Prompt 3: assessment questions for one topic. The fields each question type responds with:
+const QUESTION_FORMATS = {
+    single: "'question', 'options' (4 strings), 'correct_answer_index' (0-indexed integer of the one correct option) and 'explanation'",
+    multi: "'question' (asking the learner to select all that apply), 'options' (5 strings), 'correct_answer_indices' (0-indexed integers of the 2-4 correct options) and 'explanation'",
+    truefalse: "'question' (a statement that is clearly either true or false), 'answer' (boolean) and 'explanation'",
+    fill: `'question' (a sentence with exactly one blank written as ${FILL_BLANK}), 'accepted_answers' (every short answer that correctly fills the blank, including common alternative spellings) and 'explanation'`,
+    ordering: "'question' (what the learner puts in order, such as the steps of a procedure), 'items_in_order' (3-6 distinct items in the correct order) and 'explanation'",
+    code_output: "'question' (asking what the code prints), 'language', 'code' (a short, self-contained snippet whose comments do not give the answer away), 'options' (4 possible outputs), 'correct_answer_index' (0-indexed integer) and 'explanation' (tracing why the code prints that)",
+    short: "'question' (answered in a few sentences), 'rubric' (the points a complete answer covers), 'sample_answer' and 'explanation'",
+};
+
+// `counts` is the number of questions of each type: { [questionType]: count }
+export const buildQuestionsPrompt = (topic, blueprint, counts) => ({
+    systemPrompt: `Based only on the provided content, write assessment questions suitable for a ${blueprint.level} assessment. ${describeBlueprint(blueprint)} Cover different parts of the content. Every question has a short 'explanation' of the correct answer, shown to learners after they submit. Respond only with a JSON object containing one array per question type: ${Object.entries(counts).map(([type, count]) => `'${type}' with ${count} ${QUESTION_TYPES[type].toLowerCase()} question(s), each containing ${QUESTION_FORMATS[type]}`).join('; ')}.`,
+    userQuery: `Topic: ${topic.title}\nContent: ${topic.content}`,
+});
+
+// Prompt 4: Lab instructions for one topic
+export const buildLabPrompt = (topic, blueprint) => ({
+    systemPrompt: `Design one concise practice exercise or Lab Instruction suitable for a ${blueprint.level} developer based on the content. ${describeBlueprint(blueprint)} The output should be a single JSON object containing three fields: 'problemStatement' (short User Story), 'steps' (an array of 3-5 technical steps), and 'expectedOutcome' (a clear final result description). Every field is rendered as Markdown: use inline code for identifiers and commands, and fenced code blocks tagged with their language for code a step asks the learner to write or run. Respond only with a single JSON object.`,
+    userQuery: `Topic: ${topic.title}\nContent: ${topic.content}`,
+});
+
+// Fill-in prompts for imported outlines: only the missing part is generated
+export const buildObjectivePrompt = (courseTitle, module, blueprint) => ({
+    systemPrompt: `You are a senior curriculum designer. Write the learning objective of one module of a course in one or two sentences. ${describeBlueprint(blueprint)} Respond only with a JSON object containing 'objective'.`,
+    userQuery: `Write the objective of the module '${module.title}' within the course '${courseTitle}'.${module.topicTitles?.length ? ` The module covers: ${module.topicTitles.join('; ')}.` : ''}`,
+});
+
+export const buildTopicContentPrompt = (courseTitle, moduleTitle, topicTitle, blueprint) => ({
+    systemPrompt: `Draft the core theoretical content ('content_draft', approx. 200 words) of one learning topic as the lesson material. ${describeBlueprint(blueprint)} ${MARKDOWN_CONTENT_RULES} Respond only with a JSON object containing 'content_draft'.`,
+    userQuery: `Write the content of the topic '${topicTitle}' in the module '${moduleTitle}' within the course '${courseTitle}'.`,
+});
+
+// Targeted regeneration of one module, topic, question or lab following the reviewer's instructions.
+// `context` carries the surrounding course: { courseTitle, moduleTitle?, moduleObjective?, siblingTitles?, topicTitle?, topicContent?, questionType? }
+const REGENERATE_ITEM_FORMATS = {
+    module: "a single JSON object containing 'title' and 'objective'",
+    topic: `a single JSON object containing 'topic_title' and 'content_draft' (approx. 200 words). ${MARKDOWN_CONTENT_RULES}`,
+    lab: "a single JSON object containing 'problemStatement', 'steps' (an array of 3-5 technical steps) and 'expectedOutcome', rendered as Markdown",
+};
+
+const REGENERATE_ITEM_NAMES = { module: 'course module', topic: 'learning topic', lab: 'practice lab' };
+
+export const buildRegenerateItemPrompt = (kind, currentText, context, instructions, blueprint) => {
+    const contextLines = [
+        `Course: ${context.courseTitle}`,
+        context.moduleTitle && `Module: ${context.moduleTitle}${context.moduleObjective ? ` (objective: ${context.moduleObjective})` : ''}`,
+        context.siblingTitles?.length && `Other items at the same level (do not duplicate them):\n- ${context.siblingTitles.join('\n- ')}`,
+        context.topicTitle && `Topic: ${context.topicTitle}`,
+        context.topicContent && `Topic content:\n${context.topicContent}`,
+    ].filter(Boolean);
+    // A question keeps its question type (see questions.js)
+    const itemName = kind === 'mcq' ? `${QUESTION_TYPES[context.questionType].toLowerCase()} assessment question` : REGENERATE_ITEM_NAMES[kind];
+    const itemFormat = kind === 'mcq' ? `a single JSON object containing ${QUESTION_FORMATS[context.questionType]}` : REGENERATE_ITEM_FORMATS[kind];
+
+    return {
+        systemPrompt: `You are revising one ${itemName} of an existing course. ${describeBlueprint(blueprint)} Rewrite the current version following the reviewer's instructions, keep it consistent with the surrounding course, and change nothing the instructions do not ask for. Respond only with ${itemFormat}.`,
+        userQuery: `${contextLines.join('\n\n')}\n\nCurrent version:\n${currentText}\n\nReviewer instructions: ${instructions}`,
+    };
+};
+
+// Structure editing: suggest one module or topic that fits next to the existing ones
+export const buildSuggestModulePrompt = (courseTitle, existingTitles, blueprint) => ({
+    systemPrompt: `You are a senior curriculum designer extending an existing course by one module. ${describeBlueprint(blueprint)} The new module must cover something the existing modules do not and fit at the end of the course. Respond only with a single JSON object containing 'title' and 'objective'.`,
+    userQuery: `Course: ${courseTitle}\nExisting modules:\n- ${existingTitles.join('\n- ') || '(none)'}\n\nSuggest the next module.`,
+});
+
+export const buildSuggestTopicPrompt = (courseTitle, module, existingTitles, blueprint) => ({
+    systemPrompt: `Extend an existing module by one learning topic that follows on from the existing topics. ${describeBlueprint(blueprint)} Provide a 'topic_title' and draft the core theoretical content ('content_draft', approx. 200 words) as the lesson material. ${MARKDOWN_CONTENT_RULES} Respond only with a single JSON object.`,
+    userQuery: `Course: ${courseTitle}\nModule: ${module.title}${module.objective ? ` (objective: ${module.objective})` : ''}\nExisting topics:\n- ${existingTitles.join('\n- ') || '(none)'}\n\nSuggest the next topic.`,
+});
+
+// Passages retrieved from the course's source documents (see sourceDocuments.js), added to any prompt
+export const withReferenceMaterial = (prompt, passages) => (passages.length === 0 ? prompt : {
+    systemPrompt: `${prompt.systemPrompt} The request comes with excerpts from the organisation's own reference material. Base your answer on them wherever they apply: follow their terminology, standards, tools and procedures, and prefer them over generic or web content when the two disagree.`,
+    userQuery: `${prompt.userQuery}\n\nReference material:\n${passages.map(p => `[${p.sourceName}, part ${p.index + 1}]\n${p.text}`).join('\n\n')}`,
+});
@@ -0,0 +1,419 @@
+import JSZip from 'jszip';
+import { escapeXml, escapeHtml, slugify, topicNumber, mcqsOf } from './exportUtils';
+import { FILL_BLANK, isOptionCorrect, questionTypeOf } from './questions';
+
+// --- Question Bank Export ---
+// Exports the assessment questions of a course, a module or a single topic as Moodle XML,
+// GIFT or IMS QTI 2.1. Questions keep their course / module / topic category hierarchy:
+// Moodle XML and GIFT as nested question bank categories, QTI as nested test sections.
+// Every question type maps to the closest native type of the format; GIFT has no ordering
+// questions, so those are left out of GIFT files with a comment.
+
+export const QUESTION_BANK_FORMATS = [
+    { id: 'moodle', label: 'Moodle XML' },
+    { id: 'gift', label: 'GIFT' },
+    { id: 'qti21', label: 'QTI 2.1' },
+];
+
+// Narrow a course tree (see loadCourseTree) to `scope` ({ moduleId?, topicId? }) and drop
+// everything without questions. Returns [{ module, name, topics: [{ topic, name, mcqs }] }].
+export const collectQuestionBank = (tree, scope = {}) => tree.modules
+    .filter(module => !scope.moduleId || module.id === scope.moduleId)
+    .map(module => ({
+        module,
+        name: `Module ${module.order}: ${module.title}`,
+        topics: module.topics
+            .map((topic, topicIndex) => ({
+                topic,
+                name: `${topicNumber(module, topicIndex)} ${topic.title}`,
+                mcqs: mcqsOf(topic),
+            }))
+            .filter(entry => (!scope.topicId || entry.topic.id === scope.topicId) && entry.mcqs.length > 0),
+    }))
+    .filter(entry => entry.topics.length > 0);
+
+const countQuestions = (bank) => bank.reduce((sum, m) => sum + m.topics.reduce((s, t) => s + t.mcqs.length, 0), 0);
+
+// --- Moodle XML ---
+
+// Moodle separates category levels with "/", so a literal "/" in a name is written as "//"
+const moodleCategoryPath = (names) => ['$course$', 'top', ...names.map(name => name.replace(/\//g, '//'))].join('/');
+
+// Question text is HTML in Moodle; the CDATA keeps the escaped HTML readable
+const moodleText = (text = '') => `<text><![CDATA[${escapeHtml(text)}]]></text>`;
+
+// Code output questions show their snippet below the question
+const questionHtml = (mcq) => `${escapeHtml(mcq.question)}${questionTypeOf(mcq) === 'code_output'
+    ? `<pre><code>${escapeHtml(mcq.code)}</code></pre>`
+    : ''}`;
+
+// Moodle only accepts grade fractions from a fixed list (100, 50, 33.33333, 25, ...)
+const moodleFraction = (count) => Number((100 / count).toFixed(5));
+
+const moodleCategory = (names) => `
+  <question type="category">
+    <category>
+      <text>${escapeXml(moodleCategoryPath(names))}</text>
+    </category>
+  </question>`;
+
+const moodleAnswer = (fraction, text) => `
+    <answer fraction="${fraction}" format="html">
+      ${moodleText(text)}
+    </answer>`;
+
+// Type, answers and type-specific settings of one question
+const moodleQuestionBody = (mcq) => {
+    switch (questionTypeOf(mcq)) {
+        case 'multi': {
+            const correctCount = mcq.correctIndices.length;
+            const wrongCount = mcq.options.length - correctCount;
+            return {
+                type: 'multichoice',
+                body: `
+    <single>false</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>${mcq.options.map((option, i) => moodleAnswer(
+        isOptionCorrect(mcq, i) ? moodleFraction(correctCount) : -moodleFraction(wrongCount || 1),
+        option
+    )).join('')}`,
+            };
+        }
+        case 'truefalse':
+            return {
+                type: 'truefalse',
+                body: `
+    <answer fraction="${mcq.correctAnswer ? 100 : 0}" format="moodle_auto_format"><text>true</text></answer>
+    <answer fraction="${mcq.correctAnswer ? 0 : 100}" format="moodle_auto_format"><text>false</text></answer>`,
+            };
+        case 'fill':
+            return {
+                type: 'shortanswer',
+                body: `
+    <usecase>0</usecase>${mcq.acceptedAnswers.map(answer => moodleAnswer(100, answer)).join('')}`,
+            };
+        case 'ordering':
+            return {
+                type: 'ordering',
+                body: `
+    <layouttype>VERTICAL</layouttype>
+    <selecttype>ALL</selecttype>
+    <selectcount>0</selectcount>
+    <gradingtype>ABSOLUTE_POSITION</gradingtype>
+    <showgrading>SHOW</showgrading>${mcq.items.map((item, i) => moodleAnswer(i + 1, item)).join('')}`,
+            };
+        case 'short':
+            return {
+                type: 'essay',
+                body: `
+    <responseformat>editor</responseformat>
+    <responserequired>1</responserequired>
+    <responsefieldlines>10</responsefieldlines>
+    <attachments>0</attachments>
+    <graderinfo format="html"><text><![CDATA[<p>Rubric: ${escapeHtml(mcq.rubric)}</p><p>Sample answer: ${escapeHtml(mcq.sampleAnswer)}</p>]]></text></graderinfo>`,
+            };
+        default:
+            return {
+                type: 'multichoice',
+                body: `
+    <single>true</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>${(mcq.options || []).map((option, i) => moodleAnswer(isOptionCorrect(mcq, i) ? 100 : 0, option)).join('')}`,
+            };
+    }
+};
+
+const moodleQuestion = (mcq, name) => {
+    const { type, body } = moodleQuestionBody(mcq);
+    return `
+  <question type="${type}">
+    <name><text>${escapeXml(name)}</text></name>
+    <questiontext format="html"><text><![CDATA[${questionHtml(mcq)}]]></text></questiontext>
+    <generalfeedback format="html">${moodleText(mcq.explanation)}</generalfeedback>
+    <defaultgrade>1</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <idnumber>${escapeXml(mcq.id)}</idnumber>${body}
+  </question>`;
+};
+
+export const toMoodleXml = (course, bank) => {
+    const parts = [moodleCategory([course.title])];
+    bank.forEach(({ name: moduleName, topics }) => {
+        parts.push(moodleCategory([course.title, moduleName]));
+        topics.forEach(({ name: topicName, mcqs }) => {
+            parts.push(moodleCategory([course.title, moduleName, topicName]));
+            mcqs.forEach((mcq, i) => parts.push(moodleQuestion(mcq, `${topicName} — Q${i + 1}`)));
+        });
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>${parts.join('')}
+</quiz>
+`;
+};
+
+// --- GIFT ---
+
+// Escape GIFT control characters; line breaks are written as "\n"
+const giftText = (text = '') => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/([~=#{}:])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+
+const giftCategory = (names) => `$CATEGORY: ${moodleCategoryPath(names)}\n`;
+
+// Answer block of one question; null for types GIFT cannot express
+const giftAnswers = (mcq) => {
+    switch (questionTypeOf(mcq)) {
+        case 'multi': {
+            const correctWeight = moodleFraction(mcq.correctIndices.length);
+            const wrongWeight = -moodleFraction(mcq.options.length - mcq.correctIndices.length || 1);
+            return mcq.options.map((option, i) => `\t~%${isOptionCorrect(mcq, i) ? correctWeight : wrongWeight}%${giftText(option)}`);
+        }
+        case 'truefalse':
+            return [`\t${mcq.correctAnswer ? 'TRUE' : 'FALSE'}`];
+        case 'fill':
+            return mcq.acceptedAnswers.map(answer => `\t=${giftText(answer)}`);
+        case 'ordering':
+            return null;
+        case 'short':
+            return [];
+        default:
+            return (mcq.options || []).map((option, i) => `\t${isOptionCorrect(mcq, i) ? '=' : '~'}${giftText(option)}`);
+    }
+};
+
+const giftQuestion = (mcq, name) => {
+    const answers = giftAnswers(mcq);
+    if (!answers) return `// "${name}" is left out: GIFT has no ${questionTypeOf(mcq)} questions.\n`;
+
+    const feedbackText = questionTypeOf(mcq) === 'short'
+        ? `${mcq.explanation || ''}\n\nRubric: ${mcq.rubric}\n\nSample answer: ${mcq.sampleAnswer}`
+        : mcq.explanation;
+    const feedback = feedbackText ? [`\t####${giftText(feedbackText)}`] : [];
+    const block = `{\n${[...answers, ...feedback].join('\n')}\n}`;
+
+    // A fill-in-the-blank question carries its answers where the blank is
+    if (questionTypeOf(mcq) === 'fill') {
+        const [before, ...after] = mcq.question.split(FILL_BLANK);
+        return `::${giftText(name)}::[plain]${giftText(before)}${block}${giftText(after.join(FILL_BLANK))}\n`;
+    }
+    const text = questionTypeOf(mcq) === 'code_output' ? `[html]${giftText(questionHtml(mcq))}` : `[plain]${giftText(mcq.question)}`;
+    return `::${giftText(name)}::${text} ${block}\n`;
+};
+
+export const toGift = (course, bank) => {
+    const count = countQuestions(bank);
+    const parts = [`// ${course.title} — question bank (${count} ${count === 1 ? 'question' : 'questions'})\n`];
+    bank.forEach(({ name: moduleName, topics }) => {
+        topics.forEach(({ name: topicName, mcqs }) => {
+            parts.push(giftCategory([course.title, moduleName, topicName]));
+            mcqs.forEach((mcq, i) => parts.push(giftQuestion(mcq, `${topicName} — Q${i + 1}`)));
+        });
+    });
+    return parts.join('\n');
+};
+
+// --- IMS QTI 2.1 ---
+
+const QTI_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+const qtiItemId = (mcq) => `ITEM_${mcq.id}`;
+
+const qtiChoices = (texts) => texts.map((text, i) => `
+      <simpleChoice identifier="CHOICE_${i}">${escapeXml(text)}</simpleChoice>`).join('');
+
+const qtiValues = (values) => values.map(value => `
+      <value>${value}</value>`).join('');
+
+// Response declaration, interaction (item body) and the condition that scores 1 for one question.
+// Short answers have no condition: they are left to a human scorer, with the rubric as scorer-only text.
+const qtiInteraction = (mcq) => {
+    const prompt = `<prompt>${escapeXml(mcq.question)}</prompt>`;
+    const matchCorrect = `<match>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </match>`;
+
+    switch (questionTypeOf(mcq)) {
+        case 'multi':
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+    <correctResponse>${qtiValues(mcq.correctIndices.map(i => `CHOICE_${i}`))}
+    </correctResponse>
+  </responseDeclaration>`,
+                body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="0">
+      ${prompt}${qtiChoices(mcq.options)}
+    </choiceInteraction>`,
+                condition: matchCorrect,
+            };
+        case 'truefalse':
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>CHOICE_${mcq.correctAnswer ? 0 : 1}</value>
+    </correctResponse>
+  </responseDeclaration>`,
+                body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      ${prompt}${qtiChoices(['True', 'False'])}
+    </choiceInteraction>`,
+                condition: matchCorrect,
+            };
+        case 'fill': {
+            const [before, ...after] = mcq.question.split(FILL_BLANK);
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${escapeXml(mcq.acceptedAnswers[0])}</value>
+    </correctResponse>
+    <mapping defaultValue="0">${mcq.acceptedAnswers.map(answer => `
+      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('')}
+    </mapping>
+  </responseDeclaration>`,
+                body: `<p>${escapeXml(before)}<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(...mcq.acceptedAnswers.map(a => a.length), 10)}"/>${escapeXml(after.join(FILL_BLANK))}</p>`,
+                condition: `<gt>
+          <mapResponse identifier="RESPONSE"/>
+          <baseValue baseType="float">0</baseValue>
+        </gt>`,
+            };
+        }
+        case 'ordering':
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${qtiValues(mcq.items.map((_, i) => `CHOICE_${i}`))}
+    </correctResponse>
+  </responseDeclaration>`,
+                body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}${qtiChoices(mcq.items)}
+    </orderInteraction>`,
+                condition: matchCorrect,
+            };
+        case 'short':
+            return {
+                declaration: '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+                body: `<rubricBlock view="scorer">
+      <p>Rubric: ${escapeXml(mcq.rubric)}</p>
+      <p>Sample answer: ${escapeXml(mcq.sampleAnswer)}</p>
+    </rubricBlock>
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="6">
+      ${prompt}
+    </extendedTextInteraction>`,
+                condition: null,
+            };
+        default:
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>CHOICE_${mcq.correctIndex}</value>
+    </correctResponse>
+  </responseDeclaration>`,
+                body: `${questionTypeOf(mcq) === 'code_output' ? `<pre>${escapeXml(mcq.code)}</pre>
+    ` : ''}<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="1">
+      ${prompt}${qtiChoices(mcq.options || [])}
+    </choiceInteraction>`,
+                condition: matchCorrect,
+            };
+    }
+};
+
+// One assessmentItem per question; scores 1 for a correct response and always shows the explanation
+const qtiItem = (mcq, name) => {
+    const { declaration, body, condition } = qtiInteraction(mcq);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NAMESPACE} identifier="${qtiItemId(mcq)}" title="${escapeXml(name)}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${body}
+  </itemBody>
+  <responseProcessing>${condition ? `
+    <responseCondition>
+      <responseIf>
+        ${condition}
+        <setOutcomeValue identifier="SCORE">
+          <baseValue baseType="float">1</baseValue>
+        </setOutcomeValue>
+      </responseIf>
+    </responseCondition>` : ''}
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">EXPLANATION</baseValue>
+    </setOutcomeValue>
+  </responseProcessing>${mcq.explanation ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(mcq.explanation)}</modalFeedback>` : ''}
+</assessmentItem>
+`;
+};
+
+// The test mirrors the category hierarchy with nested sections: course → module → topic
+const qtiTest = (course, bank) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NAMESPACE} identifier="TEST_${course.id}" title="${escapeXml(course.title)}">
+  <testPart identifier="PART_1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="SECTION_COURSE" title="${escapeXml(course.title)}" visible="true">${bank.map(({ module, name: moduleName, topics }) => `
+      <assessmentSection identifier="SECTION_${module.id}" title="${escapeXml(moduleName)}" visible="true">${topics.map(({ topic, name: topicName, mcqs }) => `
+        <assessmentSection identifier="SECTION_${topic.id}" title="${escapeXml(topicName)}" visible="true">${mcqs.map(mcq => `
+          <assessmentItemRef identifier="REF_${mcq.id}" href="items/${qtiItemId(mcq)}.xml"/>`).join('')}
+        </assessmentSection>`).join('')}
+      </assessmentSection>`).join('')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+const qtiManifest = (course, bank) => {
+    const items = bank.flatMap(m => m.topics.flatMap(t => t.mcqs));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="MANIFEST_${course.id}"
+    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="RES_TEST" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>${items.map(mcq => `
+      <dependency identifierref="RES_${qtiItemId(mcq)}"/>`).join('')}
+    </resource>${items.map(mcq => `
+    <resource identifier="RES_${qtiItemId(mcq)}" type="imsqti_item_xmlv2p1" href="items/${qtiItemId(mcq)}.xml">
+      <file href="items/${qtiItemId(mcq)}.xml"/>
+    </resource>`).join('')}
+  </resources>
+</manifest>
+`;
+};
+
+// Resolves to a zip Blob (content package with one file per item)
+export const toQti21Package = async (course, bank) => {
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', qtiManifest(course, bank));
+    zip.file('assessmentTest.xml', qtiTest(course, bank));
+    bank.forEach(({ topics }) => topics.forEach(({ name: topicName, mcqs }) => {
+        mcqs.forEach((mcq, i) => zip.file(`items/${qtiItemId(mcq)}.xml`, qtiItem(mcq, `${topicName} — Q${i + 1}`)));
+    }));
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+// Build the download for one format. `scopeTitle` names the file (course, module or topic title).
+export const buildQuestionBankExport = async (format, course, tree, scope = {}, scopeTitle = course.title) => {
+    const bank = collectQuestionBank(tree, scope);
+    if (bank.length === 0) throw new Error("There are no questions to export. Generate or add questions for at least one topic first.");
+
+    const baseName = `${slugify(scopeTitle)}-questions`;
+    switch (format) {
+        case 'moodle':
+            return { content: toMoodleXml(course, bank), fileName: `${baseName}-moodle.xml`, mimeType: 'application/xml' };
+        case 'gift':
+            return { content: toGift(course, bank), fileName: `${baseName}.gift.txt`, mimeType: 'text/plain' };
+        case 'qti21':
+            return { content: await toQti21Package(course, bank), fileName: `${baseName}-qti21.zip`, mimeType: 'application/zip' };
+        default:
+            throw new Error(`Unsupported question bank format "${format}".`);
+    }
+};
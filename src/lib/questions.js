@@ -0,0 +1,225 @@
+// --- Assessment Question Types ---
+// Every question is an asset with `type: 'mcq'` and a `questionType`. Questions saved before
+// question types existed have none and are single-answer MCQs. Fields per type, besides
+// `question` and the `explanation` shown to learners after they submit:
+//   single:      { options, correctIndex }
+//   multi:       { options, correctIndices }          the learner selects every correct option
+//   truefalse:   { correctAnswer }                    `question` is a statement, `correctAnswer` a boolean
+//   fill:        { acceptedAnswers }                  `question` marks the blank with FILL_BLANK
+//   ordering:    { items }                            items in the correct order; learners get them shuffled
+//   code_output: { language, code, options, correctIndex }
+//   short:       { rubric, sampleAnswer }             compared with the rubric by the learner, never scored
+//
+// Learner answers: an option index (single, code_output), a list of option indexes (multi),
+// a boolean (truefalse), text (fill, short) or the item indexes in the chosen order (ordering).
+
+export const QUESTION_TYPES = {
+    single: 'Single answer',
+    multi: 'Multiple answers',
+    truefalse: 'True / false',
+    fill: 'Fill in the blank',
+    ordering: 'Ordering',
+    code_output: 'Code output',
+    short: 'Short answer',
+};
+
+export const QUESTION_TYPE_IDS = Object.keys(QUESTION_TYPES);
+
+export const DEFAULT_QUESTION_TYPES = ['single'];
+
+// Questions generated for one topic
+export const QUESTIONS_PER_TOPIC = 5;
+
+export const FILL_BLANK = '___';
+
+const OPTION_TYPES = ['single', 'multi', 'code_output'];
+
+export const questionTypeOf = (question) => question.questionType || 'single';
+
+export const hasOptions = (question) => OPTION_TYPES.includes(questionTypeOf(question));
+
+export const isAutoGraded = (question) => questionTypeOf(question) !== 'short';
+
+export const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// Known types in display order; an empty or unknown selection falls back to the defaults
+export const resolveQuestionTypes = (types = []) => {
+    const known = QUESTION_TYPE_IDS.filter(type => types.includes(type));
+    return known.length ? known : DEFAULT_QUESTION_TYPES;
+};
+
+// How many questions of each type to generate: `total` (at least one per type) spread evenly
+export const distributeQuestionTypes = (types, total = QUESTIONS_PER_TOPIC) => {
+    const selected = resolveQuestionTypes(types);
+    const count = Math.max(total, selected.length);
+    return Object.fromEntries(selected.map((type, i) => [
+        type,
+        Math.floor(count / selected.length) + (i < count % selected.length ? 1 : 0),
+    ]));
+};
+
+const TYPE_FIELDS = {
+    single: () => ({ options: ['', '', '', ''], correctIndex: 0 }),
+    multi: () => ({ options: ['', '', '', '', ''], correctIndices: [] }),
+    truefalse: () => ({ correctAnswer: true }),
+    fill: () => ({ acceptedAnswers: [] }),
+    ordering: () => ({ items: [] }),
+    code_output: () => ({ language: '', code: '', options: ['', '', '', ''], correctIndex: 0 }),
+    short: () => ({ rubric: '', sampleAnswer: '' }),
+};
+
+// A blank question of one type, for authoring by hand
+export const emptyQuestion = (type) => ({ questionType: type, question: '', ...TYPE_FIELDS[type](), explanation: '' });
+
+// The stored fields of a question: its type, the fields of that type and the explanation
+export const questionFields = (question) => {
+    const type = questionTypeOf(question);
+    return {
+        questionType: type,
+        question: question.question,
+        ...Object.fromEntries(Object.keys(TYPE_FIELDS[type]()).map(key => [key, question[key]])),
+        explanation: question.explanation,
+    };
+};
+
+// Map one validated AI question (see QUESTION_SCHEMAS) to question fields
+export const questionFromResponse = (type, data) => {
+    const fields = (() => {
+        switch (type) {
+            case 'single':
+                return { options: data.options, correctIndex: data.correct_answer_index };
+            case 'multi':
+                return { options: data.options, correctIndices: [...new Set(data.correct_answer_indices)].sort((a, b) => a - b) };
+            case 'truefalse':
+                return { correctAnswer: data.answer };
+            case 'fill':
+                return { acceptedAnswers: data.accepted_answers };
+            case 'ordering':
+                return { items: data.items_in_order };
+            case 'code_output':
+                return { language: data.language, code: data.code, options: data.options, correctIndex: data.correct_answer_index };
+            case 'short':
+                return { rubric: data.rubric, sampleAnswer: data.sample_answer };
+            default:
+                throw new Error(`Unknown question type "${type}".`);
+        }
+    })();
+    return { questionType: type, question: data.question, ...fields, explanation: data.explanation };
+};
+
+// Problems the response schemas cannot express (answer indexes out of range, a missing blank, ...).
+// Returns a list of human-readable errors, empty when the question is usable.
+export const questionErrors = (question) => {
+    const errors = [];
+    const filled = (values) => Array.isArray(values) && values.every(value => String(value).trim());
+    const inRange = (index) => Number.isInteger(index) && index >= 0 && index < (question.options || []).length;
+
+    if (!question.question?.trim()) errors.push('The question is empty.');
+    if (hasOptions(question) && (!filled(question.options) || question.options.length < 2)) {
+        errors.push('Every option needs text, and there must be at least two.');
+    }
+
+    switch (questionTypeOf(question)) {
+        case 'single':
+        case 'code_output':
+            if (!inRange(question.correctIndex)) errors.push('Select the correct option.');
+            if (questionTypeOf(question) === 'code_output' && !question.code?.trim()) errors.push('The code snippet is empty.');
+            break;
+        case 'multi':
+            if (!question.correctIndices?.length || !question.correctIndices.every(inRange)) errors.push('Select at least one correct option.');
+            break;
+        case 'truefalse':
+            if (typeof question.correctAnswer !== 'boolean') errors.push('Select whether the statement is true or false.');
+            break;
+        case 'fill':
+            if (!question.question?.includes(FILL_BLANK)) errors.push(`Mark the blank in the question with ${FILL_BLANK}.`);
+            if (!question.acceptedAnswers?.length || !filled(question.acceptedAnswers)) errors.push('Add at least one accepted answer.');
+            break;
+        case 'ordering': {
+            const items = question.items || [];
+            if (items.length < 2 || !filled(items)) errors.push('Add at least two items.');
+            if (new Set(items.map(item => item.trim())).size !== items.length) errors.push('Every item must be different.');
+            break;
+        }
+        case 'short':
+            if (!question.rubric?.trim()) errors.push('The rubric is empty.');
+            break;
+        default:
+            errors.push(`Unknown question type "${question.questionType}".`);
+    }
+    return errors;
+};
+
+// Map a validated question set (see questionSetSchema) to question fields, leaving out unusable questions
+export const questionsFromResponse = (data) => QUESTION_TYPE_IDS
+    .filter(type => Array.isArray(data[type]))
+    .flatMap(type => data[type].map(item => questionFromResponse(type, item)))
+    .filter(question => questionErrors(question).length === 0);
+
+// --- Answers ---
+
+export const normalizeTextAnswer = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const isOptionCorrect = (question, index) => (questionTypeOf(question) === 'multi'
+    ? (question.correctIndices || []).includes(index)
+    : index === question.correctIndex);
+
+export const isAnswered = (question, answer) => {
+    if (answer === undefined || answer === null) return false;
+    switch (questionTypeOf(question)) {
+        case 'multi':
+            return answer.length > 0;
+        case 'fill':
+        case 'short':
+            return Boolean(answer.trim());
+        default:
+            return true;
+    }
+};
+
+// true / false for auto-graded questions, null for short answers
+export const isAnswerCorrect = (question, answer) => {
+    if (!isAutoGraded(question)) return null;
+    if (!isAnswered(question, answer)) return false;
+    switch (questionTypeOf(question)) {
+        case 'multi': {
+            const expected = [...question.correctIndices].sort((a, b) => a - b);
+            const selected = [...answer].sort((a, b) => a - b);
+            return selected.length === expected.length && selected.every((index, i) => index === expected[i]);
+        }
+        case 'truefalse':
+            return answer === question.correctAnswer;
+        case 'fill':
+            return question.acceptedAnswers.some(accepted => normalizeTextAnswer(accepted) === normalizeTextAnswer(answer));
+        case 'ordering':
+            return answer.length === question.items.length && answer.every((itemIndex, position) => itemIndex === position);
+        default:
+            return answer === question.correctIndex;
+    }
+};
+
+// Items of an ordering question in a fixed order that does not give the answer away (for print and exports)
+export const scrambledItems = (question) => {
+    const items = question.items || [];
+    const sorted = [...items].sort((a, b) => a.localeCompare(b));
+    return sorted.every((item, i) => item === items[i]) ? [...items].reverse() : sorted;
+};
+
+// The code snippet of a code output question as a fenced Markdown block
+export const codeMarkdown = (question) => `\`\`\`${question.language || ''}\n${question.code || ''}\n\`\`\``;
+
+// Plain-text rendering of a question with its answer, used in prompts and the regeneration diff
+export const questionToText = (question) => {
+    const type = questionTypeOf(question);
+    const lines = [`Type: ${QUESTION_TYPES[type]}`, `Question: ${question.question}`, ''];
+    if (type === 'code_output') lines.push(`Code (${question.language || 'plain text'}):`, question.code || '', '');
+    if (hasOptions(question)) {
+        lines.push(...(question.options || []).map((option, i) => `${optionLetter(i)}. ${option}${isOptionCorrect(question, i) ? '  (correct)' : ''}`));
+    }
+    if (type === 'truefalse') lines.push(`Answer: ${question.correctAnswer ? 'True' : 'False'}`);
+    if (type === 'fill') lines.push(`Accepted answers: ${(question.acceptedAnswers || []).join('; ')}`);
+    if (type === 'ordering') lines.push('Correct order:', ...(question.items || []).map((item, i) => `${i + 1}. ${item}`));
+    if (type === 'short') lines.push(`Rubric: ${question.rubric || ''}`, '', `Sample answer: ${question.sampleAnswer || ''}`);
+    lines.push('', `Explanation: ${question.explanation || ''}`);
+    return lines.join('\n');
+};
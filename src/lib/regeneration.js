@@ -0,0 +1,46 @@
+import { questionFromResponse, questionToText, questionTypeOf } from './questions';
+
+// --- Targeted Regeneration ---
+// Helpers for regenerating a single module, topic, question or lab: a plain-text rendering
+// used both in the prompt and in the preview diff, and the mapping from the AI
+// response to the fields stored on the document.
+
+export const REGENERATABLE_KINDS = ['module', 'topic', 'mcq', 'lab'];
+
+export const itemToText = (kind, item) => {
+    switch (kind) {
+        case 'module':
+            return `Title: ${item.title}\n\nObjective: ${item.objective}`;
+        case 'topic':
+            return `Title: ${item.title}\n\n${item.content}`;
+        case 'mcq':
+            return questionToText(item);
+        case 'lab':
+            return [
+                `Problem Statement: ${item.problemStatement}`,
+                '',
+                'Steps:',
+                ...(item.steps || []).map((step, i) => `${i + 1}. ${step}`),
+                '',
+                `Expected Outcome: ${item.expectedOutcome}`,
+            ].join('\n');
+        default:
+            throw new Error(`Unknown item kind "${kind}".`);
+    }
+};
+
+// Map a validated AI response (see regenerateItemSchema) for `item` to document fields
+export const fieldsFromResponse = (kind, data, item) => {
+    switch (kind) {
+        case 'module':
+            return { title: data.title, objective: data.objective };
+        case 'topic':
+            return { title: data.topic_title, content: data.content_draft };
+        case 'mcq':
+            return questionFromResponse(questionTypeOf(item), data);
+        case 'lab':
+            return { problemStatement: data.problemStatement, steps: data.steps, expectedOutcome: data.expectedOutcome };
+        default:
+            throw new Error(`Unknown item kind "${kind}".`);
+    }
+};
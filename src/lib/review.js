@@ -0,0 +1,119 @@
+import { collection, doc } from 'firebase/firestore';
+import { createBatchWriter } from './courseStore';
+
+// --- Review Workflow ---
+// Topics and courses move through a review lifecycle:
+//
+//   draft → in_review → changes_requested → in_review → approved → published
+//
+// Topics keep their state in `reviewStatus` (missing = draft) and end at 'approved'; the course
+// uses its `status` field and is published to the catalog (see catalog.js) once approved.
+// A course can only be approved when every one of its topics is.
+//
+// Comments are threads anchored to a topic, MCQ or lab:
+// comments/{id}: { courseId, moduleId, topicId, targetKind, targetId, parentId, text, authorId, authorName, createdAt, resolved }
+// Replies carry the id of the thread's first comment in `parentId`; only that comment is resolved.
+
+export const COMMENTS_COLLECTION = 'comments';
+
+export const REVIEW_STATES = {
+    draft: { label: 'Draft', badgeClassName: 'bg-gray-100 text-gray-600' },
+    in_review: { label: 'In Review', badgeClassName: 'bg-blue-100 text-blue-700' },
+    changes_requested: { label: 'Changes Requested', badgeClassName: 'bg-amber-100 text-amber-800' },
+    approved: { label: 'Approved', badgeClassName: 'bg-green-100 text-green-700' },
+    published: { label: 'Published', badgeClassName: 'bg-indigo-100 text-indigo-700' },
+};
+
+// Who may move an item from one state to another (the personal workspace's user is owner).
+// firestore.rules enforces the same table (isReviewTransition); keep both in step.
+const TRANSITIONS = [
+    { id: 'submit', label: 'Submit for Review', from: ['draft', 'changes_requested'], to: 'in_review', roles: ['owner', 'editor'] },
+    { id: 'request_changes', label: 'Request Changes', from: ['in_review'], to: 'changes_requested', roles: ['owner', 'reviewer'] },
+    { id: 'approve', label: 'Approve', from: ['in_review'], to: 'approved', roles: ['owner', 'reviewer'] },
+    { id: 'reopen', label: 'Reopen as Draft', from: ['approved'], to: 'draft', roles: ['owner', 'editor'] },
+    { id: 'publish', label: 'Publish', from: ['approved'], to: 'published', roles: ['owner', 'editor'], courseOnly: true },
+];
+
+export const topicReviewStatus = (topic) => topic.reviewStatus || 'draft';
+
+export const courseReviewStatus = (course) => (REVIEW_STATES[course.status] ? course.status : 'draft');
+
+// Transitions the role can take from `status`. `unapprovedTopicCount` blocks approving a course.
+export const availableTransitions = (kind, status, role, { unapprovedTopicCount = 0 } = {}) => TRANSITIONS
+    .filter(t => t.from.includes(status) && t.roles.includes(role) && (kind === 'course' || !t.courseOnly))
+    .map(t => ({
+        ...t,
+        blockedReason: kind === 'course' && t.to === 'approved' && unapprovedTopicCount > 0
+            ? `${unapprovedTopicCount} topic(s) are not approved yet.`
+            : null,
+    }));
+
+// Store a new review state on a topic ('topics') or course ('courses')
+export const setReviewStatus = async (db, getPath, collectionName, id, status, userId) => {
+    const field = collectionName === 'courses' ? 'status' : 'reviewStatus';
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getPath(collectionName), id), {
+        [field]: status,
+        reviewUpdatedAt: new Date(),
+        reviewUpdatedBy: userId,
+    });
+    await writer.commit();
+};
+
+// Per-state counts and the unapproved topics (in course order) for the review dashboard
+export const summarizeReview = (modules, topics) => {
+    const counts = Object.fromEntries(Object.keys(REVIEW_STATES).map(state => [state, 0]));
+    const unapproved = [];
+    modules.forEach((module, moduleIndex) => {
+        topics
+            .filter(t => t.moduleId === module.id)
+            .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+            .forEach((topic, topicIndex) => {
+                const status = topicReviewStatus(topic);
+                counts[status] += 1;
+                if (status !== 'approved') unapproved.push({ module, topic, status, number: `${moduleIndex + 1}.${topicIndex + 1}` });
+            });
+    });
+    return { counts, unapproved };
+};
+
+// --- Comments ---
+
+export const addComment = async (db, getPath, fields) => {
+    const writer = createBatchWriter(db);
+    writer.set(doc(collection(db, getPath(COMMENTS_COLLECTION))), {
+        parentId: null,
+        resolved: false,
+        ...fields,
+        createdAt: new Date(),
+    });
+    await writer.commit();
+};
+
+export const setThreadResolved = async (db, getPath, threadId, resolved) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getPath(COMMENTS_COLLECTION), threadId), { resolved });
+    await writer.commit();
+};
+
+// Deleting the first comment of a thread deletes its replies too
+export const deleteComment = async (db, getPath, comment, comments) => {
+    const writer = createBatchWriter(db);
+    comments.filter(c => c.parentId === comment.id).forEach(reply => writer.delete(doc(db, getPath(COMMENTS_COLLECTION), reply.id)));
+    writer.delete(doc(db, getPath(COMMENTS_COLLECTION), comment.id));
+    await writer.commit();
+};
+
+const createdAtMillis = (comment) => comment.createdAt?.toMillis?.() ?? 0;
+
+// Group comments into threads ({ ...firstComment, replies }) in the order they were started
+export const buildThreads = (comments) => comments
+    .filter(c => !c.parentId)
+    .sort((a, b) => createdAtMillis(a) - createdAtMillis(b))
+    .map(thread => ({
+        ...thread,
+        replies: comments.filter(c => c.parentId === thread.id).sort((a, b) => createdAtMillis(a) - createdAtMillis(b)),
+    }));
+
+export const openThreadCount = (comments, topicId) =>
+    comments.filter(c => !c.parentId && !c.resolved && c.topicId === topicId).length;
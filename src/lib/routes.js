@@ -0,0 +1,96 @@
+// --- URL Routes ---
+// Maps the navigation state (workspace, view, course, module, topic, tab) to real paths so that
+// refreshes, deep links and browser back/forward work. Hosting rewrites every path to
+// index.html (see firebase.json).
+//
+//   /                                                      library
+//   /courses/new                                           new course form
+//   /settings                                              AI settings
+//   /usage                                                 AI usage and quotas
+//   /catalog                                               public course catalog
+//   /catalog/:catalogId                                    read-only published course
+//   /courses/:courseId                                     modules of a course
+//   /courses/:courseId/modules/:moduleId                   topics of a module
+//   /courses/:courseId/modules/:moduleId/topics/:topicId/:tab   topic (content | mcqs | lab | quiz)
+//
+// Paths without prefix belong to the personal workspace. Inside a team workspace the same paths
+// are prefixed with /w/:workspaceId, and /w/:workspaceId/members manages its members.
+
+export const TOPIC_TABS = ['content', 'mcqs', 'lab', 'quiz'];
+
+const LIBRARY_ROUTE = { view: 'library', workspaceId: null, courseId: null, moduleId: null, topicId: null, tab: 'content', catalogId: null };
+
+// Path inside a workspace, without the /w/:workspaceId prefix
+const buildWorkspacePath = ({ view, courseId, moduleId, topicId, tab }) => {
+    const encode = encodeURIComponent;
+    switch (view) {
+        case 'home':
+            return '/courses/new';
+        case 'settings':
+            return '/settings';
+        case 'usage':
+            return '/usage';
+        case 'modules':
+            return courseId ? `/courses/${encode(courseId)}` : '/';
+        case 'module':
+            return courseId && moduleId ? `/courses/${encode(courseId)}/modules/${encode(moduleId)}` : '/';
+        case 'topic':
+            return courseId && moduleId && topicId
+                ? `/courses/${encode(courseId)}/modules/${encode(moduleId)}/topics/${encode(topicId)}/${tab}`
+                : '/';
+        default:
+            return '/';
+    }
+};
+
+export const buildPath = (route) => {
+    const { view, workspaceId, catalogId } = route;
+    if (view === 'catalog') return '/catalog';
+    if (view === 'catalogEntry') return catalogId ? `/catalog/${encodeURIComponent(catalogId)}` : '/catalog';
+    if (!workspaceId) return buildWorkspacePath(route);
+
+    const prefix = `/w/${encodeURIComponent(workspaceId)}`;
+    if (view === 'workspace') return `${prefix}/members`;
+    const path = buildWorkspacePath(route);
+    return path === '/' ? prefix : `${prefix}${path}`;
+};
+
+// Route of a path inside a workspace (`segments` without the /w/:workspaceId prefix)
+const parseWorkspaceSegments = (segments) => {
+    if (segments.length === 1 && segments[0] === 'settings') return { ...LIBRARY_ROUTE, view: 'settings' };
+    if (segments.length === 1 && segments[0] === 'usage') return { ...LIBRARY_ROUTE, view: 'usage' };
+    if (segments[0] !== 'courses' || segments.length < 2) return LIBRARY_ROUTE;
+    if (segments.length === 2 && segments[1] === 'new') return { ...LIBRARY_ROUTE, view: 'home' };
+
+    const [, courseId, modulesKey, moduleId, topicsKey, topicId, tab] = segments;
+    if (modulesKey !== 'modules' || !moduleId) return { ...LIBRARY_ROUTE, view: 'modules', courseId };
+    if (topicsKey !== 'topics' || !topicId) return { ...LIBRARY_ROUTE, view: 'module', courseId, moduleId };
+
+    return {
+        ...LIBRARY_ROUTE,
+        view: 'topic',
+        courseId,
+        moduleId,
+        topicId,
+        tab: TOPIC_TABS.includes(tab) ? tab : 'content',
+    };
+};
+
+// Unknown and malformed paths (e.g. a broken escape like /courses/%E0) fall back to the library
+export const parsePath = (pathname) => {
+    let segments;
+    try {
+        segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        return LIBRARY_ROUTE;
+    }
+
+    if (segments[0] === 'catalog') {
+        return segments[1] ? { ...LIBRARY_ROUTE, view: 'catalogEntry', catalogId: segments[1] } : { ...LIBRARY_ROUTE, view: 'catalog' };
+    }
+    if (segments[0] !== 'w' || !segments[1]) return parseWorkspaceSegments(segments);
+
+    const [, workspaceId, ...rest] = segments;
+    if (rest.length === 1 && rest[0] === 'members') return { ...LIBRARY_ROUTE, view: 'workspace', workspaceId };
+    return { ...parseWorkspaceSegments(rest), workspaceId };
+};
@@ -0,0 +1,184 @@
+import { questionTypeOf } from './questions';
+
+// --- Response Schemas & Validation ---
+// One declared schema per asset type. The schemas use the OpenAPI subset that
+// Gemini accepts as `responseSchema`, and the same declarations drive the runtime
+// validation of every AI response, whichever provider produced it.
+
+const nonEmptyString = { type: "STRING", minLength: 1 };
+
+// Prompt 1: modules of a course
+export const modulesSchema = (blueprint) => ({
+    type: "ARRAY",
+    minItems: blueprint.moduleCount,
+    maxItems: blueprint.moduleCount,
+    items: {
+        type: "OBJECT",
+        properties: {
+            "title": nonEmptyString,
+            "objective": nonEmptyString,
+        },
+        required: ["title", "objective"],
+    },
+});
+
+// Prompt 2: topics of a module
+export const topicsSchema = (blueprint) => ({
+    type: "ARRAY",
+    minItems: blueprint.topicsPerModule,
+    maxItems: blueprint.topicsPerModule,
+    items: {
+        type: "OBJECT",
+        properties: {
+            "topic_title": nonEmptyString,
+            "content_draft": nonEmptyString,
+        },
+        required: ["topic_title", "content_draft"],
+    },
+});
+
+// Prompt 3: assessment questions, one schema per question type (see questions.js)
+const optionsSchema = (count) => ({ type: "ARRAY", minItems: count, maxItems: count, items: nonEmptyString });
+const optionIndexSchema = (count) => ({ type: "INTEGER", minimum: 0, maximum: count - 1 });
+
+const questionSchema = (properties) => ({
+    type: "OBJECT",
+    properties: { "question": nonEmptyString, ...properties, "explanation": nonEmptyString },
+    required: ["question", ...Object.keys(properties), "explanation"],
+});
+
+export const QUESTION_SCHEMAS = {
+    single: questionSchema({
+        "options": optionsSchema(4),
+        "correct_answer_index": optionIndexSchema(4),
+    }),
+    multi: questionSchema({
+        "options": optionsSchema(5),
+        "correct_answer_indices": { type: "ARRAY", minItems: 2, maxItems: 4, items: optionIndexSchema(5) },
+    }),
+    truefalse: questionSchema({
+        "answer": { type: "BOOLEAN" },
+    }),
+    fill: questionSchema({
+        "accepted_answers": { type: "ARRAY", minItems: 1, maxItems: 5, items: nonEmptyString },
+    }),
+    ordering: questionSchema({
+        "items_in_order": { type: "ARRAY", minItems: 3, maxItems: 6, items: nonEmptyString },
+    }),
+    code_output: questionSchema({
+        "language": nonEmptyString,
+        "code": nonEmptyString,
+        "options": optionsSchema(4),
+        "correct_answer_index": optionIndexSchema(4),
+    }),
+    short: questionSchema({
+        "rubric": nonEmptyString,
+        "sample_answer": nonEmptyString,
+    }),
+};
+
+// The questions of a topic: one array per question type, `counts` is { [questionType]: count }
+export const questionSetSchema = (counts) => ({
+    type: "OBJECT",
+    properties: Object.fromEntries(Object.entries(counts).map(([type, count]) => [
+        type,
+        { type: "ARRAY", minItems: count, maxItems: count, items: QUESTION_SCHEMAS[type] },
+    ])),
+    required: Object.keys(counts),
+});
+
+// Prompt 4: lab of a topic
+export const LAB_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "problemStatement": nonEmptyString,
+        "steps": { type: "ARRAY", minItems: 3, maxItems: 5, items: nonEmptyString },
+        "expectedOutcome": nonEmptyString,
+    },
+    required: ["problemStatement", "steps", "expectedOutcome"],
+};
+
+// Fill-in prompts for imported outlines
+export const MODULE_OBJECTIVE_SCHEMA = {
+    type: "OBJECT",
+    properties: { "objective": nonEmptyString },
+    required: ["objective"],
+};
+
+export const TOPIC_CONTENT_SCHEMA = {
+    type: "OBJECT",
+    properties: { "content_draft": nonEmptyString },
+    required: ["content_draft"],
+};
+
+// Targeted regeneration: one item of each kind
+export const REGENERATE_ITEM_SCHEMAS = {
+    module: modulesSchema({ moduleCount: 1 }).items,
+    topic: topicsSchema({ topicsPerModule: 1 }).items,
+    lab: LAB_SCHEMA,
+};
+
+// A regenerated question keeps its question type
+export const regenerateItemSchema = (kind, item) => (kind === 'mcq'
+    ? QUESTION_SCHEMAS[questionTypeOf(item)]
+    : REGENERATE_ITEM_SCHEMAS[kind]);
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'ARRAY';
+    if (value === null) return 'NULL';
+    if (Number.isInteger(value)) return 'INTEGER';
+    return { string: 'STRING', number: 'NUMBER', boolean: 'BOOLEAN', object: 'OBJECT' }[typeof value] || typeof value;
+};
+
+// Validate `value` against a schema; returns a list of human-readable errors (empty when valid)
+export const validateAgainstSchema = (schema, value, path = '$') => {
+    const actualType = typeOf(value);
+    const typeMatches = actualType === schema.type || (schema.type === 'NUMBER' && actualType === 'INTEGER');
+
+    if (!typeMatches) {
+        if (value === null && schema.nullable) return [];
+        return [`${path}: expected ${schema.type.toLowerCase()}, got ${actualType.toLowerCase()}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    switch (schema.type) {
+        case 'STRING':
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${path}: must not be empty`);
+            }
+            break;
+        case 'NUMBER':
+        case 'INTEGER':
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+            break;
+        case 'ARRAY':
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+            }
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(schema.items, item, `${path}[${i}]`)));
+            break;
+        case 'OBJECT':
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    errors.push(...validateAgainstSchema(propertySchema, value[key], `${path}.${key}`));
+                }
+            });
+            break;
+        default:
+            break;
+    }
+
+    return errors;
+};
@@ -0,0 +1,441 @@
+import JSZip from 'jszip';
+import { renderMarkdown } from './markdown';
+import { EXPORT_STYLES, escapeXml, escapeHtml, slugify, topicNumber, mcqsOf, labOf, labHtml, referencesHtml } from './exportUtils';
+import { codeMarkdown, isOptionCorrect, normalizeTextAnswer, questionTypeOf } from './questions';
+
+// --- SCORM Package Export ---
+// Builds a SCORM 1.2 or SCORM 2004 (4th Edition) content package from a course tree
+// (see loadCourseTree). Every topic becomes a content SCO (content + lab) that reports
+// completion, and every topic with questions gets a quiz SCO that reports its score.
+
+export const SCORM_VERSIONS = ['1.2', '2004'];
+
+// Share of correct answers needed to pass a quiz SCO
+const MASTERY_SCORE = 0.7;
+
+// Minimal SCORM runtime wrapper shared by every SCO. The version is read from <html data-scorm-version>.
+const SCORM_API_JS = `(function (window, document) {
+    var is2004 = document.documentElement.getAttribute('data-scorm-version') === '2004';
+    var apiName = is2004 ? 'API_1484_11' : 'API';
+
+    function findApi(win) {
+        for (var tries = 0; win && tries < 10; tries++) {
+            if (win[apiName]) return win[apiName];
+            if (win.parent === win) break;
+            win = win.parent;
+        }
+        return null;
+    }
+
+    var api = findApi(window) || (window.opener ? findApi(window.opener) : null);
+    var initialized = false;
+
+    function call(name12, name2004, args) {
+        if (!api) return '';
+        var fn = api[is2004 ? name2004 : name12];
+        return fn ? fn.apply(api, args) : '';
+    }
+
+    var Scorm = {
+        init: function () {
+            if (initialized) return;
+            initialized = String(call('LMSInitialize', 'Initialize', [''])) === 'true';
+        },
+        set: function (key, value) { return call('LMSSetValue', 'SetValue', [key, String(value)]); },
+        commit: function () { return call('LMSCommit', 'Commit', ['']); },
+        finish: function () {
+            if (!initialized) return;
+            initialized = false;
+            call('LMSFinish', 'Terminate', ['']);
+        },
+        setIncomplete: function () {
+            if (is2004) Scorm.set('cmi.completion_status', 'incomplete');
+            else Scorm.set('cmi.core.lesson_status', 'incomplete');
+            Scorm.commit();
+        },
+        complete: function () {
+            if (is2004) Scorm.set('cmi.completion_status', 'completed');
+            else Scorm.set('cmi.core.lesson_status', 'completed');
+            Scorm.commit();
+        },
+        // A quiz with nothing to score (only short answers) passes once it is submitted
+        reportScore: function (score, max, masteryScore) {
+            var scaled = max ? score / max : 1;
+            var passed = scaled >= masteryScore;
+            if (is2004) {
+                Scorm.set('cmi.score.raw', score);
+                Scorm.set('cmi.score.min', 0);
+                Scorm.set('cmi.score.max', max);
+                Scorm.set('cmi.score.scaled', scaled.toFixed(4));
+                Scorm.set('cmi.success_status', passed ? 'passed' : 'failed');
+                Scorm.set('cmi.completion_status', 'completed');
+            } else {
+                Scorm.set('cmi.core.score.raw', Math.round(scaled * 100));
+                Scorm.set('cmi.core.score.min', 0);
+                Scorm.set('cmi.core.score.max', 100);
+                Scorm.set('cmi.core.lesson_status', passed ? 'passed' : 'failed');
+            }
+            Scorm.commit();
+            return passed;
+        }
+    };
+
+    window.Scorm = Scorm;
+    window.addEventListener('pagehide', Scorm.finish);
+    window.addEventListener('beforeunload', Scorm.finish);
+})(window, document);
+`;
+
+// Renders the quiz embedded as JSON in #quiz-data and reports the score on submit.
+// Question kinds (see scormQuestion): choice (single, multi, true/false, code output), fill, ordering
+// and short, which is shown with its rubric but not scored.
+const QUIZ_JS = `(function (document) {
+    var quiz = JSON.parse(document.getElementById('quiz-data').textContent);
+    var form = document.getElementById('quiz');
+    var submit = document.getElementById('submit');
+    var result = document.getElementById('result');
+
+    function element(tag, className, text) {
+        var el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    }
+
+    function normalize(value) {
+        return String(value).replace(/^\\s+|\\s+$/g, '').replace(/\\s+/g, ' ').toLowerCase();
+    }
+
+    function shuffledOrder(count) {
+        var order = [];
+        for (var i = 0; i < count; i++) order.push(i);
+        for (var tries = 0; tries < 10; tries++) {
+            for (var j = order.length - 1; j > 0; j--) {
+                var k = Math.floor(Math.random() * (j + 1));
+                var swap = order[j]; order[j] = order[k]; order[k] = swap;
+            }
+            if (order.some(function (index, position) { return index !== position; })) break;
+        }
+        return order;
+    }
+
+    // render(q, qIndex, box) builds the inputs; grade(q, box) marks them and returns true, false or null (not scored)
+    var kinds = {
+        choice: {
+            render: function (q, qIndex, box) {
+                if (q.codeHtml) {
+                    var code = element('div');
+                    code.innerHTML = q.codeHtml;
+                    box.appendChild(code);
+                }
+                if (q.multiple) box.appendChild(element('p', 'explanation', 'Select all that apply.'));
+                q.options.forEach(function (option, oIndex) {
+                    var label = document.createElement('label');
+                    var input = document.createElement('input');
+                    input.type = q.multiple ? 'checkbox' : 'radio';
+                    input.name = 'q' + qIndex;
+                    input.value = oIndex;
+                    label.appendChild(input);
+                    label.appendChild(document.createTextNode(' ' + String.fromCharCode(65 + oIndex) + '. ' + option));
+                    box.appendChild(label);
+                });
+            },
+            grade: function (q, box) {
+                var correct = true;
+                box.querySelectorAll('label').forEach(function (label, oIndex) {
+                    var checked = label.querySelector('input').checked;
+                    var isCorrect = q.correct.indexOf(oIndex) !== -1;
+                    if (checked !== isCorrect) correct = false;
+                    if (isCorrect) label.className = 'correct';
+                    else if (checked) label.className = 'incorrect';
+                });
+                return correct;
+            }
+        },
+        fill: {
+            render: function (q, qIndex, box) {
+                var input = element('input', 'answer');
+                input.type = 'text';
+                box.appendChild(input);
+            },
+            grade: function (q, box) {
+                var input = box.querySelector('.answer');
+                var correct = q.acceptedAnswers.indexOf(normalize(input.value)) !== -1;
+                input.className = 'answer ' + (correct ? 'correct' : 'incorrect');
+                box.appendChild(element('p', 'explanation', 'Accepted answers: ' + q.acceptedLabels.join(' / ')));
+                return correct;
+            }
+        },
+        ordering: {
+            render: function (q, qIndex, box) {
+                box.appendChild(element('p', 'explanation', 'Put these in the correct order.'));
+                var list = element('ol', 'order');
+                shuffledOrder(q.items.length).forEach(function (itemIndex) {
+                    var item = element('li', '', q.items[itemIndex] + ' ');
+                    item.setAttribute('data-index', itemIndex);
+                    [['\\u2191', -1], ['\\u2193', 1]].forEach(function (move) {
+                        var button = element('button', '', move[0]);
+                        button.type = 'button';
+                        button.addEventListener('click', function () {
+                            var sibling = move[1] < 0 ? item.previousElementSibling : item.nextElementSibling;
+                            if (sibling) list.insertBefore(item, move[1] < 0 ? sibling : sibling.nextElementSibling);
+                        });
+                        item.appendChild(button);
+                    });
+                    list.appendChild(item);
+                });
+                box.appendChild(list);
+            },
+            grade: function (q, box) {
+                var correct = true;
+                box.querySelectorAll('.order li').forEach(function (item, position) {
+                    var inPlace = Number(item.getAttribute('data-index')) === position;
+                    if (!inPlace) correct = false;
+                    item.className = inPlace ? 'correct' : 'incorrect';
+                    item.querySelectorAll('button').forEach(function (button) { button.hidden = true; });
+                });
+                if (!correct) box.appendChild(element('p', 'explanation', 'Correct order: ' + q.items.join(' \\u2192 ')));
+                return correct;
+            }
+        },
+        short: {
+            render: function (q, qIndex, box) {
+                var input = element('textarea', 'answer');
+                input.rows = 4;
+                box.appendChild(input);
+            },
+            grade: function (q, box) {
+                box.appendChild(element('p', 'explanation', 'Not scored. Rubric: ' + q.rubric));
+                box.appendChild(element('p', 'explanation', 'Sample answer: ' + q.sampleAnswer));
+                return null;
+            }
+        }
+    };
+
+    quiz.questions.forEach(function (q, qIndex) {
+        var box = element('div', 'question');
+        var title = document.createElement('p');
+        title.innerHTML = '<strong>Q' + (qIndex + 1) + ':</strong> ';
+        title.appendChild(document.createTextNode(q.question));
+        box.appendChild(title);
+        kinds[q.kind].render(q, qIndex, box);
+        var explanation = element('p', 'explanation', q.explanation || '');
+        explanation.hidden = true;
+        box.appendChild(explanation);
+        form.appendChild(box);
+    });
+
+    window.Scorm.init();
+    window.Scorm.setIncomplete();
+
+    submit.addEventListener('click', function () {
+        var score = 0;
+        var max = 0;
+        quiz.questions.forEach(function (q, qIndex) {
+            var box = form.children[qIndex];
+            var explanation = box.querySelector('.explanation[hidden]');
+            var correct = kinds[q.kind].grade(q, box);
+            if (correct !== null) max++;
+            if (correct) score++;
+            box.querySelectorAll('input, textarea').forEach(function (input) { input.disabled = true; });
+            box.appendChild(explanation);
+            explanation.hidden = false;
+        });
+        var passed = window.Scorm.reportScore(score, max, quiz.masteryScore);
+        result.hidden = false;
+        result.textContent = 'Score: ' + score + '/' + max + (passed ? ' (passed)' : ' (not passed)') +
+            (max < quiz.questions.length ? ' Short answers are not scored.' : '');
+        submit.disabled = true;
+    });
+})(document);
+`;
+
+// One question of the quiz data read by QUIZ_JS
+const scormQuestion = (mcq) => {
+    const type = questionTypeOf(mcq);
+    const base = { question: mcq.question, explanation: mcq.explanation || '' };
+    switch (type) {
+        case 'truefalse':
+            return { ...base, kind: 'choice', options: ['True', 'False'], correct: [mcq.correctAnswer ? 0 : 1], multiple: false };
+        case 'fill':
+            return { ...base, kind: 'fill', acceptedAnswers: mcq.acceptedAnswers.map(normalizeTextAnswer), acceptedLabels: mcq.acceptedAnswers };
+        case 'ordering':
+            return { ...base, kind: 'ordering', items: mcq.items };
+        case 'short':
+            return { ...base, kind: 'short', rubric: mcq.rubric, sampleAnswer: mcq.sampleAnswer };
+        default:
+            return {
+                ...base,
+                kind: 'choice',
+                codeHtml: type === 'code_output' ? renderMarkdown(codeMarkdown(mcq)) : '',
+                options: mcq.options || [],
+                correct: (mcq.options || []).map((_, index) => index).filter(index => isOptionCorrect(mcq, index)),
+                multiple: type === 'multi',
+            };
+    }
+};
+
+const pageDocument = (version, title, body, scripts = []) => `<!DOCTYPE html>
+<html lang="en" data-scorm-version="${version}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="../shared/styles.css">
+<script src="../shared/scorm-api.js"></script>
+</head>
+<body>
+${body}
+${scripts.join('\n')}
+</body>
+</html>
+`;
+
+const topicPage = (version, module, topic, topicIndex) => {
+    const lab = labOf(topic);
+    const body = `<h1>${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)}</h1>
+${renderMarkdown(topic.content)}
+${referencesHtml(topic.citations)}
+${lab ? `<h2>Practice Lab</h2>\n${labHtml(lab)}` : ''}`;
+
+    return pageDocument(version, topic.title, body, [
+        '<script>window.Scorm.init(); window.Scorm.complete();</script>',
+    ]);
+};
+
+const quizPage = (version, module, topic, topicIndex) => {
+    const quizData = {
+        masteryScore: MASTERY_SCORE,
+        questions: mcqsOf(topic).map(scormQuestion),
+    };
+    // Keep "</script>" inside the JSON from closing the script element
+    const json = JSON.stringify(quizData).replace(/</g, '\\u003c');
+
+    const body = `<h1>${topicNumber(module, topicIndex)} ${escapeHtml(topic.title)} — Quiz</h1>
+<div id="quiz"></div>
+<button id="submit" type="button">Submit Answers</button>
+<p id="result" class="result" hidden></p>
+<script type="application/json" id="quiz-data">${json}</script>`;
+
+    return pageDocument(version, `${topic.title} Quiz`, body, ['<script src="../shared/quiz.js"></script>']);
+};
+
+const manifestHeader = (version, identifier) => version === '2004'
+    ? `<manifest identifier="${identifier}" version="1"
+    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+    xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+    xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+    xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>`
+    : `<manifest identifier="${identifier}" version="1.0"
+    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>`;
+
+// Quiz items carry their pass mark: adlcp:masteryscore (1.2) or a primary objective (2004)
+const quizItemRules = (version, objectiveId) => version === '2004'
+    ? `
+          <imsss:sequencing>
+            <imsss:objectives>
+              <imsss:primaryObjective objectiveID="${objectiveId}" satisfiedByMeasure="true">
+                <imsss:minNormalizedMeasure>${MASTERY_SCORE}</imsss:minNormalizedMeasure>
+              </imsss:primaryObjective>
+            </imsss:objectives>
+          </imsss:sequencing>`
+    : `
+          <adlcp:masteryscore>${MASTERY_SCORE * 100}</adlcp:masteryscore>`;
+
+// Builds imsmanifest.xml plus the list of SCO pages ({ path, html }) for a course tree
+const buildPackageParts = (course, tree, version) => {
+    const scormTypeAttr = version === '2004' ? 'adlcp:scormType' : 'adlcp:scormtype';
+    const pages = [];
+    const items = [];
+    const resources = [];
+
+    tree.modules.forEach((module) => {
+        const topicItems = [];
+        module.topics.forEach((topic, topicIndex) => {
+            const key = `M${module.order}_T${topicIndex + 1}`;
+            const baseName = `${module.order}-${topicIndex + 1}-${slugify(topic.title)}`;
+            const number = topicNumber(module, topicIndex);
+
+            const contentPath = `content/${baseName}.html`;
+            pages.push({ path: contentPath, html: topicPage(version, module, topic, topicIndex) });
+            topicItems.push(`
+        <item identifier="ITEM_${key}" identifierref="RES_${key}">
+          <title>${escapeXml(`${number} ${topic.title}`)}</title>
+        </item>`);
+            resources.push(`
+    <resource identifier="RES_${key}" type="webcontent" ${scormTypeAttr}="sco" href="${contentPath}">
+      <file href="${contentPath}"/>
+      <dependency identifierref="RES_SHARED"/>
+    </resource>`);
+
+            if (mcqsOf(topic).length > 0) {
+                const quizPath = `content/${baseName}-quiz.html`;
+                pages.push({ path: quizPath, html: quizPage(version, module, topic, topicIndex) });
+                topicItems.push(`
+        <item identifier="ITEM_${key}_QUIZ" identifierref="RES_${key}_QUIZ">
+          <title>${escapeXml(`${number} ${topic.title} — Quiz`)}</title>${quizItemRules(version, `OBJ_${key}_QUIZ`)}
+        </item>`);
+                resources.push(`
+    <resource identifier="RES_${key}_QUIZ" type="webcontent" ${scormTypeAttr}="sco" href="${quizPath}">
+      <file href="${quizPath}"/>
+      <dependency identifierref="RES_SHARED"/>
+    </resource>`);
+            }
+        });
+
+        items.push(`
+      <item identifier="ITEM_M${module.order}">
+        <title>${escapeXml(`Module ${module.order}: ${module.title}`)}</title>${topicItems.join('')}
+      </item>`);
+    });
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+${manifestHeader(version, `COURSE_${slugify(course.id)}`)}
+  <organizations default="ORG_1">
+    <organization identifier="ORG_1">
+      <title>${escapeXml(course.title)}</title>${items.join('')}
+    </organization>
+  </organizations>
+  <resources>${resources.join('')}
+    <resource identifier="RES_SHARED" type="webcontent" ${scormTypeAttr}="asset">
+      <file href="shared/scorm-api.js"/>
+      <file href="shared/quiz.js"/>
+      <file href="shared/styles.css"/>
+    </resource>
+  </resources>
+</manifest>
+`;
+
+    return { manifest, pages };
+};
+
+// Build the zip for a course tree; resolves to a Blob
+export const buildScormPackage = async (course, tree, version = '1.2') => {
+    if (!SCORM_VERSIONS.includes(version)) throw new Error(`Unsupported SCORM version "${version}".`);
+
+    const { manifest, pages } = buildPackageParts(course, tree, version);
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', manifest);
+    zip.file('shared/scorm-api.js', SCORM_API_JS);
+    zip.file('shared/quiz.js', QUIZ_JS);
+    zip.file('shared/styles.css', EXPORT_STYLES);
+    pages.forEach(page => zip.file(page.path, page.html));
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+export const scormFileName = (course, version) => `${slugify(course.title)}-scorm-${version.replace('.', '')}.zip`;
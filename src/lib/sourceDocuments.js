@@ -0,0 +1,283 @@
+import JSZip from 'jszip';
+import { collection, doc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { createBatchWriter } from './courseStore';
+
+// --- Course Source Documents ---
+// Trainers upload their own material (PDFs, slide decks, Word documents, wiki pages) to a course.
+// The text is extracted in the browser, split into overlapping chunks and stored as reference
+// material; generation prompts then get the chunks most relevant to what is being generated.
+//
+// sources/{id}:      { courseId, name, fileType, size, charCount, chunkCount, status, uploadedBy, createdAt }
+// sourceChunks/{id}: { courseId, sourceId, sourceName, index, text }
+//
+// A source is 'uploading' until all of its chunks are stored, then 'ready'; only chunks of ready
+// sources are retrieved. Sources stored before the status existed count as ready.
+//
+// Source documents belong to the course, not to a version: snapshots, exports and the public
+// catalog leave them out.
+
+export const SOURCES_COLLECTION = 'sources';
+export const SOURCE_CHUNKS_COLLECTION = 'sourceChunks';
+
+export const SOURCE_FILE_TYPES = {
+    pdf: 'PDF',
+    pptx: 'PowerPoint',
+    docx: 'Word',
+    html: 'Web page',
+    htm: 'Web page',
+    md: 'Markdown',
+    markdown: 'Markdown',
+    txt: 'Text',
+};
+
+export const SOURCE_FILE_ACCEPT = Object.keys(SOURCE_FILE_TYPES).map(ext => `.${ext}`).join(',');
+
+// Characters per chunk, and how much of the previous chunk is repeated at the start of the next
+const CHUNK_SIZE = 1500;
+const CHUNK_OVERLAP = 200;
+
+// Every chunk is a Firestore document, and retrieval loads all chunks of the course
+const MAX_SOURCE_CHARS = 2000000;
+
+const fileExtension = (fileName) => fileName.split('.').pop().toLowerCase();
+
+// --- Text extraction ---
+
+const decodeXmlText = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Text runs of an Office Open XML part, one line per paragraph
+const officeXmlText = (xml, paragraphTag, textTag) => xml
+    .split(new RegExp(`</${paragraphTag}>`))
+    .map(paragraph => [...paragraph.matchAll(new RegExp(`<${textTag}(?:\\s[^>]*)?>([^<]*)</${textTag}>`, 'g'))]
+        .map(match => decodeXmlText(match[1]))
+        .join(''))
+    .filter(line => line.trim())
+    .join('\n');
+
+const extractPptxText = async (file) => {
+    const zip = await JSZip.loadAsync(file);
+    const slideNumber = (path) => Number(path.match(/slide(\d+)\.xml$/)[1]);
+    const slidePaths = Object.keys(zip.files)
+        .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+    const slides = await Promise.all(slidePaths.map(async (path) => officeXmlText(await zip.file(path).async('string'), 'a:p', 'a:t')));
+    return slides.map((text, i) => `Slide ${i + 1}\n${text}`).join('\n\n');
+};
+
+const extractDocxText = async (file) => {
+    const zip = await JSZip.loadAsync(file);
+    const documentXml = zip.file('word/document.xml');
+    if (!documentXml) throw new Error(`"${file.name}" is not a Word document.`);
+    return officeXmlText(await documentXml.async('string'), 'w:p', 'w:t');
+};
+
+const extractPdfText = async (file) => {
+    // pdf.js is large; it is only loaded when a PDF is uploaded
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const content = await (await pdf.getPage(pageNumber)).getTextContent();
+        pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+    }
+    return pages.join('\n\n');
+};
+
+const extractHtmlText = async (file) => {
+    const page = new DOMParser().parseFromString(await file.text(), 'text/html');
+    page.querySelectorAll('script, style, nav, header, footer').forEach(element => element.remove());
+    return page.body.innerText || page.body.textContent || '';
+};
+
+const TEXT_EXTRACTORS = {
+    pdf: extractPdfText,
+    pptx: extractPptxText,
+    docx: extractDocxText,
+    html: extractHtmlText,
+    htm: extractHtmlText,
+    md: (file) => file.text(),
+    markdown: (file) => file.text(),
+    txt: (file) => file.text(),
+};
+
+// Plain text of an uploaded file; throws for unsupported or empty files
+const extractSourceText = async (file) => {
+    const extractor = TEXT_EXTRACTORS[fileExtension(file.name)];
+    if (!extractor) {
+        throw new Error(`"${file.name}" is not supported. Upload ${Object.values(SOURCE_FILE_TYPES).filter((type, i, all) => all.indexOf(type) === i).join(', ')} files.`);
+    }
+
+    const text = (await extractor(file))
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    if (!text) throw new Error(`No text found in "${file.name}". Scanned documents need to be converted to text first.`);
+    if (text.length > MAX_SOURCE_CHARS) throw new Error(`"${file.name}" is too large (more than ${MAX_SOURCE_CHARS} characters of text).`);
+    return text;
+};
+
+// --- Chunking ---
+
+// Split text into chunks of about CHUNK_SIZE characters at paragraph (or else sentence) boundaries.
+// Each chunk starts with the end of the previous one so passages cut in half stay retrievable.
+export const chunkText = (text) => {
+    const pieces = text
+        .split(/\n\s*\n/)
+        .flatMap(paragraph => (paragraph.length <= CHUNK_SIZE ? [paragraph] : paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]))
+        .flatMap(piece => (piece.length <= CHUNK_SIZE ? [piece] : piece.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g'))))
+        .map(piece => piece.trim())
+        .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+        if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+            chunks.push(current);
+            current = current.slice(-CHUNK_OVERLAP).replace(/^\S*\s/, '');
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+    });
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+// --- Persistence ---
+
+// Read an uploaded file into a source document ({ name, fileType, size, text }); throws when it has no usable text
+export const readSourceFile = async (file) => ({
+    name: file.name,
+    fileType: fileExtension(file.name),
+    size: file.size,
+    text: await extractSourceText(file),
+});
+
+// Store a source document (see readSourceFile) of a course with its chunks; returns the source id.
+// The chunks take several batches: the source is marked ready only after all of them are
+// committed, and a failed upload removes what it wrote before rethrowing.
+export const addSourceDocument = async (db, getPath, courseId, source, userId) => {
+    const chunks = chunkText(source.text);
+
+    const sourceRef = doc(collection(db, getPath(SOURCES_COLLECTION)));
+    await setDoc(sourceRef, {
+        courseId,
+        name: source.name,
+        fileType: source.fileType,
+        size: source.size,
+        charCount: source.text.length,
+        chunkCount: chunks.length,
+        status: 'uploading',
+        uploadedBy: userId,
+        createdAt: new Date(),
+    });
+
+    try {
+        const writer = createBatchWriter(db);
+        chunks.forEach((chunk, index) => {
+            writer.set(doc(collection(db, getPath(SOURCE_CHUNKS_COLLECTION))), {
+                courseId,
+                sourceId: sourceRef.id,
+                sourceName: source.name,
+                index,
+                text: chunk,
+            });
+        });
+        await writer.commit();
+        await updateDoc(sourceRef, { status: 'ready' });
+    } catch (e) {
+        // Left behind when the cleanup fails too: the source stays 'uploading' and can be removed
+        await deleteSourceDocument(db, getPath, sourceRef.id).catch(cleanupError => {
+            console.error("Source Cleanup Error:", cleanupError);
+        });
+        throw e;
+    }
+    return sourceRef.id;
+};
+
+// Whether all chunks of a source are stored; see addSourceDocument
+export const isSourceReady = (source) => (source.status || 'ready') === 'ready';
+
+const getDocsWhere = async (db, path, field, value) =>
+    (await getDocs(query(collection(db, path), where(field, '==', value)))).docs;
+
+export const deleteSourceDocument = async (db, getPath, sourceId) => {
+    const chunkDocs = await getDocsWhere(db, getPath(SOURCE_CHUNKS_COLLECTION), 'sourceId', sourceId);
+    const writer = createBatchWriter(db);
+    chunkDocs.forEach(d => writer.delete(d.ref));
+    writer.delete(doc(db, getPath(SOURCES_COLLECTION), sourceId));
+    await writer.commit();
+};
+
+// Chunks of the course's ready sources
+export const loadCourseChunks = async (db, getPath, courseId) => {
+    const [sourceDocs, chunkDocs] = await Promise.all([
+        getDocsWhere(db, getPath(SOURCES_COLLECTION), 'courseId', courseId),
+        getDocsWhere(db, getPath(SOURCE_CHUNKS_COLLECTION), 'courseId', courseId),
+    ]);
+    const readySourceIds = new Set(sourceDocs.filter(d => isSourceReady(d.data())).map(d => d.id));
+    return chunkDocs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(chunk => readySourceIds.has(chunk.sourceId));
+};
+
+// --- Retrieval ---
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it', 'its',
+    'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'what', 'when', 'which', 'with', 'within',
+    'course', 'module', 'topic', 'generate', 'write',
+]);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}+#.-]*/gu) || [])
+    .map(token => token.replace(/[.-]+$/, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+// The chunks that best match `queryText` (BM25 keyword ranking), at most `maxChars` in total.
+// Chunks that share no term with the query are never returned.
+export const retrievePassages = (chunks, queryText, { limit = 4, maxChars = 5000 } = {}) => {
+    const queryTerms = [...new Set(tokenize(queryText))];
+    if (chunks.length === 0 || queryTerms.length === 0) return [];
+
+    const chunkTerms = chunks.map(chunk => tokenize(chunk.text));
+    const averageLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0) / chunks.length || 1;
+    const documentFrequency = Object.fromEntries(queryTerms.map(term => [
+        term,
+        chunkTerms.filter(terms => terms.includes(term)).length,
+    ]));
+
+    const k1 = 1.2;
+    const b = 0.75;
+    const scored = chunks.map((chunk, i) => {
+        const terms = chunkTerms[i];
+        const score = queryTerms.reduce((sum, term) => {
+            const frequency = terms.filter(t => t === term).length;
+            if (!frequency) return sum;
+            const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+            return sum + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * terms.length / averageLength));
+        }, 0);
+        return { chunk, score };
+    });
+
+    const passages = [];
+    let totalChars = 0;
+    scored
+        .filter(({ score }) => score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit)
+        .forEach(({ chunk }) => {
+            if (totalChars + chunk.text.length > maxChars && passages.length > 0) return;
+            passages.push(chunk);
+            totalChars += chunk.text.length;
+        });
+    return passages;
+};
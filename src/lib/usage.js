@@ -0,0 +1,134 @@
+import { collection, doc, increment } from 'firebase/firestore';
+import { createBatchWriter } from './courseStore';
+
+// --- AI Usage and Cost ---
+// Every AI call is recorded as a usage event in the workspace, and added to the caller's
+// monthly totals in that workspace:
+//
+// usage/{id}: {
+//     userId, courseId?, moduleId?, topicId?, step, provider, model,
+//     inputTokens, outputTokens, estimated, cost, createdAt,
+// }
+// usageMonths/{yyyy-mm}_{uid}: { month, userId, inputTokens, outputTokens, cost, requests, updatedAt }
+//
+// Costs are estimates from the per-million-token prices in the workspace's AI settings.
+// `estimated` marks token counts guessed from text length (providers that report no usage).
+// Quotas live in the same settings (`quota`) and apply to each member's month in the workspace.
+// The app checks them before a generation starts; for Gemini the AI proxy also refuses calls
+// once a 'block' quota is used up, counting tokens on its own (see functions/quota.js).
+
+export const USAGE_COLLECTION = 'usage';
+export const USAGE_MONTHS_COLLECTION = 'usageMonths';
+
+// Monthly limits per user; 0 = unlimited. 'warn' asks before going over, 'block' refuses.
+export const DEFAULT_QUOTA = { monthlyTokenLimit: 0, monthlyCostLimit: 0, enforcement: 'warn' };
+
+export const resolveQuota = (stored = {}) => ({ ...DEFAULT_QUOTA, ...stored });
+
+// Rough size of one AI call per step kind, used to judge a generation before it starts
+export const STEP_TOKEN_ESTIMATES = {
+    modules: 3000,
+    topics: 2400, // Per topic of the module
+    objective: 800,
+    content: 4000,
+    mcqs: 5000,
+    lab: 3000,
+    regenerate: 3000,
+    suggest: 2500,
+};
+
+export const STEP_LABELS = {
+    modules: 'Module structure',
+    topics: 'Topics',
+    objective: 'Module objective',
+    content: 'Topic content',
+    mcqs: 'Assessment questions',
+    lab: 'Lab',
+    regenerate: 'Targeted regeneration',
+    suggest: 'AI suggestions',
+};
+
+// A course generation: the module structure plus one topics call per module
+export const estimateCourseGenerationTokens = (blueprint) =>
+    STEP_TOKEN_ESTIMATES.modules + blueprint.moduleCount * blueprint.topicsPerModule * STEP_TOKEN_ESTIMATES.topics;
+
+export const monthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+export const usageMonthId = (month, uid) => `${month}_${uid}`;
+
+// About four characters per token for English text
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const estimateCost = ({ inputTokens, outputTokens }, { inputPricePerMillion = 0, outputPricePerMillion = 0 }) =>
+    (inputTokens * inputPricePerMillion + outputTokens * outputPricePerMillion) / 1e6;
+
+export const formatTokens = (tokens) => (tokens >= 1e6
+    ? `${(tokens / 1e6).toFixed(2)}M`
+    : tokens >= 1e3 ? `${(tokens / 1e3).toFixed(1)}k` : String(tokens));
+
+export const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+// Provider usage, or an estimate from prompt and response length
+export const resolveCallUsage = (reportedUsage, promptText, responseText) => (reportedUsage
+    ? { inputTokens: reportedUsage.inputTokens || 0, outputTokens: reportedUsage.outputTokens || 0, estimated: false }
+    : { inputTokens: estimateTokens(promptText), outputTokens: estimateTokens(responseText), estimated: true });
+
+export const recordUsage = async (db, getPath, event) => {
+    const createdAt = new Date();
+    const month = monthKey(createdAt);
+    const writer = createBatchWriter(db);
+    writer.set(doc(collection(db, getPath(USAGE_COLLECTION))), { ...event, createdAt });
+    writer.set(doc(db, getPath(USAGE_MONTHS_COLLECTION), usageMonthId(month, event.userId)), {
+        month,
+        userId: event.userId,
+        inputTokens: increment(event.inputTokens),
+        outputTokens: increment(event.outputTokens),
+        cost: increment(event.cost),
+        requests: increment(1),
+        updatedAt: createdAt,
+    }, { merge: true });
+    await writer.commit();
+};
+
+// Judge a generation of `estimatedTokens` against the month so far.
+// Returns { status: 'ok' | 'warn' | 'block', message }.
+export const checkQuota = (monthUsage, quota, estimatedTokens, prices) => {
+    const usedTokens = (monthUsage?.inputTokens || 0) + (monthUsage?.outputTokens || 0);
+    const usedCost = monthUsage?.cost || 0;
+    // Estimates do not split input and output; price them all as output to stay on the safe side
+    const estimatedCost = estimateCost({ inputTokens: 0, outputTokens: estimatedTokens }, prices);
+
+    const problems = [];
+    if (quota.monthlyTokenLimit > 0 && usedTokens + estimatedTokens > quota.monthlyTokenLimit) {
+        problems.push(`about ${formatTokens(estimatedTokens)} more tokens would exceed the monthly limit (${formatTokens(usedTokens)} of ${formatTokens(quota.monthlyTokenLimit)} used)`);
+    }
+    if (quota.monthlyCostLimit > 0 && usedCost + estimatedCost > quota.monthlyCostLimit) {
+        problems.push(`about ${formatCost(estimatedCost)} more would exceed the monthly budget (${formatCost(usedCost)} of ${formatCost(quota.monthlyCostLimit)} used)`);
+    }
+
+    if (problems.length === 0) return { status: 'ok', message: null };
+    const message = `This generation needs ${problems.join(' and ')}.`;
+    return { status: quota.enforcement === 'block' ? 'block' : 'warn', message };
+};
+
+const emptyTotals = () => ({ inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 });
+
+const addToTotals = (totals, event) => {
+    totals.inputTokens += event.inputTokens || 0;
+    totals.outputTokens += event.outputTokens || 0;
+    totals.cost += event.cost || 0;
+    totals.requests += 1;
+    return totals;
+};
+
+// Totals of a list of usage events, overall and grouped by `keyOf(event)` (events without a key are skipped)
+export const rollupUsage = (events, keyOf = null) => {
+    const total = emptyTotals();
+    const groups = {};
+    events.forEach(event => {
+        addToTotals(total, event);
+        const key = keyOf?.(event);
+        if (key) groups[key] = addToTotals(groups[key] || emptyTotals(), event);
+    });
+    return { total, groups };
+};
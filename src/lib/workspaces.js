@@ -0,0 +1,114 @@
+import { collection, doc, arrayRemove, arrayUnion, deleteField } from 'firebase/firestore';
+import { createBatchWriter } from './courseStore';
+
+// --- Team Workspaces ---
+// A workspace owns courses (and everything below them) so that a team can work on them together:
+//
+// workspaces/{workspaceId}: {
+//     name, ownerId, createdAt,
+//     memberIds: [uid],                                  // for the "my workspaces" query
+//     members: { [uid]: { role, email, displayName } },
+// }
+// workspaces/{workspaceId}/{courses|modules|topics|assets|snapshots|jobs|settings}/...
+// invitations/{workspaceId}_{email}: { workspaceId, workspaceName, email, role, invitedBy, invitedByName, createdAt }
+//
+// The invitation id is derived from workspace and email so the security rules can look it up
+// when the invitee adds themselves to the workspace (see firestore.rules).
+// The personal workspace is the user's own path (users/{uid}); there the user is always owner.
+// `getAppPath` resolves collections directly below artifacts/{appId}.
+
+export const WORKSPACES_COLLECTION = 'workspaces';
+export const INVITATIONS_COLLECTION = 'invitations';
+
+export const WORKSPACE_ROLES = {
+    owner: { label: 'Owner', description: 'Manages members and edits everything' },
+    editor: { label: 'Editor', description: 'Creates, generates and edits courses' },
+    reviewer: { label: 'Reviewer', description: 'Reads courses to review them' },
+    viewer: { label: 'Viewer', description: 'Reads courses' },
+};
+
+// Roles an owner can hand out (ownership itself is not transferable from the app)
+export const INVITABLE_ROLES = ['editor', 'reviewer', 'viewer'];
+
+// The security rules check every member's role one by one, which caps the size of a workspace
+export const MAX_MEMBERS = 50;
+
+export const canEditCourses = (role) => role === 'owner' || role === 'editor';
+
+export const roleOf = (workspace, userId) => workspace?.members?.[userId]?.role || null;
+
+const memberEntry = (role, profile) => ({ role, email: profile.email || null, displayName: profile.displayName || null });
+
+export const invitationId = (workspaceId, email) => `${workspaceId}_${email.trim().toLowerCase()}`;
+
+export const createWorkspace = async (db, getAppPath, name, profile) => {
+    const workspaceRef = doc(collection(db, getAppPath(WORKSPACES_COLLECTION)));
+    const writer = createBatchWriter(db);
+    writer.set(workspaceRef, {
+        name: name.trim(),
+        ownerId: profile.uid,
+        createdAt: new Date(),
+        memberIds: [profile.uid],
+        members: { [profile.uid]: memberEntry('owner', profile) },
+    });
+    await writer.commit();
+    return workspaceRef.id;
+};
+
+// Invitations are addressed to an email; the invitee sees them after signing in with it
+export const inviteMember = async (db, getAppPath, workspace, email, role, inviter) => {
+    const normalizedEmail = email.trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalizedEmail)) throw new Error("Enter a valid email address.");
+    if (!INVITABLE_ROLES.includes(role)) throw new Error(`Unknown role "${role}".`);
+    if (Object.values(workspace.members).some(member => member.email?.toLowerCase() === normalizedEmail)) {
+        throw new Error(`${normalizedEmail} is already a member of this workspace.`);
+    }
+    if (workspace.memberIds.length >= MAX_MEMBERS) throw new Error(`A workspace can have at most ${MAX_MEMBERS} members.`);
+
+    const writer = createBatchWriter(db);
+    writer.set(doc(db, getAppPath(INVITATIONS_COLLECTION), invitationId(workspace.id, normalizedEmail)), {
+        workspaceId: workspace.id,
+        workspaceName: workspace.name,
+        email: normalizedEmail,
+        role,
+        invitedBy: inviter.uid,
+        invitedByName: inviter.displayName || inviter.email || null,
+        createdAt: new Date(),
+    });
+    await writer.commit();
+};
+
+// Join the workspace with the invited role and consume the invitation.
+// The invitee can't read the workspace yet, so the update only adds to it.
+export const acceptInvitation = async (db, getAppPath, invitation, profile) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getAppPath(WORKSPACES_COLLECTION), invitation.workspaceId), {
+        [`members.${profile.uid}`]: memberEntry(invitation.role, profile),
+        memberIds: arrayUnion(profile.uid),
+    });
+    writer.delete(doc(db, getAppPath(INVITATIONS_COLLECTION), invitation.id));
+    await writer.commit();
+};
+
+// Declining (invitee) and revoking (owner) both remove the invitation
+export const deleteInvitation = async (db, getAppPath, invitation) => {
+    const writer = createBatchWriter(db);
+    writer.delete(doc(db, getAppPath(INVITATIONS_COLLECTION), invitation.id));
+    await writer.commit();
+};
+
+export const changeMemberRole = async (db, getAppPath, workspaceId, memberId, role) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getAppPath(WORKSPACES_COLLECTION), workspaceId), { [`members.${memberId}.role`]: role });
+    await writer.commit();
+};
+
+// Used by the owner to remove a member and by members to leave
+export const removeMember = async (db, getAppPath, workspaceId, memberId) => {
+    const writer = createBatchWriter(db);
+    writer.update(doc(db, getAppPath(WORKSPACES_COLLECTION), workspaceId), {
+        [`members.${memberId}`]: deleteField(),
+        memberIds: arrayRemove(memberId),
+    });
+    await writer.commit();
+};
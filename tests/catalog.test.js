@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeDb, listIds, readDoc, seedDoc } from './support/fakeFirestore.js';
+import { cloneCatalogEntry, loadCatalogOutline, publishCourse, removeCatalogEntry, unpublishCourse } from '../src/lib/catalog';
+import { loadCourseTree } from '../src/lib/courseStore';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'));
+
+const getPath = (collectionName) => `ws/${collectionName}`;
+const getPublicPath = (collectionName) => `public/${collectionName}`;
+
+const course = { id: 'c1', title: 'Kubernetes Basics', status: 'approved' };
+
+const seedCourse = (db) => {
+    seedDoc(db, 'ws/courses/c1', course);
+    seedDoc(db, 'ws/modules/m1', { courseId: 'c1', title: 'Pods', objective: 'Run containers', order: 1 });
+    seedDoc(db, 'ws/modules/m2', { courseId: 'c1', title: 'Services', objective: 'Expose pods', order: 2 });
+    seedDoc(db, 'ws/topics/t1', { moduleId: 'm1', title: 'What is a pod', content: 'A pod runs containers.', order: 1 });
+    seedDoc(db, 'ws/topics/t2', { moduleId: 'm1', title: 'Pod lifecycle', content: 'Pods start and stop.', order: 2 });
+    seedDoc(db, 'ws/topics/t3', { moduleId: 'm2', title: 'ClusterIP', content: 'Internal services.', order: 1 });
+    seedDoc(db, 'ws/assets/a1', { topicId: 't1', type: 'lab', title: 'Pod lab', problemStatement: 'Run a pod', steps: ['a', 'b', 'c'], expectedOutcome: 'A pod' });
+};
+
+const entryOf = (db) => ({ id: 'c1', ...readDoc(db, 'public/catalog/c1') });
+
+// Titles of the modules and their topics, in order
+const outlineTitles = (outline) => outline.modules.map(m => [m.title, m.topics.map(t => t.title)]);
+
+describe('course catalog', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        seedCourse(db);
+    });
+
+    it('stores every topic of a published course in its own doc', async () => {
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+
+        const entry = entryOf(db);
+        expect(entry.outline).toBeUndefined();
+        expect(entry).toMatchObject({ moduleCount: 2, topicCount: 3, version: 1, workspaceId: 'team', ownerId: null });
+        expect(listIds(db, getPublicPath('catalogTopics'))).toHaveLength(3);
+        expect(outlineTitles(await loadCatalogOutline(db, getPublicPath, entry))).toEqual([
+            ['Pods', ['What is a pod', 'Pod lifecycle']],
+            ['Services', ['ClusterIP']],
+        ]);
+        expect(readDoc(db, 'ws/courses/c1')).toMatchObject({ status: 'published', publishedVersion: 1 });
+    });
+
+    it('replaces the topics of the previous version when re-publishing', async () => {
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+        db.docs.delete('ws/topics/t2');
+        await publishCourse(db, getPath, getPublicPath, { ...course, publishedVersion: 1 }, 'u1', 'team');
+
+        expect(listIds(db, getPublicPath('catalogTopics')).sort()).toEqual(['c1_2_0_0', 'c1_2_1_0']);
+        expect(outlineTitles(await loadCatalogOutline(db, getPublicPath, entryOf(db)))).toEqual([
+            ['Pods', ['What is a pod']],
+            ['Services', ['ClusterIP']],
+        ]);
+    });
+
+    it('ignores topics that were not written for the entry', async () => {
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+        seedDoc(db, 'public/catalogTopics/c1_1_0_9', { catalogId: 'c1', version: 1, moduleIndex: 0, topicIndex: 9, topic: { title: 'Planted' }, workspaceId: null, ownerId: 'attacker' });
+
+        const outline = await loadCatalogOutline(db, getPublicPath, entryOf(db));
+        expect(outline.modules[0].topics.map(t => t.title)).toEqual(['What is a pod', 'Pod lifecycle']);
+    });
+
+    it('clones the published topics into a new course', async () => {
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+        const clone = await cloneCatalogEntry(db, getPath, getPublicPath, entryOf(db), 'u2');
+
+        const tree = await loadCourseTree(db, getPath, clone.id);
+        expect(tree.modules.map(m => [m.title, m.topics.map(t => t.title)])).toEqual([
+            ['Pods', ['What is a pod', 'Pod lifecycle']],
+            ['Services', ['ClusterIP']],
+        ]);
+        expect(tree.modules[0].topics[0].assets.map(a => a.type)).toEqual(['lab']);
+        expect(readDoc(db, `ws/courses/${clone.id}`).clonedFrom).toEqual({ catalogId: 'c1', version: 1, title: course.title });
+    });
+
+    it('still reads entries that embed the whole outline', async () => {
+        const outline = { title: 'Old', modules: [{ title: 'Old module', objective: '', topics: [] }] };
+        expect(await loadCatalogOutline(db, getPublicPath, { id: 'legacy', outline })).toBe(outline);
+    });
+
+    it('removes the entry with its topics', async () => {
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+        await unpublishCourse(db, getPath, getPublicPath, { ...course, publishedVersion: 1 });
+        expect(listIds(db, getPublicPath('catalog'))).toEqual([]);
+        expect(listIds(db, getPublicPath('catalogTopics'))).toEqual([]);
+        expect(readDoc(db, 'ws/courses/c1').status).toBe('approved');
+
+        await publishCourse(db, getPath, getPublicPath, course, 'u1', 'team');
+        await removeCatalogEntry(db, getPublicPath, 'c1');
+        expect(listIds(db, getPublicPath('catalog'))).toEqual([]);
+        expect(listIds(db, getPublicPath('catalogTopics'))).toEqual([]);
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { webCitations } from '../src/lib/citations';
+import { referencesHtml } from '../src/lib/exportUtils';
+
+const citations = [
+    { url: 'https://kubernetes.io/docs/concepts/workloads/pods/', title: 'Pods' },
+    { url: 'javascript:alert(document.cookie)', title: 'Click me' },
+    { url: 'data:text/html,<script>alert(1)</script>', title: 'Data' },
+    { url: 'http://example.com/', title: 'Example', extra: 'dropped' },
+    { url: 'not a url', title: 'Broken' },
+    { url: 'https://example.com/no-title' },
+    'https://example.com/plain-string',
+];
+
+describe('citation links', () => {
+    it('keeps only well-formed http(s) citations', () => {
+        expect(webCitations(citations)).toEqual([
+            { url: 'https://kubernetes.io/docs/concepts/workloads/pods/', title: 'Pods' },
+            { url: 'http://example.com/', title: 'Example' },
+        ]);
+        expect(webCitations('https://example.com/')).toEqual([]);
+    });
+
+    it('never renders other links into exports', () => {
+        const html = referencesHtml(citations);
+        expect(html).toContain('href="https://kubernetes.io/docs/concepts/workloads/pods/"');
+        expect(html).not.toContain('javascript:');
+        expect(html).not.toContain('data:');
+        expect(referencesHtml([{ url: 'javascript:alert(1)', title: 'x' }])).toBe('');
+    });
+});
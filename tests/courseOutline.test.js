@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeDb, listIds, readDoc } from './support/fakeFirestore.js';
+import { importCourseOutline, parseJsonOutline, toCourseOutline } from '../src/lib/courseOutline';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'));
+
+const getPath = (collectionName) => `ws/${collectionName}`;
+
+// An exported outline with workspace fields that must not be imported
+const hostileOutline = {
+    format: 'course-outline',
+    version: 1,
+    title: 'Kubernetes Basics',
+    blueprint: { level: 'advanced', ownerId: 'attacker' },
+    modules: [{
+        title: 'Pods',
+        objective: 'Run containers',
+        courseId: 'other-course',
+        humanEdited: true,
+        topics: [{
+            title: 'What is a pod',
+            content: 'A pod runs containers.',
+            moduleId: 'other-module',
+            reviewStatus: 'approved',
+            reviewUpdatedBy: 'attacker',
+            regeneratedAt: '2024-01-01',
+            assets: [
+                { type: 'mcq', questionType: 'truefalse', question: 'Pods run containers.', correctAnswer: true, explanation: 'They do.', topicId: 'x', humanEdited: true },
+                { type: 'lab', title: 'Pod lab', problemStatement: 'Run a pod', steps: ['a', 'b', 'c'], expectedOutcome: 'A running pod', editedBy: 'attacker' },
+            ],
+        }],
+    }],
+};
+
+const docsOf = (db, collectionName) => listIds(db, getPath(collectionName)).map(id => readDoc(db, `ws/${collectionName}/${id}`));
+
+describe('JSON outline import', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeDb();
+    });
+
+    it('keeps only the outline fields of modules, topics and assets', () => {
+        const outline = parseJsonOutline(JSON.stringify(hostileOutline));
+        expect(outline.modules).toEqual([{
+            title: 'Pods',
+            objective: 'Run containers',
+            topics: [{
+                title: 'What is a pod',
+                content: 'A pod runs containers.',
+                assets: [
+                    { type: 'mcq', questionType: 'truefalse', question: 'Pods run containers.', correctAnswer: true, explanation: 'They do.' },
+                    { type: 'lab', title: 'Pod lab', problemStatement: 'Run a pod', steps: ['a', 'b', 'c'], expectedOutcome: 'A running pod' },
+                ],
+            }],
+        }]);
+    });
+
+    it('writes imported topics as drafts of the new course', async () => {
+        const course = await importCourseOutline(db, getPath, parseJsonOutline(JSON.stringify(hostileOutline)), 'u1');
+
+        expect(readDoc(db, `ws/courses/${course.id}`).blueprint).not.toHaveProperty('ownerId');
+        const [module] = docsOf(db, 'modules');
+        expect(module).toMatchObject({ courseId: course.id });
+        expect(module).not.toHaveProperty('humanEdited');
+        const [topic] = docsOf(db, 'topics');
+        expect(topic.moduleId).toBe(listIds(db, getPath('modules'))[0]);
+        expect(topic).not.toHaveProperty('reviewStatus');
+        expect(topic).not.toHaveProperty('regeneratedAt');
+        expect(docsOf(db, 'assets').every(asset => !asset.humanEdited && !asset.editedBy)).toBe(true);
+    });
+
+    it('drops citations that do not link to web pages', () => {
+        const outline = parseJsonOutline(JSON.stringify({
+            title: 'Course',
+            modules: [{ title: 'Module', topics: [{
+                title: 'Topic',
+                citations: [{ url: 'javascript:alert(1)', title: 'Click' }, { url: 'https://kubernetes.io/', title: 'Kubernetes' }],
+                assets: [{ type: 'lab', problemStatement: 'Run a pod', citations: [{ url: 'vbscript:msgbox', title: 'x' }] }],
+            }] }],
+        }));
+        const [topic] = outline.modules[0].topics;
+        expect(topic.citations).toEqual([{ url: 'https://kubernetes.io/', title: 'Kubernetes' }]);
+        expect(topic.assets[0].citations).toEqual([]);
+    });
+
+    it('keeps only text fields and string lab steps', () => {
+        const outline = parseJsonOutline(JSON.stringify({
+            title: 'Course',
+            modules: [{ title: 'Module', objective: { html: '<b>x</b>' }, topics: [{
+                title: 'Topic',
+                content: ['not', 'text'],
+                assets: [{ type: 'lab', problemStatement: 'Run a pod', steps: ['Create it', { run: 'rm -rf /' }, 'Check it'], expectedOutcome: 42 }],
+            }] }],
+        }));
+        const [module] = outline.modules;
+        expect(module.objective).toBe('');
+        expect(module.topics[0].content).toBe('');
+        expect(module.topics[0].assets).toEqual([{ type: 'lab', problemStatement: 'Run a pod', steps: ['Create it', 'Check it'] }]);
+    });
+
+    it('rejects assets and questions of unknown types', () => {
+        const withAsset = (asset) => JSON.stringify({ title: 'Course', modules: [{ title: 'Module', topics: [{ title: 'Topic', assets: [asset] }] }] });
+        expect(() => parseJsonOutline(withAsset({ type: 'video' }))).toThrow('unsupported asset type "video"');
+        expect(() => parseJsonOutline(withAsset({ type: 'mcq', questionType: 'essay' }))).toThrow('unsupported question type "essay"');
+    });
+
+    it('clears the import mark once the whole tree is written', async () => {
+        const course = await importCourseOutline(db, getPath, parseJsonOutline(JSON.stringify(hostileOutline)), 'u1');
+        expect(readDoc(db, `ws/courses/${course.id}`)).not.toHaveProperty('importingAt');
+    });
+
+    it('deletes a partly written import', async () => {
+        // 600 topics need a second batch, which fails
+        db = createFakeDb({ failAtCommit: 2 });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const topics = Array.from({ length: 600 }, (_, i) => ({ title: `Topic ${i + 1}`, content: 'Text', assets: [] }));
+        const outline = { title: 'Large course', modules: [{ title: 'Module', objective: '', topics }] };
+
+        await expect(importCourseOutline(db, getPath, outline, 'u1')).rejects.toThrow('Simulated network failure');
+        expect(['courses', 'modules', 'topics'].map(name => listIds(db, getPath(name)))).toEqual([[], [], []]);
+    });
+
+    it('exports no edit or regeneration marks', () => {
+        const tree = { modules: [{ id: 'm1', title: 'Pods', objective: '', humanEdited: true, regeneratedAt: new Date(), topics: [] }] };
+        expect(toCourseOutline({ title: 'Course' }, tree).modules).toEqual([{ title: 'Pods', objective: '', topics: [] }]);
+    });
+});
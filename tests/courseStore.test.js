@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeDb, listIds, readDoc, seedDoc } from './support/fakeFirestore.js';
+import {
+    deleteCourse,
+    deleteCourseSnapshot,
+    loadCourseTree,
+    loadSnapshotTree,
+    markCourseDeleting,
+    restoreCourseSnapshot,
+    saveCourseSnapshot,
+} from '../src/lib/courseStore';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'));
+
+const getPath = (collectionName) => `ws/${collectionName}`;
+
+// Course c1 with two modules, three topics and an asset per topic, plus everything that hangs
+// off the course; course c2 only has a module and must survive
+const seedCourses = (db, { extraAssets = 0 } = {}) => {
+    seedDoc(db, 'ws/courses/c1', { title: 'Course 1', status: 'draft' });
+    seedDoc(db, 'ws/modules/m1', { courseId: 'c1', title: 'Module 1', order: 1 });
+    seedDoc(db, 'ws/modules/m2', { courseId: 'c1', title: 'Module 2', order: 2 });
+    seedDoc(db, 'ws/topics/t1', { moduleId: 'm1', title: 'Topic 1', order: 1 });
+    seedDoc(db, 'ws/topics/t2', { moduleId: 'm1', title: 'Topic 2', order: 2 });
+    seedDoc(db, 'ws/topics/t3', { moduleId: 'm2', title: 'Topic 3', order: 1 });
+    ['t1', 't2', 't3'].forEach(topicId => seedDoc(db, `ws/assets/a-${topicId}`, { topicId, type: 'lab' }));
+    for (let i = 0; i < extraAssets; i++) seedDoc(db, `ws/assets/extra-${i}`, { topicId: 't1', type: 'mcq' });
+    seedDoc(db, 'ws/snapshots/s1', { courseId: 'c1', name: 'Before regeneration' });
+    seedDoc(db, 'ws/snapshotTopics/st1', { snapshotId: 's1', courseId: 'c1', moduleIndex: 0, topicIndex: 0, topic: { title: 'Topic 1' } });
+    seedDoc(db, 'ws/jobs/j1', { courseId: 'c1', status: 'completed' });
+    seedDoc(db, 'ws/comments/k1', { courseId: 'c1', topicId: 't1', text: 'Typo' });
+    seedDoc(db, 'ws/sources/src1', { courseId: 'c1', name: 'notes.md' });
+    seedDoc(db, 'ws/sourceChunks/ch1', { courseId: 'c1', sourceId: 'src1', text: 'Passage' });
+
+    seedDoc(db, 'ws/courses/c2', { title: 'Course 2', status: 'draft' });
+    seedDoc(db, 'ws/modules/m3', { courseId: 'c2', title: 'Other module', order: 1 });
+};
+
+const remaining = (db) => Object.fromEntries(
+    ['courses', 'modules', 'topics', 'assets', 'snapshots', 'snapshotTopics', 'jobs', 'comments', 'sources', 'sourceChunks']
+        .map(name => [name, listIds(db, getPath(name)).sort()])
+);
+
+const ONLY_COURSE_2 = {
+    courses: ['c2'], modules: ['m3'], topics: [], assets: [], snapshots: [], snapshotTopics: [], jobs: [], comments: [], sources: [], sourceChunks: [],
+};
+
+describe('deleteCourse', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeDb();
+    });
+
+    it('deletes the course with everything below it and leaves other courses alone', async () => {
+        seedCourses(db);
+        await markCourseDeleting(db, getPath, 'c1');
+        await deleteCourse(db, getPath, 'c1');
+        expect(remaining(db)).toEqual(ONLY_COURSE_2);
+    });
+
+    it('marks the course before anything is deleted', async () => {
+        seedCourses(db);
+        await markCourseDeleting(db, getPath, 'c1');
+        expect(readDoc(db, 'ws/courses/c1').deletingAt).toBeInstanceOf(Date);
+        expect(listIds(db, getPath('modules'))).toHaveLength(3);
+    });
+
+    it('keeps the marked course until an interrupted delete is run again', async () => {
+        // 600 extra assets need a second batch; the mark is the first commit and the second batch fails
+        db = createFakeDb({ failAtCommit: 3 });
+        seedCourses(db, { extraAssets: 600 });
+        await markCourseDeleting(db, getPath, 'c1');
+
+        await expect(deleteCourse(db, getPath, 'c1')).rejects.toThrow('Simulated network failure');
+        expect(readDoc(db, 'ws/courses/c1').deletingAt).toBeInstanceOf(Date);
+        expect(listIds(db, getPath('assets')).length).toBeLessThan(603);
+
+        await deleteCourse(db, getPath, 'c1');
+        expect(remaining(db)).toEqual(ONLY_COURSE_2);
+    });
+});
+
+describe('course snapshots', () => {
+    let db;
+
+    // Titles of the modules and their topics, in order
+    const outline = (tree) => tree.modules.map(m => [m.title, m.topics.map(t => [t.title, t.assets.map(a => a.type)])]);
+
+    beforeEach(() => {
+        db = createFakeDb();
+        seedCourses(db);
+    });
+
+    it('stores every topic in its own doc next to the snapshot', async () => {
+        const snapshotId = await saveCourseSnapshot(db, getPath, { id: 'c1', title: 'Course 1' }, 'Version 1');
+
+        const snapshot = readDoc(db, `ws/snapshots/${snapshotId}`);
+        expect(snapshot.tree).toBeUndefined();
+        expect(snapshot.modules.map(m => m.title)).toEqual(['Module 1', 'Module 2']);
+        expect(snapshot).toMatchObject({ moduleCount: 2, topicCount: 3 });
+
+        const topicDocs = listIds(db, getPath('snapshotTopics')).map(id => readDoc(db, `ws/snapshotTopics/${id}`));
+        expect(topicDocs.filter(t => t.snapshotId === snapshotId)).toHaveLength(3);
+    });
+
+    it('loads and restores the saved tree', async () => {
+        const before = await loadCourseTree(db, getPath, 'c1');
+        const snapshotId = await saveCourseSnapshot(db, getPath, { id: 'c1', title: 'Course 1' }, 'Version 1');
+        const snapshot = { id: snapshotId, ...readDoc(db, `ws/snapshots/${snapshotId}`) };
+        expect(outline(await loadSnapshotTree(db, getPath, snapshot))).toEqual(outline(before));
+
+        seedDoc(db, 'ws/modules/m1', { courseId: 'c1', title: 'Renamed module', order: 1 });
+        await restoreCourseSnapshot(db, getPath, 'c1', snapshot);
+        expect(outline(await loadCourseTree(db, getPath, 'c1'))).toEqual(outline(before));
+    });
+
+    it('still reads snapshots that embed the whole tree', async () => {
+        const tree = { modules: [{ title: 'Old module', topics: [{ title: 'Old topic', assets: [] }] }] };
+        expect(await loadSnapshotTree(db, getPath, { id: 'legacy', tree })).toBe(tree);
+    });
+
+    it('deletes a snapshot with its topics', async () => {
+        const snapshotId = await saveCourseSnapshot(db, getPath, { id: 'c1', title: 'Course 1' }, 'Version 1');
+        await deleteCourseSnapshot(db, getPath, snapshotId);
+        expect(listIds(db, getPath('snapshots'))).toEqual(['s1']);
+        expect(listIds(db, getPath('snapshotTopics'))).toEqual(['st1']);
+    });
+});
@@ -0,0 +1,94 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeDb, readDoc, seedDoc } from './support/fakeFirestore.js';
+import { createCourseGenerationJob, runGenerationJob } from '../src/lib/generationJobs';
+import { loadCourseTree } from '../src/lib/courseStore';
+import { getLlmProvider, resolveLlmSettings } from '../src/lib/llmProviders';
+import { buildModulesPrompt, buildTopicsPrompt, resolveBlueprint } from '../src/lib/prompts';
+import { modulesSchema, topicsSchema, validateAgainstSchema } from '../src/lib/schemas';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'));
+
+// The course generation pipeline end to end: job → mock provider → schema validation → course tree
+
+const getPath = (collectionName) => `ws/${collectionName}`;
+
+const course = { id: 'c1', title: 'Kubernetes Basics', blueprint: { moduleCount: 2, topicsPerModule: 3 } };
+
+// Calls the offline provider like App.jsx does, validating every response against its schema
+const callMock = async ({ systemPrompt, userQuery }, responseSchema) => {
+    const { text } = await getLlmProvider('mock').generate({ settings: resolveLlmSettings({ provider: 'mock' }), systemPrompt, userQuery, responseSchema });
+    const data = JSON.parse(text);
+    expect(validateAgainstSchema(responseSchema, data)).toEqual([]);
+    return data;
+};
+
+const mockGenerators = {
+    generateModules: async (targetCourse) => {
+        const blueprint = resolveBlueprint(targetCourse.blueprint);
+        return callMock(buildModulesPrompt(targetCourse.title, blueprint), modulesSchema(blueprint));
+    },
+    generateTopics: async (targetCourse, module) => {
+        const blueprint = resolveBlueprint(targetCourse.blueprint);
+        const topics = await callMock(buildTopicsPrompt(targetCourse.title, module.title, blueprint), topicsSchema(blueprint));
+        return topics.map(topic => ({ title: topic.topic_title, content: topic.content_draft, citations: [] }));
+    },
+};
+
+const runJob = async (db, jobId, generators = mockGenerators) => {
+    await runGenerationJob(db, getPath, jobId, course, generators);
+    return readDoc(db, `ws/jobs/${jobId}`);
+};
+
+describe('course generation pipeline', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        seedDoc(db, 'ws/courses/c1', { title: course.title, blueprint: course.blueprint, status: 'draft' });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('builds the modules and topics of a course from the mock provider', async () => {
+        const jobId = await createCourseGenerationJob(db, getPath, 'c1');
+        const job = await runJob(db, jobId);
+
+        expect(job.status).toBe('completed');
+        expect(job.stepOrder).toHaveLength(3);
+        expect(job.stepOrder.every(stepId => job.steps[stepId].status === 'completed')).toBe(true);
+
+        const tree = await loadCourseTree(db, getPath, 'c1');
+        expect(tree.modules.map(m => m.order)).toEqual([1, 2]);
+        tree.modules.forEach((module) => {
+            expect(module.title).toMatch(/^Mock title/);
+            expect(module.topics.map(t => t.order)).toEqual([1, 2, 3]);
+            expect(module.topics.every(t => t.content.startsWith('Mock content_draft'))).toBe(true);
+        });
+    });
+
+    it('resumes a failed job with only the steps that did not complete', async () => {
+        const jobId = await createCourseGenerationJob(db, getPath, 'c1');
+        let failOnce = true;
+        const flakyGenerators = {
+            ...mockGenerators,
+            generateTopics: vi.fn(async (targetCourse, module) => {
+                if (failOnce && module.title.endsWith('2')) {
+                    failOnce = false;
+                    throw new Error('AI unavailable');
+                }
+                return mockGenerators.generateTopics(targetCourse, module);
+            }),
+        };
+
+        const failedJob = await runJob(db, jobId, flakyGenerators);
+        expect(failedJob.status).toBe('failed');
+        expect(failedJob.stepOrder.map(stepId => failedJob.steps[stepId].status)).toEqual(['completed', 'completed', 'failed']);
+
+        flakyGenerators.generateTopics.mockClear();
+        const resumedJob = await runJob(db, jobId, flakyGenerators);
+        expect(resumedJob.status).toBe('completed');
+        expect(flakyGenerators.generateTopics).toHaveBeenCalledTimes(1);
+
+        const tree = await loadCourseTree(db, getPath, 'c1');
+        expect(tree.modules.map(m => m.topics.length)).toEqual([3, 3]);
+    });
+});
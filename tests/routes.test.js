@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { buildPath, parsePath } from '../src/lib/routes';
+
+describe('parsePath', () => {
+    it('reads workspace, course, module, topic and tab', () => {
+        expect(parsePath('/w/ws1/courses/c1/modules/m1/topics/t1/lab')).toMatchObject({
+            view: 'topic', workspaceId: 'ws1', courseId: 'c1', moduleId: 'm1', topicId: 't1', tab: 'lab',
+        });
+    });
+
+    it('round-trips paths built by buildPath', () => {
+        const route = parsePath('/courses/a%2Fb/modules/m1');
+        expect(route).toMatchObject({ view: 'module', courseId: 'a/b', moduleId: 'm1' });
+        expect(buildPath(route)).toBe('/courses/a%2Fb/modules/m1');
+    });
+
+    it('falls back to the library for unknown and malformed paths', () => {
+        expect(parsePath('/nowhere')).toMatchObject({ view: 'library', workspaceId: null });
+        expect(parsePath('/courses/%E0')).toMatchObject({ view: 'library', courseId: null });
+        expect(parsePath('/w/%/members')).toMatchObject({ view: 'library', workspaceId: null });
+    });
+});
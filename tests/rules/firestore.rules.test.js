@@ -0,0 +1,315 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, deleteDoc, deleteField, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+// Security rules against the Firestore emulator: `npm run test:rules` starts it and sets
+// FIRESTORE_EMULATOR_HOST. Without an emulator (plain `npm test`) the suite is skipped.
+
+const APP = 'artifacts/test-app';
+const WORKSPACE = `${APP}/workspaces/ws1`;
+const OTHER_WORKSPACE = `${APP}/workspaces/ws2`;
+
+const member = (role) => ({ role, email: `${role}@example.com`, displayName: role });
+
+const workspace = (ownerId, others = {}) => ({
+    name: 'Team',
+    ownerId,
+    createdAt: new Date(),
+    memberIds: [ownerId, ...Object.keys(others)],
+    members: { [ownerId]: member('owner'), ...Object.fromEntries(Object.entries(others).map(([uid, role]) => [uid, member(role)])) },
+});
+
+let testEnv;
+
+// Firestore of a signed-in user with a verified email (or of a signed-out visitor)
+const dbAs = (uid, email = `${uid}@example.com`) => (uid
+    ? testEnv.authenticatedContext(uid, { email, email_verified: true }).firestore()
+    : testEnv.unauthenticatedContext().firestore());
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-course-designer',
+            firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, WORKSPACE), workspace('owner', { editor: 'editor', reviewer: 'reviewer', viewer: 'viewer' }));
+            await setDoc(doc(db, `${WORKSPACE}/courses/c1`), { title: 'Course', status: 'draft', userId: 'owner' });
+            await setDoc(doc(db, `${WORKSPACE}/topics/t1`), { courseId: 'c1', title: 'Topic', reviewStatus: 'in_review' });
+            await setDoc(doc(db, OTHER_WORKSPACE), workspace('stranger'));
+            await setDoc(doc(db, `${OTHER_WORKSPACE}/courses/c2`), { title: 'Other course', status: 'draft', userId: 'stranger' });
+        });
+    });
+
+    describe('workspace documents', () => {
+        it('lets members read their workspace', async () => {
+            for (const uid of ['owner', 'editor', 'reviewer', 'viewer']) {
+                await assertSucceeds(getDoc(doc(dbAs(uid), WORKSPACE)));
+            }
+        });
+
+        it('hides the workspace from non-members and signed-out visitors', async () => {
+            await assertFails(getDoc(doc(dbAs('stranger'), WORKSPACE)));
+            await assertFails(getDoc(doc(dbAs(null), WORKSPACE)));
+        });
+
+        it('lets the owner change roles and remove members', async () => {
+            const db = dbAs('owner');
+            await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.editor.role': 'viewer' }));
+            await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.viewer': deleteField(), memberIds: arrayRemove('viewer') }));
+        });
+
+        it('never lets the owner hand out ownership or unknown roles', async () => {
+            const db = dbAs('owner');
+            await assertFails(updateDoc(doc(db, WORKSPACE), { 'members.editor.role': 'owner' }));
+            await assertFails(updateDoc(doc(db, WORKSPACE), { 'members.editor.role': 'admin' }));
+            await assertFails(updateDoc(doc(db, WORKSPACE), { 'members.newcomer': member('owner'), memberIds: arrayUnion('newcomer') }));
+            await assertFails(updateDoc(doc(db, WORKSPACE), { ownerId: 'editor' }));
+        });
+
+        it('keeps other roles away from member management', async () => {
+            for (const uid of ['editor', 'reviewer', 'viewer', 'stranger']) {
+                await assertFails(updateDoc(doc(dbAs(uid), WORKSPACE), { 'members.viewer.role': 'editor' }));
+            }
+            await assertFails(deleteDoc(doc(dbAs('editor'), WORKSPACE)));
+            await assertSucceeds(deleteDoc(doc(dbAs('owner'), WORKSPACE)));
+        });
+    });
+
+    describe('invitations', () => {
+        const invitationPath = `${APP}/invitations/ws1_dana@example.com`;
+        const invitation = { workspaceId: 'ws1', workspaceName: 'Team', email: 'dana@example.com', role: 'reviewer', invitedBy: 'owner', createdAt: new Date() };
+
+        it('lets only the owner invite, with a team role', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('owner'), invitationPath), invitation));
+            await assertFails(setDoc(doc(dbAs('owner'), `${APP}/invitations/ws1_erin@example.com`), { ...invitation, email: 'erin@example.com', role: 'owner' }));
+            await assertFails(setDoc(doc(dbAs('editor'), `${APP}/invitations/ws1_erin@example.com`), { ...invitation, email: 'erin@example.com', invitedBy: 'editor' }));
+        });
+
+        it('lets the invitee join with the invited role', async () => {
+            await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), invitationPath), invitation));
+            const db = dbAs('dana', 'dana@example.com');
+            await assertSucceeds(getDoc(doc(db, invitationPath)));
+            await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.dana': member('reviewer'), memberIds: arrayUnion('dana') }));
+            await assertSucceeds(deleteDoc(doc(db, invitationPath)));
+            await assertSucceeds(getDoc(doc(db, `${WORKSPACE}/courses/c1`)));
+        });
+
+        it('rejects a different role, a missing invitation and someone else\'s invitation', async () => {
+            await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), invitationPath), invitation));
+            const dana = dbAs('dana', 'dana@example.com');
+            await assertFails(updateDoc(doc(dana, WORKSPACE), { 'members.dana': member('editor'), memberIds: arrayUnion('dana') }));
+            await assertFails(updateDoc(doc(dbAs('erin', 'erin@example.com'), WORKSPACE), { 'members.erin': member('reviewer'), memberIds: arrayUnion('erin') }));
+            await assertFails(getDoc(doc(dbAs('erin', 'erin@example.com'), invitationPath)));
+        });
+    });
+
+    describe('leaving a workspace', () => {
+        it('lets a member remove only themselves', async () => {
+            const db = dbAs('editor');
+            await assertFails(updateDoc(doc(db, WORKSPACE), { 'members.viewer': deleteField(), memberIds: arrayRemove('viewer') }));
+            await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.editor': deleteField(), memberIds: arrayRemove('editor') }));
+            await assertFails(getDoc(doc(db, `${WORKSPACE}/courses/c1`)));
+        });
+
+        it('does not let the owner leave', async () => {
+            await assertFails(updateDoc(doc(dbAs('owner'), WORKSPACE), { 'members.owner': deleteField(), memberIds: arrayRemove('owner') }));
+        });
+    });
+
+    describe('review states', () => {
+        const review = (uid, field, status) => ({ [field]: status, reviewUpdatedAt: new Date(), reviewUpdatedBy: uid });
+        const topic = `${WORKSPACE}/topics/t1`;
+        const course = `${WORKSPACE}/courses/c1`;
+
+        it('keeps review states out of ordinary edits', async () => {
+            const db = dbAs('editor');
+            await assertFails(updateDoc(doc(db, topic), { title: 'Renamed', reviewStatus: 'approved' }));
+            await assertFails(updateDoc(doc(db, course), { status: 'approved' }));
+            await assertFails(setDoc(doc(db, `${WORKSPACE}/topics/t9`), { moduleId: 'm1', title: 'New', reviewStatus: 'approved' }));
+            await assertFails(setDoc(doc(db, `${WORKSPACE}/courses/c9`), { title: 'New', status: 'published' }));
+            await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/courses/c9`), { title: 'New', status: 'draft' }));
+            await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/jobs/j9`), { courseId: 'c9', status: 'running' }));
+        });
+
+        it('lets editors submit and reopen but not approve', async () => {
+            const db = dbAs('editor');
+            await assertSucceeds(updateDoc(doc(db, course), review('editor', 'status', 'in_review')));
+            await assertFails(updateDoc(doc(db, topic), review('editor', 'reviewStatus', 'approved')));
+            await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), topic), { reviewStatus: 'approved' }));
+            await assertSucceeds(updateDoc(doc(db, topic), review('editor', 'reviewStatus', 'draft')));
+        });
+
+        it('lets reviewers approve or send back items in review only', async () => {
+            const db = dbAs('reviewer');
+            await assertFails(updateDoc(doc(db, course), review('reviewer', 'status', 'approved')));
+            await assertFails(updateDoc(doc(db, course), review('reviewer', 'status', 'in_review')));
+            await assertSucceeds(updateDoc(doc(db, topic), review('reviewer', 'reviewStatus', 'changes_requested')));
+            await assertFails(updateDoc(doc(db, topic), review('reviewer', 'reviewStatus', 'approved')));
+        });
+
+        it('lets owners and editors publish approved courses only', async () => {
+            const db = dbAs('editor');
+            const publish = { status: 'published', publishedAt: new Date(), publishedVersion: 1 };
+            await assertFails(updateDoc(doc(db, course), publish));
+            await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), course), { status: 'approved' }));
+            await assertFails(updateDoc(doc(dbAs('reviewer'), course), publish));
+            await assertSucceeds(updateDoc(doc(db, course), publish));
+            await assertSucceeds(updateDoc(doc(db, course), { status: 'approved', publishedAt: deleteField() }));
+        });
+    });
+
+    describe('AI usage', () => {
+        const monthPath = `${WORKSPACE}/usageMonths/2026-10_editor`;
+        const totals = (inputTokens, outputTokens, cost, requests) => ({ month: '2026-10', userId: 'editor', inputTokens, outputTokens, cost, requests, updatedAt: new Date() });
+
+        it('only lets members add to their own monthly totals', async () => {
+            const db = dbAs('editor');
+            await assertFails(setDoc(doc(db, monthPath), totals(100, 50, 0.01, 5)));
+            await assertSucceeds(setDoc(doc(db, monthPath), totals(100, 50, 0.01, 1)));
+            await assertSucceeds(setDoc(doc(db, monthPath), totals(300, 80, 0.02, 2)));
+            await assertFails(setDoc(doc(db, monthPath), totals(0, 0, 0, 3)));
+            await assertFails(setDoc(doc(dbAs('owner'), monthPath), totals(400, 90, 0.03, 3)));
+            await assertFails(deleteDoc(doc(db, monthPath)));
+        });
+    });
+
+    describe('AI settings', () => {
+        const settingsPath = `${WORKSPACE}/settings/llm`;
+        const settings = (enforcement) => ({ provider: 'gemini', quota: { monthlyTokenLimit: 100000, monthlyCostLimit: 0, enforcement } });
+
+        it('lets only owners change them', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('owner'), settingsPath), settings('block')));
+            await assertSucceeds(getDoc(doc(dbAs('editor'), settingsPath)));
+            await assertFails(setDoc(doc(dbAs('editor'), settingsPath), settings('warn')));
+            await assertFails(updateDoc(doc(dbAs('editor'), settingsPath), { 'quota.monthlyTokenLimit': 0 }));
+            await assertFails(deleteDoc(doc(dbAs('editor'), settingsPath)));
+            await assertFails(setDoc(doc(dbAs('reviewer'), settingsPath), settings('warn')));
+        });
+    });
+
+    describe('public catalog', () => {
+        const entryPath = `${APP}/public/data/catalog/c1`;
+        const entry = (publishedBy, fields = {}) => ({ title: 'Course', workspaceId: 'ws1', ownerId: null, publishedBy, sourceCourseId: 'c1', version: 1, publishedAt: new Date(), ...fields });
+
+        it('lets owners and editors of the source workspace publish, update and unpublish', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('editor'), entryPath), entry('editor')));
+            await assertSucceeds(getDoc(doc(dbAs('stranger'), entryPath)));
+            await assertSucceeds(setDoc(doc(dbAs('owner'), entryPath), entry('owner', { version: 2 })));
+            await assertSucceeds(deleteDoc(doc(dbAs('editor'), entryPath)));
+        });
+
+        it('keeps everyone else from changing the entry', async () => {
+            await assertFails(setDoc(doc(dbAs('reviewer'), entryPath), entry('reviewer')));
+            await assertFails(setDoc(doc(dbAs('stranger'), entryPath), entry('stranger')));
+            await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), entryPath), entry('editor')));
+            await assertFails(setDoc(doc(dbAs('stranger'), entryPath), entry('stranger', { workspaceId: 'ws2' })));
+            await assertFails(setDoc(doc(dbAs('stranger'), entryPath), entry('stranger', { workspaceId: null, ownerId: 'stranger' })));
+            await assertFails(deleteDoc(doc(dbAs('viewer'), entryPath)));
+            await assertFails(deleteDoc(doc(dbAs('stranger'), entryPath)));
+        });
+
+        it('lets only publishers of the source workspace write catalog topics', async () => {
+            const topicPath = `${APP}/public/data/catalogTopics/c1_1_0_0`;
+            const topic = (fields = {}) => ({ catalogId: 'c1', version: 1, moduleIndex: 0, topicIndex: 0, topic: { title: 'Topic' }, workspaceId: 'ws1', ownerId: null, ...fields });
+            await assertFails(setDoc(doc(dbAs('reviewer'), topicPath), topic()));
+            await assertFails(setDoc(doc(dbAs('stranger'), topicPath), topic()));
+            await assertSucceeds(setDoc(doc(dbAs('editor'), topicPath), topic()));
+            await assertSucceeds(getDoc(doc(dbAs('stranger'), topicPath)));
+            await assertFails(setDoc(doc(dbAs('stranger'), topicPath), topic({ workspaceId: null, ownerId: 'stranger' })));
+            await assertFails(deleteDoc(doc(dbAs('stranger'), topicPath)));
+            await assertSucceeds(deleteDoc(doc(dbAs('owner'), topicPath)));
+        });
+
+        it('leaves entries of personal workspaces to their user', async () => {
+            const personal = entry('owner', { workspaceId: null, ownerId: 'owner' });
+            await assertFails(setDoc(doc(dbAs('editor'), entryPath), { ...personal, publishedBy: 'editor' }));
+            await assertSucceeds(setDoc(doc(dbAs('owner'), entryPath), personal));
+            await assertFails(deleteDoc(doc(dbAs('editor'), entryPath)));
+            await assertSucceeds(deleteDoc(doc(dbAs('owner'), entryPath)));
+        });
+    });
+
+    describe('workspace content', () => {
+        it('lets every member read', async () => {
+            for (const uid of ['owner', 'editor', 'reviewer', 'viewer']) {
+                await assertSucceeds(getDoc(doc(dbAs(uid), `${WORKSPACE}/courses/c1`)));
+            }
+        });
+
+        it('lets owners and editors write', async () => {
+            for (const uid of ['owner', 'editor']) {
+                const db = dbAs(uid);
+                await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/modules/m-${uid}`), { courseId: 'c1', title: 'Module', order: 1 }));
+                await assertSucceeds(updateDoc(doc(db, `${WORKSPACE}/courses/c1`), { title: `Renamed by ${uid}` }));
+            }
+        });
+
+        it('keeps reviewers and viewers read-only', async () => {
+            for (const uid of ['reviewer', 'viewer']) {
+                const db = dbAs(uid);
+                await assertFails(setDoc(doc(db, `${WORKSPACE}/modules/m-${uid}`), { courseId: 'c1', title: 'Module', order: 1 }));
+                await assertFails(updateDoc(doc(db, `${WORKSPACE}/courses/c1`), { title: 'Renamed' }));
+                await assertFails(deleteDoc(doc(db, `${WORKSPACE}/courses/c1`)));
+            }
+        });
+
+        it('lets reviewers change review states only', async () => {
+            const db = dbAs('reviewer');
+            await assertSucceeds(updateDoc(doc(db, `${WORKSPACE}/topics/t1`), { reviewStatus: 'approved', reviewUpdatedAt: new Date(), reviewUpdatedBy: 'reviewer' }));
+            await assertFails(updateDoc(doc(db, `${WORKSPACE}/topics/t1`), { title: 'Renamed', reviewUpdatedAt: new Date(), reviewUpdatedBy: 'reviewer' }));
+            await assertFails(updateDoc(doc(dbAs('viewer'), `${WORKSPACE}/topics/t1`), { reviewStatus: 'approved', reviewUpdatedAt: new Date(), reviewUpdatedBy: 'viewer' }));
+        });
+
+        it('lets everyone but viewers comment', async () => {
+            const comment = (authorId) => ({ courseId: 'c1', topicId: 't1', text: 'Looks good', authorId, parentId: null, resolved: false, createdAt: new Date() });
+            for (const uid of ['owner', 'editor', 'reviewer']) {
+                await assertSucceeds(setDoc(doc(dbAs(uid), `${WORKSPACE}/comments/from-${uid}`), comment(uid)));
+            }
+            await assertFails(setDoc(doc(dbAs('viewer'), `${WORKSPACE}/comments/from-viewer`), comment('viewer')));
+            await assertFails(setDoc(doc(dbAs('reviewer'), `${WORKSPACE}/comments/forged`), comment('editor')));
+        });
+
+        it('only deletes the replies of others together with their thread', async () => {
+            const comment = (authorId, parentId = null) => ({ courseId: 'c1', topicId: 't1', text: 'Looks good', authorId, parentId, resolved: false, createdAt: new Date() });
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await setDoc(doc(db, `${WORKSPACE}/comments/thread`), comment('reviewer'));
+                await setDoc(doc(db, `${WORKSPACE}/comments/reply`), comment('editor', 'thread'));
+            });
+
+            const db = dbAs('reviewer');
+            await assertFails(deleteDoc(doc(db, `${WORKSPACE}/comments/reply`)));
+            const batch = writeBatch(db);
+            batch.delete(doc(db, `${WORKSPACE}/comments/reply`));
+            batch.delete(doc(db, `${WORKSPACE}/comments/thread`));
+            await assertSucceeds(batch.commit());
+        });
+
+        it('denies non-members and members of other workspaces', async () => {
+            const stranger = dbAs('stranger');
+            await assertFails(getDoc(doc(stranger, `${WORKSPACE}/courses/c1`)));
+            await assertFails(setDoc(doc(stranger, `${WORKSPACE}/courses/c3`), { title: 'Intruder', status: 'draft', userId: 'stranger' }));
+
+            const owner = dbAs('owner');
+            await assertFails(getDoc(doc(owner, `${OTHER_WORKSPACE}/courses/c2`)));
+            await assertFails(updateDoc(doc(owner, `${OTHER_WORKSPACE}/courses/c2`), { title: 'Renamed' }));
+            await assertFails(getDoc(doc(owner, OTHER_WORKSPACE)));
+        });
+
+        it('keeps the personal workspace to its user', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('owner'), `${APP}/users/owner/courses/p1`), { title: 'Mine' }));
+            await assertFails(getDoc(doc(dbAs('editor'), `${APP}/users/owner/courses/p1`)));
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeDb, listIds, readDoc, seedDoc } from './support/fakeFirestore.js';
+import { addSourceDocument, chunkText, loadCourseChunks } from '../src/lib/sourceDocuments';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'));
+
+const getPath = (collectionName) => `ws/${collectionName}`;
+
+// Long enough for two chunk batches (more than 500 chunks)
+const largeSource = () => ({
+    name: 'handbook.md',
+    fileType: 'md',
+    size: 1,
+    text: Array.from({ length: 550 }, (_, i) => `Paragraph ${i}. ${'Kubernetes pods and services. '.repeat(45)}`).join('\n\n'),
+});
+
+describe('addSourceDocument', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('stores the chunks and marks the source ready', async () => {
+        const source = { name: 'notes.md', fileType: 'md', size: 1, text: 'Pods run containers.\n\nServices expose pods.' };
+        const sourceId = await addSourceDocument(db, getPath, 'c1', source, 'u1');
+
+        expect(readDoc(db, `ws/sources/${sourceId}`)).toMatchObject({ status: 'ready', chunkCount: chunkText(source.text).length });
+        expect((await loadCourseChunks(db, getPath, 'c1')).map(chunk => chunk.sourceId)).toEqual([sourceId]);
+    });
+
+    it('removes the source and its chunks when a chunk batch fails', async () => {
+        // The source is the first commit; the first chunk batch commits and the second fails
+        db = createFakeDb({ failAtCommit: 3 });
+        const source = largeSource();
+        expect(chunkText(source.text).length).toBeGreaterThan(500);
+
+        await expect(addSourceDocument(db, getPath, 'c1', source, 'u1')).rejects.toThrow('Simulated network failure');
+        expect(listIds(db, getPath('sources'))).toEqual([]);
+        expect(listIds(db, getPath('sourceChunks'))).toEqual([]);
+    });
+});
+
+describe('loadCourseChunks', () => {
+    it('only returns chunks of ready sources', async () => {
+        const db = createFakeDb();
+        seedDoc(db, 'ws/sources/ready', { courseId: 'c1', status: 'ready' });
+        seedDoc(db, 'ws/sources/legacy', { courseId: 'c1' });
+        seedDoc(db, 'ws/sources/partial', { courseId: 'c1', status: 'uploading' });
+        ['ready', 'legacy', 'partial'].forEach(sourceId => seedDoc(db, `ws/sourceChunks/${sourceId}-0`, { courseId: 'c1', sourceId, index: 0, text: 'Passage' }));
+
+        const chunks = await loadCourseChunks(db, getPath, 'c1');
+        expect(chunks.map(chunk => chunk.sourceId).sort()).toEqual(['legacy', 'ready']);
+    });
+});
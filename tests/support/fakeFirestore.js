@@ -0,0 +1,153 @@
+// In-memory stand-in for the parts of the firebase/firestore API used by src/lib.
+// Tests swap it in with `vi.mock('firebase/firestore', () => import('./support/fakeFirestore.js'))`
+// and pass a `createFakeDb()` wherever the app passes its Firestore instance.
+// Documents are kept in `db.docs` by full path; batches apply all their writes or none.
+
+let autoId = 0;
+
+// `failAtCommit: n` makes the n-th commit (batch or single write) fail, like a lost connection
+export const createFakeDb = ({ failAtCommit = null } = {}) => ({ docs: new Map(), commits: 0, failAtCommit });
+
+const documentRef = (db, path) => ({ type: 'document', db, path, id: path.split('/').pop() });
+
+export const collection = (db, path) => ({ type: 'collection', db, path });
+
+// doc(db, collectionPath, id), doc(collectionRef) with a generated id, or doc(collectionRef, id)
+export const doc = (parent, path, ...segments) => (parent.type === 'collection'
+    ? documentRef(parent.db, `${parent.path}/${path ?? `auto-${++autoId}`}`)
+    : documentRef(parent, [path, ...segments].join('/')));
+
+// --- Field values ---
+
+export const deleteField = () => ({ sentinel: 'delete' });
+export const increment = (n) => ({ sentinel: 'increment', n });
+export const arrayUnion = (...values) => ({ sentinel: 'arrayUnion', values });
+export const arrayRemove = (...values) => ({ sentinel: 'arrayRemove', values });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+const resolveValue = (current, value) => {
+    switch (value?.sentinel) {
+        case 'increment':
+            return (current || 0) + value.n;
+        case 'arrayUnion':
+            return [...(current || []), ...value.values.filter(v => !(current || []).includes(v))];
+        case 'arrayRemove':
+            return (current || []).filter(v => !value.values.includes(v));
+        default:
+            return value;
+    }
+};
+
+// Write `value` at a dotted field path, creating maps on the way
+const setField = (data, fieldPath, value) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        return node[key];
+    }, data);
+    if (value?.sentinel === 'delete') delete parent[last];
+    else parent[last] = resolveValue(parent[last], value);
+};
+
+const mergeInto = (target, fields) => {
+    Object.entries(fields).forEach(([key, value]) => {
+        if (isPlainObject(value) && !value.sentinel) mergeInto(isPlainObject(target[key]) ? target[key] : (target[key] = {}), value);
+        else if (value?.sentinel === 'delete') delete target[key];
+        else target[key] = resolveValue(target[key], value);
+    });
+};
+
+// --- Writes ---
+
+const applyWrite = (docs, write) => {
+    const existing = docs.get(write.ref.path);
+    if (write.kind === 'delete') {
+        docs.delete(write.ref.path);
+    } else if (write.kind === 'update') {
+        if (!existing) throw new Error(`No document to update: ${write.ref.path}`);
+        const data = structuredClone(existing);
+        Object.entries(write.data).forEach(([fieldPath, value]) => setField(data, fieldPath, value));
+        docs.set(write.ref.path, structuredClone(data));
+    } else {
+        const data = write.options?.merge && existing ? structuredClone(existing) : {};
+        mergeInto(data, write.data);
+        docs.set(write.ref.path, structuredClone(data));
+    }
+};
+
+// Writes go to a copy that replaces the documents only when every write succeeded
+const commitWrites = async (db, writes) => {
+    db.commits += 1;
+    if (db.commits === db.failAtCommit) throw new Error('Simulated network failure');
+    const docs = new Map(db.docs);
+    writes.forEach(write => applyWrite(docs, write));
+    db.docs = docs;
+};
+
+export const writeBatch = (db) => {
+    const writes = [];
+    return {
+        set: (ref, data, options) => writes.push({ kind: 'set', ref, data, options }),
+        update: (ref, data) => writes.push({ kind: 'update', ref, data }),
+        delete: (ref) => writes.push({ kind: 'delete', ref }),
+        commit: () => commitWrites(db, writes),
+    };
+};
+
+export const setDoc = (ref, data, options) => commitWrites(ref.db, [{ kind: 'set', ref, data, options }]);
+export const updateDoc = (ref, data) => commitWrites(ref.db, [{ kind: 'update', ref, data }]);
+export const deleteDoc = (ref) => commitWrites(ref.db, [{ kind: 'delete', ref }]);
+
+export const addDoc = async (collectionRef, data) => {
+    const ref = doc(collectionRef);
+    await setDoc(ref, data);
+    return ref;
+};
+
+// --- Reads ---
+
+const snapshotOf = (ref) => {
+    const data = ref.db.docs.get(ref.path);
+    return { id: ref.id, ref, exists: () => data !== undefined, data: () => (data === undefined ? undefined : structuredClone(data)) };
+};
+
+export const getDoc = async (ref) => snapshotOf(ref);
+
+export const where = (field, op, value) => ({ field, op, value });
+
+export const query = (collectionRef, ...constraints) => ({ ...collectionRef, constraints });
+
+const matches = (data, { field, op, value }) => {
+    switch (op) {
+        case '==':
+            return data[field] === value;
+        case 'in':
+            return value.includes(data[field]);
+        case 'array-contains':
+            return (data[field] || []).includes(value);
+        default:
+            throw new Error(`Unsupported query operator "${op}".`);
+    }
+};
+
+export const getDocs = async (collectionQuery) => {
+    const { db, path, constraints = [] } = collectionQuery;
+    const docs = [...db.docs.entries()]
+        .filter(([docPath]) => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => constraints.every(constraint => matches(data, constraint)))
+        .map(([docPath]) => snapshotOf(documentRef(db, docPath)));
+    return { docs, empty: docs.length === 0, size: docs.length };
+};
+
+// --- Test helpers ---
+
+export const seedDoc = (db, path, data) => db.docs.set(path, structuredClone(data));
+
+export const readDoc = (db, path) => db.docs.get(path);
+
+// Ids of the documents directly below a collection path
+export const listIds = (db, path) => [...db.docs.keys()]
+    .filter(docPath => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+    .map(docPath => docPath.slice(path.length + 1));
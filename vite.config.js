@@ -1,13 +1,43 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Default project of the Firebase CLI, used when .env names none
+const firebaseDefaultProject = () => {
+  try {
+    return JSON.parse(readFileSync(new URL('./.firebaserc', import.meta.url), 'utf8')).projects?.default
+  } catch {
+    return undefined
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [
-    react({
-      babel: {
-        plugins: [['babel-plugin-react-compiler']],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, fileURLToPath(new URL('.', import.meta.url)), 'VITE_')
+  const projectId = env.VITE_FIREBASE_PROJECT_ID || firebaseDefaultProject()
+  const functionsRegion = env.VITE_FUNCTIONS_REGION || 'us-central1'
+
+  return {
+    plugins: [
+      react({
+        babel: {
+          plugins: [['babel-plugin-react-compiler']],
+        },
+      }),
+    ],
+    server: {
+      proxy: {
+        // The AI proxy function in the emulator suite (`npm run serve` in functions/). Its URL
+        // names the project and region: VITE_FIREBASE_PROJECT_ID and VITE_FUNCTIONS_REGION in .env
+        '/api/generate': {
+          target: 'http://127.0.0.1:5001',
+          rewrite: () => `/${projectId}/${functionsRegion}/generate`,
+        },
       },
-    }),
-  ],
+    },
+    test: {
+      include: ['tests/**/*.test.js'],
+    },
+  }
 })